@@ -1,6 +1,10 @@
 import * as mc from "@minecraft/server";
 import { IVec3 } from "./IVec3";
 import { IDimension } from "./IDimension";
+import { IEditSession } from "./IEditSession";
+import { IContainer } from "./IContainer";
+import { IBlockJob } from "./IBlockJob";
+import { IBlockCache } from "./IBlockCache";
 
 // This file is part of the IBlock class, which represents a block in the Minecraft world.
 // It provides methods to interact with blocks, such as getting the block above or below, and adding vectors to the block's coordinates.
@@ -17,6 +21,8 @@ import { IDimension } from "./IDimension";
  * @property {number} z - The z-coordinate of the block.
  * @property {mc.Block} block - The block object (mc/server).
  * @property {string} type - The type ID of the block.
+ * @property {mc.BlockPermutation} permutation - The block's type and states.
+ * @property {Record<string, string|number|boolean>} states - The block states, e.g. { "minecraft:cardinal_direction": "north" }.
  * @property {string} dimension - The dimension ID of the block.
  * @property {boolean} isAir - Whether the block is air.
  * @property {number} placeTime - The time when the block was placed (in milliseconds since epoch).
@@ -43,11 +49,15 @@ export class IBlock {
 
         if(dimension instanceof IDimension) {
             this.dimension = /** @type {IDimension} */ dimension.id;
+        } else {
+            this.dimension = dimension;
         }
 
         this.vector = y === null && z === null ? vec3 : new IVec3(vec3, y, z);
-        this.block = mc.world.getDimension(dimension).getBlock({ x: this.x, y: this.y, z: this.z });
+        this.block = mc.world.getDimension(this.dimension).getBlock({ x: this.x, y: this.y, z: this.z });
         this.type = this.block.typeId;
+        this.permutation = this.block.permutation;
+        this.states = this.permutation.getAllStates();
         this.isAir = this.block.isAir;
         this.placeTime = Date.now();
     }
@@ -79,6 +89,8 @@ export class IBlock {
     updateBlock() {
         this.block = mc.world.getDimension(this.dimension).getBlock({ x: this.x, y: this.y, z: this.z });
         this.type = this.block.typeId;
+        this.permutation = this.block.permutation;
+        this.states = this.permutation.getAllStates();
         this.isAir = this.block.isAir;
     }
 
@@ -91,62 +103,330 @@ export class IBlock {
      * @returns {void}
      */
     refreshBlock() {
-        this.setBlock(this.type);
+        this.setBlock(this.permutation);
         this.updateBlock();
     }
 
     /**
      * @name setBlock
-     * @description Sets the block at the specified coordinates to a new block type.
-     * @param {string} blockType - The type ID of the block to set.
+     * @description Sets the block at the specified coordinates to a new block.
+     * The change is recorded into the open IEditSession transaction, if there is one.
+     * @param {string|mc.BlockPermutation|IBlock} blockType - The block id, a block id with states, a permutation, or an IBlock to copy.
      * @example
      * const block = new IBlock(42, 102, -83);
      * block.setBlock("minecraft:stone"); // Sets the block at (42, 102, -83) to stone
+     * block.setBlock("furnace[minecraft:cardinal_direction=north]"); // A furnace facing north
      * @returns {void}
      */
     setBlock(blockType) {
         const dimension = mc.world.getDimension(this.dimension);
         const blockLocation = { x: this.x, y: this.y, z: this.z };
-        dimension.setBlockType(blockLocation, blockType);
+        const permutation = IDimension.resolvePermutation(blockType);
+        IEditSession.record(dimension, blockLocation);
+        dimension.setBlockPermutation(blockLocation, permutation);
+        IBlockCache.invalidate(this.dimension, blockLocation);
         this.updateBlock();
     }
 
     /**
-     * @param {string} type - The type of object to return. Can be "block" (mc.Block), "vector" (IVec3), or "iblock" (IBlock).
+     * @name setPermutation
+     * @description Sets the block to a permutation, type and states together. The same as setBlock with a permutation.
+     * @param {mc.BlockPermutation} permutation - The permutation.
+     * @example
+     * other.setPermutation(block.permutation); // Copies the block, states included
+     * @returns {void}
+     */
+    setPermutation(permutation) {
+        this.setBlock(permutation);
+    }
+
+    /**
+     * @name getStates
+     * @returns {Record<string, string|number|boolean>} - A copy of the block's states.
+     */
+    getStates() {
+        return { ...this.states };
+    }
+
+    /**
+     * @name getState
+     * @param {string} name - The state name, e.g. "minecraft:cardinal_direction".
+     * @returns {string|number|boolean|undefined} - The state value, or undefined if the block has no such state.
+     */
+    getState(name) {
+        return this.states[name];
+    }
+
+    /**
+     * @name setState
+     * @description Changes one state and keeps the others.
+     * @param {string} name - The state name.
+     * @param {string|number|boolean} value - The new value.
+     * @example
+     * const slab = new IBlock("overworld", 0, 64, 0);
+     * slab.setState("minecraft:vertical_half", "top");
+     * @returns {void}
+     * @throws {Error} - Throws an error if the block does not have the state or the value is invalid for it.
+     */
+    setState(name, value) {
+        let permutation;
+        try {
+            permutation = this.permutation.withState(name, value);
+        } catch (error) {
+            throw new Error(`Cannot set state '${name}' to '${value}' on ${this.type}: ${error.message}`);
+        }
+        this.setBlock(permutation);
+    }
+
+    /**
+     * @name matches
+     * @description Checks the block's type and states. A string only checks the states it names; a permutation or IBlock must match exactly.
+     * @param {string|mc.BlockPermutation|IBlock} block - What the block should be.
+     * @example
+     * block.matches("oak_log"); // Any oak log
+     * block.matches("oak_log[pillar_axis=y]"); // Only upright oak logs
+     * @returns {boolean}
+     */
+    matches(block) {
+        return IDimension.blockMatches(this.permutation, block);
+    }
+
+    /**
+     * @name equals
+     * @description Checks if another IBlock is at the same position in the same dimension, with the same type and states.
+     * @param {IBlock} other - The other block.
+     * @returns {boolean}
+     */
+    equals(other) {
+        return other instanceof IBlock && other.dimension === this.dimension
+            && other.x === this.x && other.y === this.y && other.z === this.z
+            && IDimension.blockMatches(this.permutation, other.permutation);
+    }
+
+    /**
+     * Inventory functions
+     */
+
+    /**
+     * @name hasInventory
+     * @returns {boolean} - Whether the block holds items, like a chest, barrel, hopper or furnace.
+     */
+    hasInventory() {
+        const inventory = this.block.getComponent("minecraft:inventory");
+        return inventory !== undefined && inventory.container !== undefined;
+    }
+
+    /**
+     * @name getContainer
+     * @example
+     * const chest = new IBlock("overworld", 10, 64, 10);
+     * if (chest.hasInventory()) chest.getContainer().insert("bread", 16);
+     * @returns {IContainer} - The block's container.
+     * @throws {Error} - Throws an error if the block has no inventory.
+     */
+    getContainer() {
+        const inventory = this.block.getComponent("minecraft:inventory");
+        if (!inventory || !inventory.container) {
+            throw new Error(`Block ${this.type} at (${this.x}, ${this.y}, ${this.z}) has no inventory.`);
+        }
+        return new IContainer(inventory.container);
+    }
+
+    /**
+     * @name getItem
+     * @param {number} slot - The slot index.
+     * @returns {mc.ItemStack|undefined} - A copy of the item in the slot, or undefined if it is empty.
+     * @throws {Error} - Throws an error if the block has no inventory or the slot is outside of it.
+     */
+    getItem(slot) {
+        return this.getContainer().getItem(slot);
+    }
+
+    /**
+     * @name setItem
+     * @param {number} slot - The slot index.
+     * @param {string|mc.ItemStack|undefined} item - The item id or stack to put in the slot, or undefined to empty it.
+     * @param {number} [amount] - The stack size, when item is an id (default 1).
+     * @example
+     * furnace.setItem(1, "coal", 8); // Fuel slot
+     * @returns {void}
+     * @throws {Error} - Throws an error if the block has no inventory or the slot is outside of it.
+     */
+    setItem(slot, item, amount) {
+        this.getContainer().setItem(slot, item, amount);
+    }
+
+    /**
+     * @name clearSlot
+     * @param {number} slot - The slot index.
+     * @returns {void}
+     * @throws {Error} - Throws an error if the block has no inventory or the slot is outside of it.
+     */
+    clearSlot(slot) {
+        this.getContainer().clearSlot(slot);
+    }
+
+    /**
+     * @name clearInventory
+     * @returns {void}
+     * @throws {Error} - Throws an error if the block has no inventory.
+     */
+    clearInventory() {
+        this.getContainer().clear();
+    }
+
+    /**
+     * @name insertItem
+     * @description Adds items, topping up matching stacks first and then filling empty slots.
+     * @param {string|mc.ItemStack} item - The item id or a stack to copy.
+     * @param {number} [amount] - How many to add. Defaults to 1 for ids and the stack's amount for stacks.
+     * @returns {number} - How many did not fit.
+     * @throws {Error} - Throws an error if the block has no inventory.
+     */
+    insertItem(item, amount) {
+        return this.getContainer().insert(item, amount);
+    }
+
+    /**
+     * @name snapshotInventory
+     * @description Copies the contents into plain objects that can be saved and restored later (see IContainer.snapshot).
+     * @returns {Array<IItemSnapshot|null>} - One entry per slot, null for empty slots.
+     * @throws {Error} - Throws an error if the block has no inventory.
+     */
+    snapshotInventory() {
+        return this.getContainer().snapshot();
+    }
+
+    /**
+     * @name restoreInventory
+     * @description Replaces the contents with a snapshot.
+     * @param {Array<IItemSnapshot|null>} snapshot - A snapshot from snapshotInventory().
+     * @example
+     * const loot = chest.snapshotInventory();
+     * IScheduler.repeat(6000, () => chest.restoreInventory(loot)); // Refill every 5 minutes
+     * @returns {void}
+     * @throws {Error} - Throws an error if the block has no inventory or the snapshot does not fit in it.
+     */
+    restoreInventory(snapshot) {
+        this.getContainer().restore(snapshot);
+    }
+
+    /**
+     * @name neighbor
+     * @description Gets the block next to this one on one side.
+     * @param {mc.Direction|string} face - The side: "Up", "Down", "North", "South", "East" or "West" (any case).
+     * @param {string} [type="block"] - The type of object to return. Can be "block" (mc.Block), "vector" (IVec3), or "iblock" (IBlock).
+     * @param {number} [steps=1] - How many blocks away.
+     * @example
+     * const block = new IBlock("overworld", 0, 64, 0);
+     * block.neighbor(mc.Direction.North, "iblock").type; // The type of the block at (0, 64, -1)
+     * @returns {mc.Block|IVec3|IBlock} - Returns the block, vector, or IBlock object based on the type specified.
+     * @throws {Error} - Throws an error if the face or the type is not one of the specified options.
+     */
+    neighbor(face, type = "block", steps = 1) {
+        const offset = BLOCK_FACE_OFFSETS[normalizeFace(face)];
+        return this.relative({ x: offset.x * steps, y: offset.y * steps, z: offset.z * steps }, type);
+    }
+
+    /**
+     * @name neighbors
+     * @description Gets the blocks around this one. Positions outside the world's height range are left out.
+     * @param {6|18|26} [connectivity=6] - 6 for the blocks sharing a face, 18 to add those sharing an edge, 26 to add the corners too.
+     * @param {string} [type="iblock"] - The type of object to return. Can be "block" (mc.Block), "vector" (IVec3), or "iblock" (IBlock).
+     * @example
+     * const touchingWater = block.neighbors().some((other) => other.type === "minecraft:water");
+     * @returns {Array<mc.Block|IVec3|IBlock>}
+     * @throws {Error} - Throws an error if the connectivity or the type is not one of the specified options.
+     */
+    neighbors(connectivity = 6, type = "iblock") {
+        const range = mc.world.getDimension(this.dimension).heightRange;
+        return neighborOffsets(connectivity)
+            .filter((offset) => this.y + offset.y >= range.min && this.y + offset.y < range.max)
+            .map((offset) => this.relative(offset, type));
+    }
+
+    /**
+     * @name connected
+     * @description Collects the blocks connected to this one that pass a check, breadth first, so the closest come first.
+     * The whole search runs at once; use floodFill for large areas.
+     * @param {function(IBlock): boolean|string|mc.BlockPermutation} [check] - A function, or a block to match (see matches).
+     * Defaults to blocks of the same type as this one.
+     * @param {{connectivity?: 6|18|26, maxVisited?: number}} [options] - Which neighbours count as connected (default 6),
+     * and how many matching blocks to collect at most (default 4096).
+     * @example
+     * // Vein miner: every touching ore, corners included
+     * const vein = block.connected("minecraft:iron_ore", { connectivity: 26, maxVisited: 64 });
+     * @returns {IBlock[]} - The matching blocks, starting with this one. Empty if this one does not match.
+     * @throws {Error} - Throws an error if maxVisited is not a whole number, at least 1.
+     */
+    connected(check, options = {}) {
+        return [...floodFrom(this, check, options.connectivity, maxVisitedOf(options), {})];
+    }
+
+    /**
+     * @name floodFill
+     * @description Like connected, but spread across ticks as an IBlockJob. The blocks found so far are in job.blocks,
+     * and job.truncated is set if the search stopped at maxVisited with blocks left unvisited.
+     * The job's total is null while the search runs, since the number of blocks isn't known up front.
+     * @param {function(IBlock): boolean|string|mc.BlockPermutation} [check] - A function, or a block to match (see matches).
+     * Defaults to blocks of the same type as this one.
+     * @param {{connectivity?: 6|18|26, maxVisited?: number, batchSize?: number}} [options] - See connected;
+     * batchSize is how many blocks are collected between yields.
+     * @example
+     * // Tree feller
+     * const job = block.floodFill((log) => log.type.endsWith("_log"), { connectivity: 26, maxVisited: 256 });
+     * await job.promise;
+     * job.blocks.forEach((log) => log.setBlock("minecraft:air"));
+     * @returns {IBlockJob & {blocks: IBlock[], truncated: boolean}} - The running job.
+     * @throws {Error} - Throws an error if maxVisited is not a whole number, at least 1.
+     */
+    floodFill(check, options = {}) {
+        const state = { truncated: false };
+        const blocks = [];
+        const job = new IBlockJob(floodFrom(this, check, options.connectivity, maxVisitedOf(options), state), (block) => blocks.push(block), null, options);
+        job.blocks = blocks;
+        Object.defineProperty(job, "truncated", { get: () => state.truncated });
+        return job;
+    }
+
+    /**
+     * @name relative
+     * @param {{x: number, y: number, z: number}} offset - The offset from this block.
+     * @param {string} [type="block"] - The type of object to return. Can be "block" (mc.Block), "vector" (IVec3), or "iblock" (IBlock).
      * @returns {mc.Block|IVec3|IBlock} - Returns the block, vector, or IBlock object based on the type specified.
      * @throws {Error} - Throws an error if the type is not one of the specified options.
      */
-    down(type = "block") {
+    relative(offset, type = "block") {
+        const location = { x: this.x + offset.x, y: this.y + offset.y, z: this.z + offset.z };
         switch(type) {
+            case "iblock":
             case "isoblock":
-                return new IBlock(this.x, this.y - 1, this.z);
+                return new IBlock(this.dimension, location);
             case "block":
-                return new mc.world.getDimension(this.dimension).getBlock({ x: this.x, y: this.y - 1, z: this.z });
+                return mc.world.getDimension(this.dimension).getBlock(location);
             case "vector":
-                this.y -= 1;
-                return new IVec3(this.x, this.y, this.z);
+                return new IVec3(location.x, location.y, location.z);
             default:
                 throw new Error("Invalid type. Must be 'block', 'vector', or 'iblock'.");
         }
     }
 
+    /**
+     * @param {string} type - The type of object to return. Can be "block" (mc.Block), "vector" (IVec3), or "iblock" (IBlock).
+     * @returns {mc.Block|IVec3|IBlock} - Returns the block, vector, or IBlock object based on the type specified.
+     * @throws {Error} - Throws an error if the type is not one of the specified options.
+     */
+    down(type = "block") {
+        return this.relative({ x: 0, y: -1, z: 0 }, type);
+    }
+
     /**
      * @param {string} type - The type of object to return. Can be "block" (mc.Block), "vector" (IVec3), or "iblock" (IBlock).
      * @returns {mc.Block|IVec3|IBlock} - Returns the block, vector, or IBlock object based on the type specified.
      * @throws {Error} - Throws an error if the type is not one of the specified options.
      */
     up(type = "block") {
-        switch(type) {
-            case "isoblock":
-                return new IBlock(this.x, this.y + 1, this.z);
-            case "block":
-                return new mc.world.getDimension(this.dimension).getBlock({ x: this.x, y: this.y + 1, z: this.z });
-            case "vector":
-                this.y += 1;
-                return new IVec3(this.x, this.y, this.z);
-            default:
-                throw new Error("Invalid type. Must be 'block', 'vector', or 'iblock'.");
-        }
+        return this.relative({ x: 0, y: 1, z: 0 }, type);
     }
 
     /**
@@ -156,6 +436,111 @@ export class IBlock {
      * @returns {IBlock} - Returns a new IBlock with the updated coordinates.
      */
     addVector(vector) {
-        return new IBlock(this.x + vector.x, this.y + vector.y, this.z + vector.z);
+        return this.relative(vector, "iblock");
+    }
+}
+
+/**
+ * The offset of the block on each side, keyed by mc.Direction.
+ * @type {Readonly<Record<string, {x: number, y: number, z: number}>>}
+ */
+export const BLOCK_FACE_OFFSETS = Object.freeze({
+    Up: { x: 0, y: 1, z: 0 },
+    Down: { x: 0, y: -1, z: 0 },
+    North: { x: 0, y: 0, z: -1 },
+    South: { x: 0, y: 0, z: 1 },
+    East: { x: 1, y: 0, z: 0 },
+    West: { x: -1, y: 0, z: 0 }
+});
+
+const DEFAULT_MAX_VISITED = 4096;
+
+/**
+ * @name normalizeFace
+ * @returns {string} - The mc.Direction value of a face name in any case.
+ * @throws {Error} - Throws an error if the face is not a direction.
+ */
+function normalizeFace(face) {
+    const name = typeof face === "string" ? face.charAt(0).toUpperCase() + face.slice(1).toLowerCase() : "";
+    if (!(name in BLOCK_FACE_OFFSETS)) {
+        throw new Error(`Invalid face '${face}'. Must be one of: ${Object.keys(BLOCK_FACE_OFFSETS).join(", ")}.`);
+    }
+    return name;
+}
+
+/**
+ * @name neighborOffsets
+ * @returns {Array<{x: number, y: number, z: number}>} - The offsets of the neighbours for a connectivity, faces first.
+ * @throws {Error} - Throws an error if the connectivity is not 6, 18 or 26.
+ */
+function neighborOffsets(connectivity) {
+    if (![6, 18, 26].includes(connectivity)) {
+        throw new Error(`Invalid connectivity '${connectivity}'. Must be 6, 18 or 26.`);
+    }
+    const offsets = [];
+    for (let x = -1; x <= 1; x++) {
+        for (let y = -1; y <= 1; y++) {
+            for (let z = -1; z <= 1; z++) {
+                const distance = Math.abs(x) + Math.abs(y) + Math.abs(z);
+                if (distance === 0 || (connectivity === 6 && distance > 1) || (connectivity === 18 && distance > 2)) continue;
+                offsets.push({ x, y, z });
+            }
+        }
+    }
+    return offsets.sort((a, b) => (Math.abs(a.x) + Math.abs(a.y) + Math.abs(a.z)) - (Math.abs(b.x) + Math.abs(b.y) + Math.abs(b.z)));
+}
+
+/**
+ * @name maxVisitedOf
+ * @returns {number} - The maxVisited option of connected and floodFill, or its default.
+ * @throws {Error} - Throws an error if maxVisited is not a whole number, at least 1.
+ */
+function maxVisitedOf(options) {
+    if (options.maxVisited === undefined) return DEFAULT_MAX_VISITED;
+    if (!Number.isInteger(options.maxVisited) || options.maxVisited < 1) {
+        throw new Error("maxVisited must be a whole number, at least 1.");
+    }
+    return options.maxVisited;
+}
+
+/**
+ * @name floodFrom
+ * @description The breadth-first search behind connected and floodFill. Yields each matching block once.
+ * Blocks outside the height range or in unloaded chunks are treated as not matching.
+ * The queue never holds more than maxVisited blocks, however many matches surround them.
+ * @param {IBlock} start - Where to start.
+ * @param {function(IBlock): boolean|string|mc.BlockPermutation|undefined} check - What to collect.
+ * @param {number|undefined} connectivity - 6, 18 or 26 (default 6).
+ * @param {number} maxVisited - How many matching blocks to yield at most.
+ * @param {{truncated?: boolean}} state - Gets truncated set if the search stops at maxVisited with matches left over.
+ * @returns {Generator<IBlock, void, void>}
+ */
+function* floodFrom(start, check, connectivity, maxVisited, state) {
+    const offsets = neighborOffsets(connectivity === undefined ? 6 : connectivity);
+    const test = typeof check === "function" ? check
+        : check === undefined ? (block) => block.type === start.type
+        : (block) => block.matches(check);
+    const dimension = mc.world.getDimension(start.dimension);
+    const range = dimension.heightRange;
+    const seen = new Set([`${start.x},${start.y},${start.z}`]);
+    if (!test(start)) return;
+    const queue = [start];
+    for (let index = 0; index < queue.length; index++) {
+        const block = queue[index];
+        yield block;
+        for (const offset of offsets) {
+            const location = { x: block.x + offset.x, y: block.y + offset.y, z: block.z + offset.z };
+            const key = `${location.x},${location.y},${location.z}`;
+            if (seen.has(key) || location.y < range.min || location.y >= range.max) continue;
+            seen.add(key);
+            if (!dimension.getBlock(location)) continue;
+            const next = new IBlock(start.dimension, location);
+            if (!test(next)) continue;
+            if (queue.length < maxVisited) {
+                queue.push(next);
+            } else {
+                state.truncated = true;
+            }
+        }
     }
-}
\ No newline at end of file
+}
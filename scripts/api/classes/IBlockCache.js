@@ -0,0 +1,306 @@
+import * as mc from "@minecraft/server";
+import { IEvents } from "../events/IEvents";
+
+/**
+ * @typedef {Object} IBlockCacheOptions
+ * @property {number} [ttl=20] - How many ticks an entry is trusted for. Infinity keeps entries until they are invalidated or evicted.
+ * @property {number} [maxSize=4096] - How many positions are kept. The least recently read position is dropped first.
+ */
+
+/**
+ * @typedef {Object} IBlockCacheStats
+ * @property {number} hits - Reads answered from the cache.
+ * @property {number} misses - Reads that went to the world, including reads of expired entries.
+ * @property {number} expired - Misses caused by an entry outliving its ttl.
+ * @property {number} evictions - Entries dropped to stay under maxSize.
+ * @property {number} invalidations - Entries dropped because their block changed.
+ * @property {number} size - Entries currently held.
+ * @property {number} hitRate - hits / (hits + misses), from 0 to 1.
+ */
+
+/** @type {Map<string, IBlockCache>} */
+const caches = new Map();
+
+/** @type {function[]} */
+let handlers = [];
+
+/**
+ * @class IBlockCache
+ * @description Remembers the blocks of one dimension by position, so code that reads the same positions every tick
+ * doesn't go back to the world for each read. Enable it through IDimension.enableCache; every IDimension of the same
+ * dimension then shares it.
+ * Entries are dropped when a block is placed, broken, interacted with, blown up or moved by a piston, and when it is set through
+ * IDimension.setBlock, IDimension.fill, IBlock.setBlock or an IEditSession undo/redo.
+ * Changes nothing reports (fluids, growth, redstone, commands) are only picked up when the entry's ttl runs out,
+ * so keep the ttl short when that matters.
+ * @constructor {string} dimensionId - The dimension id, e.g. "overworld".
+ * @constructor {IBlockCacheOptions} [options] - The ttl and size limits.
+ * @property {string} dimensionId - The dimension id.
+ * @property {number} ttl - How many ticks an entry is trusted for.
+ * @property {number} maxSize - How many positions are kept.
+ * @example
+ * const overworld = new IDimension("overworld");
+ * const cache = overworld.enableCache({ ttl: 10, maxSize: 8192 });
+ *
+ * overworld.getBlockType(0, 64, 0); // Read from the world
+ * overworld.getBlockType(0, 64, 0); // Read from the cache
+ * cache.stats(); // { hits: 1, misses: 1, expired: 0, evictions: 0, invalidations: 0, size: 1, hitRate: 0.5 }
+ */
+export class IBlockCache {
+    constructor(dimensionId, options = {}) {
+        const { ttl = 20, maxSize = 4096 } = options;
+        if (typeof ttl !== "number" || !(ttl > 0)) {
+            throw new Error("Cache ttl must be a number of ticks above 0, or Infinity.");
+        }
+        if (!Number.isInteger(maxSize) || maxSize < 1) {
+            throw new Error("Cache maxSize must be a whole number, at least 1.");
+        }
+        this.dimensionId = normalizeDimensionId(dimensionId);
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        /** @type {Map<string, {block: mc.Block, typeId: string, expires: number}>} */
+        this.entries = new Map();
+        this.resetStats();
+    }
+
+    /**
+     * @name enable
+     * @description Turns on the cache of a dimension, or changes the limits of the one already on.
+     * Limits left out keep their current value.
+     * @param {string|mc.Dimension} dimension - The dimension id or raw dimension.
+     * @param {IBlockCacheOptions} [options] - The ttl and size limits.
+     * @returns {IBlockCache}
+     * @throws {Error} - Throws an error if the ttl or maxSize are invalid.
+     */
+    static enable(dimension, options = {}) {
+        const id = normalizeDimensionId(dimension);
+        const current = caches.get(id);
+        const cache = new IBlockCache(id, current ? { ttl: current.ttl, maxSize: current.maxSize, ...options } : options);
+        if (current) {
+            current.ttl = cache.ttl;
+            current.maxSize = cache.maxSize;
+            current.trim();
+            return current;
+        }
+        caches.set(id, cache);
+        if (handlers.length === 0) subscribe();
+        return cache;
+    }
+
+    /**
+     * @name disable
+     * @description Turns off the cache of a dimension and drops its entries.
+     * @param {string|mc.Dimension} dimension - The dimension id or raw dimension.
+     * @returns {boolean} - Whether the dimension had a cache.
+     */
+    static disable(dimension) {
+        const id = normalizeDimensionId(dimension);
+        const cache = caches.get(id);
+        if (!cache) return false;
+        cache.clear();
+        caches.delete(id);
+        if (caches.size === 0) {
+            handlers.forEach((handler) => IEvents.off(handler));
+            handlers = [];
+        }
+        return true;
+    }
+
+    /**
+     * @name of
+     * @param {string|mc.Dimension} dimension - The dimension id or raw dimension.
+     * @returns {IBlockCache|undefined} - The cache of the dimension, if it is enabled.
+     */
+    static of(dimension) {
+        return caches.get(normalizeDimensionId(dimension));
+    }
+
+    /**
+     * @name invalidate
+     * @description Drops a position from the cache of a dimension. Does nothing if the dimension has no cache.
+     * Call this after changing a block through the raw API.
+     * @param {string|mc.Dimension} dimension - The dimension id or raw dimension.
+     * @param {{x: number, y: number, z: number}} location - The block position.
+     * @returns {void}
+     */
+    static invalidate(dimension, location) {
+        const cache = caches.get(normalizeDimensionId(dimension));
+        if (cache) cache.invalidate(location);
+    }
+
+    /**
+     * @name getBlock
+     * @param {{x: number, y: number, z: number}} location - The block position.
+     * @returns {mc.Block|undefined} - The block, or undefined if its chunk is not loaded.
+     */
+    getBlock(location) {
+        const entry = this.read(location);
+        return entry && entry.block;
+    }
+
+    /**
+     * @name getBlockType
+     * @description Gets the block id as it was when the entry was read, without touching the block.
+     * @param {{x: number, y: number, z: number}} location - The block position.
+     * @returns {string|undefined} - The block id, or undefined if its chunk is not loaded.
+     */
+    getBlockType(location) {
+        const entry = this.read(location);
+        return entry && entry.typeId;
+    }
+
+    /**
+     * @name read
+     * @description Gets the entry for a position, reading the block from the world if it is missing or expired.
+     * Unloaded blocks are not cached.
+     * @param {{x: number, y: number, z: number}} location - The block position.
+     * @returns {{block: mc.Block, typeId: string, expires: number}|undefined}
+     */
+    read(location) {
+        const key = positionKey(location);
+        const now = mc.system.currentTick;
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            if (entry.expires > now) {
+                this.hits++;
+                this.entries.set(key, entry);
+                return entry;
+            }
+            this.expired++;
+        }
+        this.misses++;
+
+        const block = mc.world.getDimension(this.dimensionId).getBlock({ x: Math.floor(location.x), y: Math.floor(location.y), z: Math.floor(location.z) });
+        if (!block) return undefined;
+        const fresh = { block, typeId: block.typeId, expires: now + this.ttl };
+        this.entries.set(key, fresh);
+        this.trim();
+        return fresh;
+    }
+
+    /**
+     * @name invalidate
+     * @description Drops a position, so the next read goes to the world.
+     * @param {{x: number, y: number, z: number}} location - The block position.
+     * @returns {boolean} - Whether the position was cached.
+     */
+    invalidate(location) {
+        const removed = this.entries.delete(positionKey(location));
+        if (removed) this.invalidations++;
+        return removed;
+    }
+
+    /**
+     * @name invalidateAround
+     * @description Drops a position and the six positions touching it.
+     * @param {{x: number, y: number, z: number}} location - The block position.
+     * @returns {void}
+     */
+    invalidateAround(location) {
+        const x = Math.floor(location.x), y = Math.floor(location.y), z = Math.floor(location.z);
+        this.invalidate({ x, y, z });
+        this.invalidate({ x: x + 1, y, z });
+        this.invalidate({ x: x - 1, y, z });
+        this.invalidate({ x, y: y + 1, z });
+        this.invalidate({ x, y: y - 1, z });
+        this.invalidate({ x, y, z: z + 1 });
+        this.invalidate({ x, y, z: z - 1 });
+    }
+
+    /**
+     * @name clear
+     * @description Drops every entry. The stats are kept.
+     * @returns {void}
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * @name trim
+     * @description Drops the least recently read entries until the cache fits in maxSize.
+     * @returns {void}
+     */
+    trim() {
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * @name stats
+     * @example
+     * const { hitRate, size } = overworld.cache.stats();
+     * console.warn(`block cache: ${size} blocks, ${(hitRate * 100).toFixed(1)}% hits`);
+     * @returns {IBlockCacheStats}
+     */
+    stats() {
+        const reads = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            expired: this.expired,
+            evictions: this.evictions,
+            invalidations: this.invalidations,
+            size: this.entries.size,
+            hitRate: reads === 0 ? 0 : this.hits / reads
+        };
+    }
+
+    /**
+     * @name resetStats
+     * @description Sets every counter back to 0. The entries are kept.
+     * @returns {void}
+     */
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.expired = 0;
+        this.evictions = 0;
+        this.invalidations = 0;
+    }
+}
+
+/**
+ * @name subscribe
+ * @description Listens to every event that changes blocks, while at least one cache is enabled.
+ * Interacting flips doors, trapdoors, levers and the like, so it drops the block too.
+ * Pistons move their attached blocks one step, so the positions around them are dropped too.
+ * @returns {void}
+ */
+function subscribe() {
+    const drop = (event) => IBlockCache.invalidate(event.dimension.id, event.location);
+    handlers = [
+        IEvents.after("blockPlace", drop),
+        IEvents.after("blockBreak", drop),
+        IEvents.after("blockInteract", drop),
+        IEvents.after("blockExplode", drop),
+        IEvents.after("pistonActivate", (event) => {
+            const cache = IBlockCache.of(event.dimension.id);
+            if (!cache) return;
+            cache.invalidateAround(event.location);
+            event.attached.forEach((location) => cache.invalidateAround(location));
+        })
+    ];
+}
+
+/**
+ * @name normalizeDimensionId
+ * @param {string|mc.Dimension} dimension - The dimension id or raw dimension.
+ * @returns {string} - The id without the "minecraft:" namespace, e.g. "overworld".
+ */
+function normalizeDimensionId(dimension) {
+    const id = typeof dimension === "string" ? dimension : dimension.id;
+    return id.replace("minecraft:", "");
+}
+
+/**
+ * @name positionKey
+ * @param {{x: number, y: number, z: number}} location - A position.
+ * @returns {string} - The key of the block holding the position.
+ */
+function positionKey(location) {
+    return `${Math.floor(location.x)},${Math.floor(location.y)},${Math.floor(location.z)}`;
+}
@@ -0,0 +1,104 @@
+import * as mc from "@minecraft/server";
+
+/**
+ * @class IBlockJob
+ * @description A block operation spread across ticks with system.runJob, so large edits don't trip the watchdog.
+ * The job starts as soon as it is created; use the promise to wait for it, progress to report on it and cancel() to stop it.
+ * @constructor items {Iterable<*>} - The items to process, usually positions. Generators are consumed lazily.
+ * @constructor action {function(*): void} - Called once per item.
+ * @constructor total {number|null} - The number of items, used for progress. Pass null when it isn't known without going
+ * through the items first (e.g. lazy shapes); it is then set once the job finishes.
+ * @constructor options {{batchSize?: number}} - batchSize is how many items are processed between yields (default 32).
+ * @property {number|null} total - The number of items the job will process, or null while it is not known.
+ * @property {number} processed - The number of items processed so far.
+ * @property {boolean} cancelled - Whether cancel() was called before the job finished.
+ * @property {boolean} done - Whether the job has finished, been cancelled or failed.
+ * @property {Promise<{processed: number, total: number|null, cancelled: boolean}>} promise - Resolves when the job finishes or is cancelled, rejects if the action throws.
+ * @example
+ * const job = new IBlockJob(positions, (pos) => dimension.setBlock("minecraft:stone", pos), positions.length);
+ * job.progress; // e.g. 42.5
+ * job.cancel(); // Stops before the next batch
+ * const result = await job.promise; // { processed: 170, total: 400, cancelled: true }
+ */
+export class IBlockJob {
+    constructor(items, action, total, options = {}) {
+        if (typeof action !== "function") {
+            throw new TypeError("Job action must be a function.");
+        }
+        this.items = items;
+        this.action = action;
+        this.total = total === undefined ? null : total;
+        this.batchSize = options.batchSize || 32;
+        this.processed = 0;
+        this.cancelled = false;
+        this.done = false;
+        this.promise = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+        this.jobId = mc.system.runJob(this.steps());
+    }
+
+    /**
+     * @name progress
+     * @description The percentage of items processed, from 0 to 100.
+     * @returns {number|null} - The percentage, or null while the total is not known; use processed instead.
+     */
+    get progress() {
+        if (this.total === null) return this.done && !this.cancelled ? 100 : null;
+        if (this.total <= 0) return this.done ? 100 : 0;
+        return Math.min(100, (this.processed / this.total) * 100);
+    }
+
+    /**
+     * @name cancel
+     * @description Stops the job before its next item. Items already processed are not reverted.
+     * @example
+     * const job = overworld.fill("minecraft:stone", new IVec3(0, 0, 0), new IVec3(100, 100, 100));
+     * job.cancel();
+     * @returns {boolean} - Returns false if the job had already finished.
+     */
+    cancel() {
+        if (this.done) return false;
+        this.cancelled = true;
+        this.done = true;
+        mc.system.clearJob(this.jobId);
+        this.resolve(this.result());
+        return true;
+    }
+
+    /**
+     * @name result
+     * @returns {{processed: number, total: number|null, cancelled: boolean}} - A summary of the job so far.
+     */
+    result() {
+        return { processed: this.processed, total: this.total, cancelled: this.cancelled };
+    }
+
+    /**
+     * @name steps
+     * @description The generator handed to system.runJob. Yields after every batch.
+     * @returns {Generator<void, void, void>}
+     */
+    *steps() {
+        let batch = 0;
+        try {
+            for (const item of this.items) {
+                if (this.cancelled) return;
+                this.action(item);
+                this.processed++;
+                if (++batch >= this.batchSize) {
+                    batch = 0;
+                    yield;
+                }
+            }
+        } catch (error) {
+            this.done = true;
+            this.reject(error);
+            return;
+        }
+        this.done = true;
+        if (this.total === null) this.total = this.processed;
+        this.resolve(this.result());
+    }
+}
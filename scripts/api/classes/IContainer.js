@@ -0,0 +1,297 @@
+import * as mc from "@minecraft/server";
+
+/**
+ * @typedef {Object} IItemSnapshot
+ * @property {string} typeId - The item id.
+ * @property {number} amount - The stack size.
+ * @property {string} [nameTag] - The custom name, if it has one.
+ * @property {string[]} [lore] - The lore lines, if it has any.
+ * @property {Array<{type: string, level: number}>} [enchantments] - The enchantments, if it has any.
+ * @property {number} [damage] - The durability used up, if it has any.
+ * @property {boolean} [keepOnDeath] - Set when the item stays in the inventory on death.
+ * @property {string} [lockMode] - The lock mode ("slot" or "inventory"), if it is locked.
+ * @property {string[]} [canPlaceOn] - The blocks it can be placed on in adventure mode, if limited.
+ * @property {string[]} [canDestroy] - The blocks it can break in adventure mode, if limited.
+ * @property {Object<string, boolean|number|string|{x: number, y: number, z: number}>} [dynamicProperties] - Its dynamic properties, if it has any.
+ */
+
+/**
+ * @class IContainer
+ * @description Wraps the container of a chest, barrel, hopper, furnace or any other block or entity that holds items.
+ * Items can be given as ids ("diamond") or item stacks wherever a method takes an item.
+ * @constructor {mc.Container} container - The container to wrap.
+ * @property {mc.Container} container - The wrapped container.
+ * @property {number} size - The number of slots.
+ * @example
+ * const chest = new IBlock("overworld", 10, 64, 10).getContainer();
+ * const leftover = chest.insert("bread", 100); // How many did not fit
+ * chest.setItem(0, "diamond_sword");
+ */
+export class IContainer {
+    constructor(container) {
+        this.container = container;
+    }
+
+    get size() {
+        return this.container.size;
+    }
+
+    /**
+     * @name normalizeItemId
+     * @param {string} item - The item id, e.g. "diamond" or "minecraft:diamond".
+     * @returns {string} - The item id with the "minecraft:" namespace added if it has none.
+     * @throws {TypeError} - Throws an error if the item is not a string.
+     */
+    static normalizeItemId(item) {
+        if (typeof item !== "string") {
+            throw new TypeError("Item must be represented as a string (item id), e.g., 'minecraft:diamond'.");
+        }
+        return item.includes(":") ? item : `minecraft:${item}`;
+    }
+
+    /**
+     * @name createItem
+     * @description Turns an item id or item stack into a new item stack.
+     * @param {string|mc.ItemStack} item - The item id or a stack to copy.
+     * @param {number} [amount] - The stack size. Defaults to 1 for ids and the stack's own amount for stacks.
+     * @returns {mc.ItemStack}
+     * @throws {Error} - Throws an error if the amount does not fit in one stack.
+     */
+    static createItem(item, amount) {
+        const stack = item instanceof mc.ItemStack ? item.clone() : new mc.ItemStack(IContainer.normalizeItemId(item), 1);
+        if (amount !== undefined) {
+            if (!Number.isInteger(amount) || amount < 1 || amount > stack.maxAmount) {
+                throw new Error(`Item amount must be a whole number from 1 to ${stack.maxAmount}, got ${amount}.`);
+            }
+            stack.amount = amount;
+        }
+        return stack;
+    }
+
+    /**
+     * @name getItem
+     * @param {number} slot - The slot index.
+     * @returns {mc.ItemStack|undefined} - A copy of the item in the slot, or undefined if it is empty.
+     * @throws {RangeError} - Throws an error if the slot is outside of the container.
+     */
+    getItem(slot) {
+        return this.container.getItem(slot);
+    }
+
+    /**
+     * @name setItem
+     * @param {number} slot - The slot index.
+     * @param {string|mc.ItemStack|undefined} item - The item id or stack to put in the slot, or undefined to empty it.
+     * @param {number} [amount] - The stack size, when item is an id (default 1).
+     * @example
+     * container.setItem(4, "golden_apple", 3);
+     * @returns {void}
+     * @throws {RangeError} - Throws an error if the slot is outside of the container.
+     */
+    setItem(slot, item, amount) {
+        this.container.setItem(slot, item === undefined ? undefined : IContainer.createItem(item, amount));
+    }
+
+    /**
+     * @name clearSlot
+     * @param {number} slot - The slot index.
+     * @returns {void}
+     */
+    clearSlot(slot) {
+        this.container.setItem(slot, undefined);
+    }
+
+    /**
+     * @name clear
+     * @description Empties every slot.
+     * @returns {void}
+     */
+    clear() {
+        this.container.clearAll();
+    }
+
+    /**
+     * @name insert
+     * @description Adds items the way a hopper would: topping up matching stacks first, then filling empty slots.
+     * @param {string|mc.ItemStack} item - The item id or a stack to copy.
+     * @param {number} [amount] - How many to add, any number of stacks' worth. Defaults to 1 for ids and the stack's amount for stacks.
+     * @example
+     * const leftover = container.insert("cobblestone", 200);
+     * if (leftover > 0) player.sendMessage(`${leftover} cobblestone did not fit.`);
+     * @returns {number} - How many did not fit.
+     */
+    insert(item, amount) {
+        const template = IContainer.createItem(item);
+        let remaining = amount === undefined ? template.amount : amount;
+        let leftover = 0;
+        while (remaining > 0) {
+            const stack = template.clone();
+            stack.amount = Math.min(remaining, stack.maxAmount);
+            remaining -= stack.amount;
+            const rest = this.container.addItem(stack);
+            if (rest) leftover += rest.amount;
+        }
+        return leftover;
+    }
+
+    /**
+     * @name take
+     * @description Removes items. Nothing is removed unless the container has enough.
+     * @param {string} item - The item id.
+     * @param {number} [amount=1] - How many to take.
+     * @returns {boolean} - Whether the items were taken.
+     */
+    take(item, amount = 1) {
+        if (this.count(item) < amount) return false;
+        let remaining = amount;
+        for (const slot of this.find(item)) {
+            const stack = this.container.getItem(slot);
+            const taken = Math.min(remaining, stack.amount);
+            if (taken === stack.amount) {
+                this.container.setItem(slot, undefined);
+            } else {
+                stack.amount -= taken;
+                this.container.setItem(slot, stack);
+            }
+            remaining -= taken;
+            if (remaining === 0) break;
+        }
+        return true;
+    }
+
+    /**
+     * @name count
+     * @param {string} item - The item id.
+     * @returns {number} - How many of the item the container holds.
+     */
+    count(item) {
+        return this.find(item).reduce((total, slot) => total + this.container.getItem(slot).amount, 0);
+    }
+
+    /**
+     * @name find
+     * @param {string} item - The item id.
+     * @returns {number[]} - The slots holding the item, in slot order.
+     */
+    find(item) {
+        const id = IContainer.normalizeItemId(item);
+        const slots = [];
+        for (let slot = 0; slot < this.container.size; slot++) {
+            const stack = this.container.getItem(slot);
+            if (stack && stack.typeId === id) slots.push(slot);
+        }
+        return slots;
+    }
+
+    /**
+     * @name isEmpty
+     * @returns {boolean} - Whether every slot is empty.
+     */
+    isEmpty() {
+        return this.container.emptySlotsCount === this.container.size;
+    }
+
+    /**
+     * @name snapshot
+     * @description Copies the contents into plain objects, so they can be saved in an IStorage and restored later.
+     * Each item keeps its id, amount, name, lore, enchantments, durability, keep on death, lock mode,
+     * adventure mode block lists and dynamic properties. Other component data that scripts can't set
+     * (potion contents, book pages, dye colours, ...) is lost.
+     * @example
+     * storage.set("loot", chest.snapshot());
+     * // later
+     * chest.restore(storage.get("loot"));
+     * @returns {Array<IItemSnapshot|null>} - One entry per slot, null for empty slots.
+     */
+    snapshot() {
+        const items = [];
+        for (let slot = 0; slot < this.container.size; slot++) {
+            const stack = this.container.getItem(slot);
+            items.push(stack ? snapshotItem(stack) : null);
+        }
+        return items;
+    }
+
+    /**
+     * @name restore
+     * @description Replaces the contents with a snapshot. Slots the snapshot leaves empty are cleared.
+     * @param {Array<IItemSnapshot|null>} snapshot - A snapshot from snapshot().
+     * @returns {void}
+     * @throws {Error} - Throws an error if the snapshot holds items past the last slot, or an item that can't be recreated
+     * (e.g. enchantments on an item that can't have them). Nothing is changed in that case.
+     */
+    restore(snapshot) {
+        if (!Array.isArray(snapshot)) {
+            throw new Error("Container snapshot must be an array of items.");
+        }
+        const extra = snapshot.slice(this.container.size).findIndex((item) => item);
+        if (extra !== -1) {
+            throw new Error(`Container snapshot has an item in slot ${this.container.size + extra}, but the container only has ${this.container.size} slots.`);
+        }
+        const stacks = snapshot.slice(0, this.container.size).map((item) => item ? restoreItem(item) : undefined);
+        this.container.clearAll();
+        stacks.forEach((stack, slot) => {
+            if (stack) this.container.setItem(slot, stack);
+        });
+    }
+}
+
+/**
+ * @name snapshotItem
+ * @param {mc.ItemStack} stack - The item.
+ * @returns {IItemSnapshot} - The item as a plain object. Fields the item doesn't use are left out.
+ */
+function snapshotItem(stack) {
+    const item = { typeId: stack.typeId, amount: stack.amount };
+    if (stack.nameTag !== undefined) item.nameTag = stack.nameTag;
+    const lore = stack.getLore();
+    if (lore.length > 0) item.lore = lore;
+    const enchantable = stack.getComponent("minecraft:enchantable");
+    const enchantments = enchantable ? enchantable.getEnchantments() : [];
+    if (enchantments.length > 0) item.enchantments = enchantments.map(({ type, level }) => ({ type: type.id, level }));
+    const durability = stack.getComponent("minecraft:durability");
+    if (durability && durability.damage > 0) item.damage = durability.damage;
+    if (stack.keepOnDeath) item.keepOnDeath = true;
+    if (stack.lockMode !== "none") item.lockMode = stack.lockMode;
+    const canPlaceOn = stack.getCanPlaceOn();
+    if (canPlaceOn.length > 0) item.canPlaceOn = canPlaceOn;
+    const canDestroy = stack.getCanDestroy();
+    if (canDestroy.length > 0) item.canDestroy = canDestroy;
+    const ids = stack.getDynamicPropertyIds();
+    if (ids.length > 0) item.dynamicProperties = Object.fromEntries(ids.map((id) => [id, stack.getDynamicProperty(id)]));
+    return item;
+}
+
+/**
+ * @name restoreItem
+ * @param {IItemSnapshot} item - An item from snapshot().
+ * @returns {mc.ItemStack} - A new stack matching the snapshot.
+ * @throws {Error} - Throws an error if the item can't have the enchantments or damage the snapshot gives it.
+ */
+function restoreItem(item) {
+    const stack = IContainer.createItem(item.typeId, item.amount);
+    if (item.nameTag !== undefined) stack.nameTag = item.nameTag;
+    if (item.lore) stack.setLore(item.lore);
+    if (item.enchantments) {
+        const enchantable = stack.getComponent("minecraft:enchantable");
+        if (!enchantable) {
+            throw new Error(`Item '${item.typeId}' can't be enchanted.`);
+        }
+        enchantable.addEnchantments(item.enchantments.map(({ type, level }) => ({ type: new mc.EnchantmentType(type), level })));
+    }
+    if (item.damage !== undefined) {
+        const durability = stack.getComponent("minecraft:durability");
+        if (!durability) {
+            throw new Error(`Item '${item.typeId}' has no durability.`);
+        }
+        durability.damage = item.damage;
+    }
+    if (item.keepOnDeath) stack.keepOnDeath = true;
+    if (item.lockMode) stack.lockMode = item.lockMode;
+    if (item.canPlaceOn) stack.setCanPlaceOn(item.canPlaceOn);
+    if (item.canDestroy) stack.setCanDestroy(item.canDestroy);
+    if (item.dynamicProperties) {
+        for (const [id, value] of Object.entries(item.dynamicProperties)) stack.setDynamicProperty(id, value);
+    }
+    return stack;
+}
@@ -1,6 +1,31 @@
 import * as mc from "@minecraft/server"
 import { IVec3 } from "./IVec3"
 import { IBlock } from "./IBlock";
+import { IBlockCache } from "./IBlockCache";
+import { IEntity } from "./IEntity";
+import { IBlockJob } from "./IBlockJob";
+import { IEditSession } from "./IEditSession";
+import { IRegion } from "./IRegion";
+import { IShape } from "./IShape";
+import { MathUtils } from "../utils/MathUtils";
+
+/**
+ * @typedef {Object} IEntitySelector
+ * @property {string} [type] - Only this entity type, e.g. "zombie" or "minecraft:zombie".
+ * @property {string[]} [excludeTypes] - Leave out these types.
+ * @property {string[]} [tags] - Only entities with every one of these tags.
+ * @property {string[]} [excludeTags] - Leave out entities with any of these tags.
+ * @property {string[]} [families] - Only entities in every one of these families, e.g. ["monster"].
+ * @property {string[]} [excludeFamilies] - Leave out entities in any of these families.
+ * @property {string} [name] - Only entities with this name tag.
+ * @property {IVec3|{x: number, y: number, z: number}} [location] - The point radius, minRadius and sort measure from.
+ * @property {number} [radius] - Only entities at most this far from location.
+ * @property {number} [minRadius] - Only entities at least this far from location.
+ * @property {IRegion|IShape} [region] - Only entities inside this region or shape.
+ * @property {function(IEntity): boolean} [filter] - Any other test.
+ * @property {"nearest"|"farthest"} [sort] - Order by distance from location.
+ * @property {number} [limit] - The most entities to return, after sorting.
+ */
 
 /**
  * @class IDimension
@@ -27,6 +52,120 @@ export class IDimension {
         this.id = key
     }
 
+    /**
+     * @name normalizeBlockId
+     * @description Checks that a block is given as a block id string and adds the "minecraft:" namespace if it has none.
+     * Every method that takes a block id uses this, so "stone" and "minecraft:stone" always mean the same block.
+     * @param {string} block - The block id, e.g. "stone", "minecraft:stone" or "mypack:custom_block".
+     * @example
+     * IDimension.normalizeBlockId("stone"); // Returns "minecraft:stone"
+     * IDimension.normalizeBlockId("mypack:custom_block"); // Returns "mypack:custom_block"
+     * @returns {string} - The namespaced block id.
+     * @throws {Error} - Throws an error if the block is not a string.
+     */
+    static normalizeBlockId(block) {
+        // If the block isnt a mc.BLock or IBlock, throw an error
+        if (typeof block !== "string") {
+            throw new Error("Block must be represented as a string (block id), e.g., 'minecraft:stone'.");
+        }
+        // If the block has no namespace, prepend "minecraft:"
+        return block.includes(":") ? block : `minecraft:${block}`;
+    }
+
+    /**
+     * @name parseBlock
+     * @description Splits a block string into its id and states, like the block argument of the /setblock command.
+     * State values of true/false become booleans and numbers become numbers; anything else (quoted or not) is a string.
+     * @param {string} block - The block, e.g. "oak_stairs[weirdo_direction=2,upside_down_bit=true]" or "minecraft:furnace[\"minecraft:cardinal_direction\"=\"north\"]".
+     * @example
+     * IDimension.parseBlock("stone_slab[minecraft:vertical_half=top]"); // { type: "minecraft:stone_slab", states: { "minecraft:vertical_half": "top" } }
+     * @returns {{type: string, states: Record<string, string|number|boolean>}} - The namespaced block id and its states.
+     * @throws {Error} - Throws an error if the block is not a string or the states are malformed.
+     */
+    static parseBlock(block) {
+        if (typeof block !== "string") {
+            throw new Error("Block must be represented as a string (block id), e.g., 'minecraft:stone'.");
+        }
+        const bracket = block.indexOf("[");
+        if (bracket === -1) {
+            return { type: IDimension.normalizeBlockId(block.trim()), states: {} };
+        }
+        if (!block.endsWith("]")) {
+            throw new Error(`Block '${block}' is missing a closing ']'.`);
+        }
+        const states = {};
+        const list = block.slice(bracket + 1, -1).trim();
+        for (const pair of list === "" ? [] : list.split(",")) {
+            const separator = pair.indexOf("=");
+            if (separator === -1) {
+                throw new Error(`Block state '${pair.trim()}' in '${block}' must be written as name=value.`);
+            }
+            const name = unquote(pair.slice(0, separator).trim());
+            const raw = pair.slice(separator + 1).trim();
+            if (name === "" || raw === "") {
+                throw new Error(`Block state '${pair.trim()}' in '${block}' must be written as name=value.`);
+            }
+            states[name] = parseStateValue(raw);
+        }
+        return { type: IDimension.normalizeBlockId(block.slice(0, bracket).trim()), states };
+    }
+
+    /**
+     * @name formatBlock
+     * @description Writes a permutation as a block string that parseBlock reads back.
+     * @param {mc.BlockPermutation} permutation - The permutation.
+     * @example
+     * IDimension.formatBlock(block.getBlock().permutation); // "minecraft:oak_stairs[upside_down_bit=false,weirdo_direction=2]"
+     * @returns {string}
+     */
+    static formatBlock(permutation) {
+        const states = Object.entries(permutation.getAllStates());
+        if (states.length === 0) return permutation.type.id;
+        return `${permutation.type.id}[${states.map(([name, value]) => `${name}=${typeof value === "string" ? `"${value}"` : value}`).join(",")}]`;
+    }
+
+    /**
+     * @name resolvePermutation
+     * @description Turns anything that describes a block into a permutation. Every method that places blocks uses this.
+     * @param {string|mc.BlockPermutation|IBlock} block - A block id, a block string with states, a permutation, or an IBlock to copy.
+     * @example
+     * IDimension.resolvePermutation("furnace[minecraft:cardinal_direction=north]");
+     * @returns {mc.BlockPermutation}
+     * @throws {Error} - Throws an error if the block or one of its states does not exist.
+     */
+    static resolvePermutation(block) {
+        if (block instanceof mc.BlockPermutation) return block;
+        if (block instanceof IBlock) return block.permutation;
+        const { type, states } = IDimension.parseBlock(block);
+        try {
+            return mc.BlockPermutation.resolve(type, states);
+        } catch (error) {
+            throw new Error(`Invalid block '${block}': ${error.message}`);
+        }
+    }
+
+    /**
+     * @name blockMatches
+     * @description Checks a permutation against a block description. A string only checks the states it names,
+     * so "oak_log" matches logs on every axis and "oak_log[pillar_axis=y]" only upright ones.
+     * A permutation or IBlock must match exactly, states included.
+     * @param {mc.BlockPermutation} permutation - The permutation to check.
+     * @param {string|mc.BlockPermutation|IBlock} block - What it should be.
+     * @returns {boolean}
+     */
+    static blockMatches(permutation, block) {
+        if (typeof block === "string") {
+            const { type, states } = IDimension.parseBlock(block);
+            return permutation.type.id === type && Object.entries(states).every(([name, value]) => permutation.getState(name) === value);
+        }
+        const other = IDimension.resolvePermutation(block);
+        if (permutation.type.id !== other.type.id) return false;
+        const states = permutation.getAllStates();
+        const otherStates = other.getAllStates();
+        const names = Object.keys(states);
+        return names.length === Object.keys(otherStates).length && names.every((name) => states[name] === otherStates[name]);
+    }
+
     /**
      * @name getDimension
      * @description Retrieves the dimension object associated with the specified key.
@@ -61,7 +200,7 @@ export class IDimension {
 
     /**
      * @name getBlock
-     * @description Retrieves a block at the specified coordinates in the dimension.
+     * @description Retrieves a block at the specified coordinates in the dimension, from the block cache if it is enabled (see enableCache).
      * @param {IVec3|{x: number, y: number, z: number}|number} vec3 - The coordinates of the block to retrieve, either as an IVec3 object or an object with x, y, and z properties, can also just be x if y and z are not null.
      * @param {number} y - The y-coordinate of the block, if vec3 is not an IVec3 object.
      * @param {number} z - The z-coordinate of the block, if vec3 is not an IVec3 object.
@@ -70,7 +209,7 @@ export class IDimension {
      * const block = overworld.getBlock(new IVec3(0, 64, 0));
      * 
      * console.warn(`block at (0, 64, 0) is ${block.type}`); // Outputs the type of the block at the specified coordinates
-     * @returns {mc.Block} - Returns the block object at the specified coordinates.
+     * @returns {mc.Block|undefined} - Returns the block object at the specified coordinates, or undefined if its chunk is not loaded.
      */
     getBlock(vec3, y = null, z = null) {
         if (y !== null && z !== null) {
@@ -79,11 +218,9 @@ export class IDimension {
         if(vec3 instanceof IVec3 === false) {
             vec3 = new IVec3(vec3.x, vec3.y, vec3.z);
         }
-        const block = new IBlock(vec3.x, vec3.y, vec3.z);
-        block.dimension = this.id;
-        block.updateBlock();
-        block = block.getBlock();
-        return block
+        const cache = IBlockCache.of(this.id);
+        if (cache) return cache.getBlock(vec3);
+        return this.dimension.getBlock({ x: vec3.x, y: vec3.y, z: vec3.z });
     }
 
     /**
@@ -105,8 +242,7 @@ export class IDimension {
         if(vec3 instanceof IVec3 === false) {
             vec3 = new IVec3(vec3.x, vec3.y, vec3.z);
         }
-        const block = this.getBlock(vec3);
-        return block.typeId;
+        return this.readBlockType(vec3);
     }
 
     /**
@@ -132,14 +268,138 @@ export class IDimension {
         if(vec3 instanceof IVec3 === false) {
             vec3 = new IVec3(vec3.x, vec3.y, vec3.z);
         }
-        const block = this.getBlock(vec3);
-        return block.typeId === "minecraft:air" || block.typeId === "air";
+        const typeId = this.readBlockType(vec3);
+        return typeId === "minecraft:air" || typeId === "air";
+    }
+
+    /**
+     * @name readBlockType
+     * @description Gets a block id through the block cache when it is enabled, without wrapping the block.
+     * @param {IVec3} vec3 - The coordinates of the block.
+     * @returns {string} - The block id.
+     * @throws {Error} - Throws an error if the block is not loaded.
+     */
+    readBlockType(vec3) {
+        const cache = IBlockCache.of(this.id);
+        let typeId;
+        if (cache) {
+            typeId = cache.getBlockType(vec3);
+        } else {
+            const block = this.dimension.getBlock({ x: vec3.x, y: vec3.y, z: vec3.z });
+            typeId = block && block.typeId;
+        }
+        if (typeId === undefined) {
+            throw new Error(`Block at (${vec3.x}, ${vec3.y}, ${vec3.z}) in dimension '${this.id}' is not loaded.`);
+        }
+        return typeId;
+    }
+
+    /**
+     * @name enableCache
+     * @description Turns on the block cache of this dimension, so getBlock, getBlockType and isBlockAir answer repeated
+     * reads of a position without going back to the world. The cache is shared by every IDimension of the same dimension.
+     * Entries are dropped when their block is placed, broken, interacted with, blown up, moved by a piston or set through setBlock or fill;
+     * other changes (fluids, growth, redstone, commands) show up once the ttl runs out. Calling it again changes the limits.
+     * @param {IBlockCacheOptions} [options] - ttl in ticks (default 20) and maxSize in blocks (default 4096).
+     * @example
+     * const overworld = new IDimension("overworld");
+     * overworld.enableCache({ ttl: 5, maxSize: 10000 });
+     *
+     * system.runInterval(() => {
+     *     for (const pos of watchedPositions) {
+     *         if (overworld.isBlockAir(pos)) alert(pos); // Mostly served from the cache
+     *     }
+     * });
+     * @returns {IBlockCache} - The cache, for its stats.
+     * @throws {Error} - Throws an error if the ttl or maxSize are invalid.
+     */
+    enableCache(options = {}) {
+        return IBlockCache.enable(this.id, options);
+    }
+
+    /**
+     * @name disableCache
+     * @description Turns off the block cache of this dimension and drops its entries.
+     * @returns {boolean} - Whether the cache was enabled.
+     */
+    disableCache() {
+        return IBlockCache.disable(this.id);
+    }
+
+    /**
+     * @name cache
+     * @description The block cache of this dimension, or undefined if it is not enabled.
+     * @example
+     * if (overworld.cache) console.warn(JSON.stringify(overworld.cache.stats()));
+     * @returns {IBlockCache|undefined}
+     */
+    get cache() {
+        return IBlockCache.of(this.id);
+    }
+
+    /**
+     * @name hasInventory
+     * @description Checks if the block at the specified coordinates holds items, like a chest, barrel, hopper or furnace.
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The coordinates of the block.
+     * @returns {boolean}
+     */
+    hasInventory(vec3) {
+        return new IBlock(this.id, vec3).hasInventory();
+    }
+
+    /**
+     * @name getContainer
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The coordinates of the block.
+     * @example
+     * const overworld = new IDimension("overworld");
+     * const shop = overworld.getContainer(new IVec3(10, 64, 10));
+     * if (shop.count("diamond") >= 5) shop.take("diamond", 5);
+     * @returns {IContainer} - The container of the block at the specified coordinates.
+     * @throws {Error} - Throws an error if the block has no inventory.
+     */
+    getContainer(vec3) {
+        return new IBlock(this.id, vec3).getContainer();
+    }
+
+    /**
+     * @name insertItem
+     * @description Adds items to the container at the specified coordinates.
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The coordinates of the block.
+     * @param {string|mc.ItemStack} item - The item id or a stack to copy.
+     * @param {number} [amount] - How many to add. Defaults to 1 for ids and the stack's amount for stacks.
+     * @returns {number} - How many did not fit.
+     * @throws {Error} - Throws an error if the block has no inventory.
+     */
+    insertItem(vec3, item, amount) {
+        return this.getContainer(vec3).insert(item, amount);
+    }
+
+    /**
+     * @name snapshotInventory
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The coordinates of the block.
+     * @returns {Array<IItemSnapshot|null>} - The contents of the container, one entry per slot (see IContainer.snapshot).
+     * @throws {Error} - Throws an error if the block has no inventory.
+     */
+    snapshotInventory(vec3) {
+        return this.getContainer(vec3).snapshot();
+    }
+
+    /**
+     * @name restoreInventory
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The coordinates of the block.
+     * @param {Array<IItemSnapshot|null>} snapshot - The contents to put back, from snapshotInventory().
+     * @returns {void}
+     * @throws {Error} - Throws an error if the block has no inventory or the snapshot does not fit in it.
+     */
+    restoreInventory(vec3, snapshot) {
+        this.getContainer(vec3).restore(snapshot);
     }
 
     /**
      * @name setBlock
      * @description Sets a block at the specified coordinates in the dimension.
-     * @param {string} block - The block to set, string representing the block id, e.g., "minecraft:stone".
+     * @param {string|mc.BlockPermutation|IBlock} block - The block to set: a block id, e.g., "minecraft:stone", a block id with states,
+     * e.g., "oak_stairs[weirdo_direction=2]", a permutation, or an IBlock to copy.
      * @param {IVec3|{x: number, y: number, z: number}|number} vec3 - The coordinates where the block should be set, either as an IVec3 object or an object with x, y, and z properties.
      * @param {number} [y=null] - The y-coordinate of the block, if vec3 is not an IVec3 or object.
      * @param {number} [z=null] - The z-coordinate of the block, if vec3 is not an IVec3 or object.
@@ -147,8 +407,10 @@ export class IDimension {
      * const overworld = new IDimension("overworld");
      * // Set a stone block at coordinates (0, 64, 0)
      * overworld.setBlock("minecraft:stone", new IVec3(0, 64, 0));
+     * // Set a top half slab
+     * overworld.setBlock("stone_block_slab[minecraft:vertical_half=top]", new IVec3(1, 64, 0));
      * @returns {void}
-     * @throws {Error} - Throws an error if the block is not a string or if the coordinates are invalid.
+     * @throws {Error} - Throws an error if the block is invalid or if the coordinates are invalid or outside the dimension's build height.
      * @throws {TypeError} - Throws a TypeError if the coordinates are not IVec3 objects or objects with x, y, and z properties.
      * @throws {Error} - If the function fails to set the block, it will throw an error with a message indicating the failure.
      */
@@ -159,18 +421,13 @@ export class IDimension {
         if(vec3 instanceof IVec3 === true) {
             vec3 = { x: vec3.x, y: vec3.y, z: vec3.z };
         }
-        // If the block isnt a mc.BLock or IBlock, throw an error
-        if (typeof block !== "string") {
-            throw new Error("Block must be represented as a string (block id), e.g., 'minecraft:stone'.");
-        }
-        // If the block doesn't start with "minecraft:", prepend it
-        if (!block.startsWith("minecraft:")) {
-            block = `minecraft:${block}`;
-        }
+        const permutation = IDimension.resolvePermutation(block);
+        this.assertInBuildRange(vec3);
 
-        // If the block is a string, create a new IBlock with the block id
         try {
-            this.dimension.setBlockType(block, { x: vec3.x, y: vec3.y, z: vec3.z });
+            IEditSession.record(this.dimension, { x: vec3.x, y: vec3.y, z: vec3.z });
+            this.dimension.setBlockPermutation({ x: vec3.x, y: vec3.y, z: vec3.z }, permutation);
+            IBlockCache.invalidate(this.id, vec3);
         } catch (error) {
             throw new Error(`Failed to set block at (${vec3.x}, ${vec3.y}, ${vec3.z}) in dimension '${this.id}': ${error.message}`);
         }
@@ -179,49 +436,545 @@ export class IDimension {
     /**
      * @name fill
      * @description Fills an area with a specified block type between two coordinates in the dimension.
-     * @param {string} block - The block type to fill the area with, e.g., "minecraft:stone".
-     * @param {IVec3|{x: number, y: number, z: number}} startVec3 - The starting coordinates of the area to fill, either as an IVec3 object or an object with x, y, and z properties.
-     * @param {IVec3|{x: number, y: number, z: number}} endVec3 - The ending coordinates of the area to fill, either as an IVec3 object or an object with x, y, and z properties.
+     * The corners can be given in any order. The work is split into batches and spread across ticks with system.runJob,
+     * so large areas don't freeze the server; use the returned job to wait for it, track it or cancel it.
+     * If an IEditSession transaction is open when fill is called, every change is recorded into it.
+     * Modes work like the /fill command:
+     * - "replace" (default) sets every block, or only blocks matching options.match if it is given.
+     *   A match string only checks the states it names (see IDimension.blockMatches).
+     * - "hollow" sets the outer shell and clears the inside to air.
+     * - "outline" sets the outer shell and leaves the inside untouched.
+     * - "keep" only sets blocks that are currently air.
+     * An IShape can be filled instead of a box, in "replace" or "keep" mode; shapes are hollowed out with their own hollow option.
+     * @param {string|mc.BlockPermutation|IBlock} block - The block to fill the area with, e.g., "minecraft:stone" or "oak_log[pillar_axis=x]".
+     * @param {IRegion|IShape|IVec3|{x: number, y: number, z: number}} startVec3 - One corner of the area to fill, either as an IVec3 object or an object with x, y, and z properties, or the whole area as an IRegion or IShape.
+     * @param {IVec3|{x: number, y: number, z: number}} [endVec3] - The opposite corner of the area to fill, either as an IVec3 object or an object with x, y, and z properties. Leave out when passing an IRegion or IShape.
+     * @param {{mode?: "replace"|"hollow"|"outline"|"keep", match?: string|mc.BlockPermutation|IBlock, batchSize?: number}} [options] - The fill mode, the blocks to replace in "replace" mode, and how many blocks to place between yields.
      * @example
      * const overworld = new IDimension("overworld");
      * // Fill a 3x3x3 area with stone blocks starting from (0, 64, 0) to (2, 66, 2)
      * overworld.fill("minecraft:stone", new IVec3(0, 64, 0), new IVec3(2, 66, 2));
-     * @returns {void}
-     * @throws {Error} - Throws an error if the block is not a string or if the coordinates are invalid.
+     *
+     * // Replace the dirt in a large area with grass and report when it is done
+     * const job = overworld.fill("grass", new IVec3(100, 80, 100), new IVec3(-100, 40, -100), { match: "dirt" });
+     * job.promise.then(({ processed }) => console.warn(`Checked ${processed} blocks`));
+     * job.progress; // Percentage of the area processed so far (null for shapes until they are done; see job.processed)
+     * job.cancel(); // Stops before the next batch
+     *
+     * // Fill a region, passing the options straight after it
+     * overworld.fill("glass", IRegion.fromCenter(new IVec3(0, 80, 0), 5), { mode: "hollow" });
+     *
+     * // Fill a shape
+     * overworld.fill("glass", IShape.sphere(new IVec3(0, 80, 0), 5, { hollow: true }));
+     * @returns {IBlockJob} - The running job.
+     * @throws {Error} - Throws an error if the block is invalid, the mode is unknown or does not work with shapes,
+     * or part of the area is outside the dimension's build height.
      * @throws {TypeError} - Throws a TypeError if the coordinates are not IVec3 objects or objects with x, y, and z properties.
-     * @throws {Error} - If the function fails to fill the area, it will throw an error with a message indicating the failure.
+     * @throws {Error} - If a block fails to be set, the job's promise rejects with an error indicating the failure.
      */
-    fill(block, startVec3, endVec3) {
-        if (typeof block !== "string") {
-            throw new Error("Block must be represented as a string (block id), e.g., 'minecraft:stone'.");
+    fill(block, startVec3, endVec3, options = {}) {
+        const permutation = IDimension.resolvePermutation(block);
+        const air = mc.BlockPermutation.resolve("minecraft:air");
+        let region;
+        let shape = null;
+        if (startVec3 instanceof IShape) {
+            shape = startVec3;
+            region = shape.bounds;
+            options = endVec3 || {};
+        } else if (startVec3 instanceof IRegion) {
+            region = startVec3;
+            options = endVec3 || {};
+        } else {
+            // IRegion normalises the corners so the loops always run from min to max
+            region = new IRegion(startVec3, endVec3);
         }
-        if (!block.startsWith("minecraft:")) {
-            block = `minecraft:${block}`;
+        this.assertInBuildRange(region.min);
+        this.assertInBuildRange(region.max);
+        const mode = options.mode || "replace";
+        if (!FILL_MODES.includes(mode)) {
+            throw new Error(`Invalid fill mode '${mode}'. Must be one of: ${FILL_MODES.join(", ")}.`);
         }
-        // If the start and end vectors are not IVec3 objects, convert them
-        if (!(startVec3 instanceof IVec3)) {
-            if (typeof startVec3 === "object" && "x" in startVec3 && "y" in startVec3 && "z" in startVec3) {
-                startVec3 = new IVec3(startVec3.x, startVec3.y, startVec3.z);
-            } else {
-                throw new TypeError("startVec3 must be an IVec3 object or an object with x, y, and z properties.");
-            }
+        if (shape && (mode === "hollow" || mode === "outline")) {
+            throw new Error(`Fill mode '${mode}' does not work with shapes. Use the shape's hollow option instead.`);
         }
-        try {
-            // Get all blocks in the area defined by startVec3 and endVec3
-            const start = startVec3.clone();
-            const end = endVec3.clone();
-
-            const blockPositions = [];
-            for (let x = start.x; x <= end.x; x++) {
-                for (let y = start.y; y <= end.y; y++) {
-                    for (let z = start.z; z <= end.z; z++) {
-                        blockPositions.push({ x, y, z });
-                    }
+        const match = options.match === undefined ? null : options.match;
+        if (typeof match === "string") IDimension.parseBlock(match);
+        const shellOnly = mode === "outline";
+        let total, positions;
+        if (shape) {
+            // Counting a shape means testing its whole bounds, so it is left to the job
+            total = null;
+            positions = shape.positions();
+        } else {
+            total = shellOnly ? region.shellVolume() : region.volume();
+            positions = shellOnly ? region.shell() : region.positions();
+        }
+        // Changes made on later ticks still belong to the edit transaction open right now
+        const transaction = IEditSession.active;
+
+        return new IBlockJob(positions, (pos) => {
+            try {
+                let target = permutation;
+                if (mode === "hollow" && !region.isOnShell(pos)) {
+                    target = air;
+                } else if (mode === "keep" || match !== null) {
+                    const current = this.dimension.getBlock(pos).permutation;
+                    if (mode === "keep" && current.type.id !== "minecraft:air") return;
+                    if (match !== null && !IDimension.blockMatches(current, match)) return;
                 }
+                IEditSession.runIn(transaction, () => this.setBlock(target, pos));
+            } catch (error) {
+                throw new Error(`Failed to fill area between (${region.min.x}, ${region.min.y}, ${region.min.z}) and (${region.max.x}, ${region.max.y}, ${region.max.z}) in dimension '${this.id}': ${error.message}`);
             }
-            blockPositions.forEach(pos => { this.setBlock(block, pos); })
-        } catch (error) {
-            throw new Error(`Failed to fill area between (${startVec3.x}, ${startVec3.y}, ${startVec3.z}) and (${endVec3.x}, ${endVec3.y}, ${endVec3.z}) in dimension '${this.id}': ${error.message}`);
+        }, total, { batchSize: options.batchSize });
+    }
+
+    /**
+     * @name raycast
+     * @description Follows a ray block by block (see MathUtils.voxelRay) and returns the first block that stops it.
+     * Air never stops the ray, liquids only with includeLiquids, and passThrough lets it go through more blocks, like glass or grass.
+     * If the origin is inside a block that stops the ray, that block is hit at distance 0 with no face.
+     * @param {IVec3|{x: number, y: number, z: number}} origin - Where the ray starts.
+     * @param {IVec3|{x: number, y: number, z: number}} direction - The direction of the ray. Does not need to be normalized.
+     * @param {{maxDistance?: number, includeLiquids?: boolean, passThrough?: function(IBlock): boolean|Array<string|mc.BlockPermutation>}} [options]
+     * How far to look (default 64), whether liquids stop the ray, and the blocks it goes through (a check, or blocks to match).
+     * @example
+     * const hit = overworld.raycast(player.getHeadLocation(), player.getViewDirection(), { maxDistance: 6 });
+     * if (hit) player.sendMessage(`Looking at ${hit.block.type}, ${hit.distance.toFixed(1)} blocks away, ${hit.face} face`);
+     * @returns {{block: IBlock, face: string|undefined, distance: number, location: IVec3}|undefined} - The block hit,
+     * the face the ray hit it on (an mc.Direction value), the distance to that face and the exact point hit,
+     * or undefined if nothing was hit within maxDistance or the ray reached an unloaded chunk.
+     * @throws {Error} - Throws an error if the direction has no length.
+     */
+    raycast(origin, direction, options = {}) {
+        const maxDistance = options.maxDistance === undefined ? 64 : options.maxDistance;
+        const passThrough = options.passThrough;
+        const passes = typeof passThrough === "function" ? passThrough
+            : Array.isArray(passThrough) ? (block) => passThrough.some((other) => block.matches(other))
+            : () => false;
+        const range = this.dimension.heightRange;
+        const length = Math.hypot(direction.x, direction.y, direction.z);
+        for (const step of MathUtils.voxelRay(origin, direction, maxDistance)) {
+            if (step.y < range.min || step.y >= range.max) continue;
+            const block = this.dimension.getBlock(step);
+            if (!block) return undefined;
+            if (block.isAir || (block.isLiquid && !options.includeLiquids)) continue;
+            const iblock = new IBlock(this.id, step);
+            if (passes(iblock)) continue;
+            const location = new IVec3(
+                origin.x + direction.x / length * step.distance,
+                origin.y + direction.y / length * step.distance,
+                origin.z + direction.z / length * step.distance
+            );
+            return { block: iblock, face: step.face, distance: step.distance, location };
         }
+        return undefined;
     }
-}
\ No newline at end of file
+
+    /**
+     * @name hasLineOfSight
+     * @description Checks that no block stands between two points. Entities are looked from and at by their head location.
+     * A block in the way only counts if it is not the block the target point is in, so blocks can be targets too.
+     * @param {IVec3|{x: number, y: number, z: number}|mc.Entity} from - The point or entity looking.
+     * @param {IVec3|{x: number, y: number, z: number}|mc.Entity} to - The point or entity looked at.
+     * @param {{includeLiquids?: boolean, passThrough?: function(IBlock): boolean|Array<string|mc.BlockPermutation>}} [options]
+     * Which blocks can be seen through, as in raycast.
+     * @example
+     * if (overworld.hasLineOfSight(turret, target, { passThrough: ["glass", "tall_grass"] })) shoot(target);
+     * @returns {boolean}
+     */
+    hasLineOfSight(from, to, options = {}) {
+        const start = eyeOf(from);
+        const end = eyeOf(to);
+        const offset = { x: end.x - start.x, y: end.y - start.y, z: end.z - start.z };
+        const distance = Math.hypot(offset.x, offset.y, offset.z);
+        if (distance === 0) return true;
+        const hit = this.raycast(start, offset, { ...options, maxDistance: distance });
+        return hit === undefined
+            || (hit.block.x === Math.floor(end.x) && hit.block.y === Math.floor(end.y) && hit.block.z === Math.floor(end.z));
+    }
+
+    /**
+     * @name drawLine
+     * @description Places blocks along a straight line between two positions (see MathUtils.blockLine), both ends included.
+     * Works like fill: spread across ticks and recorded into the IEditSession transaction open when it is called.
+     * @param {string|mc.BlockPermutation|IBlock} block - The block to draw with.
+     * @param {IVec3|{x: number, y: number, z: number}} startVec3 - The first block of the line.
+     * @param {IVec3|{x: number, y: number, z: number}} endVec3 - The last block of the line.
+     * @param {{batchSize?: number}} [options] - How many blocks to place between yields.
+     * @example
+     * // A beam from the player to where they are looking
+     * const hit = overworld.raycast(player.getHeadLocation(), player.getViewDirection());
+     * if (hit) overworld.drawLine("red_stained_glass", player.getHeadLocation(), hit.block);
+     * @returns {IBlockJob} - The running job.
+     * @throws {Error} - Throws an error if the block is invalid.
+     */
+    drawLine(block, startVec3, endVec3, options = {}) {
+        const permutation = IDimension.resolvePermutation(block);
+        const total = Math.max(
+            Math.abs(Math.floor(endVec3.x) - Math.floor(startVec3.x)),
+            Math.abs(Math.floor(endVec3.y) - Math.floor(startVec3.y)),
+            Math.abs(Math.floor(endVec3.z) - Math.floor(startVec3.z))
+        ) + 1;
+        const transaction = IEditSession.active;
+
+        return new IBlockJob(MathUtils.blockLine(startVec3, endVec3), (pos) => {
+            IEditSession.runIn(transaction, () => this.setBlock(permutation, pos));
+        }, total, { batchSize: options.batchSize });
+    }
+
+    /**
+     * @name isInBuildRange
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The position.
+     * @returns {boolean} - Whether blocks can be placed at the position's height in this dimension.
+     */
+    isInBuildRange(vec3) {
+        const range = this.dimension.heightRange;
+        const y = Math.floor(vec3.y);
+        return y >= range.min && y < range.max;
+    }
+
+    /**
+     * @name assertInBuildRange
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The position.
+     * @returns {void}
+     * @throws {Error} - Throws an error if the position is above or below the dimension's build height.
+     */
+    assertInBuildRange(vec3) {
+        if (!this.isInBuildRange(vec3)) {
+            const range = this.dimension.heightRange;
+            throw new Error(`Position (${vec3.x}, ${vec3.y}, ${vec3.z}) is outside the build height of dimension '${this.id}' (${range.min} to ${range.max - 1}).`);
+        }
+    }
+
+    /**
+     * @name isLoaded
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The position.
+     * @returns {boolean} - Whether the chunk the position is in is loaded, so its blocks can be read and changed.
+     */
+    isLoaded(vec3) {
+        return this.isInBuildRange(vec3) && this.dimension.getBlock(vec3) !== undefined;
+    }
+
+    /**
+     * @name coordinateScale
+     * @description How many overworld blocks one block of a dimension stands for: 8 in the nether, 1 elsewhere.
+     * @param {IDimension|string} dimension - The dimension or its id.
+     * @returns {number}
+     */
+    static coordinateScale(dimension) {
+        const id = dimension instanceof IDimension ? dimension.id : dimension;
+        return DIMENSION_SCALES[id.replace("minecraft:", "")] || 1;
+    }
+
+    /**
+     * @name convertPosition
+     * @description Converts a position in this dimension to the matching position in another one, the way portals link them:
+     * x and z are scaled 8:1 between the overworld and the nether, and y is kept but moved inside the target's build height.
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The position in this dimension.
+     * @param {IDimension|string} target - The dimension to convert to.
+     * @example
+     * dimension_overworld.convertPosition(new IVec3(800, 70, -160), "nether"); // IVec3(100, 70, -20)
+     * @returns {IVec3} - The block position in the target dimension.
+     */
+    convertPosition(vec3, target) {
+        const other = target instanceof IDimension ? target : new IDimension(target);
+        const ratio = IDimension.coordinateScale(this) / IDimension.coordinateScale(other);
+        const range = other.getDimension().heightRange;
+        return new IVec3(
+            Math.floor(vec3.x * ratio),
+            Math.min(Math.max(Math.floor(vec3.y), range.min), range.max - 1),
+            Math.floor(vec3.z * ratio)
+        );
+    }
+
+    /**
+     * @name findSafeSpot
+     * @description Finds the nearest place a player can stand near a position: a solid floor that does not hurt
+     * (not lava, fire, magma or the like) with two air blocks above it. Columns are searched ring by ring outwards,
+     * and each column from the target height up and down.
+     * Columns in unloaded chunks are skipped, and nothing is built while the target's chunk is unloaded;
+     * teleportSafely sends the entity first and searches once the chunk has loaded.
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The target position.
+     * @param {{radius?: number, height?: number, create?: boolean, platform?: string}} [options] - How far to search sideways
+     * (default 8) and up and down (default 16). With create, a 3x3 platform of the platform block (default obsidian) is built
+     * at the target, with room to stand above it, if no spot is found.
+     * @example
+     * const spot = dimension_nether.findSafeSpot(dimension_overworld.convertPosition(player.location, "nether"), { create: true });
+     * @returns {IVec3|undefined} - The block the player's feet go in, or undefined if there is none and create is off
+     * or the target's chunk is not loaded.
+     */
+    findSafeSpot(vec3, options = {}) {
+        const radius = options.radius === undefined ? 8 : options.radius;
+        const height = options.height === undefined ? 16 : options.height;
+        const range = this.dimension.heightRange;
+        const target = {
+            x: Math.floor(vec3.x),
+            y: Math.min(Math.max(Math.floor(vec3.y), range.min + 1), range.max - 2),
+            z: Math.floor(vec3.z)
+        };
+        const lowest = Math.max(range.min + 1, target.y - height);
+        const highest = Math.min(range.max - 2, target.y + height);
+        for (let ring = 0; ring <= radius; ring++) {
+            for (const column of ringColumns(target, ring)) {
+                const spot = findSafeInColumn(this.dimension, column, target.y, lowest, highest);
+                if (spot) return spot;
+            }
+        }
+        if (!options.create || !this.isLoaded(target)) return undefined;
+
+        const floor = IDimension.resolvePermutation(options.platform || "minecraft:obsidian");
+        const air = mc.BlockPermutation.resolve("minecraft:air");
+        for (let x = -1; x <= 1; x++) {
+            for (let z = -1; z <= 1; z++) {
+                this.setBlock(floor, { x: target.x + x, y: target.y - 1, z: target.z + z });
+                this.setBlock(air, { x: target.x + x, y: target.y, z: target.z + z });
+                this.setBlock(air, { x: target.x + x, y: target.y + 1, z: target.z + z });
+            }
+        }
+        return new IVec3(target.x, target.y, target.z);
+    }
+
+    /**
+     * @name teleportSafely
+     * @description Sends an entity to this dimension and lands it on a safe spot (see findSafeSpot), so it doesn't end up in a wall or in lava.
+     * Blocks in unloaded chunks can't be read or built on, so when the target's chunk is not loaded the entity is sent
+     * to the target first, which makes the game load the chunk around a player, and the spot is searched (or built) once it has loaded.
+     * @param {mc.Entity|IEntity} entity - The entity, e.g. a player.
+     * @param {IVec3|{x: number, y: number, z: number}} [vec3] - Where to go in this dimension. Defaults to the entity's position
+     * converted from the dimension it is in, like going through a portal.
+     * @param {{radius?: number, height?: number, create?: boolean, platform?: string, timeout?: number}} [options] - See findSafeSpot;
+     * timeout is how many ticks to wait for an unloaded chunk at most (default 100).
+     * @example
+     * // Send a player to the nether as if through a portal, building a platform if there is nowhere to stand
+     * const spot = await dimension_nether.teleportSafely(player, undefined, { create: true });
+     * @returns {Promise<IVec3|undefined>} - The block the entity's feet were sent to, or undefined if no spot was found.
+     * The entity then stays where it was, or at the target if its chunk had to be loaded first.
+     */
+    teleportSafely(entity, vec3, options = {}) {
+        if (entity instanceof IEntity) entity = entity.entity;
+        const target = vec3 || new IDimension(entity.dimension.id).convertPosition(entity.location, this);
+        const land = () => {
+            const spot = this.findSafeSpot(target, options);
+            if (spot) entity.teleport({ x: spot.x + 0.5, y: spot.y, z: spot.z + 0.5 }, { dimension: this.dimension });
+            return spot;
+        };
+        if (this.isLoaded(target)) return Promise.resolve(land());
+
+        const range = this.dimension.heightRange;
+        const y = Math.min(Math.max(Math.floor(target.y), range.min + 1), range.max - 2);
+        entity.teleport({ x: Math.floor(target.x) + 0.5, y, z: Math.floor(target.z) + 0.5 }, { dimension: this.dimension });
+        const timeout = options.timeout === undefined ? 100 : options.timeout;
+        const loadTarget = { x: target.x, y, z: target.z };
+        return new Promise((resolve, reject) => {
+            let waited = 0;
+            const runId = mc.system.runInterval(() => {
+                waited += CHUNK_LOAD_RETRY_TICKS;
+                const loaded = entity.isValid && this.isLoaded(loadTarget);
+                if (!loaded && entity.isValid && waited < timeout) return;
+                mc.system.clearRun(runId);
+                try {
+                    resolve(loaded ? land() : undefined);
+                } catch (error) {
+                    reject(error);
+                }
+            }, CHUNK_LOAD_RETRY_TICKS);
+        });
+    }
+
+    /**
+     * @name getEntities
+     * @description Finds entities in the dimension. Every part of the selector is optional and they all have to match.
+     * Type, tag, family, name and distance checks are done by the game; region, filter, sort and limit are applied after.
+     * @param {IEntitySelector} [selector] - What to look for.
+     * @example
+     * // Every tagged arena monster within 30 blocks of the centre, nearest first
+     * const monsters = overworld.getEntities({
+     *     families: ["monster"],
+     *     tags: ["arena"],
+     *     location: arenaCenter,
+     *     radius: 30,
+     *     sort: "nearest"
+     * });
+     * @returns {IEntity[]}
+     * @throws {Error} - Throws an error if radius, minRadius or sort are used without a location.
+     */
+    getEntities(selector = {}) {
+        const query = {};
+        if (selector.type !== undefined && selector.type !== null) query.type = normalizeEntityType(selector.type);
+        if (selector.excludeTypes) query.excludeTypes = selector.excludeTypes.map(normalizeEntityType);
+        for (const key of ["tags", "excludeTags", "families", "excludeFamilies", "name"]) {
+            if (selector[key] !== undefined) query[key] = selector[key];
+        }
+        if (selector.location) {
+            query.location = { x: selector.location.x, y: selector.location.y, z: selector.location.z };
+            if (selector.radius !== undefined) query.maxDistance = selector.radius;
+            if (selector.minRadius !== undefined) query.minDistance = selector.minRadius;
+        } else if (selector.radius !== undefined || selector.minRadius !== undefined || selector.sort) {
+            throw new Error("Entity selector needs a location to measure radius, minRadius or sort from.");
+        } else if (selector.region) {
+            // Let the game drop everything outside a sphere around the region first
+            const bounds = selector.region instanceof IRegion ? selector.region : selector.region.bounds;
+            const center = bounds.center();
+            query.location = { x: center.x, y: center.y, z: center.z };
+            query.maxDistance = bounds.size().length() / 2;
+        }
+
+        let entities = this.dimension.getEntities(query).map((entity) => IEntity.get(entity));
+        if (selector.region) entities = entities.filter((entity) => selector.region.contains(entity.entity.location));
+        if (selector.filter) entities = entities.filter(selector.filter);
+        if (selector.sort) {
+            const from = IVec3.from(selector.location);
+            const order = selector.sort === "farthest" ? -1 : 1;
+            const distances = new Map(entities.map((entity) => [entity, from.distance(entity.entity.location)]));
+            entities.sort((a, b) => (distances.get(a) - distances.get(b)) * order);
+        }
+        return selector.limit === undefined ? entities : entities.slice(0, selector.limit);
+    }
+
+    /**
+     * @name entitiesInRegion
+     * @description Finds the entities inside a region or shape. Entities count as inside the block their feet are in.
+     * @param {IRegion|IShape} region - The region or shape.
+     * @param {IEntitySelector} [selector] - More things to match.
+     * @example
+     * const inArena = overworld.entitiesInRegion(arena, { excludeTypes: ["player", "item"] });
+     * @returns {IEntity[]}
+     */
+    entitiesInRegion(region, selector = {}) {
+        return this.getEntities({ ...selector, region });
+    }
+
+    /**
+     * @name nearest
+     * @description Finds the entity closest to a position.
+     * @param {string|null} type - The entity type, or null for any type.
+     * @param {IVec3|{x: number, y: number, z: number}} location - Where to measure from.
+     * @param {number} [radius] - How far to look. Leave out to search the whole dimension.
+     * @param {IEntitySelector} [selector] - More things to match.
+     * @example
+     * const target = overworld.nearest("player", boss.location, 32, { excludeTags: ["spectator"] });
+     * @returns {IEntity|undefined} - The entity, or undefined if none match.
+     */
+    nearest(type, location, radius, selector = {}) {
+        return this.getEntities({ ...selector, type, location, radius, sort: "nearest", limit: 1 })[0];
+    }
+
+    /**
+     * @name spawnEntity
+     * @param {string} type - The entity type, e.g. "zombie" or "minecraft:zombie".
+     * @param {IVec3|{x: number, y: number, z: number}} location - Where to spawn it.
+     * @example
+     * const boss = overworld.spawnEntity("wither_skeleton", arenaCenter);
+     * boss.nameTag = "§cThe Warden of Bones";
+     * @returns {IEntity} - The new entity.
+     * @throws {Error} - Throws an error if the position is outside of the dimension's build height.
+     */
+    spawnEntity(type, location) {
+        this.assertInBuildRange(location);
+        return IEntity.get(this.dimension.spawnEntity(normalizeEntityType(type), { x: location.x, y: location.y, z: location.z }));
+    }
+}
+
+const FILL_MODES = ["replace", "hollow", "outline", "keep"];
+
+/** How often teleportSafely checks whether the target's chunk has loaded, in ticks. */
+const CHUNK_LOAD_RETRY_TICKS = 5;
+
+/** Overworld blocks per block, for dimensions that are not 1:1. */
+const DIMENSION_SCALES = { nether: 8 };
+
+/** Floors that hurt or can't be stood on, on top of liquids. */
+const UNSAFE_FLOORS = [
+    "minecraft:magma_block",
+    "minecraft:cactus",
+    "minecraft:campfire",
+    "minecraft:soul_campfire",
+    "minecraft:fire",
+    "minecraft:soul_fire",
+    "minecraft:sweet_berry_bush",
+    "minecraft:powder_snow",
+    "minecraft:pointed_dripstone",
+    "minecraft:wither_rose"
+];
+
+/**
+ * @name normalizeEntityType
+ * @returns {string} - The entity type with the "minecraft:" namespace added if it has none.
+ */
+function normalizeEntityType(type) {
+    return type.includes(":") ? type : `minecraft:${type}`;
+}
+
+/**
+ * @name isSafeFloor
+ * @param {mc.Block} block - The block under the feet.
+ * @returns {boolean} - Whether a player can stand on the block without getting hurt.
+ */
+function isSafeFloor(block) {
+    return !block.isAir && !block.isLiquid && !UNSAFE_FLOORS.includes(block.typeId);
+}
+
+/**
+ * @name findSafeInColumn
+ * @returns {IVec3|undefined} - The safe feet position in the column closest to startY, if any.
+ */
+function findSafeInColumn(dimension, column, startY, lowest, highest) {
+    // Read each block of the column once; the same block is floor for one height and feet or head for others
+    const blocks = new Map();
+    const at = (y) => {
+        if (!blocks.has(y)) blocks.set(y, dimension.getBlock({ x: column.x, y, z: column.z }));
+        return blocks.get(y);
+    };
+    if (!at(startY)) return undefined;
+    for (let offset = 0; startY - offset >= lowest || startY + offset <= highest; offset++) {
+        for (const y of offset === 0 ? [startY] : [startY + offset, startY - offset]) {
+            if (y < lowest || y > highest) continue;
+            const floor = at(y - 1), feet = at(y), head = at(y + 1);
+            if (!floor || !feet || !head) continue;
+            if (feet.isAir && head.isAir && isSafeFloor(floor)) return new IVec3(column.x, y, column.z);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * @name ringColumns
+ * @returns {Array<{x: number, z: number}>} - The columns on the square ring a number of blocks out from the centre, nearest first.
+ */
+function ringColumns(center, ring) {
+    if (ring === 0) return [{ x: center.x, z: center.z }];
+    const columns = [];
+    for (let x = -ring; x <= ring; x++) {
+        for (let z = -ring; z <= ring; z++) {
+            if (Math.abs(x) === ring || Math.abs(z) === ring) columns.push({ x: center.x + x, z: center.z + z });
+        }
+    }
+    return columns.sort((a, b) => ((a.x - center.x) ** 2 + (a.z - center.z) ** 2) - ((b.x - center.x) ** 2 + (b.z - center.z) ** 2));
+}
+
+/**
+ * @name eyeOf
+ * @returns {{x: number, y: number, z: number}} - The head location of an entity, or the point itself.
+ */
+function eyeOf(target) {
+    return typeof target.getHeadLocation === "function" ? target.getHeadLocation() : target;
+}
+
+/**
+ * @name parseStateValue
+ * @returns {string|number|boolean} - A block state value from a block string.
+ */
+function parseStateValue(raw) {
+    if (raw === "true" || raw === "false") return raw === "true";
+    if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+    return unquote(raw);
+}
+
+/**
+ * @name unquote
+ * @returns {string} - The text without surrounding double quotes.
+ */
+function unquote(text) {
+    return text.length >= 2 && text.startsWith('"') && text.endsWith('"') ? text.slice(1, -1) : text;
+}
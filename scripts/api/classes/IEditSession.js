@@ -0,0 +1,279 @@
+import * as mc from "@minecraft/server";
+import { IBlockJob } from "./IBlockJob";
+import { IBlockCache } from "./IBlockCache";
+
+/**
+ * @typedef {Object} IEditTransaction
+ * @property {string} name - The name given to begin().
+ * @property {Map<string, {dimension: mc.Dimension, location: {x: number, y: number, z: number}, before: mc.BlockPermutation}>} changes
+ * The first recorded state of every block the transaction touched, in the order they were touched.
+ */
+
+/** @type {IEditTransaction|null} */
+let activeTransaction = null;
+/** @type {IEditTransaction[]} */
+const openTransactions = [];
+/** @type {Map<string, IEditSession>} */
+const playerSessions = new Map();
+
+/**
+ * @class IEditSession
+ * @description Opt-in undo/redo history for block changes made through IDimension.setBlock, IDimension.fill, IBlock.setBlock and IStructure.paste.
+ * While a transaction is open, the wrappers record what every block looked like before they changed it.
+ * Open transactions of different sessions nest: changes go to the most recently begun one, and committing it
+ * hands recording back to the one that was open before, whichever order the sessions commit in.
+ * Fills and pastes keep recording into the transaction that was open when they were started, even after it is committed.
+ * @constructor maxHistory {number} - How many transactions can be undone (default 20).
+ * @property {number} maxHistory - How many transactions can be undone.
+ * @property {IEditTransaction[]} undoStack - Committed transactions, oldest first.
+ * @property {IEditTransaction[]} redoStack - Undone transactions, oldest first.
+ * @property {IBlockJob|null} replaying - The job of the last undo or redo. Another undo or redo can only start once it is done.
+ * @example
+ * const session = IEditSession.forPlayer(player);
+ * session.begin("Stone floor");
+ * dimension_overworld.fill("minecraft:stone", new IVec3(0, 63, 0), new IVec3(15, 63, 15));
+ * session.commit();
+ *
+ * session.undo(); // Puts back whatever was there before
+ * session.redo(); // Puts the stone floor back
+ */
+export class IEditSession {
+    constructor(maxHistory = 20) {
+        this.maxHistory = maxHistory;
+        this.undoStack = [];
+        this.redoStack = [];
+        /** @type {IEditTransaction|null} */
+        this.transaction = null;
+        /** @type {IBlockJob|null} */
+        this.replaying = null;
+    }
+
+    /**
+     * @name forPlayer
+     * @description Gets the edit session of a player, creating it on first use.
+     * @param {mc.Player} player - The player.
+     * @param {number} [maxHistory] - Changes the history depth of the session if given.
+     * @example
+     * IEditSession.forPlayer(player, 50).undo();
+     * @returns {IEditSession} - The player's session.
+     */
+    static forPlayer(player, maxHistory) {
+        let session = playerSessions.get(player.id);
+        if (!session) {
+            session = new IEditSession(maxHistory);
+            playerSessions.set(player.id, session);
+        } else if (maxHistory !== undefined) {
+            session.maxHistory = maxHistory;
+            session.trim();
+        }
+        return session;
+    }
+
+    /**
+     * @name active
+     * @description The transaction that block changes are currently recorded into, or null.
+     * @returns {IEditTransaction|null}
+     */
+    static get active() {
+        return activeTransaction;
+    }
+
+    /**
+     * @name runIn
+     * @description Runs a function with the given transaction as the active one, then restores the previous one.
+     * Used by the wrappers to record work that runs on later ticks into the transaction it was started in.
+     * @param {IEditTransaction|null} transaction - The transaction to record into, or null to record nothing.
+     * @param {function(): *} callback - The function to run.
+     * @returns {*} - The return value of the callback.
+     */
+    static runIn(transaction, callback) {
+        const previous = activeTransaction;
+        activeTransaction = transaction;
+        try {
+            return callback();
+        } finally {
+            activeTransaction = previous;
+        }
+    }
+
+    /**
+     * @name record
+     * @description Records the current state of a block before it is changed. Only the first change to a block in a transaction is kept.
+     * @param {mc.Dimension} dimension - The dimension of the block.
+     * @param {{x: number, y: number, z: number}} location - The location of the block.
+     * @param {IEditTransaction|null} [transaction] - The transaction to record into, defaults to the active one.
+     * @returns {void}
+     */
+    static record(dimension, location, transaction = activeTransaction) {
+        if (!transaction) return;
+        const key = `${dimension.id}|${location.x},${location.y},${location.z}`;
+        if (transaction.changes.has(key)) return;
+        const before = dimension.getBlock(location).permutation;
+        transaction.changes.set(key, { dimension, location: { x: location.x, y: location.y, z: location.z }, before });
+    }
+
+    /**
+     * @name begin
+     * @description Opens a transaction. Block changes made through the wrappers are recorded into it until commit() is called.
+     * @param {string} [name="Edit"] - A name for the transaction, e.g. the tool that made it.
+     * @returns {void}
+     * @throws {Error} - Throws an error if a transaction is already open in this session.
+     */
+    begin(name = "Edit") {
+        if (this.transaction) {
+            throw new Error(`Transaction '${this.transaction.name}' is still open, commit it first.`);
+        }
+        this.transaction = { name, changes: new Map() };
+        openTransactions.push(this.transaction);
+        activeTransaction = this.transaction;
+    }
+
+    /**
+     * @name commit
+     * @description Closes the open transaction and adds it to the undo history. Clears the redo history.
+     * @returns {IEditTransaction} - The committed transaction.
+     * @throws {Error} - Throws an error if no transaction is open.
+     */
+    commit() {
+        if (!this.transaction) {
+            throw new Error("No transaction is open.");
+        }
+        const transaction = this.transaction;
+        openTransactions.splice(openTransactions.indexOf(transaction), 1);
+        if (activeTransaction === transaction) {
+            activeTransaction = openTransactions.length > 0 ? openTransactions[openTransactions.length - 1] : null;
+        }
+        this.transaction = null;
+        this.undoStack.push(transaction);
+        this.redoStack = [];
+        this.trim();
+        return transaction;
+    }
+
+    /**
+     * @name transact
+     * @description Runs a function inside a transaction and commits it, even if the function throws.
+     * @param {string} name - A name for the transaction.
+     * @param {function(): *} callback - The function making the changes.
+     * @example
+     * session.transact("Clear spawn", () => dimension_overworld.fill("air", new IVec3(-5, 64, -5), new IVec3(5, 70, 5)));
+     * @returns {*} - The return value of the callback.
+     */
+    transact(name, callback) {
+        this.begin(name);
+        try {
+            return callback();
+        } finally {
+            this.commit();
+        }
+    }
+
+    /**
+     * @name undo
+     * @description Restores the blocks changed by the most recent transaction. The restore is spread across ticks like IDimension.fill.
+     * @example
+     * const job = session.undo();
+     * if (!job) player.sendMessage("Nothing to undo.");
+     * @returns {IBlockJob|null} - The running restore, or null if there is nothing to undo.
+     * @throws {Error} - Throws an error if an undo or redo of this session is still running.
+     */
+    undo() {
+        this.assertIdle();
+        const transaction = this.undoStack.pop();
+        if (!transaction) return null;
+        return this.replay(transaction, this.redoStack);
+    }
+
+    /**
+     * @name redo
+     * @description Reapplies the most recently undone transaction.
+     * @returns {IBlockJob|null} - The running restore, or null if there is nothing to redo.
+     * @throws {Error} - Throws an error if an undo or redo of this session is still running.
+     */
+    redo() {
+        this.assertIdle();
+        const transaction = this.redoStack.pop();
+        if (!transaction) return null;
+        const job = this.replay(transaction, this.undoStack);
+        this.trim();
+        return job;
+    }
+
+    /**
+     * @name canUndo
+     * @returns {boolean} - Whether there is a transaction to undo and nothing is being undone or redone.
+     */
+    canUndo() {
+        return !this.isReplaying() && this.undoStack.length > 0;
+    }
+
+    /**
+     * @name canRedo
+     * @returns {boolean} - Whether there is a transaction to redo and nothing is being undone or redone.
+     */
+    canRedo() {
+        return !this.isReplaying() && this.redoStack.length > 0;
+    }
+
+    /**
+     * @name isReplaying
+     * @returns {boolean} - Whether an undo or redo of this session is still running.
+     */
+    isReplaying() {
+        return this.replaying !== null && !this.replaying.done;
+    }
+
+    /**
+     * @name clear
+     * @description Forgets the whole undo and redo history.
+     * @returns {void}
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * @name trim
+     * @description Drops the oldest transactions beyond maxHistory.
+     * @returns {void}
+     */
+    trim() {
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.splice(0, this.undoStack.length - this.maxHistory);
+        }
+    }
+
+    /**
+     * @name assertIdle
+     * @description Stops an undo or redo from starting while another one runs. The inverse of a running replay is only
+     * filled in as its job goes, so replaying it early would restore part of the blocks and lose the rest of the history.
+     * @returns {void}
+     * @throws {Error} - Throws an error if an undo or redo of this session is still running.
+     */
+    assertIdle() {
+        if (this.isReplaying()) {
+            throw new Error("An undo or redo is still running; wait for its job to finish.");
+        }
+    }
+
+    /**
+     * @name replay
+     * @description Puts back the recorded state of every block in a transaction, newest change first,
+     * and records the state it overwrites into an inverse transaction pushed onto the target stack.
+     * @param {IEditTransaction} transaction - The transaction to restore.
+     * @param {IEditTransaction[]} target - The stack that receives the inverse transaction.
+     * @returns {IBlockJob} - The running restore.
+     */
+    replay(transaction, target) {
+        const inverse = { name: transaction.name, changes: new Map() };
+        target.push(inverse);
+        const changes = [...transaction.changes.values()].reverse();
+        this.replaying = new IBlockJob(changes, ({ dimension, location, before }) => {
+            IEditSession.record(dimension, location, inverse);
+            IEditSession.runIn(null, () => dimension.setBlockPermutation(location, before));
+            IBlockCache.invalidate(dimension, location);
+        }, changes.length);
+        return this.replaying;
+    }
+}
@@ -0,0 +1,351 @@
+import * as mc from "@minecraft/server";
+import { IVec3 } from "./IVec3";
+import { IDimension } from "./IDimension";
+
+/** @type {WeakMap<mc.Entity, IEntity>} */
+const wrappers = new WeakMap();
+/** @type {Map<string, IDimension>} */
+const dimensions = new Map();
+
+/**
+ * @class IEntity
+ * @description Represents any entity: mobs, items, projectiles and players. Wraps mc.Entity with IVec3 positions and
+ * velocity, IDimension, health, tag, family and component helpers, and knockback.
+ * Use IEntity.get() to reuse one wrapper per entity, and IDimension.getEntities / nearest / entitiesInRegion to find them.
+ * @constructor {mc.Entity} entity - The entity to wrap.
+ * @property {mc.Entity} entity - The wrapped entity (mc/server).
+ * @example
+ * const boss = dimension_overworld.nearest("minecraft:wither", arenaCenter, 64);
+ * if (boss && boss.health < boss.maxHealth / 2) {
+ *     for (const player of dimension_overworld.getEntities({ type: "player", location: boss.location, radius: 6 })) {
+ *         player.knockbackFrom(boss, 2, 0.6);
+ *     }
+ * }
+ * @throws {TypeError} - Throws an error if the entity is not an mc.Entity.
+ */
+export class IEntity {
+    constructor(entity) {
+        if (!(entity instanceof mc.Entity)) {
+            throw new TypeError("IEntity must wrap an mc.Entity.");
+        }
+        this.entity = entity;
+    }
+
+    /**
+     * @name get
+     * @description Gets the shared wrapper for an entity, creating it the first time.
+     * @param {mc.Entity|IEntity} entity - The entity.
+     * @returns {IEntity}
+     */
+    static get(entity) {
+        if (entity instanceof IEntity) return entity;
+        if (!wrappers.has(entity)) wrappers.set(entity, new IEntity(entity));
+        return wrappers.get(entity);
+    }
+
+    /** @returns {string} - The entity's unique id. */
+    get id() {
+        return this.entity.id;
+    }
+
+    /** @returns {string} - The entity type, e.g. "minecraft:zombie". */
+    get typeId() {
+        return this.entity.typeId;
+    }
+
+    /** @returns {string} - The name shown above the entity, "" if it has none. */
+    get nameTag() {
+        return this.entity.nameTag;
+    }
+
+    set nameTag(name) {
+        this.entity.nameTag = name;
+    }
+
+    /** @returns {IVec3} - The entity's feet position. */
+    get location() {
+        return IVec3.from(this.entity.location);
+    }
+
+    /** @returns {IVec3} - The entity's eye position. */
+    get headLocation() {
+        return IVec3.from(this.entity.getHeadLocation());
+    }
+
+    /** @returns {IVec3} - The unit vector the entity is looking along. */
+    get viewDirection() {
+        return IVec3.fromViewDirection(this.entity);
+    }
+
+    /** @returns {IVec3} - The entity's velocity, in blocks per tick. */
+    get velocity() {
+        return IVec3.from(this.entity.getVelocity());
+    }
+
+    /** @returns {IDimension} - The dimension the entity is in. */
+    get dimension() {
+        const key = this.entity.dimension.id.replace("minecraft:", "");
+        if (!dimensions.has(key)) dimensions.set(key, new IDimension(key));
+        return dimensions.get(key);
+    }
+
+    /**
+     * @name isValid
+     * @returns {boolean} - Whether the entity is still in the world. Dead and unloaded entities are not.
+     */
+    isValid() {
+        return this.entity.isValid;
+    }
+
+    /**
+     * @name distanceTo
+     * @param {IEntity|mc.Entity|IVec3|{x: number, y: number, z: number}} target - An entity or a position.
+     * @returns {number} - The distance between the entity's feet and the target (its feet, for entities).
+     */
+    distanceTo(target) {
+        return this.location.distance(positionOf(target));
+    }
+
+    /**
+     * Health functions
+     */
+
+    /** @returns {number|undefined} - The current health, or undefined for entities without health (items, arrows). */
+    get health() {
+        const component = this.entity.getComponent("minecraft:health");
+        return component ? component.currentValue : undefined;
+    }
+
+    /**
+     * Sets the current health, clamped between 0 and the maximum.
+     * @throws {Error} - Throws an error if the entity has no health.
+     */
+    set health(value) {
+        const component = this.healthComponent();
+        component.setCurrentValue(Math.min(component.effectiveMax, Math.max(component.effectiveMin, value)));
+    }
+
+    /** @returns {number|undefined} - The maximum health, or undefined for entities without health. */
+    get maxHealth() {
+        const component = this.entity.getComponent("minecraft:health");
+        return component ? component.effectiveMax : undefined;
+    }
+
+    /**
+     * @name heal
+     * @description Adds health, up to the maximum.
+     * @param {number} amount - The health to add.
+     * @returns {number} - The new health.
+     * @throws {Error} - Throws an error if the entity has no health.
+     */
+    heal(amount) {
+        const component = this.healthComponent();
+        this.health = component.currentValue + amount;
+        return component.currentValue;
+    }
+
+    /**
+     * @name damage
+     * @description Hurts the entity the way an attack would: armour, resistance and hurt events all apply.
+     * @param {number} amount - The damage.
+     * @param {{cause?: string, damagingEntity?: IEntity|mc.Entity}} [options] - The damage cause (default "entityAttack" with
+     * a damaging entity, "none" without) and who did it.
+     * @example
+     * zombie.damage(4, { damagingEntity: player.player });
+     * @returns {boolean} - Whether the entity took damage.
+     */
+    damage(amount, options = {}) {
+        const source = {};
+        if (options.damagingEntity) source.damagingEntity = options.damagingEntity instanceof IEntity ? options.damagingEntity.entity : options.damagingEntity;
+        source.cause = options.cause || (source.damagingEntity ? "entityAttack" : "none");
+        return this.entity.applyDamage(amount, source);
+    }
+
+    /**
+     * @name kill
+     * @description Kills the entity, dropping its loot like a normal death.
+     * @returns {boolean} - Whether the entity died.
+     */
+    kill() {
+        return this.entity.kill();
+    }
+
+    /**
+     * @name remove
+     * @description Removes the entity from the world without a death: no loot, no death event.
+     * @returns {void}
+     */
+    remove() {
+        this.entity.remove();
+    }
+
+    /**
+     * Movement functions
+     */
+
+    /**
+     * @name applyImpulse
+     * @description Adds to the entity's velocity. Does not work on players; use applyKnockback for them.
+     * @param {IVec3|{x: number, y: number, z: number}} impulse - The velocity to add, in blocks per tick.
+     * @returns {void}
+     */
+    applyImpulse(impulse) {
+        this.entity.applyImpulse({ x: impulse.x, y: impulse.y, z: impulse.z });
+    }
+
+    /**
+     * @name applyKnockback
+     * @description Knocks the entity back along a horizontal direction. Works on players too.
+     * @param {IVec3|{x: number, z: number}} direction - The horizontal direction. Its length does not matter.
+     * @param {number} strength - The horizontal strength.
+     * @param {number} [vertical=0] - The upwards strength.
+     * @example
+     * entity.applyKnockback({ x: 1, z: 0 }, 1.5, 0.4); // East and a little up
+     * @returns {void}
+     */
+    applyKnockback(direction, strength, vertical = 0) {
+        const length = Math.hypot(direction.x, direction.z);
+        const x = length === 0 ? 0 : direction.x / length * strength;
+        const z = length === 0 ? 0 : direction.z / length * strength;
+        this.entity.applyKnockback({ x, z }, vertical);
+    }
+
+    /**
+     * @name knockbackFrom
+     * @description Knocks the entity away from a position or another entity, like an explosion or a boss slam would.
+     * @param {IEntity|mc.Entity|IVec3|{x: number, y: number, z: number}} source - Where the knockback comes from.
+     * @param {number} strength - The horizontal strength.
+     * @param {number} [vertical=0] - The upwards strength.
+     * @returns {void}
+     */
+    knockbackFrom(source, strength, vertical = 0) {
+        const from = positionOf(source);
+        const location = this.entity.location;
+        this.applyKnockback({ x: location.x - from.x, z: location.z - from.z }, strength, vertical);
+    }
+
+    /**
+     * @name clearVelocity
+     * @returns {void}
+     */
+    clearVelocity() {
+        this.entity.clearVelocity();
+    }
+
+    /**
+     * @name teleport
+     * @description Teleports the entity, also across dimensions.
+     * @param {IVec3|{x: number, y: number, z: number}} location - The destination.
+     * @param {{dimension?: IDimension|string, rotation?: IVec2|{x: number, y: number}, keepVelocity?: boolean}} [options]
+     * @returns {void}
+     */
+    teleport(location, options = {}) {
+        const target = options.dimension === undefined ? this.dimension
+            : options.dimension instanceof IDimension ? options.dimension : new IDimension(options.dimension);
+        const teleportOptions = { dimension: target.getDimension(), keepVelocity: options.keepVelocity === true };
+        if (options.rotation) teleportOptions.rotation = { x: options.rotation.x, y: options.rotation.y };
+        this.entity.teleport({ x: location.x, y: location.y, z: location.z }, teleportOptions);
+    }
+
+    /**
+     * Tag and family functions
+     */
+
+    /**
+     * @name hasTag
+     * @param {string} tag - The tag.
+     * @returns {boolean}
+     */
+    hasTag(tag) {
+        return this.entity.hasTag(tag);
+    }
+
+    /**
+     * @name addTag
+     * @param {string} tag - The tag.
+     * @returns {boolean} - Whether the tag was added (false if the entity already had it).
+     */
+    addTag(tag) {
+        return this.entity.addTag(tag);
+    }
+
+    /**
+     * @name removeTag
+     * @param {string} tag - The tag.
+     * @returns {boolean} - Whether the entity had the tag.
+     */
+    removeTag(tag) {
+        return this.entity.removeTag(tag);
+    }
+
+    /**
+     * @name getTags
+     * @returns {string[]} - Every tag the entity has.
+     */
+    getTags() {
+        return this.entity.getTags();
+    }
+
+    /**
+     * @name families
+     * @description The type families of the entity, e.g. ["zombie", "undead", "monster", "mob"]. Empty for entities without any.
+     * @returns {string[]}
+     */
+    get families() {
+        const component = this.entity.getComponent("minecraft:type_family");
+        return component ? component.getTypeFamilies() : [];
+    }
+
+    /**
+     * @name hasFamily
+     * @param {string} family - The family, e.g. "monster".
+     * @returns {boolean}
+     */
+    hasFamily(family) {
+        return this.families.includes(family);
+    }
+
+    /**
+     * Component functions
+     */
+
+    /**
+     * @name getComponent
+     * @param {string} component - The component id, e.g. "health" or "minecraft:health".
+     * @returns {mc.EntityComponent|undefined} - The component, or undefined if the entity doesn't have it.
+     */
+    getComponent(component) {
+        return this.entity.getComponent(component);
+    }
+
+    /**
+     * @name hasComponent
+     * @param {string} component - The component id, e.g. "is_baby".
+     * @returns {boolean}
+     */
+    hasComponent(component) {
+        return this.entity.getComponent(component) !== undefined;
+    }
+
+    /**
+     * @name healthComponent
+     * @returns {mc.EntityHealthComponent}
+     * @throws {Error} - Throws an error if the entity has no health.
+     */
+    healthComponent() {
+        const component = this.entity.getComponent("minecraft:health");
+        if (!component) {
+            throw new Error(`Entity '${this.entity.typeId}' has no health.`);
+        }
+        return component;
+    }
+}
+
+/**
+ * @name positionOf
+ * @returns {{x: number, y: number, z: number}} - The position of an IEntity, entity or vector.
+ */
+function positionOf(target) {
+    if (target instanceof IEntity) return target.entity.location;
+    return target instanceof mc.Entity ? target.location : target;
+}
@@ -1,9 +1,14 @@
+import * as mc from "@minecraft/server";
 
 export class IList {
     constructor(maxSize) {
         this.maxSize = maxSize;
         this.data = new Map();
+        this.counts = new Map();
         this.most_recent_key = null;
+        this.storage = null;
+        this.storage_key = null;
+        this.save_scheduled = false;
     }
 
     /**
@@ -16,7 +21,7 @@ export class IList {
      * const list = new IList(5);
      * list.get("key1"); // Returns an empty array if "key1" does not exist
      * list.push("value1", "key1"); // Sets "value1" for "key1"
-     * list.get("key1"); // Returns ["value1", 0, 0, 0, 0] if maxSize is 5
+     * list.get("key1"); // Returns [0, 0, 0, 0, "value1"] if maxSize is 5
      */
     get(key) {
         this.most_recent_key = key;
@@ -27,8 +32,8 @@ export class IList {
      * @name push
      * @description
      * Sets a value for the given key, or for the most recent key used by the get method.
-     * If the key does not exist, it creates a new array of the specified size and sets the value to the first position.
-     * If the key does exist, it adds the value to the end of the array and removes the first element if the array exceeds the specified size.
+     * If the key does not exist, it creates a new array of the specified size filled with zeros first.
+     * The value is added to the end of the array and the first element is removed if the array exceeds the specified size.
      * @param {*} value The value to set
      * @param {string} [key] The key to associate with the value, defaults to the most recent key used by the get method
      * @example
@@ -45,17 +50,16 @@ export class IList {
         if (!this.most_recent_key && !key) {
         throw new Error("Key must be provided or set before using set method.");
         }
-        if (this.data.has(key)) {
+        if (!this.data.has(key)) {
+            this.data.set(key, new Array(this.maxSize).fill(0));
+        }
         const currentData = this.data.get(key);
         currentData.push(value);
         if (currentData.length > this.maxSize) {
             currentData.shift();
         }
-        this.data.set(key, currentData);
-        } else {
-        this.data.set(key, new Array(this.maxSize).fill(0));
-        this.data.get(key).push(value);
-        }
+        this.counts.set(key, Math.min(this.maxSize, this.getCount(key) + 1));
+        this.scheduleSave();
     }
 
     /**
@@ -71,10 +75,13 @@ export class IList {
      * @returns {boolean} Whether the key was found and removed if a key was provided, or undefined if no key was provided
      */ 
     removeData(key = null) {
+        this.scheduleSave();
         if(key) {
+            this.counts.delete(key);
             return this.data.delete(key);
         }
         this.data.clear();
+        this.counts.clear();
     }
 
     /**
@@ -106,9 +113,9 @@ export class IList {
      * @example
      * const list = new IList(5);
      * list.push("value1", "key1"); // Sets "value1" for "key1"
-     * list.getSize("key1"); // Returns 1
+     * list.getSize("key1"); // Returns 5 (the window is always full size, see getCount)
      * list.push("value2", "key1"); // Adds "value2" to "key1"
-     * list.getSize("key1"); // Returns 2
+     * list.getSize("key1"); // Still returns 5
      */
     getSize(key = this.most_recent_key) {
         if (!key && !this.most_recent_key) {
@@ -117,6 +124,41 @@ export class IList {
         return this.data.has(key) ? this.data.get(key).length : 0;
     }
 
+    /**
+     * @name getCount
+     * @description
+     * Returns how many values have actually been pushed for the given key, up to maxSize.
+     * Unlike getSize, the zeros the window starts filled with are not counted.
+     * @param {string} [key] The key to get the count for, defaults to the most recent key
+     * @returns {number} The number of real samples in the window
+     * @example
+     * const list = new IList(5);
+     * list.push(3, "key1");
+     * list.getSize("key1"); // Returns 5
+     * list.getCount("key1"); // Returns 1
+     */
+    getCount(key = this.most_recent_key) {
+        return this.counts.get(key) || 0;
+    }
+
+    /**
+     * @name samples
+     * @description
+     * Returns only the values that have actually been pushed for the given key, oldest first, without the zero padding.
+     * @param {string} [key] The key to get the samples for, defaults to the most recent key
+     * @returns {Array<*>} The real samples in the window
+     * @example
+     * const list = new IList(5);
+     * list.push(3, "key1");
+     * list.push(4, "key1");
+     * list.get("key1"); // Returns [0, 0, 0, 3, 4]
+     * list.samples("key1"); // Returns [3, 4]
+     */
+    samples(key = this.most_recent_key) {
+        const count = this.getCount(key);
+        return count === 0 ? [] : this.data.get(key).slice(-count);
+    }
+
     /**
      * @name map
      * @description
@@ -166,6 +208,8 @@ export class IList {
      */
     rawSet(key, value) {
         this.data.set(key, value);
+        this.counts.set(key, Array.isArray(value) ? Math.min(this.maxSize, value.length) : 0);
+        this.scheduleSave();
     }
 
     /**
@@ -180,7 +224,9 @@ export class IList {
      */
     clear() {
         this.data.clear();
+        this.counts.clear();
         this.most_recent_key = null;
+        this.scheduleSave();
     }
 
     /**
@@ -196,4 +242,59 @@ export class IList {
     getMostRecentKey() {
         return this.most_recent_key;
     }
+
+    /**
+     * Persistence functions
+     */
+
+    /**
+     * @name bindStorage
+     * @description
+     * Backs the list with an IStorage key so its data survives /reload and restarts.
+     * Data already saved under the key is loaded straight away, replacing what is in memory.
+     * Afterwards every change is saved at the end of the tick, so many pushes in one tick only write once.
+     * @param {IStorage} storage - The storage to save into.
+     * @param {string} key - The storage key, declared with type "array" if the storage has a schema.
+     * @example
+     * const cps = new IList(20);
+     * cps.bindStorage(new IStorage("anticheat"), "cps");
+     * cps.push(12, player.id); // Saved at the end of the tick
+     * @returns {void}
+     */
+    bindStorage(storage, key) {
+        this.storage = storage;
+        this.storage_key = key;
+        const saved = storage.get(key);
+        if (Array.isArray(saved)) {
+            // Entries are [key, values, count]; lists saved before counts were tracked are treated as full
+            this.data = new Map(saved.map(([entryKey, values]) => [entryKey, values]));
+            this.counts = new Map(saved.map(([entryKey, values, count]) => [entryKey, count === undefined ? values.length : count]));
+        }
+    }
+
+    /**
+     * @name save
+     * @description
+     * Writes the list to its storage right away. Does nothing if bindStorage has not been called.
+     * @example
+     * list.save();
+     * @returns {void}
+     */
+    save() {
+        this.save_scheduled = false;
+        if (!this.storage) return;
+        this.storage.set(this.storage_key, [...this.data].map(([key, values]) => [key, values, this.getCount(key)]));
+    }
+
+    /**
+     * @name scheduleSave
+     * @description
+     * Saves the list on the next tick, if it is bound to a storage and a save is not already pending.
+     * @returns {void}
+     */
+    scheduleSave() {
+        if (!this.storage || this.save_scheduled) return;
+        this.save_scheduled = true;
+        mc.system.run(() => this.save());
+    }
 }
\ No newline at end of file
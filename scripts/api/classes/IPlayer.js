@@ -0,0 +1,353 @@
+import * as mc from "@minecraft/server";
+import { IVec3 } from "./IVec3";
+import { IBlock } from "./IBlock";
+import { IDimension } from "./IDimension";
+import { IStorage } from "./IStorage";
+import { IContainer } from "./IContainer";
+
+/** @type {WeakMap<mc.Player, IPlayer>} */
+const wrappers = new WeakMap();
+/** @type {Map<string, IDimension>} */
+const dimensions = new Map();
+
+/**
+ * @class IPlayer
+ * @description Represents a player. Wraps mc.Player with IVec3 positions, IDimension and IBlock lookups,
+ * inventory, tag and scoreboard helpers, and a state bag that is saved on the player.
+ * Use IPlayer.get() to reuse one wrapper per player instead of constructing a new one every tick.
+ * @constructor {mc.Player} player - The player to wrap.
+ * @property {mc.Player} player - The wrapped player (mc/server).
+ * @property {IStorage} state - Persistent per-player values, saved as dynamic properties on the player.
+ * @example
+ * for (const player of IPlayer.all()) {
+ *     const below = player.blockBelow();
+ *     if (below.type === "minecraft:gold_block") player.give("diamond");
+ * }
+ *
+ * // Remembered across rejoins and restarts
+ * player.state.set("home", player.location.toObject());
+ * @throws {TypeError} - Throws an error if the player is not an mc.Player.
+ */
+export class IPlayer {
+    constructor(player) {
+        if (!(player instanceof mc.Player)) {
+            throw new TypeError("IPlayer must wrap an mc.Player.");
+        }
+        this.player = player;
+        this.state = new IStorage("state", { target: player });
+    }
+
+    /**
+     * @name get
+     * @description Gets the shared wrapper for a player, creating it the first time.
+     * @param {mc.Player|IPlayer} player - The player.
+     * @example
+     * IEvents.after("blockBreak", (event) => IPlayer.get(event.player).addScore("blocks_broken", 1));
+     * @returns {IPlayer}
+     */
+    static get(player) {
+        if (player instanceof IPlayer) return player;
+        if (!wrappers.has(player)) wrappers.set(player, new IPlayer(player));
+        return wrappers.get(player);
+    }
+
+    /**
+     * @name all
+     * @returns {IPlayer[]} - Every player in the world.
+     */
+    static all() {
+        return mc.world.getPlayers().map((player) => IPlayer.get(player));
+    }
+
+    /**
+     * @name find
+     * @param {string} name - The player name, case insensitive.
+     * @returns {IPlayer|undefined} - The online player with that name.
+     */
+    static find(name) {
+        const player = mc.world.getPlayers().find((other) => other.name.toLowerCase() === name.toLowerCase());
+        return player && IPlayer.get(player);
+    }
+
+    /** @returns {string} - The player name. */
+    get name() {
+        return this.player.name;
+    }
+
+    /** @returns {string} - The player's entity id. */
+    get id() {
+        return this.player.id;
+    }
+
+    /** @returns {IVec3} - The player's feet position. */
+    get location() {
+        return IVec3.from(this.player.location);
+    }
+
+    /** @returns {IVec3} - The player's eye position. */
+    get headLocation() {
+        return IVec3.from(this.player.getHeadLocation());
+    }
+
+    /** @returns {IVec3} - The unit vector the player is looking along. */
+    get viewDirection() {
+        return IVec3.fromViewDirection(this.player);
+    }
+
+    /** @returns {IDimension} - The dimension the player is in. */
+    get dimension() {
+        const key = this.player.dimension.id.replace("minecraft:", "");
+        if (!dimensions.has(key)) dimensions.set(key, new IDimension(key));
+        return dimensions.get(key);
+    }
+
+    /**
+     * @name isValid
+     * @returns {boolean} - Whether the player is still in the world.
+     */
+    isValid() {
+        return this.player.isValid;
+    }
+
+    /**
+     * @name blockBelow
+     * @description Gets the block the player is standing on (or over, while in the air).
+     * @returns {IBlock|undefined} - The block, or undefined below the bottom of the world.
+     */
+    blockBelow() {
+        const below = this.location.floor().plus({ x: 0, y: -1, z: 0 });
+        if (below.y < this.player.dimension.heightRange.min) return undefined;
+        return new IBlock(this.dimension, below);
+    }
+
+    /**
+     * @name blockInView
+     * @description Gets the first solid block the player is looking at.
+     * @param {number} [maxDistance=7] - How far to look, in blocks.
+     * @example
+     * const target = player.blockInView(20);
+     * if (target) target.setBlock("gold_block");
+     * @returns {IBlock|undefined} - The block, or undefined if there is none in range.
+     */
+    blockInView(maxDistance = 7) {
+        const hit = this.player.getBlockFromViewDirection({ maxDistance });
+        return hit ? new IBlock(this.dimension, IVec3.from(hit.block.location)) : undefined;
+    }
+
+    /**
+     * Inventory functions
+     */
+
+    /**
+     * @name getInventory
+     * @returns {mc.Container} - The player's inventory container.
+     */
+    getInventory() {
+        return this.player.getComponent("minecraft:inventory").container;
+    }
+
+    /**
+     * @name give
+     * @description Adds items to the inventory, split into full stacks. What does not fit is dropped at the player's feet.
+     * @param {string} item - The item id, e.g. "diamond" or "minecraft:diamond".
+     * @param {number} [amount=1] - How many to give.
+     * @param {{drop?: boolean}} [options] - Set drop to false to keep what does not fit instead of dropping it.
+     * @example
+     * player.give("diamond", 100); // One stack of 64 and one of 36
+     * @returns {number} - How many did not fit. Dropped items count as given.
+     */
+    give(item, amount = 1, options = {}) {
+        const id = IContainer.normalizeItemId(item);
+        const container = this.getInventory();
+        let remaining = amount;
+        let leftover = 0;
+        while (remaining > 0) {
+            const stack = new mc.ItemStack(id, 1);
+            stack.amount = Math.min(remaining, stack.maxAmount);
+            remaining -= stack.amount;
+            const rest = container.addItem(stack);
+            if (!rest) continue;
+            if (options.drop === false) {
+                leftover += rest.amount;
+            } else {
+                this.player.dimension.spawnItem(rest, this.player.location);
+            }
+        }
+        return leftover;
+    }
+
+    /**
+     * @name take
+     * @description Removes items from the inventory. Nothing is removed unless the player has enough.
+     * @param {string} item - The item id.
+     * @param {number} [amount=1] - How many to take.
+     * @example
+     * if (!player.take("emerald", 5)) player.sendMessage("You need 5 emeralds.");
+     * @returns {boolean} - Whether the items were taken.
+     */
+    take(item, amount = 1) {
+        return new IContainer(this.getInventory()).take(item, amount);
+    }
+
+    /**
+     * @name count
+     * @param {string} item - The item id.
+     * @returns {number} - How many of the item the player has.
+     */
+    count(item) {
+        return new IContainer(this.getInventory()).count(item);
+    }
+
+    /**
+     * @name find
+     * @param {string} item - The item id.
+     * @returns {number[]} - The inventory slots holding the item, in slot order.
+     */
+    find(item) {
+        return new IContainer(this.getInventory()).find(item);
+    }
+
+    /**
+     * Tag functions
+     */
+
+    /**
+     * @name hasTag
+     * @param {string} tag - The tag.
+     * @returns {boolean}
+     */
+    hasTag(tag) {
+        return this.player.hasTag(tag);
+    }
+
+    /**
+     * @name addTag
+     * @param {string} tag - The tag.
+     * @returns {boolean} - Whether the tag was added (false if the player already had it).
+     */
+    addTag(tag) {
+        return this.player.addTag(tag);
+    }
+
+    /**
+     * @name removeTag
+     * @param {string} tag - The tag.
+     * @returns {boolean} - Whether the player had the tag.
+     */
+    removeTag(tag) {
+        return this.player.removeTag(tag);
+    }
+
+    /**
+     * @name setTag
+     * @description Adds or removes a tag.
+     * @param {string} tag - The tag.
+     * @param {boolean} enabled - Whether the player should have the tag.
+     * @returns {void}
+     */
+    setTag(tag, enabled) {
+        if (enabled) {
+            this.player.addTag(tag);
+        } else {
+            this.player.removeTag(tag);
+        }
+    }
+
+    /**
+     * Scoreboard functions
+     */
+
+    /**
+     * @name getScore
+     * @param {string} objective - The scoreboard objective id.
+     * @returns {number|undefined} - The player's score, or undefined if the objective or score does not exist.
+     */
+    getScore(objective) {
+        const board = mc.world.scoreboard.getObjective(objective);
+        return board ? board.getScore(this.player) : undefined;
+    }
+
+    /**
+     * @name setScore
+     * @description Sets the player's score, creating the objective if it does not exist.
+     * @param {string} objective - The scoreboard objective id.
+     * @param {number} value - The score.
+     * @returns {void}
+     */
+    setScore(objective, value) {
+        getObjective(objective).setScore(this.player, value);
+    }
+
+    /**
+     * @name addScore
+     * @description Adds to the player's score, creating the objective if it does not exist. A missing score counts as 0.
+     * @param {string} objective - The scoreboard objective id.
+     * @param {number} amount - The amount to add. Can be negative.
+     * @returns {number} - The new score.
+     */
+    addScore(objective, amount) {
+        const board = getObjective(objective);
+        const value = (board.getScore(this.player) || 0) + amount;
+        board.setScore(this.player, value);
+        return value;
+    }
+
+    /**
+     * @name teleport
+     * @description Teleports the player, also across dimensions. By default the teleport fails if the player
+     * would end up inside a block.
+     * @param {IVec3|{x: number, y: number, z: number}} location - The destination.
+     * @param {{dimension?: IDimension|string, rotation?: IVec2|{x: number, y: number}, force?: boolean, safe?: boolean|{radius?: number, height?: number, create?: boolean, platform?: string}}} [options]
+     * Set force to true to teleport even into blocks. Set safe to land on the nearest safe spot instead (see IDimension.findSafeSpot),
+     * passing the search settings or true for the defaults. A safe teleport into an unloaded chunk goes ahead at once and lands
+     * on the safe spot once the chunk has loaded (see IDimension.teleportSafely).
+     * @example
+     * player.teleport(new IVec3(0, 70, 0), { dimension: "nether" });
+     * player.teleport(home, { dimension: "overworld", safe: { create: true } }); // Never lands in a wall
+     * @returns {boolean} - Whether the player was teleported. Safe teleports fail if there is no safe spot in a loaded chunk.
+     * @throws {Error} - Throws an error if the destination is outside of the dimension's build height.
+     */
+    teleport(location, options = {}) {
+        const target = options.dimension === undefined ? this.dimension
+            : options.dimension instanceof IDimension ? options.dimension : new IDimension(options.dimension);
+        const range = target.getDimension().heightRange;
+        if (location.y < range.min || location.y >= range.max) {
+            throw new Error(`Cannot teleport to y=${location.y}, outside of ${target.id} (${range.min} to ${range.max - 1}).`);
+        }
+        if (options.safe) {
+            const safe = options.safe === true ? {} : options.safe;
+            if (!target.isLoaded(location)) {
+                target.teleportSafely(this.player, location, safe)
+                    .catch((error) => console.error(`[IPlayer] Safe teleport of ${this.player.name} failed: ${error}`));
+                return true;
+            }
+            const spot = target.findSafeSpot(location, safe);
+            if (!spot) return false;
+            location = { x: spot.x + 0.5, y: spot.y, z: spot.z + 0.5 };
+        }
+        const teleportOptions = { dimension: target.getDimension(), keepVelocity: false };
+        if (options.rotation) teleportOptions.rotation = { x: options.rotation.x, y: options.rotation.y };
+        if (options.force) {
+            this.player.teleport(location, teleportOptions);
+            return true;
+        }
+        return this.player.tryTeleport(location, { ...teleportOptions, checkForBlocks: true });
+    }
+
+    /**
+     * @name sendMessage
+     * @param {string} message - The message.
+     * @returns {void}
+     */
+    sendMessage(message) {
+        this.player.sendMessage(message);
+    }
+}
+
+/**
+ * @name getObjective
+ * @returns {mc.ScoreboardObjective} - The objective, created if it does not exist.
+ */
+function getObjective(id) {
+    return mc.world.scoreboard.getObjective(id) || mc.world.scoreboard.addObjective(id, id);
+}
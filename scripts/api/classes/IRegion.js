@@ -0,0 +1,343 @@
+import { IVec3 } from "./IVec3";
+
+const FACES = ["up", "down", "north", "south", "east", "west"];
+
+/**
+ * @class IRegion
+ * @description An axis-aligned box of blocks between two corners, both inclusive. The corners can be given in any order
+ * and are normalised into min and max, floored to block coordinates. Instances are immutable: the region and both corners are frozen,
+ * and every operation returns a new region. Use min.clone() to get a corner you can change.
+ * Iterators yield plain {x, y, z} objects and never build arrays, so they are safe to use on very large regions.
+ * @constructor startVec3 {IVec3|{x: number, y: number, z: number}} - One corner of the region.
+ * @constructor endVec3 {IVec3|{x: number, y: number, z: number}} - The opposite corner of the region.
+ * @property {IVec3} min - The corner with the lowest coordinates.
+ * @property {IVec3} max - The corner with the highest coordinates.
+ * @example
+ * const arena = new IRegion(new IVec3(10, 64, 10), new IVec3(-10, 80, -10));
+ * arena.min; // IVec3(-10, 64, -10)
+ * arena.volume(); // 21 * 17 * 21
+ * arena.contains(player.location); // Whether the player is inside
+ *
+ * for (const pos of arena.shell()) {
+ *     // Every block on the outside of the arena
+ * }
+ */
+export class IRegion {
+    constructor(startVec3, endVec3) {
+        for (const [name, vec3] of [["startVec3", startVec3], ["endVec3", endVec3]]) {
+            if (typeof vec3 !== "object" || vec3 === null || !("x" in vec3 && "y" in vec3 && "z" in vec3)) {
+                throw new TypeError(`${name} must be an IVec3 object or an object with x, y, and z properties.`);
+            }
+        }
+        this.min = new IVec3(Math.floor(Math.min(startVec3.x, endVec3.x)), Math.floor(Math.min(startVec3.y, endVec3.y)), Math.floor(Math.min(startVec3.z, endVec3.z)));
+        this.max = new IVec3(Math.floor(Math.max(startVec3.x, endVec3.x)), Math.floor(Math.max(startVec3.y, endVec3.y)), Math.floor(Math.max(startVec3.z, endVec3.z)));
+        Object.freeze(this.min);
+        Object.freeze(this.max);
+        Object.freeze(this);
+    }
+
+    /**
+     * @name fromCenter
+     * @description Creates a region reaching a number of blocks out from a centre block on every side.
+     * @param {IVec3|{x: number, y: number, z: number}} center - The centre block.
+     * @param {number|IVec3|{x: number, y: number, z: number}} radius - The distance on every axis, or per axis.
+     * @example
+     * IRegion.fromCenter(new IVec3(0, 64, 0), 2).volume(); // 125
+     * @returns {IRegion}
+     */
+    static fromCenter(center, radius) {
+        const r = typeof radius === "number" ? new IVec3(radius, radius, radius) : radius;
+        return new IRegion(
+            { x: center.x - r.x, y: center.y - r.y, z: center.z - r.z },
+            { x: center.x + r.x, y: center.y + r.y, z: center.z + r.z }
+        );
+    }
+
+    /**
+     * @name size
+     * @returns {IVec3} - The number of blocks along each axis.
+     */
+    size() {
+        return new IVec3(this.max.x - this.min.x + 1, this.max.y - this.min.y + 1, this.max.z - this.min.z + 1);
+    }
+
+    /**
+     * @name volume
+     * @returns {number} - The number of blocks in the region.
+     */
+    volume() {
+        const size = this.size();
+        return size.x * size.y * size.z;
+    }
+
+    /**
+     * @name shellVolume
+     * @returns {number} - The number of blocks on the outside of the region.
+     */
+    shellVolume() {
+        const size = this.size();
+        return this.volume() - Math.max(0, size.x - 2) * Math.max(0, size.y - 2) * Math.max(0, size.z - 2);
+    }
+
+    /**
+     * @name center
+     * @example
+     * new IRegion(new IVec3(0, 0, 0), new IVec3(1, 1, 1)).center(); // IVec3(1, 1, 1)
+     * @returns {IVec3} - The exact centre of the region, in world coordinates.
+     */
+    center() {
+        return new IVec3((this.min.x + this.max.x + 1) / 2, (this.min.y + this.max.y + 1) / 2, (this.min.z + this.max.z + 1) / 2);
+    }
+
+    /**
+     * @name contains
+     * @description Checks if a point is inside the region. Fractional points such as entity locations count as inside the block they are in.
+     * @param {IVec3|{x: number, y: number, z: number}} point - The point to check.
+     * @example
+     * region.contains(player.location);
+     * @returns {boolean}
+     */
+    contains(point) {
+        const x = Math.floor(point.x), y = Math.floor(point.y), z = Math.floor(point.z);
+        return x >= this.min.x && x <= this.max.x && y >= this.min.y && y <= this.max.y && z >= this.min.z && z <= this.max.z;
+    }
+
+    /**
+     * @name containsRegion
+     * @param {IRegion} region - The other region.
+     * @returns {boolean} - Whether the other region lies entirely inside this one.
+     */
+    containsRegion(region) {
+        return this.contains(region.min) && this.contains(region.max);
+    }
+
+    /**
+     * @name intersects
+     * @param {IRegion} region - The other region.
+     * @returns {boolean} - Whether the regions share at least one block.
+     */
+    intersects(region) {
+        return this.min.x <= region.max.x && this.max.x >= region.min.x
+            && this.min.y <= region.max.y && this.max.y >= region.min.y
+            && this.min.z <= region.max.z && this.max.z >= region.min.z;
+    }
+
+    /**
+     * @name intersection
+     * @param {IRegion} region - The other region.
+     * @example
+     * const overlap = zoneA.intersection(zoneB);
+     * if (overlap) console.warn(`Zones overlap by ${overlap.volume()} blocks`);
+     * @returns {IRegion|null} - The blocks both regions share, or null if they don't intersect.
+     */
+    intersection(region) {
+        if (!this.intersects(region)) return null;
+        return new IRegion(
+            { x: Math.max(this.min.x, region.min.x), y: Math.max(this.min.y, region.min.y), z: Math.max(this.min.z, region.min.z) },
+            { x: Math.min(this.max.x, region.max.x), y: Math.min(this.max.y, region.max.y), z: Math.min(this.max.z, region.max.z) }
+        );
+    }
+
+    /**
+     * @name union
+     * @param {IRegion} region - The other region.
+     * @returns {IRegion} - The smallest region containing both regions.
+     */
+    union(region) {
+        return new IRegion(
+            { x: Math.min(this.min.x, region.min.x), y: Math.min(this.min.y, region.min.y), z: Math.min(this.min.z, region.min.z) },
+            { x: Math.max(this.max.x, region.max.x), y: Math.max(this.max.y, region.max.y), z: Math.max(this.max.z, region.max.z) }
+        );
+    }
+
+    /**
+     * @name expand
+     * @description Grows the region on every side.
+     * @param {number|IVec3|{x: number, y: number, z: number}} amount - The number of blocks to add on each side, on every axis or per axis.
+     * @example
+     * region.expand(1); // One block bigger on every side
+     * region.expand({ x: 0, y: 5, z: 0 }); // Five blocks taller at the top and bottom
+     * @returns {IRegion}
+     */
+    expand(amount) {
+        const a = typeof amount === "number" ? new IVec3(amount, amount, amount) : amount;
+        return new IRegion(
+            { x: this.min.x - a.x, y: this.min.y - a.y, z: this.min.z - a.z },
+            { x: this.max.x + a.x, y: this.max.y + a.y, z: this.max.z + a.z }
+        );
+    }
+
+    /**
+     * @name contract
+     * @description Shrinks the region on every side.
+     * @param {number|IVec3|{x: number, y: number, z: number}} amount - The number of blocks to remove on each side, on every axis or per axis.
+     * @example
+     * region.contract(1); // The inside of the region, without its shell
+     * @returns {IRegion|null} - The smaller region, or null if nothing is left.
+     */
+    contract(amount) {
+        const a = typeof amount === "number" ? new IVec3(amount, amount, amount) : amount;
+        const min = { x: this.min.x + a.x, y: this.min.y + a.y, z: this.min.z + a.z };
+        const max = { x: this.max.x - a.x, y: this.max.y - a.y, z: this.max.z - a.z };
+        if (min.x > max.x || min.y > max.y || min.z > max.z) return null;
+        return new IRegion(min, max);
+    }
+
+    /**
+     * @name translate
+     * @param {IVec3|{x: number, y: number, z: number}} offset - The offset to move the region by.
+     * @returns {IRegion} - The region moved by the offset.
+     */
+    translate(offset) {
+        return new IRegion(this.min.plus(offset), this.max.plus(offset));
+    }
+
+    /**
+     * @name equals
+     * @param {IRegion} region - The other region.
+     * @returns {boolean} - Whether both regions cover the same blocks.
+     */
+    equals(region) {
+        return this.min.equals(region.min) && this.max.equals(region.max);
+    }
+
+    /**
+     * @name isOnShell
+     * @param {IVec3|{x: number, y: number, z: number}} pos - A block position inside the region.
+     * @returns {boolean} - Whether the position lies on the outside of the region.
+     */
+    isOnShell(pos) {
+        return pos.x === this.min.x || pos.x === this.max.x || pos.y === this.min.y || pos.y === this.max.y || pos.z === this.min.z || pos.z === this.max.z;
+    }
+
+    /**
+     * @name positions
+     * @description Lazily yields every block position in the region, x then y then z. The region itself is iterable the same way.
+     * @example
+     * for (const pos of region.positions()) dimension.setBlock("minecraft:air", pos);
+     * @returns {Generator<{x: number, y: number, z: number}>}
+     */
+    *positions() {
+        for (let x = this.min.x; x <= this.max.x; x++) {
+            for (let y = this.min.y; y <= this.max.y; y++) {
+                for (let z = this.min.z; z <= this.max.z; z++) {
+                    yield { x, y, z };
+                }
+            }
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.positions();
+    }
+
+    /**
+     * @name shell
+     * @description Lazily yields the block positions on the outside of the region, each once, skipping the inside entirely.
+     * @returns {Generator<{x: number, y: number, z: number}>}
+     */
+    *shell() {
+        for (let x = this.min.x; x <= this.max.x; x++) {
+            for (let y = this.min.y; y <= this.max.y; y++) {
+                if (x === this.min.x || x === this.max.x || y === this.min.y || y === this.max.y) {
+                    for (let z = this.min.z; z <= this.max.z; z++) {
+                        yield { x, y, z };
+                    }
+                } else {
+                    yield { x, y, z: this.min.z };
+                    if (this.max.z !== this.min.z) yield { x, y, z: this.max.z };
+                }
+            }
+        }
+    }
+
+    /**
+     * @name face
+     * @description One side of the region as a one block thick region.
+     * @param {"up"|"down"|"north"|"south"|"east"|"west"} face - The side. North is -z, east is +x.
+     * @example
+     * dimension_overworld.fill("minecraft:glass", region.face("up").min, region.face("up").max); // Glass roof
+     * @returns {IRegion}
+     * @throws {Error} - Throws an error if the face is unknown.
+     */
+    face(face) {
+        const min = this.min.clone();
+        const max = this.max.clone();
+        switch (face) {
+            case "up": min.y = max.y; break;
+            case "down": max.y = min.y; break;
+            case "north": max.z = min.z; break;
+            case "south": min.z = max.z; break;
+            case "east": min.x = max.x; break;
+            case "west": max.x = min.x; break;
+            default:
+                throw new Error(`Invalid face '${face}'. Must be one of: ${FACES.join(", ")}.`);
+        }
+        return new IRegion(min, max);
+    }
+
+    /**
+     * @name faces
+     * @description Lazily yields the block positions of one or more sides. Blocks shared by two of the sides are yielded once.
+     * @param {Array<"up"|"down"|"north"|"south"|"east"|"west">} [faces] - The sides, all six by default (the same blocks as shell()).
+     * @example
+     * for (const pos of region.faces(["north", "south", "east", "west"])) {
+     *     // The walls, without floor and ceiling
+     * }
+     * @returns {Generator<{x: number, y: number, z: number}>}
+     */
+    *faces(faces = FACES) {
+        const regions = faces.map((face) => this.face(face));
+        for (let i = 0; i < regions.length; i++) {
+            for (const pos of regions[i].positions()) {
+                // Skip positions an earlier face already yielded
+                if (!regions.slice(0, i).some((region) => region.contains(pos))) yield pos;
+            }
+        }
+    }
+
+    /**
+     * @name edges
+     * @description Lazily yields the block positions on the twelve edges of the region, each once.
+     * @returns {Generator<{x: number, y: number, z: number}>}
+     */
+    *edges() {
+        const onEdge = (pos) => {
+            const x = pos.x === this.min.x || pos.x === this.max.x;
+            const y = pos.y === this.min.y || pos.y === this.max.y;
+            const z = pos.z === this.min.z || pos.z === this.max.z;
+            return (x && y) || (x && z) || (y && z);
+        };
+        for (const pos of this.shell()) {
+            if (onEdge(pos)) yield pos;
+        }
+    }
+
+    /**
+     * @name chunks
+     * @description Lazily splits the region along chunk borders on the x and z axes. Each piece keeps the full height of the region.
+     * @param {number} [chunkSize=16] - The chunk size in blocks.
+     * @example
+     * for (const piece of region.chunks()) {
+     *     // Handle one loaded chunk at a time
+     * }
+     * @returns {Generator<IRegion>}
+     */
+    *chunks(chunkSize = 16) {
+        for (let x = this.min.x; x <= this.max.x; x = (Math.floor(x / chunkSize) + 1) * chunkSize) {
+            const endX = Math.min(this.max.x, (Math.floor(x / chunkSize) + 1) * chunkSize - 1);
+            for (let z = this.min.z; z <= this.max.z; z = (Math.floor(z / chunkSize) + 1) * chunkSize) {
+                const endZ = Math.min(this.max.z, (Math.floor(z / chunkSize) + 1) * chunkSize - 1);
+                yield new IRegion({ x, y: this.min.y, z }, { x: endX, y: this.max.y, z: endZ });
+            }
+        }
+    }
+
+    /**
+     * @name toString
+     * @returns {string} - The region as "(minX, minY, minZ) -> (maxX, maxY, maxZ)".
+     */
+    toString() {
+        return `(${this.min.x}, ${this.min.y}, ${this.min.z}) -> (${this.max.x}, ${this.max.y}, ${this.max.z})`;
+    }
+}
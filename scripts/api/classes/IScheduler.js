@@ -0,0 +1,390 @@
+import * as mc from "@minecraft/server";
+
+// Expired cooldowns and empty throttle windows are swept this often, in ticks.
+const SWEEP_INTERVAL = 200;
+
+/**
+ * @typedef {Object} ITaskOptions
+ * @property {string} [name] - A unique name. Scheduling a task with a name that is taken cancels the older task.
+ * @property {string} [module="default"] - The module the task's run time is counted under in IScheduler.timings().
+ * @property {number} [delay] - Ticks before the first run of a repeating task (defaults to the interval).
+ * @property {number} [times] - Stop a repeating task after this many runs.
+ */
+
+/**
+ * @typedef {Object} ITaskTiming
+ * @property {string} module - The module name.
+ * @property {number} runs - How many task runs were timed.
+ * @property {number} errors - How many of them threw.
+ * @property {number} totalMs - Total run time.
+ * @property {number} averageMs - Average run time per run.
+ * @property {number} maxMs - The slowest run.
+ * @property {number} lastTickMs - Run time during the last tick that ran a task of the module.
+ */
+
+/**
+ * @class ITask
+ * @description A handle to a scheduled task, returned by IScheduler.delay and IScheduler.repeat.
+ * @property {number} id - The task id.
+ * @property {string|null} name - The task name, if it has one.
+ * @property {string} module - The module the task is timed under.
+ * @property {number} interval - Ticks between runs, 0 for a one-off task.
+ * @property {number} nextTick - The tick the task runs next.
+ * @property {number} runs - How many times the task has run.
+ * @property {number} errors - How many of those runs threw.
+ * @property {boolean} cancelled - Whether the task was cancelled or has finished.
+ */
+export class ITask {
+    constructor(id, callback, interval, firstDelay, options) {
+        this.id = id;
+        this.callback = callback;
+        this.name = options.name || null;
+        this.module = options.module || "default";
+        this.interval = interval;
+        this.nextTick = mc.system.currentTick + Math.max(1, firstDelay);
+        this.remaining = options.times === undefined ? Infinity : options.times;
+        this.runs = 0;
+        this.errors = 0;
+        this.cancelled = false;
+    }
+
+    /**
+     * @name cancel
+     * @description Stops the task. Safe to call from inside the task itself.
+     * @returns {void}
+     */
+    cancel() {
+        IScheduler.cancel(this);
+    }
+}
+
+/** @type {Map<number, ITask>} */
+const tasks = new Map();
+/** @type {Map<string, ITask>} */
+const named = new Map();
+/** @type {Map<string, number>} */
+const cooldowns = new Map();
+/** @type {Map<string, {windowTicks: number, uses: number[]}>} */
+const throttles = new Map();
+/** @type {Map<string, ITaskTiming>} */
+const timings = new Map();
+let nextId = 1;
+let runId = null;
+
+/**
+ * @class IScheduler
+ * @description Runs delayed and repeating tasks from a single tick loop, and tracks cooldowns and throttles
+ * per player or key. A task that throws is logged and counted but never stops other tasks, and every run is timed
+ * under its module so IScheduler.timings() shows which module is slow.
+ * Ticks are game ticks (20 per second).
+ * @example
+ * // Save every 5 minutes
+ * IScheduler.repeat(6000, () => storage.save(), { name: "autosave", module: "economy" });
+ *
+ * // Announce once, in 10 seconds
+ * const task = IScheduler.delay(200, () => mc.world.sendMessage("Restarting soon!"));
+ * task.cancel();
+ *
+ * // At most one heal every 30 seconds per player
+ * if (!IScheduler.cooldown("heal", player, 600)) {
+ *     player.sendMessage(`Wait ${Math.ceil(IScheduler.cooldownRemaining("heal", player) / 20)}s.`);
+ * }
+ */
+export class IScheduler {
+    constructor() {}
+
+    /**
+     * @name delay
+     * @description Runs a function once after a number of ticks.
+     * @param {number} ticks - The delay, at least 1.
+     * @param {function(ITask): void} callback - The function to run. Gets its own task handle.
+     * @param {ITaskOptions} [options] - Name and module.
+     * @example
+     * IScheduler.delay(20, () => player.sendMessage("One second later"));
+     * @returns {ITask} - The task handle.
+     * @throws {Error} - Throws an error if the delay is not a whole number of ticks, at least 1.
+     */
+    static delay(ticks, callback, options = {}) {
+        if (!Number.isInteger(ticks) || ticks < 1) {
+            throw new Error("Task delay must be a whole number of ticks, at least 1.");
+        }
+        return IScheduler.schedule(callback, 0, ticks, options);
+    }
+
+    /**
+     * @name repeat
+     * @description Runs a function every `interval` ticks until it is cancelled or has run `times` times.
+     * @param {number} interval - Ticks between runs, at least 1.
+     * @param {function(ITask): void} callback - The function to run. Gets its own task handle.
+     * @param {ITaskOptions} [options] - Name, module, first delay and run limit.
+     * @example
+     * // Count down from 10
+     * let seconds = 10;
+     * IScheduler.repeat(20, () => mc.world.sendMessage(`${seconds--}`), { times: 10 });
+     * @returns {ITask} - The task handle.
+     * @throws {Error} - Throws an error if the interval is not a whole number of ticks, at least 1.
+     */
+    static repeat(interval, callback, options = {}) {
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error("Task interval must be a whole number of ticks, at least 1.");
+        }
+        return IScheduler.schedule(callback, interval, options.delay === undefined ? interval : options.delay, options);
+    }
+
+    /**
+     * @name cancel
+     * @description Cancels a task by handle or name.
+     * @param {ITask|string} task - The task handle or task name.
+     * @returns {boolean} - Whether a running task was cancelled.
+     */
+    static cancel(task) {
+        const found = typeof task === "string" ? named.get(task) : task;
+        if (!found || found.cancelled) return false;
+        found.cancelled = true;
+        tasks.delete(found.id);
+        if (found.name && named.get(found.name) === found) named.delete(found.name);
+        return true;
+    }
+
+    /**
+     * @name get
+     * @param {string} name - The task name.
+     * @returns {ITask|undefined} - The scheduled task with that name.
+     */
+    static get(name) {
+        return named.get(name);
+    }
+
+    /**
+     * @name tasks
+     * @param {string} [module] - Only list the tasks of this module.
+     * @returns {ITask[]} - The scheduled tasks.
+     */
+    static tasks(module) {
+        const list = [...tasks.values()];
+        return module === undefined ? list : list.filter((task) => task.module === module);
+    }
+
+    /**
+     * @name cancelModule
+     * @description Cancels every task of a module, e.g. when the module is disabled.
+     * @param {string} module - The module name.
+     * @returns {number} - How many tasks were cancelled.
+     */
+    static cancelModule(module) {
+        const list = IScheduler.tasks(module);
+        for (const task of list) IScheduler.cancel(task);
+        return list.length;
+    }
+
+    /**
+     * Cooldown functions
+     */
+
+    /**
+     * @name cooldown
+     * @description Checks a cooldown and starts it if it is not running.
+     * @param {string} key - What the cooldown is for, e.g. "heal".
+     * @param {mc.Entity|{id: string}|string} subject - Who it applies to: a player, entity or any string.
+     * @param {number} ticks - How long the cooldown lasts once started.
+     * @example
+     * IEvents.after("blockInteract", (event) => {
+     *     if (IScheduler.cooldown("doorbell", event.player, 40)) mc.world.sendMessage("Ding dong!");
+     * });
+     * @returns {boolean} - True if the cooldown was not running (it is now), false if it still is.
+     */
+    static cooldown(key, subject, ticks) {
+        if (IScheduler.cooldownRemaining(key, subject) > 0) return false;
+        cooldowns.set(subjectKey(key, subject), mc.system.currentTick + ticks);
+        ensureLoop();
+        return true;
+    }
+
+    /**
+     * @name cooldownRemaining
+     * @param {string} key - What the cooldown is for.
+     * @param {mc.Entity|{id: string}|string} subject - Who it applies to.
+     * @returns {number} - Ticks until the cooldown ends, 0 if it is not running.
+     */
+    static cooldownRemaining(key, subject) {
+        const until = cooldowns.get(subjectKey(key, subject));
+        return until === undefined ? 0 : Math.max(0, until - mc.system.currentTick);
+    }
+
+    /**
+     * @name resetCooldown
+     * @param {string} key - What the cooldown is for.
+     * @param {mc.Entity|{id: string}|string} subject - Who it applies to.
+     * @returns {boolean} - Whether a cooldown was set.
+     */
+    static resetCooldown(key, subject) {
+        return cooldowns.delete(subjectKey(key, subject));
+    }
+
+    /**
+     * @name throttle
+     * @description Allows at most `limit` uses in any window of `windowTicks` ticks, counting this use if it is allowed.
+     * Unlike a cooldown, bursts up to the limit are fine.
+     * @param {string} key - What is being throttled, e.g. "chat".
+     * @param {mc.Entity|{id: string}|string} subject - Who it applies to.
+     * @param {number} limit - Uses allowed per window.
+     * @param {number} windowTicks - The window length in ticks.
+     * @example
+     * IEvents.before("chat", (event) => {
+     *     if (!IScheduler.throttle("chat", event.player, 5, 100)) event.cancel = true; // 5 messages per 5 seconds
+     * });
+     * @returns {boolean} - Whether the use is allowed.
+     */
+    static throttle(key, subject, limit, windowTicks) {
+        const id = subjectKey(key, subject);
+        const now = mc.system.currentTick;
+        const uses = (throttles.has(id) ? throttles.get(id).uses : []).filter((tick) => tick > now - windowTicks);
+        const allowed = uses.length < limit;
+        if (allowed) uses.push(now);
+        throttles.set(id, { windowTicks, uses });
+        ensureLoop();
+        return allowed;
+    }
+
+    /**
+     * @name resetThrottle
+     * @param {string} key - What is being throttled.
+     * @param {mc.Entity|{id: string}|string} subject - Who it applies to.
+     * @returns {boolean} - Whether there were uses recorded.
+     */
+    static resetThrottle(key, subject) {
+        return throttles.delete(subjectKey(key, subject));
+    }
+
+    /**
+     * Timing functions
+     */
+
+    /**
+     * @name timings
+     * @description Run time per module, slowest in total first.
+     * @example
+     * for (const timing of IScheduler.timings()) {
+     *     console.warn(`${timing.module}: ${timing.averageMs.toFixed(2)}ms avg, ${timing.maxMs}ms max, ${timing.errors} errors`);
+     * }
+     * @returns {ITaskTiming[]}
+     */
+    static timings() {
+        return [...timings.values()]
+            .map((timing) => ({ ...timing, averageMs: timing.runs === 0 ? 0 : timing.totalMs / timing.runs }))
+            .sort((a, b) => b.totalMs - a.totalMs);
+    }
+
+    /**
+     * @name resetTimings
+     * @returns {void}
+     */
+    static resetTimings() {
+        timings.clear();
+    }
+
+    /**
+     * @name schedule
+     * @description Adds a task to the loop. Used by delay and repeat.
+     * @param {function(ITask): void} callback - The function to run.
+     * @param {number} interval - Ticks between runs, 0 for a one-off task.
+     * @param {number} firstDelay - Ticks before the first run.
+     * @param {ITaskOptions} options - Name, module and run limit.
+     * @returns {ITask} - The task handle.
+     * @throws {TypeError} - Throws a TypeError if the callback is not a function.
+     */
+    static schedule(callback, interval, firstDelay, options) {
+        if (typeof callback !== "function") {
+            throw new TypeError("Task callback must be a function.");
+        }
+        if (options.name) IScheduler.cancel(options.name);
+        const task = new ITask(nextId++, callback, interval, firstDelay, options);
+        tasks.set(task.id, task);
+        if (task.name) named.set(task.name, task);
+        ensureLoop();
+        return task;
+    }
+
+    /**
+     * @name tick
+     * @description Runs the tasks that are due this tick. Called by the loop every tick.
+     * @returns {void}
+     */
+    static tick() {
+        const now = mc.system.currentTick;
+        const tickTimes = new Map();
+        for (const task of [...tasks.values()]) {
+            if (task.cancelled || task.nextTick > now) continue;
+            const start = Date.now();
+            let failed = false;
+            try {
+                task.callback(task);
+            } catch (error) {
+                failed = true;
+                task.errors++;
+                console.error(`[IScheduler] Task '${task.name || task.id}' (${task.module}) failed: ${error}`);
+            }
+            const elapsed = Date.now() - start;
+            task.runs++;
+            record(task.module, elapsed, failed);
+            tickTimes.set(task.module, (tickTimes.get(task.module) || 0) + elapsed);
+
+            if (task.interval === 0 || --task.remaining <= 0) {
+                IScheduler.cancel(task);
+            } else {
+                task.nextTick = now + task.interval;
+            }
+        }
+        for (const [module, elapsed] of tickTimes) timings.get(module).lastTickMs = elapsed;
+        if (now % SWEEP_INTERVAL === 0) sweep(now);
+        if (tasks.size === 0 && cooldowns.size === 0 && throttles.size === 0) {
+            mc.system.clearRun(runId);
+            runId = null;
+        }
+    }
+}
+
+/**
+ * @name ensureLoop
+ * @description Starts the tick loop if it is not running. It stops itself when there is nothing left to do.
+ * @returns {void}
+ */
+function ensureLoop() {
+    if (runId === null) runId = mc.system.runInterval(() => IScheduler.tick(), 1);
+}
+
+/**
+ * @name record
+ * @description Adds one run to the timing of a module.
+ * @returns {void}
+ */
+function record(module, elapsed, failed) {
+    if (!timings.has(module)) timings.set(module, { module, runs: 0, errors: 0, totalMs: 0, maxMs: 0, lastTickMs: 0 });
+    const timing = timings.get(module);
+    timing.runs++;
+    timing.totalMs += elapsed;
+    timing.maxMs = Math.max(timing.maxMs, elapsed);
+    if (failed) timing.errors++;
+}
+
+/**
+ * @name sweep
+ * @description Drops expired cooldowns and throttles with no uses left in their window.
+ * @returns {void}
+ */
+function sweep(now) {
+    for (const [id, until] of cooldowns) {
+        if (until <= now) cooldowns.delete(id);
+    }
+    for (const [id, throttle] of throttles) {
+        if (throttle.uses.every((tick) => tick <= now - throttle.windowTicks)) throttles.delete(id);
+    }
+}
+
+/**
+ * @name subjectKey
+ * @returns {string} - The map key of a cooldown or throttle for a subject.
+ */
+function subjectKey(key, subject) {
+    return `${key}:${typeof subject === "string" ? subject : subject.id}`;
+}
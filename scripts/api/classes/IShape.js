@@ -0,0 +1,422 @@
+import { IRegion } from "./IRegion";
+import { MathUtils } from "../utils/MathUtils";
+
+const AXES = ["x", "y", "z"];
+
+/**
+ * @class IShape
+ * @description A set of block positions, built by one of the static shape functions and placed with IDimension.fill.
+ * Solid shapes are tested position by position inside their bounds, so they cost no memory however large they are;
+ * lines and walls keep their positions in a set. Like IRegion, shapes are immutable and iterators yield plain {x, y, z} objects.
+ * Radii are measured from the centre of the centre block, with half a block added so round shapes don't end in single-block spikes.
+ * @constructor bounds {IRegion} - A box that holds every position of the shape.
+ * @constructor contains {function({x: number, y: number, z: number}): boolean} - Whether a block position is part of the shape.
+ * @constructor [positions] {function(): Iterable<{x: number, y: number, z: number}>} - The positions, if they are cheaper to list
+ * than to find by testing every position in the bounds.
+ * @property {IRegion} bounds - A box that holds every position of the shape.
+ * @example
+ * const dome = IShape.sphere(new IVec3(0, 64, 0), 12, { hollow: true })
+ *     .intersect(IShape.box(new IVec3(-12, 64, -12), new IVec3(12, 76, 12)));
+ * overworld.fill("glass", dome);
+ *
+ * const arena = IShape.cylinder(new IVec3(100, 64, 100), 20, 8, { hollow: true, thickness: 2 });
+ * arena.volume(); // How many blocks it takes
+ */
+export class IShape {
+    constructor(bounds, contains, positions = null) {
+        this.bounds = bounds;
+        this.test = contains;
+        this.list = positions;
+    }
+
+    /**
+     * @name box
+     * @param {IVec3|{x: number, y: number, z: number}} startVec3 - One corner.
+     * @param {IVec3|{x: number, y: number, z: number}} endVec3 - The opposite corner.
+     * @param {{hollow?: boolean, thickness?: number}} [options] - See hollow.
+     * @returns {IShape}
+     */
+    static box(startVec3, endVec3, options = {}) {
+        const region = new IRegion(startVec3, endVec3);
+        return withOptions(new IShape(region, (pos) => region.contains(pos)), options);
+    }
+
+    /**
+     * @name sphere
+     * @param {IVec3|{x: number, y: number, z: number}} center - The centre block.
+     * @param {number} radius - The radius in blocks.
+     * @param {{hollow?: boolean, thickness?: number}} [options] - See hollow.
+     * @example
+     * overworld.fill("stone", IShape.sphere(new IVec3(0, 80, 0), 6));
+     * @returns {IShape}
+     */
+    static sphere(center, radius, options = {}) {
+        return IShape.ellipsoid(center, { x: radius, y: radius, z: radius }, options);
+    }
+
+    /**
+     * @name ellipsoid
+     * @param {IVec3|{x: number, y: number, z: number}} center - The centre block.
+     * @param {IVec3|{x: number, y: number, z: number}} radii - The radius along each axis.
+     * @param {{hollow?: boolean, thickness?: number}} [options] - See hollow.
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if a radius is negative.
+     */
+    static ellipsoid(center, radii, options = {}) {
+        const c = blockOf(center);
+        AXES.forEach((axis) => assertSize(radii[axis], "Radius"));
+        const r = { x: radii.x + 0.5, y: radii.y + 0.5, z: radii.z + 0.5 };
+        return withOptions(new IShape(
+            IRegion.fromCenter(c, { x: Math.floor(r.x), y: Math.floor(r.y), z: Math.floor(r.z) }),
+            (pos) => ((pos.x - c.x) / r.x) ** 2 + ((pos.y - c.y) / r.y) ** 2 + ((pos.z - c.z) / r.z) ** 2 <= 1
+        ), options);
+    }
+
+    /**
+     * @name cylinder
+     * @param {IVec3|{x: number, y: number, z: number}} base - The centre block of the bottom (or of the lowest end along the axis).
+     * @param {number} radius - The radius in blocks.
+     * @param {number} height - The length in blocks, at least 1.
+     * @param {{axis?: "x"|"y"|"z", hollow?: boolean, thickness?: number}} [options] - The axis it stands along (default "y");
+     * for hollow and thickness see hollow. A hollow cylinder is closed at both ends.
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if the radius or height is out of range or the axis is unknown.
+     */
+    static cylinder(base, radius, height, options = {}) {
+        return IShape.cone(base, radius, height, { ...options, topRadius: radius });
+    }
+
+    /**
+     * @name cone
+     * @description A cone standing on its base, narrowing to a point (or to topRadius, for a truncated cone) at the top.
+     * @param {IVec3|{x: number, y: number, z: number}} base - The centre block of the base.
+     * @param {number} radius - The radius of the base.
+     * @param {number} height - The length in blocks, at least 1.
+     * @param {{axis?: "x"|"y"|"z", topRadius?: number, hollow?: boolean, thickness?: number}} [options] - The axis it stands along
+     * (default "y"), the radius of the top layer (default 0), and see hollow.
+     * @example
+     * overworld.fill("spruce_leaves", IShape.cone(new IVec3(0, 70, 0), 4, 9)); // A tree top
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if the radius or height is out of range or the axis is unknown.
+     */
+    static cone(base, radius, height, options = {}) {
+        const c = blockOf(base);
+        const axis = options.axis || "y";
+        const topRadius = options.topRadius || 0;
+        assertAxis(axis);
+        assertSize(radius, "Radius");
+        assertSize(topRadius, "Top radius");
+        assertHeight(height);
+        const [u, v] = AXES.filter((other) => other !== axis);
+        const reach = Math.floor(Math.max(radius, topRadius) + 0.5);
+        const end = { ...c, [axis]: c[axis] + height - 1 };
+        const bounds = new IRegion(
+            { ...c, [u]: c[u] - reach, [v]: c[v] - reach },
+            { ...end, [u]: c[u] + reach, [v]: c[v] + reach }
+        );
+        return withOptions(new IShape(bounds, (pos) => {
+            const layer = pos[axis] - c[axis];
+            if (layer < 0 || layer >= height) return false;
+            // Layers step evenly from the base radius to the top radius
+            const r = height === 1 ? radius : radius + (topRadius - radius) * layer / (height - 1);
+            return (pos[u] - c[u]) ** 2 + (pos[v] - c[v]) ** 2 <= (r + 0.5) ** 2;
+        }), options);
+    }
+
+    /**
+     * @name pyramid
+     * @description A stepped pyramid with a square base, standing upright.
+     * @param {IVec3|{x: number, y: number, z: number}} base - The centre block of the base.
+     * @param {number} radius - How far the base reaches out from the centre, so the base is 2 * radius + 1 blocks wide.
+     * @param {number} [height] - The height in blocks (default radius + 1, which steps in by one block per layer).
+     * @param {{hollow?: boolean, thickness?: number}} [options] - See hollow.
+     * @example
+     * overworld.fill("sandstone", IShape.pyramid(new IVec3(0, 64, 0), 20));
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if the radius or height is out of range.
+     */
+    static pyramid(base, radius, height = Math.floor(radius) + 1, options = {}) {
+        const c = blockOf(base);
+        assertSize(radius, "Radius");
+        assertHeight(height);
+        const reach = Math.floor(radius);
+        const bounds = new IRegion({ x: c.x - reach, y: c.y, z: c.z - reach }, { x: c.x + reach, y: c.y + height - 1, z: c.z + reach });
+        return withOptions(new IShape(bounds, (pos) => {
+            const layer = pos.y - c.y;
+            if (layer < 0 || layer >= height) return false;
+            const half = Math.floor(radius * (height - layer) / height);
+            return Math.abs(pos.x - c.x) <= half && Math.abs(pos.z - c.z) <= half;
+        }), options);
+    }
+
+    /**
+     * @name torus
+     * @description A ring lying flat, like a doughnut.
+     * @param {IVec3|{x: number, y: number, z: number}} center - The centre block of the ring.
+     * @param {number} majorRadius - The distance from the centre to the middle of the tube.
+     * @param {number} minorRadius - The radius of the tube.
+     * @param {{hollow?: boolean, thickness?: number}} [options] - See hollow.
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if a radius is negative.
+     */
+    static torus(center, majorRadius, minorRadius, options = {}) {
+        const c = blockOf(center);
+        assertSize(majorRadius, "Major radius");
+        assertSize(minorRadius, "Minor radius");
+        const reach = Math.floor(majorRadius + minorRadius + 0.5);
+        const bounds = IRegion.fromCenter(c, { x: reach, y: Math.floor(minorRadius + 0.5), z: reach });
+        return withOptions(new IShape(bounds, (pos) => {
+            const ring = Math.hypot(pos.x - c.x, pos.z - c.z) - majorRadius;
+            return ring ** 2 + (pos.y - c.y) ** 2 <= (minorRadius + 0.5) ** 2;
+        }), options);
+    }
+
+    /**
+     * @name line
+     * @description A straight line through two or more points, one segment after another (see MathUtils.blockLine).
+     * @param {Array<IVec3|{x: number, y: number, z: number}>} points - The points to join, at least two.
+     * @param {{thickness?: number}} [options] - The width of the line in blocks (default 1). Thicker lines are round.
+     * @example
+     * overworld.fill("iron_bars", IShape.line([tower1, tower2, tower3], { thickness: 1 }));
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if there are fewer than two points or the thickness is below 1.
+     */
+    static line(points, options = {}) {
+        const thickness = options.thickness === undefined ? 1 : options.thickness;
+        assertPoints(points);
+        assertThickness(thickness);
+        const r = (thickness - 1) / 2;
+        const reach = Math.ceil(r);
+        const brush = [];
+        for (let x = -reach; x <= reach; x++) {
+            for (let y = -reach; y <= reach; y++) {
+                for (let z = -reach; z <= reach; z++) {
+                    if (x * x + y * y + z * z <= (r + 0.5) ** 2) brush.push({ x, y, z });
+                }
+            }
+        }
+        return fromPath(points, () => brush);
+    }
+
+    /**
+     * @name wall
+     * @description A wall standing on a line through two or more points, so it can follow the ground or turn corners.
+     * @param {Array<IVec3|{x: number, y: number, z: number}>} points - The corners of the bottom edge, at least two.
+     * @param {number} height - The height in blocks, at least 1.
+     * @param {{thickness?: number}} [options] - The thickness in blocks (default 1).
+     * @example
+     * // A closed wall around a square
+     * overworld.fill("cobblestone_wall", IShape.wall([a, b, c, d, a], 4));
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if there are fewer than two points or the height or thickness is below 1.
+     */
+    static wall(points, height, options = {}) {
+        const thickness = options.thickness === undefined ? 1 : options.thickness;
+        assertPoints(points);
+        assertHeight(height);
+        assertThickness(thickness);
+        // Walls thicken sideways only, one side first, so even thicknesses are exact and the ends stay where the points are
+        const low = -Math.floor((thickness - 1) / 2);
+        const high = Math.ceil((thickness - 1) / 2);
+        const brushes = { x: [], z: [] };
+        for (let side = low; side <= high; side++) {
+            for (let y = 0; y < height; y++) {
+                brushes.x.push({ x: side, y, z: 0 });
+                brushes.z.push({ x: 0, y, z: side });
+            }
+        }
+        return fromPath(points, (start, end) => (Math.abs(end.x - start.x) >= Math.abs(end.z - start.z) ? brushes.z : brushes.x));
+    }
+
+    /**
+     * @name contains
+     * @param {IVec3|{x: number, y: number, z: number}} pos - The position. Coordinates are floored.
+     * @returns {boolean} - Whether the block at the position is part of the shape.
+     */
+    contains(pos) {
+        const block = blockOf(pos);
+        return this.bounds.contains(block) && this.test(block);
+    }
+
+    /**
+     * @name positions
+     * @description Lazily yields every position of the shape once.
+     * @returns {Generator<{x: number, y: number, z: number}>}
+     */
+    *positions() {
+        if (this.list) {
+            yield* this.list();
+            return;
+        }
+        for (const pos of this.bounds.positions()) {
+            if (this.test(pos)) yield pos;
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.positions();
+    }
+
+    /**
+     * @name volume
+     * @description Counts the positions. Solid shapes are counted by testing every position in their bounds.
+     * @returns {number}
+     */
+    volume() {
+        let count = 0;
+        for (const _ of this.positions()) count++;
+        return count;
+    }
+
+    /**
+     * @name hollow
+     * @description Keeps only the outside layer of the shape: positions within thickness blocks of a position outside it.
+     * @param {number} [thickness=1] - How thick the outside layer is.
+     * @example
+     * IShape.sphere(center, 10).hollow(2); // A sphere with walls two blocks thick
+     * @returns {IShape}
+     * @throws {Error} - Throws an error if the thickness is below 1.
+     */
+    hollow(thickness = 1) {
+        assertThickness(thickness);
+        const reach = Math.floor(thickness);
+        const offsets = [];
+        for (let x = -reach; x <= reach; x++) {
+            for (let y = -reach; y <= reach; y++) {
+                for (let z = -reach; z <= reach; z++) {
+                    const distance = Math.abs(x) + Math.abs(y) + Math.abs(z);
+                    if (distance > 0 && distance <= reach) offsets.push({ x, y, z });
+                }
+            }
+        }
+        const inside = (pos) => this.bounds.contains(pos) && this.test(pos);
+        const onShell = (pos) => offsets.some((offset) => !inside({ x: pos.x + offset.x, y: pos.y + offset.y, z: pos.z + offset.z }));
+        const list = this.list;
+        return new IShape(this.bounds, (pos) => this.test(pos) && onShell(pos), list && function* () {
+            for (const pos of list()) {
+                if (onShell(pos)) yield pos;
+            }
+        });
+    }
+
+    /**
+     * @name translate
+     * @param {IVec3|{x: number, y: number, z: number}} offset - How far to move the shape. Coordinates are floored.
+     * @returns {IShape} - The same shape, moved.
+     */
+    translate(offset) {
+        const d = blockOf(offset);
+        const list = this.list;
+        return new IShape(this.bounds.translate(d), (pos) => this.test({ x: pos.x - d.x, y: pos.y - d.y, z: pos.z - d.z }), list && function* () {
+            for (const pos of list()) yield { x: pos.x + d.x, y: pos.y + d.y, z: pos.z + d.z };
+        });
+    }
+
+    /**
+     * @name union
+     * @param {IShape} shape - The other shape.
+     * @returns {IShape} - The positions in either shape.
+     */
+    union(shape) {
+        const bounds = this.bounds.union(shape.bounds);
+        return new IShape(bounds, (pos) => this.contains(pos) || shape.contains(pos));
+    }
+
+    /**
+     * @name intersect
+     * @param {IShape} shape - The other shape.
+     * @returns {IShape} - The positions in both shapes. Empty shapes keep the bounds of the first one.
+     */
+    intersect(shape) {
+        const bounds = this.bounds.intersection(shape.bounds) || this.bounds;
+        return new IShape(bounds, (pos) => this.contains(pos) && shape.contains(pos));
+    }
+
+    /**
+     * @name subtract
+     * @param {IShape} shape - The shape to cut out.
+     * @returns {IShape} - The positions in this shape but not the other.
+     */
+    subtract(shape) {
+        return new IShape(this.bounds, (pos) => this.test(pos) && !shape.contains(pos));
+    }
+}
+
+/**
+ * @name fromPath
+ * @param {function({x: number, y: number, z: number}, {x: number, y: number, z: number}): Array<{x: number, y: number, z: number}>} brushFor
+ * Gives the offsets to stamp on each block of the segment between two points.
+ * @returns {IShape} - The blocks on the lines through the points, with the brush stamped on each one.
+ */
+function fromPath(points, brushFor) {
+    const positions = new Map();
+    for (let i = 1; i < points.length; i++) {
+        const brush = brushFor(points[i - 1], points[i]);
+        for (const pos of MathUtils.blockLine(points[i - 1], points[i])) {
+            for (const offset of brush) {
+                const block = { x: pos.x + offset.x, y: pos.y + offset.y, z: pos.z + offset.z };
+                positions.set(`${block.x},${block.y},${block.z}`, block);
+            }
+        }
+    }
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const pos of positions.values()) {
+        for (const axis of AXES) {
+            min[axis] = Math.min(min[axis], pos[axis]);
+            max[axis] = Math.max(max[axis], pos[axis]);
+        }
+    }
+    return new IShape(new IRegion(min, max), (pos) => positions.has(`${pos.x},${pos.y},${pos.z}`), () => positions.values());
+}
+
+/**
+ * @name withOptions
+ * @returns {IShape} - The shape, hollowed out if options.hollow is set.
+ */
+function withOptions(shape, options) {
+    return options.hollow ? shape.hollow(options.thickness === undefined ? 1 : options.thickness) : shape;
+}
+
+/**
+ * @name blockOf
+ * @returns {{x: number, y: number, z: number}} - The block position, floored.
+ * @throws {TypeError} - Throws an error if the position is not an object with x, y, and z properties.
+ */
+function blockOf(pos) {
+    if (typeof pos !== "object" || pos === null || !("x" in pos && "y" in pos && "z" in pos)) {
+        throw new TypeError("Position must be an IVec3 object or an object with x, y, and z properties.");
+    }
+    return { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z) };
+}
+
+function assertSize(value, name) {
+    if (typeof value !== "number" || !(value >= 0) || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a number of at least 0, got ${value}.`);
+    }
+}
+
+function assertHeight(height) {
+    if (!Number.isInteger(height) || height < 1) {
+        throw new Error(`Height must be a whole number of at least 1, got ${height}.`);
+    }
+}
+
+function assertThickness(thickness) {
+    if (!Number.isInteger(thickness) || thickness < 1) {
+        throw new Error(`Thickness must be a whole number of at least 1, got ${thickness}.`);
+    }
+}
+
+function assertAxis(axis) {
+    if (!AXES.includes(axis)) {
+        throw new Error(`Invalid axis '${axis}'. Must be one of: ${AXES.join(", ")}.`);
+    }
+}
+
+function assertPoints(points) {
+    if (!Array.isArray(points) || points.length < 2) {
+        throw new Error("A line needs at least two points.");
+    }
+    points.forEach(blockOf);
+}
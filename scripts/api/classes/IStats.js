@@ -0,0 +1,222 @@
+import * as mc from "@minecraft/server";
+import { IList } from "./IList";
+
+/**
+ * @class IStats
+ * @description An IList of numbers with rolling statistics per key. Only the samples that were actually pushed
+ * count, so the zero padding of a new window never drags the numbers down. Every push also records the tick it
+ * happened on, for rates, and updates an exponential moving average that covers more history than the window.
+ * @constructor {number} maxSize - How many samples each key keeps.
+ * @constructor {{alpha?: number}} [options] - alpha is the weight of a new sample in the moving average (default 0.3).
+ * @property {number} alpha - The moving average weight.
+ * @example
+ * const speeds = new IStats(40);
+ * if (speeds.isOutlier(horizontalSpeed, player.id, 4)) {
+ *     console.warn(`${player.name} moved at ${horizontalSpeed}, average is ${speeds.mean(player.id).toFixed(2)}`);
+ * }
+ * speeds.push(horizontalSpeed, player.id);
+ *
+ * const clicks = new IStats(100);
+ * clicks.push(1, player.id); // On every click
+ * clicks.rate(player.id); // Clicks in the last second
+ */
+export class IStats extends IList {
+    constructor(maxSize, options = {}) {
+        super(maxSize);
+        const alpha = options.alpha === undefined ? 0.3 : options.alpha;
+        if (typeof alpha !== "number" || alpha <= 0 || alpha > 1) {
+            throw new Error("Moving average alpha must be a number above 0 and at most 1.");
+        }
+        this.alpha = alpha;
+        /** @type {Map<string, number[]>} */
+        this.ticks = new Map();
+        /** @type {Map<string, number>} */
+        this.averages = new Map();
+    }
+
+    /**
+     * @name push
+     * @description Adds a sample to a key's window, recording the current tick and updating its moving average.
+     * @param {number} value - The sample.
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {void}
+     * @throws {TypeError} - Throws a TypeError if the value is not a finite number.
+     */
+    push(value, key = this.most_recent_key) {
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+            throw new TypeError("IStats samples must be finite numbers.");
+        }
+        super.push(value, key);
+        key = this.most_recent_key;
+        const ticks = this.ticks.get(key) || [];
+        ticks.push(mc.system.currentTick);
+        if (ticks.length > this.maxSize) ticks.shift();
+        this.ticks.set(key, ticks);
+        this.averages.set(key, this.averages.has(key) ? this.alpha * value + (1 - this.alpha) * this.averages.get(key) : value);
+    }
+
+    /**
+     * @name removeData
+     * @description Removes a key's samples, or everything if no key is given.
+     * @param {string} [key] - The key.
+     * @returns {boolean|undefined}
+     */
+    removeData(key = null) {
+        if (key) {
+            this.ticks.delete(key);
+            this.averages.delete(key);
+        } else {
+            this.ticks.clear();
+            this.averages.clear();
+        }
+        return super.removeData(key);
+    }
+
+    /**
+     * @name clear
+     * @returns {void}
+     */
+    clear() {
+        super.clear();
+        this.ticks.clear();
+        this.averages.clear();
+    }
+
+    /**
+     * @name sum
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The sum of the samples, 0 if there are none.
+     */
+    sum(key = this.most_recent_key) {
+        return this.samples(key).reduce((total, value) => total + value, 0);
+    }
+
+    /**
+     * @name mean
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The average of the samples, NaN if there are none.
+     */
+    mean(key = this.most_recent_key) {
+        const count = this.getCount(key);
+        return count === 0 ? NaN : this.sum(key) / count;
+    }
+
+    /**
+     * @name median
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The middle sample, NaN if there are none.
+     */
+    median(key = this.most_recent_key) {
+        return this.percentile(50, key);
+    }
+
+    /**
+     * @name min
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The smallest sample, NaN if there are none.
+     */
+    min(key = this.most_recent_key) {
+        const samples = this.samples(key);
+        return samples.length === 0 ? NaN : Math.min(...samples);
+    }
+
+    /**
+     * @name max
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The largest sample, NaN if there are none.
+     */
+    max(key = this.most_recent_key) {
+        const samples = this.samples(key);
+        return samples.length === 0 ? NaN : Math.max(...samples);
+    }
+
+    /**
+     * @name stdDev
+     * @description The population standard deviation of the samples.
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The standard deviation, NaN if there are no samples.
+     */
+    stdDev(key = this.most_recent_key) {
+        const mean = this.mean(key);
+        if (Number.isNaN(mean)) return NaN;
+        const samples = this.samples(key);
+        return Math.sqrt(samples.reduce((total, value) => total + (value - mean) ** 2, 0) / samples.length);
+    }
+
+    /**
+     * @name percentile
+     * @description Linear interpolation between the closest samples, so percentile(50) of [1, 2, 3, 4] is 2.5.
+     * @param {number} p - The percentile, 0 to 100.
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @example
+     * pings.percentile(95, player.id); // 95% of samples are at or below this
+     * @returns {number} - The percentile, NaN if there are no samples.
+     * @throws {Error} - Throws an error if p is outside of 0-100.
+     */
+    percentile(p, key = this.most_recent_key) {
+        if (typeof p !== "number" || p < 0 || p > 100) {
+            throw new Error("Percentile must be a number from 0 to 100.");
+        }
+        const sorted = this.samples(key).sort((a, b) => a - b);
+        if (sorted.length === 0) return NaN;
+        const index = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(index);
+        const upper = Math.ceil(index);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+    }
+
+    /**
+     * @name rate
+     * @description How many samples per second were pushed over the last `seconds` seconds, from their tick timestamps.
+     * The window can only look back as far as the oldest sample it still holds.
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @param {number} [seconds=1] - How far to look back.
+     * @example
+     * clicks.rate(player.id); // Clicks per second
+     * breaks.rate(player.id, 5); // Average blocks broken per second over 5 seconds
+     * @returns {number} - Samples per second.
+     */
+    rate(key = this.most_recent_key, seconds = 1) {
+        const since = mc.system.currentTick - seconds * 20;
+        const ticks = this.ticks.get(key) || [];
+        return ticks.filter((tick) => tick > since).length / seconds;
+    }
+
+    /**
+     * @name ema
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The exponential moving average of every sample pushed, NaN if there are none.
+     */
+    ema(key = this.most_recent_key) {
+        return this.averages.has(key) ? this.averages.get(key) : NaN;
+    }
+
+    /**
+     * @name zScore
+     * @description How many standard deviations a value is from the mean of a key's samples.
+     * @param {number} value - The value to score, usually a new sample before it is pushed.
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @returns {number} - The z-score. 0 if all samples are equal and so is the value, ±Infinity if only the value differs, NaN with no samples.
+     */
+    zScore(value, key = this.most_recent_key) {
+        const mean = this.mean(key);
+        const deviation = this.stdDev(key);
+        if (deviation === 0) return value === mean ? 0 : Math.sign(value - mean) * Infinity;
+        return (value - mean) / deviation;
+    }
+
+    /**
+     * @name isOutlier
+     * @description Checks if a value is unusually far from a key's samples. Windows with fewer than `minSamples`
+     * samples never report outliers, since a handful of samples says little about what is normal.
+     * @param {number} value - The value to check.
+     * @param {string} [key] - The key, defaults to the most recent key.
+     * @param {number} [threshold=3] - How many standard deviations count as unusual.
+     * @param {number} [minSamples=10] - How many samples are needed before anything counts as unusual.
+     * @returns {boolean}
+     */
+    isOutlier(value, key = this.most_recent_key, threshold = 3, minSamples = 10) {
+        if (this.getCount(key) < minSamples) return false;
+        return Math.abs(this.zScore(value, key)) > threshold;
+    }
+}
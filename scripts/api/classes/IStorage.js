@@ -0,0 +1,328 @@
+import * as mc from "@minecraft/server";
+
+// Dynamic property strings are capped at 32767 characters; shards stay safely below that.
+const SHARD_SIZE = 32000;
+// JSON never starts with "#", so a value starting with this is a shard header.
+const SHARD_HEADER = "#shards:";
+const VERSION_KEY = "__version";
+const TYPES = ["string", "number", "boolean", "object", "array"];
+
+/**
+ * @typedef {Object} IStorageField
+ * @property {"string"|"number"|"boolean"|"object"|"array"} type - The type of the value.
+ * @property {*} [default] - Returned by get() when nothing is stored. Copied, so it is safe to mutate.
+ * @property {function(*): (boolean|string)} [validate] - Extra validation. Return false or an error message to reject a value.
+ */
+
+/**
+ * @class IStorage
+ * @description Persistent key-value storage over world or entity dynamic properties. Values are stored as JSON under
+ * "namespace:key", and values too long for one dynamic property are split across several transparently.
+ * With a schema, only declared keys can be used and every value is validated before it is written.
+ * With a version and migrations, stored data is upgraded the first time the storage is used.
+ * @constructor namespace {string} - Prefix for every property, e.g. "economy". Must not contain ":" or "#".
+ * @constructor options {{target?: mc.World|mc.Entity, schema?: Object<string, IStorageField>, version?: number, migrations?: Object<number, function(IStorage): void>}}
+ * target defaults to mc.world. migrations[n] upgrades data from version n - 1 to n.
+ * @property {string} namespace - The property prefix.
+ * @property {number} version - The current data version.
+ * @example
+ * const accounts = new IStorage("economy", {
+ *     schema: {
+ *         balance: { type: "number", default: 0, validate: (value) => value >= 0 || "Balance cannot be negative." },
+ *         history: { type: "array", default: [] }
+ *     },
+ *     version: 2,
+ *     migrations: {
+ *         // Version 1 stored balances as strings
+ *         2: (storage) => storage.set("balance", Number(storage.getRaw("balance")))
+ *     }
+ * });
+ * accounts.set("balance", accounts.get("balance") + 100);
+ *
+ * // Per-player storage
+ * const stats = new IStorage("stats", { target: player, schema: { kills: { type: "number", default: 0 } } });
+ */
+export class IStorage {
+    constructor(namespace, options = {}) {
+        if (typeof namespace !== "string" || namespace.length === 0 || /[:#]/.test(namespace)) {
+            throw new TypeError("Storage namespace must be a non-empty string without ':' or '#'.");
+        }
+        for (const [key, field] of Object.entries(options.schema || {})) {
+            if (!TYPES.includes(field.type)) {
+                throw new Error(`Schema field '${key}' has an invalid type '${field.type}'. Must be one of: ${TYPES.join(", ")}.`);
+            }
+        }
+        this.namespace = namespace;
+        this.target = options.target || mc.world;
+        this.schema = options.schema || null;
+        this.version = options.version || 1;
+        this.migrations = options.migrations || {};
+        this.migrated = false;
+        this.migrating = false;
+    }
+
+    /**
+     * @name get
+     * @description Reads a value, or the schema default if nothing is stored.
+     * @param {string} key - The key to read.
+     * @example
+     * const balance = accounts.get("balance"); // 0 if never set
+     * @returns {*} - The stored value, the default, or undefined.
+     * @throws {Error} - Throws an error if the key is not in the schema.
+     */
+    get(key) {
+        this.migrate();
+        const field = this.field(key);
+        const value = this.getRaw(key);
+        if (value === undefined) {
+            return field && field.default !== undefined ? copy(field.default) : undefined;
+        }
+        return value;
+    }
+
+    /**
+     * @name set
+     * @description Validates and writes a value. Setting undefined deletes the key.
+     * @param {string} key - The key to write.
+     * @param {*} value - Any JSON-serialisable value.
+     * @example
+     * accounts.set("balance", 250);
+     * accounts.set("balance", -5); // Throws "Balance cannot be negative."
+     * @returns {void}
+     * @throws {Error} - Throws an error if the key is not in the schema or the value fails validation.
+     * @throws {TypeError} - Throws a TypeError if the value does not match the schema type.
+     */
+    set(key, value) {
+        this.migrate();
+        if (value === undefined) {
+            this.delete(key);
+            return;
+        }
+        this.check(key, value);
+        this.setRaw(key, value);
+    }
+
+    /**
+     * @name update
+     * @description Reads a value, passes it to a function and writes back what the function returns.
+     * @param {string} key - The key to update.
+     * @param {function(*): *} updater - Gets the current value (or default) and returns the new one.
+     * @example
+     * accounts.update("balance", (balance) => balance + 10);
+     * @returns {*} - The new value.
+     */
+    update(key, updater) {
+        const value = updater(this.get(key));
+        this.set(key, value);
+        return value;
+    }
+
+    /**
+     * @name has
+     * @param {string} key - The key to check.
+     * @returns {boolean} - Whether a value is stored for the key. Defaults don't count.
+     */
+    has(key) {
+        this.migrate();
+        return this.target.getDynamicProperty(this.propertyId(key)) !== undefined;
+    }
+
+    /**
+     * @name delete
+     * @description Removes a value and all of its shards.
+     * @param {string} key - The key to remove.
+     * @returns {boolean} - Whether a value was stored.
+     */
+    delete(key) {
+        this.migrate();
+        const existed = this.has(key);
+        this.clearShards(key, 0);
+        this.target.setDynamicProperty(this.propertyId(key), undefined);
+        return existed;
+    }
+
+    /**
+     * @name keys
+     * @returns {string[]} - Every key with a stored value in this namespace.
+     */
+    keys() {
+        const prefix = `${this.namespace}:`;
+        return this.target.getDynamicPropertyIds()
+            .filter((id) => id.startsWith(prefix) && !id.includes("#"))
+            .map((id) => id.slice(prefix.length))
+            .filter((key) => key !== VERSION_KEY);
+    }
+
+    /**
+     * @name clear
+     * @description Removes every value in this namespace. The data version is kept.
+     * @returns {void}
+     */
+    clear() {
+        for (const key of this.keys()) this.delete(key);
+    }
+
+    /**
+     * Raw functions, used by migrations (no schema checks and no migration)
+     */
+
+    /**
+     * @name getRaw
+     * @description Reads and parses a stored value, joining its shards if it has any.
+     * @param {string} key - The key to read.
+     * @returns {*} - The stored value, or undefined.
+     * @throws {Error} - Throws an error if the stored data is corrupt.
+     */
+    getRaw(key) {
+        const stored = this.target.getDynamicProperty(this.propertyId(key));
+        if (stored === undefined) return undefined;
+        let json = stored;
+        if (typeof stored === "string" && stored.startsWith(SHARD_HEADER)) {
+            const count = Number(stored.slice(SHARD_HEADER.length));
+            json = "";
+            for (let i = 0; i < count; i++) {
+                const shard = this.target.getDynamicProperty(this.propertyId(key, i));
+                if (typeof shard !== "string") {
+                    throw new Error(`Storage '${this.namespace}' key '${key}' is missing shard ${i} of ${count}.`);
+                }
+                json += shard;
+            }
+        }
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Storage '${this.namespace}' key '${key}' holds invalid data: ${error.message}`);
+        }
+    }
+
+    /**
+     * @name setRaw
+     * @description Serialises and writes a value, splitting it into shards if it is too long for one property.
+     * The first write to a namespace with no stored version stamps the current one.
+     * @param {string} key - The key to write.
+     * @param {*} value - Any JSON-serialisable value.
+     * @returns {void}
+     */
+    setRaw(key, value) {
+        if (typeof key !== "string" || key.length === 0 || key.includes("#")) {
+            throw new TypeError("Storage key must be a non-empty string without '#'.");
+        }
+        const versionId = this.propertyId(VERSION_KEY);
+        if (!this.migrating && this.target.getDynamicProperty(versionId) === undefined) {
+            this.target.setDynamicProperty(versionId, this.version);
+        }
+        const json = JSON.stringify(value);
+        if (json.length <= SHARD_SIZE) {
+            this.clearShards(key, 0);
+            this.target.setDynamicProperty(this.propertyId(key), json);
+            return;
+        }
+        const count = Math.ceil(json.length / SHARD_SIZE);
+        for (let i = 0; i < count; i++) {
+            this.target.setDynamicProperty(this.propertyId(key, i), json.slice(i * SHARD_SIZE, (i + 1) * SHARD_SIZE));
+        }
+        this.clearShards(key, count);
+        this.target.setDynamicProperty(this.propertyId(key), `${SHARD_HEADER}${count}`);
+    }
+
+    /**
+     * @name migrate
+     * @description Runs the migrations between the stored data version and the current one, once per storage instance.
+     * Called automatically before the first read or write. Data with no stored version is treated as version 1,
+     * unless the namespace is empty, in which case the current version is stamped with the first write.
+     * Nothing is written when the data is already current, so reads work where the world is read-only (before events).
+     * @returns {void}
+     * @throws {Error} - Throws an error if the stored data is newer than this version, or if a migration throws.
+     * A failed migration is retried on the next use.
+     */
+    migrate() {
+        if (this.migrated || this.migrating) return;
+        const versionId = this.propertyId(VERSION_KEY);
+        const current = this.target.getDynamicProperty(versionId);
+        const stored = current !== undefined ? current : this.keys().length > 0 ? 1 : this.version;
+        if (stored > this.version) {
+            throw new Error(`Storage '${this.namespace}' holds version ${stored} data, newer than version ${this.version}.`);
+        }
+        if (stored !== this.version) {
+            this.migrating = true;
+            try {
+                for (let version = stored + 1; version <= this.version; version++) {
+                    if (typeof this.migrations[version] === "function") {
+                        this.migrations[version](this);
+                    }
+                    this.target.setDynamicProperty(versionId, version);
+                }
+            } finally {
+                this.migrating = false;
+            }
+        }
+        this.migrated = true;
+    }
+
+    /**
+     * @name field
+     * @param {string} key - The key to look up.
+     * @returns {IStorageField|null} - The schema field, or null if there is no schema.
+     * @throws {Error} - Throws an error if there is a schema and the key is not in it.
+     */
+    field(key) {
+        if (!this.schema) return null;
+        if (!Object.prototype.hasOwnProperty.call(this.schema, key)) {
+            throw new Error(`Key '${key}' is not in the schema of storage '${this.namespace}'.`);
+        }
+        return this.schema[key];
+    }
+
+    /**
+     * @name check
+     * @description Validates a value against the schema field of its key.
+     * @param {string} key - The key of the value.
+     * @param {*} value - The value to validate.
+     * @returns {void}
+     */
+    check(key, value) {
+        const field = this.field(key);
+        if (!field) return;
+        const type = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+        if (type !== field.type || (type === "number" && !Number.isFinite(value))) {
+            throw new TypeError(`Storage '${this.namespace}' key '${key}' must be of type ${field.type}, got ${type}.`);
+        }
+        if (typeof field.validate === "function") {
+            const result = field.validate(value);
+            if (result !== true && result !== undefined) {
+                throw new Error(typeof result === "string" ? result : `Invalid value for storage '${this.namespace}' key '${key}'.`);
+            }
+        }
+    }
+
+    /**
+     * @name propertyId
+     * @param {string} key - The storage key.
+     * @param {number} [shard] - The shard index.
+     * @returns {string} - The dynamic property id of a key or one of its shards.
+     */
+    propertyId(key, shard) {
+        return shard === undefined ? `${this.namespace}:${key}` : `${this.namespace}:${key}#${shard}`;
+    }
+
+    /**
+     * @name clearShards
+     * @description Removes the shards of a key from index `from` upwards.
+     * @param {string} key - The storage key.
+     * @param {number} from - The first shard to remove.
+     * @returns {void}
+     */
+    clearShards(key, from) {
+        for (let i = from; this.target.getDynamicProperty(this.propertyId(key, i)) !== undefined; i++) {
+            this.target.setDynamicProperty(this.propertyId(key, i), undefined);
+        }
+    }
+}
+
+/**
+ * @name copy
+ * @returns {*} - A deep copy of a JSON value.
+ */
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,339 @@
+import * as mc from "@minecraft/server";
+import { IVec3 } from "./IVec3";
+import { IDimension } from "./IDimension";
+import { IBlockJob } from "./IBlockJob";
+import { IEditSession } from "./IEditSession";
+import { IRegion } from "./IRegion";
+
+/**
+ * @class IStructure
+ * @description A snapshot of a cuboid of blocks (type ids and block states) that can be rotated, mirrored, serialised and pasted.
+ * Blocks are stored as indexes into a palette of unique block types, in x, then y, then z order.
+ * Instances are immutable: rotate() and mirror() return new structures.
+ * @constructor size {IVec3|{x: number, y: number, z: number}} - The size of the structure on each axis.
+ * @constructor palette {Array<{type: string, states: Object}>} - The unique blocks in the structure.
+ * @constructor blocks {number[]} - The palette index of every block, size.x * size.y * size.z entries.
+ * @property {IVec3} size - The size of the structure on each axis.
+ * @property {Array<{type: string, states: Object}>} palette - The unique blocks in the structure.
+ * @property {number[]} blocks - The palette index of every block.
+ * @example
+ * const overworld = new IDimension("overworld");
+ * const arena = IStructure.capture(overworld, new IVec3(0, 64, 0), new IVec3(31, 80, 31));
+ * const saved = arena.serialize(); // Store this string somewhere
+ *
+ * // Later, reset the arena
+ * IStructure.deserialize(saved).paste(overworld, new IVec3(0, 64, 0));
+ */
+export class IStructure {
+    constructor(size, palette, blocks) {
+        this.size = new IVec3(size.x, size.y, size.z);
+        if (blocks.length !== this.size.x * this.size.y * this.size.z) {
+            throw new Error(`Structure of size ${this.size.x}x${this.size.y}x${this.size.z} needs ${this.size.x * this.size.y * this.size.z} blocks, got ${blocks.length}.`);
+        }
+        this.palette = palette;
+        this.blocks = blocks;
+    }
+
+    /**
+     * @name capture
+     * @description Snapshots the blocks between two corners of a dimension. The corners can be given in any order.
+     * @param {IDimension|string} dimension - The dimension to capture from, as an IDimension or a dimension id.
+     * @param {IRegion|IVec3|{x: number, y: number, z: number}} startVec3 - One corner of the area, or the whole area as an IRegion.
+     * @param {IVec3|{x: number, y: number, z: number}} [endVec3] - The opposite corner of the area. Leave out when passing an IRegion.
+     * @example
+     * const house = IStructure.capture("overworld", new IVec3(10, 64, 10), new IVec3(20, 72, 18));
+     * house.size; // IVec3(11, 9, 9)
+     * @returns {IStructure} - The captured structure.
+     */
+    static capture(dimension, startVec3, endVec3) {
+        const source = toIDimension(dimension).getDimension();
+        const region = startVec3 instanceof IRegion ? startVec3 : new IRegion(startVec3, endVec3);
+
+        const palette = [];
+        const paletteIndex = new Map();
+        const blocks = [];
+        // IRegion iterates x, then y, then z, the same order as the blocks array
+        for (const pos of region.positions()) {
+            const permutation = source.getBlock(pos).permutation;
+            const entry = { type: permutation.type.id, states: permutation.getAllStates() };
+            const key = paletteKey(entry);
+            if (!paletteIndex.has(key)) {
+                paletteIndex.set(key, palette.length);
+                palette.push(entry);
+            }
+            blocks.push(paletteIndex.get(key));
+        }
+        return new IStructure(region.size(), palette, blocks);
+    }
+
+    /**
+     * @name deserialize
+     * @description Rebuilds a structure from a string made by serialize().
+     * @param {string} data - The serialised structure.
+     * @example
+     * const structure = IStructure.deserialize(world.getDynamicProperty("arena"));
+     * @returns {IStructure} - The structure.
+     * @throws {Error} - Throws an error if the data is not a serialised structure.
+     */
+    static deserialize(data) {
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Invalid structure data: ${error.message}`);
+        }
+        if (parsed.v !== 1 || !Array.isArray(parsed.size) || !Array.isArray(parsed.palette) || typeof parsed.blocks !== "string") {
+            throw new Error("Invalid structure data: unsupported format.");
+        }
+        const palette = parsed.palette.map(([type, states]) => ({ type, states: states || {} }));
+        const blocks = [];
+        if (parsed.blocks.length > 0) {
+            for (const run of parsed.blocks.split(",")) {
+                const [count, index] = run.includes("*") ? run.split("*").map(Number) : [1, Number(run)];
+                for (let i = 0; i < count; i++) blocks.push(index);
+            }
+        }
+        const [x, y, z] = parsed.size;
+        return new IStructure({ x, y, z }, palette, blocks);
+    }
+
+    /**
+     * @name serialize
+     * @description Serialises the structure to a compact JSON string. Runs of the same block are run-length encoded
+     * as "count*index", so large areas of air or stone take very little space.
+     * @example
+     * const data = structure.serialize(); // '{"v":1,"size":[3,1,1],"palette":[["minecraft:stone"]],"blocks":"3*0"}'
+     * @returns {string} - The serialised structure.
+     */
+    serialize() {
+        const runs = [];
+        for (let i = 0; i < this.blocks.length;) {
+            let count = 1;
+            while (i + count < this.blocks.length && this.blocks[i + count] === this.blocks[i]) count++;
+            runs.push(count === 1 ? `${this.blocks[i]}` : `${count}*${this.blocks[i]}`);
+            i += count;
+        }
+        return JSON.stringify({
+            v: 1,
+            size: [this.size.x, this.size.y, this.size.z],
+            palette: this.palette.map(({ type, states }) => Object.keys(states).length > 0 ? [type, states] : [type]),
+            blocks: runs.join(",")
+        });
+    }
+
+    /**
+     * @name getBlockAt
+     * @description Gets the block at a position relative to the structure's minimum corner.
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The relative position.
+     * @example
+     * structure.getBlockAt(new IVec3(0, 0, 0)); // { type: "minecraft:stone", states: {} }
+     * @returns {{type: string, states: Object}|undefined} - The block, or undefined if the position is outside the structure.
+     */
+    getBlockAt(vec3) {
+        if (vec3.x < 0 || vec3.y < 0 || vec3.z < 0 || vec3.x >= this.size.x || vec3.y >= this.size.y || vec3.z >= this.size.z) {
+            return undefined;
+        }
+        return this.palette[this.blocks[this.indexOf(vec3.x, vec3.y, vec3.z)]];
+    }
+
+    /**
+     * @name indexOf
+     * @returns {number} - The index into blocks of a relative position.
+     */
+    indexOf(x, y, z) {
+        return (x * this.size.y + y) * this.size.z + z;
+    }
+
+    /**
+     * @name rotate
+     * @description Rotates the structure clockwise around the y axis, as seen from above. Direction states
+     * (cardinal_direction, facing_direction, weirdo_direction, direction, block_face, torch_facing_direction,
+     * rail_direction) are turned with it, and logs and other pillars swap their x and z axes.
+     * @param {number} degrees - 90, 180 or 270. 0 and 360 return a copy.
+     * @example
+     * const turned = structure.rotate(90); // A structure facing north now faces east
+     * @returns {IStructure} - The rotated structure.
+     * @throws {Error} - Throws an error if degrees is not a multiple of 90.
+     */
+    rotate(degrees) {
+        if (typeof degrees !== "number" || degrees % 90 !== 0) {
+            throw new Error("Rotation must be a multiple of 90 degrees.");
+        }
+        const turns = ((degrees / 90) % 4 + 4) % 4;
+        let result = this;
+        for (let i = 0; i < turns; i++) {
+            const source = result;
+            const size = new IVec3(source.size.z, source.size.y, source.size.x);
+            const blocks = new Array(source.blocks.length);
+            for (let x = 0; x < source.size.x; x++) {
+                for (let y = 0; y < source.size.y; y++) {
+                    for (let z = 0; z < source.size.z; z++) {
+                        // (x, z) -> (sizeZ - 1 - z, x): north turns to east
+                        blocks[(((source.size.z - 1 - z) * size.y) + y) * size.z + x] = source.blocks[source.indexOf(x, y, z)];
+                    }
+                }
+            }
+            const palette = source.palette.map(({ type, states }) => ({ type, states: transformStates(type, states, "rotate") }));
+            result = new IStructure(size, palette, blocks);
+        }
+        return result === this ? new IStructure(this.size, this.palette.map((entry) => ({ ...entry })), [...this.blocks]) : result;
+    }
+
+    /**
+     * @name mirror
+     * @description Mirrors the structure along an axis. Mirroring along "x" swaps east and west, along "z" swaps north and south,
+     * in the blocks' direction states too.
+     * @param {"x"|"z"} axis - The axis to mirror along.
+     * @example
+     * const flipped = structure.mirror("x");
+     * @returns {IStructure} - The mirrored structure.
+     * @throws {Error} - Throws an error if the axis is not "x" or "z".
+     */
+    mirror(axis) {
+        if (axis !== "x" && axis !== "z") {
+            throw new Error("Mirror axis must be 'x' or 'z'.");
+        }
+        const blocks = new Array(this.blocks.length);
+        for (let x = 0; x < this.size.x; x++) {
+            for (let y = 0; y < this.size.y; y++) {
+                for (let z = 0; z < this.size.z; z++) {
+                    const target = axis === "x" ? this.indexOf(this.size.x - 1 - x, y, z) : this.indexOf(x, y, this.size.z - 1 - z);
+                    blocks[target] = this.blocks[this.indexOf(x, y, z)];
+                }
+            }
+        }
+        const palette = this.palette.map(({ type, states }) => ({ type, states: transformStates(type, states, axis) }));
+        return new IStructure(this.size, palette, blocks);
+    }
+
+    /**
+     * @name paste
+     * @description Places the structure with its minimum corner at the anchor. Placement is spread across ticks like IDimension.fill,
+     * and is recorded into the IEditSession transaction open when paste is called.
+     * @param {IDimension|string} dimension - The dimension to paste into, as an IDimension or a dimension id.
+     * @param {IVec3|{x: number, y: number, z: number}} anchor - Where the structure's minimum corner goes.
+     * @param {{ignoreAir?: boolean, batchSize?: number}} [options] - ignoreAir leaves the world untouched where the structure has air.
+     * @example
+     * const job = structure.paste(dimension_nether, new IVec3(0, 40, 0), { ignoreAir: true });
+     * await job.promise;
+     * @returns {IBlockJob} - The running job.
+     * @throws {Error} - If a block fails to be placed, the job's promise rejects with an error indicating the failure.
+     */
+    paste(dimension, anchor, options = {}) {
+        const target = toIDimension(dimension);
+        const permutations = this.palette.map(({ type, states }) => mc.BlockPermutation.resolve(type, states));
+        const ignored = new Set();
+        if (options.ignoreAir) {
+            this.palette.forEach(({ type }, index) => {
+                if (type === "minecraft:air") ignored.add(index);
+            });
+        }
+        let total = 0;
+        for (const index of this.blocks) {
+            if (!ignored.has(index)) total++;
+        }
+
+        const transaction = IEditSession.active;
+        const structure = this;
+        function* positions() {
+            for (let x = 0; x < structure.size.x; x++) {
+                for (let y = 0; y < structure.size.y; y++) {
+                    for (let z = 0; z < structure.size.z; z++) {
+                        const index = structure.blocks[structure.indexOf(x, y, z)];
+                        if (!ignored.has(index)) yield { x, y, z, index };
+                    }
+                }
+            }
+        }
+
+        return new IBlockJob(positions(), ({ x, y, z, index }) => {
+            const location = { x: anchor.x + x, y: anchor.y + y, z: anchor.z + z };
+            try {
+                IEditSession.runIn(transaction, () => target.setBlock(permutations[index], location));
+            } catch (error) {
+                throw new Error(`Failed to paste structure at (${location.x}, ${location.y}, ${location.z}) in dimension '${target.id}': ${error.message}`);
+            }
+        }, total, { batchSize: options.batchSize });
+    }
+}
+
+// The values of each horizontal direction state, in the order north, east, south, west
+const DIRECTION_STATES = {
+    "minecraft:cardinal_direction": ["north", "east", "south", "west"],
+    "minecraft:facing_direction": ["north", "east", "south", "west"],
+    "minecraft:block_face": ["north", "east", "south", "west"],
+    "torch_facing_direction": ["north", "east", "south", "west"],
+    "facing_direction": [2, 5, 3, 4],
+    "weirdo_direction": [3, 0, 2, 1],
+    // Fence gates, beds, repeaters and comparators; trapdoors and doors number it their own way
+    "direction": [2, 3, 0, 1]
+};
+const DIRECTION_BY_TYPE = [
+    [/trapdoor$/, [3, 0, 2, 1]],
+    [/(^minecraft:|_)door$/, [3, 0, 1, 2]]
+];
+// Where each of north, east, south, west ends up
+const DIRECTION_TURNS = {
+    rotate: [1, 2, 3, 0],
+    x: [0, 3, 2, 1],
+    z: [2, 1, 0, 3]
+};
+// States that are not a single horizontal direction, mapped value by value.
+// rail_direction: 0 north-south, 1 east-west, 2-5 ascending east, west, north, south, 6-9 curves south-east, south-west, north-west, north-east
+const STATE_TURNS = {
+    rotate: {
+        "pillar_axis": { x: "z", z: "x" },
+        "rail_direction": { 0: 1, 1: 0, 2: 5, 5: 3, 3: 4, 4: 2, 6: 7, 7: 8, 8: 9, 9: 6 }
+    },
+    x: {
+        "rail_direction": { 2: 3, 3: 2, 6: 7, 7: 6, 8: 9, 9: 8 }
+    },
+    z: {
+        "rail_direction": { 4: 5, 5: 4, 6: 9, 9: 6, 7: 8, 8: 7 }
+    }
+};
+
+/**
+ * @name transformStates
+ * @description Turns or mirrors the direction and axis states of a block, leaving every other state as is.
+ * @param {string} type - The block type id, for states that different blocks number differently.
+ * @param {Object} states - The block states.
+ * @param {"rotate"|"x"|"z"} transform - A quarter turn clockwise, or a mirror along x or z.
+ * @returns {Object} - The transformed states.
+ */
+function transformStates(type, states, transform) {
+    const result = { ...states };
+    for (const [name, value] of Object.entries(states)) {
+        let order = DIRECTION_STATES[name];
+        if (name === "direction") {
+            const override = DIRECTION_BY_TYPE.find(([pattern]) => pattern.test(type));
+            if (override) order = override[1];
+        }
+        if (order) {
+            const index = order.indexOf(value);
+            if (index !== -1) result[name] = order[DIRECTION_TURNS[transform][index]];
+            continue;
+        }
+        const mapping = STATE_TURNS[transform][name];
+        if (mapping && value in mapping) {
+            result[name] = typeof value === "number" ? Number(mapping[value]) : mapping[value];
+        }
+    }
+    return result;
+}
+
+/**
+ * @name paletteKey
+ * @returns {string} - A key identifying a block type and its states, independent of state order.
+ */
+function paletteKey({ type, states }) {
+    return `${type}${JSON.stringify(Object.keys(states).sort().map((name) => [name, states[name]]))}`;
+}
+
+/**
+ * @name toIDimension
+ * @returns {IDimension} - The given IDimension, or a new one for a dimension id.
+ */
+function toIDimension(dimension) {
+    return dimension instanceof IDimension ? dimension : new IDimension(dimension);
+}
@@ -58,7 +58,7 @@ export class IVec2 {
 
     /**
      * @name distance
-     * @param {number} x - The x-coordinate of the point to calculate the distance to.
+     * @param {number|IVec2|{x: number, y: number}} x - The x-coordinate of the point to calculate the distance to, or the point itself.
      * @param {number} y - The y-coordinate of the point to calculate the distance to.
      * @description Calculates the Euclidean distance from the current vector to the specified point (x, y).
      * @example
@@ -67,6 +67,186 @@ export class IVec2 {
      * @returns {number} - The distance from the current vector to the specified point.
      */
     distance(x, y) {
+        if (typeof x === "object" && x !== null) {
+            ({ x, y } = x);
+        }
         return Math.sqrt((x - this.x) ** 2 + (y - this.y) ** 2);
     }
+
+    /**
+     * Non-mutating functions
+     * These accept an IVec2, an mc.Vector2 or any object with x and y properties, and return a new IVec2.
+     */
+
+    /**
+     * @name from
+     * @param {IVec2|{x: number, y: number}} vec2 - The vector to copy.
+     * @example
+     * const rotation = IVec2.from(player.getRotation()); // x is pitch, y is yaw
+     * @returns {IVec2} - A new IVec2 with the same coordinates.
+     * @throws {TypeError} - Throws a TypeError if the value has no numeric x and y properties.
+     */
+    static from(vec2) {
+        if (typeof vec2 !== "object" || vec2 === null || typeof vec2.x !== "number" || typeof vec2.y !== "number") {
+            throw new TypeError("Vector must be an IVec2 or an object with numeric x and y properties.");
+        }
+        return new IVec2(vec2.x, vec2.y);
+    }
+
+    /**
+     * @name fromKey
+     * @param {string} key - A key made by key(), e.g. "3,-4".
+     * @returns {IVec2}
+     */
+    static fromKey(key) {
+        const [x, y] = key.split(",").map(Number);
+        return new IVec2(x, y);
+    }
+
+    /**
+     * @name plus
+     * @param {IVec2|{x: number, y: number}} vec2 - The vector to add.
+     * @example
+     * new IVec2(3, 4).plus({ x: 1, y: 2 }); // IVec2(4, 6)
+     * @returns {IVec2} - The sum of both vectors.
+     */
+    plus(vec2) {
+        return new IVec2(this.x + vec2.x, this.y + vec2.y);
+    }
+
+    /**
+     * @name minus
+     * @param {IVec2|{x: number, y: number}} vec2 - The vector to subtract.
+     * @returns {IVec2} - This vector minus the other.
+     */
+    minus(vec2) {
+        return new IVec2(this.x - vec2.x, this.y - vec2.y);
+    }
+
+    /**
+     * @name scale
+     * @param {number} factor - The factor to multiply both coordinates by.
+     * @returns {IVec2} - The scaled vector.
+     */
+    scale(factor) {
+        return new IVec2(this.x * factor, this.y * factor);
+    }
+
+    /**
+     * @name negate
+     * @returns {IVec2} - The vector pointing the opposite way.
+     */
+    negate() {
+        return new IVec2(-this.x, -this.y);
+    }
+
+    /**
+     * @name dot
+     * @param {IVec2|{x: number, y: number}} vec2 - The other vector.
+     * @returns {number} - The dot product.
+     */
+    dot(vec2) {
+        return this.x * vec2.x + this.y * vec2.y;
+    }
+
+    /**
+     * @name cross
+     * @description The 2D cross product: positive if the other vector is counter-clockwise from this one, negative if clockwise.
+     * @param {IVec2|{x: number, y: number}} vec2 - The other vector.
+     * @example
+     * new IVec2(1, 0).cross(new IVec2(0, 1)); // 1
+     * @returns {number}
+     */
+    cross(vec2) {
+        return this.x * vec2.y - this.y * vec2.x;
+    }
+
+    /**
+     * @name length
+     * @example
+     * new IVec2(3, 4).length(); // 5
+     * @returns {number} - The length of the vector.
+     */
+    length() {
+        return Math.sqrt(this.lengthSquared());
+    }
+
+    /**
+     * @name lengthSquared
+     * @returns {number} - The squared length of the vector.
+     */
+    lengthSquared() {
+        return this.x ** 2 + this.y ** 2;
+    }
+
+    /**
+     * @name normalize
+     * @returns {IVec2} - A vector of length 1 in the same direction, or a zero vector if this vector has no length.
+     */
+    normalize() {
+        const length = this.length();
+        return length === 0 ? new IVec2(0, 0) : this.scale(1 / length);
+    }
+
+    /**
+     * @name lerp
+     * @param {IVec2|{x: number, y: number}} vec2 - The vector at t = 1.
+     * @param {number} t - The interpolation factor, usually between 0 and 1.
+     * @returns {IVec2} - The interpolated vector.
+     */
+    lerp(vec2, t) {
+        return new IVec2(this.x + (vec2.x - this.x) * t, this.y + (vec2.y - this.y) * t);
+    }
+
+    /**
+     * @name floor
+     * @returns {IVec2} - The vector with both coordinates rounded down.
+     */
+    floor() {
+        return new IVec2(Math.floor(this.x), Math.floor(this.y));
+    }
+
+    /**
+     * @name round
+     * @returns {IVec2} - The vector with both coordinates rounded to the nearest integer.
+     */
+    round() {
+        return new IVec2(Math.round(this.x), Math.round(this.y));
+    }
+
+    /**
+     * @name equals
+     * @param {IVec2|{x: number, y: number}} vec2 - The vector to compare with.
+     * @param {number} [epsilon=0] - The largest difference per coordinate that still counts as equal.
+     * @returns {boolean} - Whether the vectors are equal.
+     */
+    equals(vec2, epsilon = 0) {
+        return Math.abs(this.x - vec2.x) <= epsilon && Math.abs(this.y - vec2.y) <= epsilon;
+    }
+
+    /**
+     * @name rotate
+     * @description Rotates the vector counter-clockwise around the origin.
+     * @param {number} degrees - The angle in degrees.
+     * @example
+     * new IVec2(1, 0).rotate(90); // IVec2(0, 1), give or take rounding
+     * @returns {IVec2} - The rotated vector.
+     */
+    rotate(degrees) {
+        const angle = degrees * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return new IVec2(this.x * cos - this.y * sin, this.x * sin + this.y * cos);
+    }
+
+    /**
+     * @name key
+     * @description A string key for the vector, for use in a Map or Set.
+     * @example
+     * new IVec2(3, -4).key(); // "3,-4"
+     * @returns {string}
+     */
+    key() {
+        return `${this.x},${this.y}`;
+    }
 }
\ No newline at end of file
@@ -115,17 +115,300 @@ export class IVec3 {
 
     /**
      * @name distance
-     * @param {number} x - The x-coordinate of the point to calculate the distance to.
+     * @param {number|IVec3|{x: number, y: number, z: number}} x - The x-coordinate of the point to calculate the distance to, or the point itself.
      * @param {number} y - The y-coordinate of the point to calculate the distance to.
      * @param {number} z - The z-coordinate of the point to calculate the distance to.
      * @description Calculates the Euclidean distance from the current vector to the specified point (x, y, z).
      * @example
      * const vec = new IVec3(1, 2, 3);
      * const dist = vec.distance(0, 0, 0); // Returns the 3D distance from (1, 2, 3) to (0, 0, 0)
+     * const dist2 = vec.distance(player.location); // Also accepts a vector
      * @returns {number} - The distance from the current vector to the specified point.
      */
     distance(x, y, z) {
+        if (typeof x === "object" && x !== null) {
+            ({ x, y, z } = x);
+        }
         return Math.sqrt((x - this.x) ** 2 + (y - this.y) ** 2 + (z - this.z) ** 2);
     }
+
+    /**
+     * Non-mutating functions
+     * These accept an IVec3, an mc.Vector3 or any object with x, y, and z properties, and return a new IVec3.
+     */
+
+    /**
+     * @name from
+     * @description Creates an IVec3 from an IVec3, an mc.Vector3 or any object with x, y, and z properties.
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The vector to copy.
+     * @example
+     * const vec = IVec3.from(player.location);
+     * @returns {IVec3} - A new IVec3 with the same coordinates.
+     * @throws {TypeError} - Throws a TypeError if the value has no numeric x, y, and z properties.
+     */
+    static from(vec3) {
+        if (typeof vec3 !== "object" || vec3 === null || typeof vec3.x !== "number" || typeof vec3.y !== "number" || typeof vec3.z !== "number") {
+            throw new TypeError("Vector must be an IVec3 or an object with numeric x, y, and z properties.");
+        }
+        return new IVec3(vec3.x, vec3.y, vec3.z);
+    }
+
+    /**
+     * @name fromKey
+     * @description Creates an IVec3 from a string made by key().
+     * @param {string} key - The key, e.g. "1,64,-3".
+     * @example
+     * const vec = IVec3.fromKey("1,64,-3"); // vec.x = 1, vec.y = 64, vec.z = -3
+     * @returns {IVec3}
+     */
+    static fromKey(key) {
+        const [x, y, z] = key.split(",").map(Number);
+        return new IVec3(x, y, z);
+    }
+
+    /**
+     * @name fromYawPitch
+     * @description Creates a unit direction vector from a Minecraft rotation. Yaw 0 faces south (+z) and 90 faces west (-x);
+     * pitch -90 faces straight up and 90 straight down.
+     * @param {number} yaw - The yaw in degrees.
+     * @param {number} pitch - The pitch in degrees.
+     * @example
+     * IVec3.fromYawPitch(0, 0); // IVec3(0, 0, 1)
+     * @returns {IVec3} - The direction.
+     */
+    static fromYawPitch(yaw, pitch) {
+        const yawRad = yaw * Math.PI / 180;
+        const pitchRad = pitch * Math.PI / 180;
+        return new IVec3(-Math.sin(yawRad) * Math.cos(pitchRad), -Math.sin(pitchRad), Math.cos(yawRad) * Math.cos(pitchRad));
+    }
+
+    /**
+     * @name fromViewDirection
+     * @description Creates a unit vector in the direction an entity is looking.
+     * @param {mc.Entity} entity - The entity, e.g. a player.
+     * @example
+     * const knockback = IVec3.fromViewDirection(player).scale(2);
+     * @returns {IVec3} - The view direction.
+     */
+    static fromViewDirection(entity) {
+        return IVec3.from(entity.getViewDirection());
+    }
+
+    /**
+     * @name plus
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The vector to add.
+     * @example
+     * new IVec3(1, 2, 3).plus({ x: 1, y: 1, z: 1 }); // IVec3(2, 3, 4)
+     * @returns {IVec3} - The sum of both vectors.
+     */
+    plus(vec3) {
+        return new IVec3(this.x + vec3.x, this.y + vec3.y, this.z + vec3.z);
+    }
+
+    /**
+     * @name minus
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The vector to subtract.
+     * @example
+     * new IVec3(1, 2, 3).minus(new IVec3(1, 1, 1)); // IVec3(0, 1, 2)
+     * @returns {IVec3} - This vector minus the other.
+     */
+    minus(vec3) {
+        return new IVec3(this.x - vec3.x, this.y - vec3.y, this.z - vec3.z);
+    }
+
+    /**
+     * @name scale
+     * @param {number} factor - The factor to multiply every coordinate by.
+     * @example
+     * new IVec3(1, 2, 3).scale(2); // IVec3(2, 4, 6)
+     * @returns {IVec3} - The scaled vector.
+     */
+    scale(factor) {
+        return new IVec3(this.x * factor, this.y * factor, this.z * factor);
+    }
+
+    /**
+     * @name negate
+     * @example
+     * new IVec3(1, -2, 3).negate(); // IVec3(-1, 2, -3)
+     * @returns {IVec3} - The vector pointing the opposite way.
+     */
+    negate() {
+        return new IVec3(-this.x, -this.y, -this.z);
+    }
+
+    /**
+     * @name dot
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The other vector.
+     * @example
+     * new IVec3(1, 0, 0).dot(new IVec3(0, 1, 0)); // 0
+     * @returns {number} - The dot product.
+     */
+    dot(vec3) {
+        return this.x * vec3.x + this.y * vec3.y + this.z * vec3.z;
+    }
+
+    /**
+     * @name cross
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The other vector.
+     * @example
+     * new IVec3(1, 0, 0).cross(new IVec3(0, 1, 0)); // IVec3(0, 0, 1)
+     * @returns {IVec3} - The cross product, perpendicular to both vectors.
+     */
+    cross(vec3) {
+        return new IVec3(
+            this.y * vec3.z - this.z * vec3.y,
+            this.z * vec3.x - this.x * vec3.z,
+            this.x * vec3.y - this.y * vec3.x
+        );
+    }
+
+    /**
+     * @name length
+     * @example
+     * new IVec3(2, 3, 6).length(); // 7
+     * @returns {number} - The length of the vector.
+     */
+    length() {
+        return Math.sqrt(this.lengthSquared());
+    }
+
+    /**
+     * @name lengthSquared
+     * @description The squared length of the vector. Cheaper than length() for comparing distances.
+     * @example
+     * new IVec3(2, 3, 6).lengthSquared(); // 49
+     * @returns {number}
+     */
+    lengthSquared() {
+        return this.x ** 2 + this.y ** 2 + this.z ** 2;
+    }
+
+    /**
+     * @name normalize
+     * @example
+     * new IVec3(0, 3, 4).normalize(); // IVec3(0, 0.6, 0.8)
+     * @returns {IVec3} - A vector of length 1 in the same direction, or a zero vector if this vector has no length.
+     */
+    normalize() {
+        const length = this.length();
+        return length === 0 ? new IVec3(0, 0, 0) : this.scale(1 / length);
+    }
+
+    /**
+     * @name lerp
+     * @description Linearly interpolates between this vector and another.
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The vector at t = 1.
+     * @param {number} t - The interpolation factor, usually between 0 and 1.
+     * @example
+     * new IVec3(0, 0, 0).lerp(new IVec3(10, 0, 0), 0.25); // IVec3(2.5, 0, 0)
+     * @returns {IVec3} - The interpolated vector.
+     */
+    lerp(vec3, t) {
+        return new IVec3(this.x + (vec3.x - this.x) * t, this.y + (vec3.y - this.y) * t, this.z + (vec3.z - this.z) * t);
+    }
+
+    /**
+     * @name floor
+     * @description Rounds every coordinate down, giving the block a position is in.
+     * @example
+     * new IVec3(1.7, 64.2, -0.5).floor(); // IVec3(1, 64, -1)
+     * @returns {IVec3} - The block coordinates.
+     */
+    floor() {
+        return new IVec3(Math.floor(this.x), Math.floor(this.y), Math.floor(this.z));
+    }
+
+    /**
+     * @name round
+     * @example
+     * new IVec3(1.7, 64.2, -0.5).round(); // IVec3(2, 64, -0)
+     * @returns {IVec3} - The vector with every coordinate rounded to the nearest integer.
+     */
+    round() {
+        return new IVec3(Math.round(this.x), Math.round(this.y), Math.round(this.z));
+    }
+
+    /**
+     * @name center
+     * @description The centre of the block a position is in.
+     * @example
+     * new IVec3(1.7, 64.2, -0.5).center(); // IVec3(1.5, 64.5, -0.5)
+     * @returns {IVec3}
+     */
+    center() {
+        return this.floor().plus({ x: 0.5, y: 0.5, z: 0.5 });
+    }
+
+    /**
+     * @name equals
+     * @param {IVec3|{x: number, y: number, z: number}} vec3 - The vector to compare with.
+     * @param {number} [epsilon=0] - The largest difference per coordinate that still counts as equal.
+     * @example
+     * new IVec3(1, 2, 3).equals({ x: 1, y: 2, z: 3 }); // true
+     * new IVec3(0.1 + 0.2, 0, 0).equals(new IVec3(0.3, 0, 0), 1e-9); // true
+     * @returns {boolean} - Whether the vectors are equal.
+     */
+    equals(vec3, epsilon = 0) {
+        return Math.abs(this.x - vec3.x) <= epsilon && Math.abs(this.y - vec3.y) <= epsilon && Math.abs(this.z - vec3.z) <= epsilon;
+    }
+
+    /**
+     * @name rotate
+     * @description Rotates the vector around an axis through the origin, counter-clockwise when looking down the axis towards the origin.
+     * @param {IVec3|{x: number, y: number, z: number}} axis - The axis to rotate around, does not need to be normalised.
+     * @param {number} degrees - The angle in degrees.
+     * @example
+     * new IVec3(1, 0, 0).rotate({ x: 0, y: 0, z: 1 }, 90); // IVec3(0, 1, 0), give or take rounding
+     * @returns {IVec3} - The rotated vector.
+     */
+    rotate(axis, degrees) {
+        // Rodrigues' rotation formula
+        const k = IVec3.from(axis).normalize();
+        const angle = degrees * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return this.scale(cos).plus(k.cross(this).scale(sin)).plus(k.scale(k.dot(this) * (1 - cos)));
+    }
+
+    /**
+     * @name rotateYawPitch
+     * @description Turns the vector the way a player's view turns: yaw turns it like looking left or right (90 turns south to west),
+     * pitch tilts it down (positive) or up (negative). Pitch is applied first, around the vector's own horizontal side axis.
+     * @param {number} yaw - The yaw change in degrees.
+     * @param {number} [pitch=0] - The pitch change in degrees.
+     * @example
+     * new IVec3(0, 0, 1).rotateYawPitch(90); // IVec3(-1, 0, 0), give or take rounding
+     * @returns {IVec3} - The rotated vector.
+     */
+    rotateYawPitch(yaw, pitch = 0) {
+        let result = this.clone();
+        if (pitch !== 0) {
+            const side = new IVec3(0, 1, 0).cross(result);
+            if (side.lengthSquared() > 0) result = result.rotate(side, pitch);
+        }
+        // Minecraft yaw turns clockwise seen from above, so rotate around -y
+        return result.rotate({ x: 0, y: -1, z: 0 }, yaw);
+    }
+
+    /**
+     * @name key
+     * @description A string key for the vector, for use in a Map or Set. Use floor() first to key by block.
+     * @example
+     * new IVec3(1, 64, -3).key(); // "1,64,-3"
+     * @returns {string}
+     */
+    key() {
+        return `${this.x},${this.y},${this.z}`;
+    }
+
+    /**
+     * @name toObject
+     * @description A plain {x, y, z} object, for passing to mc APIs.
+     * @returns {{x: number, y: number, z: number}}
+     */
+    toObject() {
+        return { x: this.x, y: this.y, z: this.z };
+    }
 }
 
@@ -0,0 +1,541 @@
+import * as mc from "@minecraft/server";
+import { IEvents } from "../events/IEvents";
+import { IVec3 } from "../classes/IVec3";
+import { IDimension } from "../classes/IDimension";
+
+/**
+ * @class CommandError
+ * @description An error meant for the player who ran a command, e.g. a bad argument or a missing permission.
+ * Throw it from a command to send its message back to the sender; any other error is reported as an internal failure.
+ * @example
+ * throw new CommandError("You don't have enough money.");
+ */
+export class CommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CommandError";
+    }
+}
+
+/**
+ * Permission tiers, lowest first. Players are "member" unless they have a tier tag or are an operator.
+ */
+export const PERMISSIONS = Object.freeze({ member: 0, moderator: 1, admin: 2, operator: 3 });
+
+/**
+ * @typedef {Object} ICommandArgument
+ * @property {string} name - The name the parsed value is stored under in ctx.args.
+ * @property {"int"|"float"|"boolean"|"string"|"text"|"enum"|"position"|"player"|"players"|"block"} type - The argument type.
+ * "text" takes the rest of the message, "position" takes three coordinates that may be relative (~, ~5).
+ * @property {boolean} [optional=false] - Whether the argument can be left out. Only trailing arguments can be optional.
+ * @property {*} [default] - The value used when an optional argument is left out.
+ * @property {number} [min] - Lowest accepted value for int and float.
+ * @property {number} [max] - Highest accepted value for int and float.
+ * @property {string[]} [values] - Accepted values for enum.
+ */
+
+/**
+ * @typedef {Object} ICommandDefinition
+ * @property {string} name - The command name, without prefix.
+ * @property {string[]} [aliases] - Other names the command can be run by.
+ * @property {string} [description] - Shown in help.
+ * @property {"member"|"moderator"|"admin"|"operator"|{tag: string}} [permission="member"] - Who can run the command.
+ * A tag requirement can be met by having the tag or by being an operator. Subcommands inherit it unless they set their own.
+ * @property {ICommandArgument[]} [args] - The arguments, in order.
+ * @property {ICommandDefinition[]} [subcommands] - Commands nested under this one, e.g. "!home set".
+ * @property {function(ICommandContext): void} [execute] - Runs the command. Can be omitted if the command only has subcommands.
+ */
+
+/**
+ * @typedef {Object} ICommandContext
+ * @property {mc.Player} player - The player who ran the command.
+ * @property {Object<string, *>} args - The parsed arguments by name.
+ * @property {string} label - The full command path as typed, e.g. "home set".
+ * @property {function(string): void} reply - Sends a message to the player.
+ */
+
+/** @type {Map<string, ICommandDefinition>} */
+const commands = new Map();
+/** @type {Map<string, string>} */
+const aliases = new Map();
+let listening = false;
+
+/**
+ * @class ICommands
+ * @description A chat command registry. Modules register commands with typed arguments, aliases, subcommands and a permission tier,
+ * and ICommands handles the parsing, the permission checks, the help text and reporting errors back to the sender.
+ * Command messages are cancelled so they never show up in chat. A built-in "help" command lists what each player can run.
+ * @property {string} prefix - The chat prefix commands start with (default "!").
+ * @property {Object<string, string>} permissionTags - The tag that grants each tier, e.g. { moderator: "moderator", admin: "admin" }.
+ * @example
+ * ICommands.register({
+ *     name: "setblock",
+ *     aliases: ["sb"],
+ *     description: "Places a block.",
+ *     permission: "admin",
+ *     args: [
+ *         { name: "pos", type: "position" },
+ *         { name: "block", type: "block" }
+ *     ],
+ *     execute: (ctx) => {
+ *         dimension_overworld.setBlock(ctx.args.block, ctx.args.pos);
+ *         ctx.reply(`Placed ${ctx.args.block}.`);
+ *     }
+ * });
+ * // In chat: !sb ~ ~-1 ~ stone
+ */
+export class ICommands {
+    constructor() {}
+
+    static prefix = "!";
+    static permissionTags = { moderator: "moderator", admin: "admin", operator: "operator" };
+
+    /**
+     * @name register
+     * @description Adds a command. Starts listening to chat on the first registration.
+     * @param {ICommandDefinition} definition - The command.
+     * @example
+     * ICommands.register({
+     *     name: "home",
+     *     subcommands: [
+     *         { name: "set", execute: (ctx) => ctx.reply("Home set.") },
+     *         { name: "go", args: [{ name: "name", type: "string", optional: true, default: "home" }], execute: (ctx) => {} }
+     *     ]
+     * });
+     * @returns {void}
+     * @throws {Error} - Throws an error if the definition is invalid or the name or an alias is taken.
+     */
+    static register(definition) {
+        validateDefinition(definition, definition.name);
+        const names = [definition.name, ...(definition.aliases || [])].map((name) => name.toLowerCase());
+        for (const name of names) {
+            if (commands.has(name) || aliases.has(name)) {
+                throw new Error(`Command name '${name}' is already registered.`);
+            }
+        }
+        commands.set(names[0], definition);
+        for (const alias of names.slice(1)) aliases.set(alias, names[0]);
+
+        if (!listening) {
+            listening = true;
+            IEvents.before("chat", (event) => {
+                if (!event.message.startsWith(ICommands.prefix)) return;
+                event.cancel = true;
+                const { player, message } = event;
+                // Before events are read-only, run the command on the next tick
+                mc.system.run(() => ICommands.run(player, message));
+            }, { priority: 1000 });
+        }
+    }
+
+    /**
+     * @name unregister
+     * @description Removes a command and its aliases.
+     * @param {string} name - The command name.
+     * @returns {boolean} - Whether the command existed.
+     */
+    static unregister(name) {
+        const key = name.toLowerCase();
+        const definition = commands.get(key);
+        if (!definition) return false;
+        commands.delete(key);
+        for (const [alias, target] of [...aliases]) {
+            if (target === key) aliases.delete(alias);
+        }
+        return true;
+    }
+
+    /**
+     * @name get
+     * @param {string} name - A command name or alias.
+     * @returns {ICommandDefinition|undefined} - The command.
+     */
+    static get(name) {
+        const key = name.toLowerCase();
+        return commands.get(aliases.get(key) || key);
+    }
+
+    /**
+     * @name run
+     * @description Parses and runs a chat message as a command for a player. Errors are sent to the player, never thrown.
+     * @param {mc.Player} player - The player running the command.
+     * @param {string} message - The message, with or without the prefix.
+     * @example
+     * ICommands.run(player, "!help home");
+     * @returns {boolean} - Whether the command ran successfully.
+     */
+    static run(player, message) {
+        const input = message.startsWith(ICommands.prefix) ? message.slice(ICommands.prefix.length) : message;
+        const tokens = tokenize(input);
+        if (tokens.length === 0) return false;
+        const label = [];
+        try {
+            const name = tokens[0].value.toLowerCase();
+            if (name === "help") {
+                ICommands.help(player, tokens.slice(1).map((token) => token.value));
+                return true;
+            }
+            let command = ICommands.get(name);
+            if (!command) {
+                throw new CommandError(`Unknown command '${tokens[0].value}'. Type ${ICommands.prefix}help for a list of commands.`);
+            }
+            label.push(command.name);
+            let permission = command.permission || "member";
+            let index = 1;
+            // Walk down the subcommands as long as the next token names one
+            while (command.subcommands && index < tokens.length) {
+                const next = findSubcommand(command, tokens[index].value);
+                if (!next) break;
+                command = next;
+                permission = command.permission || permission;
+                label.push(command.name);
+                index++;
+            }
+            if (!ICommands.hasPermission(player, permission)) {
+                throw new CommandError(`You don't have permission to use ${ICommands.prefix}${label.join(" ")}.`);
+            }
+            if (!command.execute) {
+                throw new CommandError(`Usage:\n${usageLines(command, label.join(" ")).join("\n")}`);
+            }
+            const args = parseArguments(command, tokens.slice(index), input, player, label.join(" "));
+            command.execute({ player, args, label: label.join(" "), reply: (text) => player.sendMessage(text) });
+            return true;
+        } catch (error) {
+            if (error instanceof CommandError) {
+                player.sendMessage(`§c${error.message}`);
+            } else {
+                player.sendMessage(`§cAn error occurred while running ${ICommands.prefix}${label.join(" ") || tokens[0].value}.`);
+                console.error(`[ICommands] ${input}: ${error}`);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * @name help
+     * @description Sends help to a player: the commands they can use, or the usage of one command.
+     * @param {mc.Player} player - The player to send the help to.
+     * @param {string[]} [path] - A command name and optional subcommand names.
+     * @returns {void}
+     * @throws {CommandError} - Throws a CommandError if the command does not exist.
+     */
+    static help(player, path = []) {
+        if (path.length === 0) {
+            const lines = [`§eCommands (${ICommands.prefix}help <command> for details):`];
+            for (const command of commands.values()) {
+                if (!ICommands.hasPermission(player, command.permission || "member")) continue;
+                lines.push(`§7${ICommands.prefix}${command.name}${command.description ? ` - ${command.description}` : ""}`);
+            }
+            player.sendMessage(lines.join("\n"));
+            return;
+        }
+        let command = ICommands.get(path[0]);
+        if (!command) throw new CommandError(`Unknown command '${path[0]}'.`);
+        const label = [command.name];
+        for (const name of path.slice(1)) {
+            const next = findSubcommand(command, name);
+            if (!next) break;
+            command = next;
+            label.push(command.name);
+        }
+        const lines = usageLines(command, label.join(" "));
+        if (command.aliases && command.aliases.length > 0) lines.push(`§7Aliases: ${command.aliases.join(", ")}`);
+        player.sendMessage(lines.join("\n"));
+    }
+
+    /**
+     * @name getPermissionLevel
+     * @description The permission tier of a player: "operator" for operators, otherwise the highest tier they have a tag for.
+     * @param {mc.Player} player - The player.
+     * @returns {number} - A value from PERMISSIONS.
+     */
+    static getPermissionLevel(player) {
+        if (isOperator(player)) return PERMISSIONS.operator;
+        let level = PERMISSIONS.member;
+        for (const [tier, tag] of Object.entries(ICommands.permissionTags)) {
+            if (player.hasTag(tag)) level = Math.max(level, PERMISSIONS[tier]);
+        }
+        return level;
+    }
+
+    /**
+     * @name hasPermission
+     * @param {mc.Player} player - The player.
+     * @param {"member"|"moderator"|"admin"|"operator"|{tag: string}} permission - The required permission.
+     * @returns {boolean} - Whether the player meets the permission.
+     */
+    static hasPermission(player, permission) {
+        if (typeof permission === "object" && permission !== null) {
+            return isOperator(player) || player.hasTag(permission.tag);
+        }
+        return ICommands.getPermissionLevel(player) >= PERMISSIONS[permission];
+    }
+}
+
+/**
+ * @name isOperator
+ * @param {mc.Player} player - The player.
+ * @returns {boolean} - Whether the player is an operator.
+ */
+function isOperator(player) {
+    if (mc.PlayerPermissionLevel && player.playerPermissionLevel === mc.PlayerPermissionLevel.Operator) return true;
+    if (mc.CommandPermissionLevel && player.commandPermissionLevel >= mc.CommandPermissionLevel.Admin) return true;
+    return typeof player.isOp === "function" && player.isOp();
+}
+
+/**
+ * @name validateDefinition
+ * @description Checks a command definition and its subcommands when it is registered, so mistakes show up at startup.
+ * @param {ICommandDefinition} definition - The definition.
+ * @param {string} path - The command path, used in error messages.
+ * @returns {void}
+ */
+function validateDefinition(definition, path) {
+    if (!definition || typeof definition.name !== "string" || !/^[\w-]+$/.test(definition.name)) {
+        throw new Error(`Command '${path}' must have a name made of letters, digits, '_' or '-'.`);
+    }
+    if (!definition.execute && !(definition.subcommands && definition.subcommands.length > 0)) {
+        throw new Error(`Command '${path}' needs an execute function or subcommands.`);
+    }
+    const permission = definition.permission;
+    if (permission !== undefined && !(permission in PERMISSIONS) && !(typeof permission === "object" && typeof permission.tag === "string")) {
+        throw new Error(`Command '${path}' has an invalid permission.`);
+    }
+    let optionalSeen = false;
+    (definition.args || []).forEach((arg, index) => {
+        if (!ARGUMENT_TYPES[arg.type]) {
+            throw new Error(`Argument '${arg.name}' of command '${path}' has an unknown type '${arg.type}'.`);
+        }
+        if (arg.type === "enum" && !(Array.isArray(arg.values) && arg.values.length > 0)) {
+            throw new Error(`Enum argument '${arg.name}' of command '${path}' needs a list of values.`);
+        }
+        if (arg.type === "text" && index !== definition.args.length - 1) {
+            throw new Error(`Text argument '${arg.name}' of command '${path}' must be the last argument.`);
+        }
+        if (optionalSeen && !arg.optional) {
+            throw new Error(`Argument '${arg.name}' of command '${path}' must be optional, it comes after an optional argument.`);
+        }
+        optionalSeen = optionalSeen || arg.optional === true;
+    });
+    for (const subcommand of definition.subcommands || []) {
+        validateDefinition(subcommand, `${path} ${subcommand.name}`);
+    }
+}
+
+/**
+ * @name findSubcommand
+ * @returns {ICommandDefinition|undefined} - The subcommand of a command with the given name or alias.
+ */
+function findSubcommand(command, name) {
+    const key = name.toLowerCase();
+    return (command.subcommands || []).find((subcommand) => subcommand.name.toLowerCase() === key || (subcommand.aliases || []).some((alias) => alias.toLowerCase() === key));
+}
+
+/**
+ * @name usageLines
+ * @description The usage of a command and its subcommands, e.g. "!tp <target: player> [pos: position]".
+ * @returns {string[]}
+ */
+function usageLines(command, label) {
+    const lines = [];
+    if (command.execute) {
+        const args = (command.args || []).map((arg) => {
+            const type = arg.type === "enum" ? arg.values.join("|") : arg.type;
+            return arg.optional ? `[${arg.name}: ${type}]` : `<${arg.name}: ${type}>`;
+        });
+        lines.push(`§e${ICommands.prefix}${[label, ...args].join(" ")}${command.description ? ` §7- ${command.description}` : ""}`);
+    } else if (command.description) {
+        lines.push(`§e${ICommands.prefix}${label} §7- ${command.description}`);
+    }
+    for (const subcommand of command.subcommands || []) {
+        lines.push(...usageLines(subcommand, `${label} ${subcommand.name}`));
+    }
+    return lines;
+}
+
+/**
+ * @name tokenize
+ * @description Splits a command into whitespace separated tokens. Double quotes group words, e.g. a player name with spaces.
+ * Each token keeps its start index so "text" arguments can take the rest of the input as typed.
+ * @param {string} input - The command without prefix.
+ * @returns {Array<{value: string, start: number}>}
+ */
+function tokenize(input) {
+    const tokens = [];
+    const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(input)) !== null) {
+        tokens.push({ value: match[1] !== undefined ? match[1].replace(/\\(.)/g, "$1") : match[2], start: match.index });
+    }
+    return tokens;
+}
+
+/**
+ * @name parseArguments
+ * @description Converts the tokens after the command name into typed values.
+ * @returns {Object<string, *>} - The parsed arguments by name.
+ * @throws {CommandError} - Throws a CommandError if an argument is missing or invalid, or there are too many.
+ */
+function parseArguments(command, tokens, input, player, label) {
+    const args = {};
+    let index = 0;
+    for (const arg of command.args || []) {
+        if (index >= tokens.length) {
+            if (!arg.optional) {
+                throw new CommandError(`Missing argument <${arg.name}>. Usage:\n${usageLines({ ...command, subcommands: [] }, label)[0]}`);
+            }
+            args[arg.name] = arg.default;
+            continue;
+        }
+        const type = ARGUMENT_TYPES[arg.type];
+        const taken = arg.type === "text" ? tokens.length - index : type.tokens;
+        if (index + taken > tokens.length) {
+            throw new CommandError(`Argument <${arg.name}> needs ${taken} values.`);
+        }
+        const values = tokens.slice(index, index + taken);
+        const raw = arg.type === "text" ? input.slice(values[0].start) : values.map((token) => token.value);
+        args[arg.name] = type.parse(raw, arg, player);
+        index += taken;
+    }
+    if (index < tokens.length) {
+        throw new CommandError(`Too many arguments, unexpected '${tokens[index].value}'.`);
+    }
+    return args;
+}
+
+/**
+ * @name checkRange
+ * @returns {number} - The value, if it is within the argument's min and max.
+ */
+function checkRange(value, arg) {
+    if (arg.min !== undefined && value < arg.min) throw new CommandError(`<${arg.name}> must be at least ${arg.min}.`);
+    if (arg.max !== undefined && value > arg.max) throw new CommandError(`<${arg.name}> must be at most ${arg.max}.`);
+    return value;
+}
+
+/**
+ * @name parseCoordinate
+ * @description Parses one coordinate, absolute ("12.5") or relative to the sender ("~", "~-3").
+ * @returns {number}
+ */
+function parseCoordinate(value, origin, arg) {
+    if (value.startsWith("~")) {
+        const offset = value.length > 1 ? Number(value.slice(1)) : 0;
+        if (!Number.isFinite(offset)) throw new CommandError(`Invalid relative coordinate '${value}' for <${arg.name}>.`);
+        return origin + offset;
+    }
+    const number = Number(value);
+    if (value === "" || !Number.isFinite(number)) throw new CommandError(`Invalid coordinate '${value}' for <${arg.name}>.`);
+    return number;
+}
+
+/**
+ * @name selectPlayers
+ * @description Resolves a player selector: @s (the sender), @p (nearest other player), @r (random), @a (everyone) or a name.
+ * @returns {mc.Player[]}
+ */
+function selectPlayers(value, arg, sender, allowMany) {
+    const players = mc.world.getPlayers();
+    switch (value) {
+        case "@s":
+            return [sender];
+        case "@p": {
+            const others = players.filter((player) => player.id !== sender.id && player.dimension.id === sender.dimension.id);
+            const distance = (player) => (player.location.x - sender.location.x) ** 2 + (player.location.y - sender.location.y) ** 2 + (player.location.z - sender.location.z) ** 2;
+            const nearest = others.sort((a, b) => distance(a) - distance(b))[0];
+            if (!nearest) throw new CommandError("No player found for @p.");
+            return [nearest];
+        }
+        case "@r":
+            if (players.length === 0) throw new CommandError("No player found for @r.");
+            return [players[Math.floor(Math.random() * players.length)]];
+        case "@a":
+            if (!allowMany) throw new CommandError(`<${arg.name}> only accepts one player.`);
+            return players;
+        default: {
+            const player = players.find((candidate) => candidate.name.toLowerCase() === value.toLowerCase());
+            if (!player) throw new CommandError(`Player '${value}' is not online.`);
+            return [player];
+        }
+    }
+}
+
+/**
+ * The argument types: how many tokens each takes and how to parse them.
+ */
+const ARGUMENT_TYPES = {
+    int: {
+        tokens: 1,
+        parse: ([value], arg) => {
+            if (!/^[-+]?\d+$/.test(value)) throw new CommandError(`<${arg.name}> must be a whole number, got '${value}'.`);
+            return checkRange(Number(value), arg);
+        }
+    },
+    float: {
+        tokens: 1,
+        parse: ([value], arg) => {
+            const number = Number(value);
+            if (value === "" || !Number.isFinite(number)) throw new CommandError(`<${arg.name}> must be a number, got '${value}'.`);
+            return checkRange(number, arg);
+        }
+    },
+    boolean: {
+        tokens: 1,
+        parse: ([value], arg) => {
+            const lower = value.toLowerCase();
+            if (lower !== "true" && lower !== "false") throw new CommandError(`<${arg.name}> must be true or false, got '${value}'.`);
+            return lower === "true";
+        }
+    },
+    string: {
+        tokens: 1,
+        parse: ([value]) => value
+    },
+    text: {
+        tokens: 1,
+        parse: (value) => value
+    },
+    enum: {
+        tokens: 1,
+        parse: ([value], arg) => {
+            const found = arg.values.find((option) => option.toLowerCase() === value.toLowerCase());
+            if (found === undefined) throw new CommandError(`<${arg.name}> must be one of: ${arg.values.join(", ")}.`);
+            return found;
+        }
+    },
+    position: {
+        tokens: 3,
+        parse: ([x, y, z], arg, player) => new IVec3(
+            parseCoordinate(x, player.location.x, arg),
+            parseCoordinate(y, player.location.y, arg),
+            parseCoordinate(z, player.location.z, arg)
+        )
+    },
+    player: {
+        tokens: 1,
+        parse: ([value], arg, player) => selectPlayers(value, arg, player, false)[0]
+    },
+    players: {
+        tokens: 1,
+        parse: ([value], arg, player) => selectPlayers(value, arg, player, true)
+    },
+    block: {
+        tokens: 1,
+        // Accepts states too, e.g. oak_stairs[weirdo_direction=2], and returns them in the form IDimension.parseBlock reads
+        parse: ([value], arg) => {
+            let block;
+            try {
+                block = IDimension.parseBlock(value.toLowerCase());
+            } catch (error) {
+                throw new CommandError(error.message);
+            }
+            if (mc.BlockTypes && !mc.BlockTypes.get(block.type)) throw new CommandError(`Unknown block '${value}'.`);
+            if (Object.keys(block.states).length === 0) return block.type;
+            try {
+                return IDimension.formatBlock(IDimension.resolvePermutation(value.toLowerCase()));
+            } catch (error) {
+                throw new CommandError(error.message);
+            }
+        }
+    }
+};
@@ -0,0 +1,353 @@
+import * as mc from "@minecraft/server";
+import { IBlock } from "../classes/IBlock";
+import { IVec3 } from "../classes/IVec3";
+import { IDimension } from "../classes/IDimension";
+
+/**
+ * @typedef {Object} IEventOptions
+ * @property {number} [priority=0] - Handlers with a higher priority run first. Equal priorities run in the order they were added.
+ * @property {boolean} [once=false] - Remove the handler after it has run once.
+ * @property {boolean} [ignoreCancelled=false] - Skip the handler if an earlier handler cancelled the before event.
+ */
+
+/** @type {Map<string, IDimension>} */
+const dimensions = new Map();
+
+/**
+ * @name toIDimension
+ * @description Gets a shared IDimension for a raw dimension, so events don't construct a new one every time.
+ * @param {mc.Dimension} dimension - The raw dimension.
+ * @returns {IDimension}
+ */
+function toIDimension(dimension) {
+    const key = dimension.id.replace("minecraft:", "");
+    if (!dimensions.has(key)) dimensions.set(key, new IDimension(key));
+    return dimensions.get(key);
+}
+
+/**
+ * @name toIVec3
+ * @param {{x: number, y: number, z: number}} location - A raw location.
+ * @returns {IVec3}
+ */
+function toIVec3(location) {
+    return new IVec3(location.x, location.y, location.z);
+}
+
+/**
+ * @name blockPayload
+ * @description The fields shared by every block event: the player, the block as an IBlock, its location and its dimension.
+ * @param {{player: mc.Player, block: mc.Block}} event - The raw event.
+ * @returns {{player: mc.Player, block: IBlock, location: IVec3, dimension: IDimension}}
+ */
+function blockPayload(event) {
+    const dimension = toIDimension(event.block.dimension);
+    const location = toIVec3(event.block.location);
+    return { player: event.player, block: new IBlock(dimension, location.clone()), location, dimension };
+}
+
+/**
+ * @name entityPayload
+ * @param {mc.Entity} entity - The raw entity.
+ * @returns {{entity: mc.Entity, location: IVec3, dimension: IDimension}}
+ */
+function entityPayload(entity) {
+    return { entity, location: toIVec3(entity.location), dimension: toIDimension(entity.dimension) };
+}
+
+/**
+ * Every event IEvents knows about: the raw before/after signal names and how to convert their data.
+ * Converters get the raw event and return the extra payload fields; the raw event is always available as payload.raw.
+ */
+const EVENTS = {
+    blockPlace: {
+        before: "playerPlaceBlock",
+        after: "playerPlaceBlock",
+        convert: (event) => ({ ...blockPayload(event), permutation: event.permutationToPlace || event.block.permutation })
+    },
+    blockBreak: {
+        before: "playerBreakBlock",
+        after: "playerBreakBlock",
+        convert: (event) => ({ ...blockPayload(event), permutation: event.brokenBlockPermutation || event.block.permutation, itemStack: event.itemStack || event.itemStackBeforeBreak })
+    },
+    blockInteract: {
+        before: "playerInteractWithBlock",
+        after: "playerInteractWithBlock",
+        convert: (event) => ({ ...blockPayload(event), face: event.blockFace, itemStack: event.itemStack })
+    },
+    entitySpawn: {
+        after: "entitySpawn",
+        convert: (event) => ({ ...entityPayload(event.entity), cause: event.cause })
+    },
+    entityDie: {
+        after: "entityDie",
+        convert: (event) => ({ ...entityPayload(event.deadEntity), damageSource: event.damageSource })
+    },
+    entityHurt: {
+        after: "entityHurt",
+        convert: (event) => ({ ...entityPayload(event.hurtEntity), damage: event.damage, damageSource: event.damageSource, attacker: event.damageSource && event.damageSource.damagingEntity })
+    },
+    entityHitEntity: {
+        after: "entityHitEntity",
+        convert: (event) => ({ ...entityPayload(event.damagingEntity), target: event.hitEntity })
+    },
+    entityHitBlock: {
+        after: "entityHitBlock",
+        convert: (event) => {
+            const dimension = toIDimension(event.hitBlock.dimension);
+            const location = toIVec3(event.hitBlock.location);
+            return { entity: event.damagingEntity, block: new IBlock(dimension, location.clone()), location, dimension, face: event.blockFace };
+        }
+    },
+    explosion: {
+        before: "explosion",
+        after: "explosion",
+        convert: (event) => ({ source: event.source, dimension: toIDimension(event.dimension) })
+    },
+    blockExplode: {
+        after: "blockExplode",
+        convert: (event) => {
+            const dimension = toIDimension(event.dimension);
+            const location = toIVec3(event.block.location);
+            return { block: new IBlock(dimension, location.clone()), location, dimension, permutation: event.explodedBlockPermutation, source: event.source };
+        }
+    },
+    pistonActivate: {
+        after: "pistonActivate",
+        convert: (event) => {
+            const dimension = toIDimension(event.dimension);
+            const location = toIVec3(event.block.location);
+            const attached = event.piston.getAttachedBlocksLocations().map(toIVec3);
+            return { block: new IBlock(dimension, location.clone()), location, dimension, expanding: event.isExpanding, attached };
+        }
+    },
+    itemReleaseUse: {
+        after: "itemReleaseUse",
+        convert: (event) => ({ ...entityPayload(event.source), player: event.source, itemStack: event.itemStack, useDuration: event.useDuration })
+    },
+    projectileHitBlock: {
+        after: "projectileHitBlock",
+        convert: (event) => ({ projectile: event.projectile, source: event.source, location: toIVec3(event.location), dimension: toIDimension(event.dimension) })
+    },
+    projectileHitEntity: {
+        after: "projectileHitEntity",
+        convert: (event) => ({ projectile: event.projectile, source: event.source, location: toIVec3(event.location), dimension: toIDimension(event.dimension) })
+    },
+    playerJoin: {
+        after: "playerJoin",
+        convert: (event) => ({ playerId: event.playerId, playerName: event.playerName })
+    },
+    playerLeave: {
+        before: "playerLeave",
+        after: "playerLeave",
+        convert: (event) => event.player ? { player: event.player, playerId: event.player.id, playerName: event.player.name } : { playerId: event.playerId, playerName: event.playerName }
+    },
+    chat: {
+        before: "chatSend",
+        after: "chatSend",
+        convert: (event) => ({ player: event.sender, message: event.message })
+    }
+};
+
+/** @type {Map<string, {raw: function, handlers: Array<{handler: function, priority: number, once: boolean, ignoreCancelled: boolean, order: number}>}>} */
+const channels = new Map();
+let order = 0;
+
+/**
+ * @class IEvents
+ * @description A typed event bus over world before/after events. Handlers receive payloads with IBlock, IVec3 and IDimension
+ * values instead of raw objects, run in priority order, and can cancel before events by setting payload.cancel.
+ * Raw events are only subscribed to while at least one handler listens to them.
+ *
+ * Events: blockPlace, blockBreak, blockInteract, explosion, playerLeave and chat have before and after phases;
+ * entitySpawn, entityDie, entityHurt, entityHitEntity, entityHitBlock, blockExplode, pistonActivate, itemReleaseUse,
+ * projectileHitBlock, projectileHitEntity and playerJoin are after events only.
+ * Hit events fire for every melee swing that connects, even when it does no damage.
+ * Explosion payloads keep the raw getImpactedBlocks()/setImpactedBlocks() on payload.raw; blockExplode fires once per destroyed block.
+ * pistonActivate payloads list the blocks the piston moves in payload.attached, where they were before the move.
+ * Projectile hit payloads are located where the projectile hit; the projectile may already be gone.
+ * @example
+ * // Stop anyone placing TNT, before any lower priority handler sees it
+ * IEvents.before("blockPlace", (event) => {
+ *     if (event.permutation.type.id === "minecraft:tnt") {
+ *         event.cancel = true;
+ *         event.player.sendMessage("TNT is disabled here.");
+ *     }
+ * }, { priority: 100 });
+ *
+ * // Greet the next player to join
+ * IEvents.after("playerJoin", (event) => console.warn(`${event.playerName} joined`), { once: true });
+ */
+export class IEvents {
+    constructor() {}
+
+    /**
+     * @name before
+     * @description Adds a handler for the before phase of an event. Setting payload.cancel = true cancels the raw event.
+     * @param {string} name - The event name, e.g. "blockPlace".
+     * @param {function(Object): void} handler - Called with the event payload.
+     * @param {IEventOptions} [options] - Priority, once and ignoreCancelled.
+     * @example
+     * IEvents.before("chat", (event) => {
+     *     if (event.message.startsWith("!")) event.cancel = true;
+     * });
+     * @returns {function(Object): void} - The handler, for use with IEvents.off.
+     * @throws {Error} - Throws an error if the event has no before phase.
+     */
+    static before(name, handler, options = {}) {
+        return IEvents.subscribe("before", name, handler, options);
+    }
+
+    /**
+     * @name after
+     * @description Adds a handler for the after phase of an event.
+     * @param {string} name - The event name, e.g. "entityDie".
+     * @param {function(Object): void} handler - Called with the event payload.
+     * @param {IEventOptions} [options] - Priority and once.
+     * @example
+     * IEvents.after("blockBreak", (event) => console.warn(`${event.player.name} broke ${event.permutation.type.id} at ${event.location.x}, ${event.location.y}, ${event.location.z}`));
+     * @returns {function(Object): void} - The handler, for use with IEvents.off.
+     * @throws {Error} - Throws an error if the event has no after phase.
+     */
+    static after(name, handler, options = {}) {
+        return IEvents.subscribe("after", name, handler, options);
+    }
+
+    /**
+     * @name once
+     * @description Adds a handler that is removed after it runs once.
+     * @param {"before"|"after"} phase - The event phase.
+     * @param {string} name - The event name.
+     * @param {function(Object): void} handler - Called with the event payload.
+     * @param {IEventOptions} [options] - Priority and ignoreCancelled.
+     * @returns {function(Object): void} - The handler, for use with IEvents.off.
+     */
+    static once(phase, name, handler, options = {}) {
+        return IEvents.subscribe(phase, name, handler, { ...options, once: true });
+    }
+
+    /**
+     * @name off
+     * @description Removes a handler from every event it was added to.
+     * @param {function(Object): void} handler - The handler to remove.
+     * @example
+     * const handler = IEvents.after("chat", (event) => {});
+     * IEvents.off(handler);
+     * @returns {boolean} - Whether the handler was found.
+     */
+    static off(handler) {
+        let found = false;
+        for (const key of [...channels.keys()]) {
+            const channel = channels.get(key);
+            const remaining = channel.handlers.filter((entry) => entry.handler !== handler);
+            if (remaining.length === channel.handlers.length) continue;
+            found = true;
+            channel.handlers = remaining;
+            if (remaining.length === 0) IEvents.release(key);
+        }
+        return found;
+    }
+
+    /**
+     * @name subscribe
+     * @description Adds a handler to an event phase, subscribing to the raw signal if this is its first handler.
+     * @param {"before"|"after"} phase - The event phase.
+     * @param {string} name - The event name.
+     * @param {function(Object): void} handler - Called with the event payload.
+     * @param {IEventOptions} [options] - Priority, once and ignoreCancelled.
+     * @returns {function(Object): void} - The handler.
+     * @throws {Error} - Throws an error if the event or phase is unknown.
+     * @throws {TypeError} - Throws a TypeError if the handler is not a function.
+     */
+    static subscribe(phase, name, handler, options = {}) {
+        const definition = EVENTS[name];
+        if (!definition) {
+            throw new Error(`Unknown event '${name}'. Must be one of: ${Object.keys(EVENTS).join(", ")}.`);
+        }
+        if (phase !== "before" && phase !== "after") {
+            throw new Error("Event phase must be 'before' or 'after'.");
+        }
+        if (!definition[phase]) {
+            throw new Error(`Event '${name}' has no ${phase} phase.`);
+        }
+        if (typeof handler !== "function") {
+            throw new TypeError("Event handler must be a function.");
+        }
+
+        const key = `${phase}:${name}`;
+        let channel = channels.get(key);
+        if (!channel) {
+            const signal = (phase === "before" ? mc.world.beforeEvents : mc.world.afterEvents)[definition[phase]];
+            channel = { raw: null, handlers: [] };
+            channel.raw = signal.subscribe((event) => IEvents.dispatch(key, definition, phase, event));
+            channels.set(key, channel);
+        }
+        channel.handlers.push({
+            handler,
+            priority: options.priority || 0,
+            once: options.once === true,
+            ignoreCancelled: options.ignoreCancelled === true,
+            order: order++
+        });
+        channel.handlers.sort((a, b) => b.priority - a.priority || a.order - b.order);
+        return handler;
+    }
+
+    /**
+     * @name dispatch
+     * @description Converts a raw event and runs the handlers of a channel. A handler that throws is logged and skipped,
+     * so one broken module can't stop the others from seeing the event. If the conversion itself throws (say, for a block
+     * in an unloaded chunk), that is logged too and the handlers still run, with only payload.raw (and cancel) set.
+     * @param {string} key - The channel key, "phase:name".
+     * @param {Object} definition - The event definition.
+     * @param {"before"|"after"} phase - The event phase.
+     * @param {Object} event - The raw event.
+     * @returns {void}
+     */
+    static dispatch(key, definition, phase, event) {
+        const channel = channels.get(key);
+        if (!channel || channel.handlers.length === 0) return;
+        let payload;
+        try {
+            payload = { raw: event, ...definition.convert(event) };
+        } catch (error) {
+            console.error(`[IEvents] ${key} payload failed: ${error}`);
+            payload = { raw: event };
+        }
+        if (phase === "before") {
+            Object.defineProperty(payload, "cancel", {
+                get: () => event.cancel === true,
+                set: (value) => { event.cancel = value; },
+                enumerable: true
+            });
+        }
+
+        for (const entry of [...channel.handlers]) {
+            if (entry.ignoreCancelled && payload.cancel) continue;
+            if (entry.once) {
+                channel.handlers = channel.handlers.filter((other) => other !== entry);
+                if (channel.handlers.length === 0) IEvents.release(key);
+            }
+            try {
+                entry.handler(payload);
+            } catch (error) {
+                console.error(`[IEvents] ${key} handler failed: ${error}`);
+            }
+        }
+    }
+
+    /**
+     * @name release
+     * @description Unsubscribes a channel from its raw signal once it has no handlers left.
+     * @param {string} key - The channel key, "phase:name".
+     * @returns {void}
+     */
+    static release(key) {
+        const channel = channels.get(key);
+        if (!channel) return;
+        const [phase, name] = key.split(":");
+        const signal = (phase === "before" ? mc.world.beforeEvents : mc.world.afterEvents)[EVENTS[name][phase]];
+        signal.unsubscribe(channel.raw);
+        channels.delete(key);
+    }
+}
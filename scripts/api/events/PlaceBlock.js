@@ -1,46 +1,46 @@
 import * as mc from "@minecraft/server";
-import { IBlock } from "../classes/IBlock";
+import { IEvents } from "./IEvents";
 
 /**
- * @event playerPlaceBlock - Before Event
+ * @event blockPlace - Before Event
  * @description This event is triggered when a player places a block in the world (pre).
+ * Handlers are added through IEvents, so other modules can listen to the same event with their own priority.
  * @param {Object} eventData - The data associated with the event.
  * @param {mc.Player} eventData.player - The player who placed the block.
- * @param {mc.Block} eventData.block - The block that was placed.
+ * @param {IBlock} eventData.block - The block at the position being placed into.
+ * @param {IVec3} eventData.location - The position of the block.
+ * @param {IDimension} eventData.dimension - The dimension of the block.
+ * @param {mc.BlockPermutation} eventData.permutation - The block that is about to be placed.
+ * @param {boolean} eventData.cancel - Set to true to cancel the placement.
  * @example
- * mc.world.beforeEvents.playerPlaceBlock.subscribe((eventData) => {
- *   const player = eventData.player;
- *   const block = eventData.block;
- *   const iblock = new IBlock(block.location.x, block.location.y, block.location.z, block.dimension.id);
- * 
- *   // You can now use the iblock object to interact with the broken block.
+ * IEvents.before("blockPlace", (eventData) => {
+ *   // You can now use the payload to interact with the placed block.
  *   // For example, you can cancel the event if the block is "minecraft:stone"
- *   if (iblock.type === "minecraft:stone") {
+ *   if (eventData.permutation.type.id === "minecraft:stone") {
  *       eventData.cancel = true;
  *       console.log("Player tried to place a stone block, but the event was cancelled.");
  *   }
  * });
  */
-mc.world.beforeEvents.playerPlaceBlock.subscribe((eventData) => {
+IEvents.before("blockPlace", (eventData) => {
     const player = eventData.player;
-    const block = eventData.block;
-    const iblock = new IBlock(block.location.x, block.location.y, block.location.z);
+    const iblock = eventData.block;
 
     // You can now use the iblock object to interact with the placed block.
     
 });
 
 /**
- * @event playerPlaceBlock - After Event
+ * @event blockPlace - After Event
  * @description This event is triggered when a player places a block in the world (post).
  * @param {Object} eventData - The data associated with the event.
  * @param {mc.Player} eventData.player - The player who placed the block.
- * @param {mc.Block} eventData.block - The block that was placed.
+ * @param {IBlock} eventData.block - The block that was placed.
+ * @param {IVec3} eventData.location - The position of the block.
+ * @param {IDimension} eventData.dimension - The dimension of the block.
  * @example
- * mc.world.afterEvents.playerPlaceBlock.subscribe((eventData) => {
- *   const player = eventData.player;
- *   const block = eventData.block;
- *   const iblock = new IBlock(block.location.x, block.location.y, block.location.z, block.dimension.id);
+ * IEvents.after("blockPlace", (eventData) => {
+ *   const iblock = eventData.block;
  * 
  *   // You can now use the iblock object to interact with the placed block.
  *   // For example, you can change the block type:
@@ -49,11 +49,11 @@ mc.world.beforeEvents.playerPlaceBlock.subscribe((eventData) => {
  *   if (iblock.isAir) {
  *       console.log("The placed block is air.");
  *   }
+ * });
  */
-mc.world.afterEvents.playerPlaceBlock.subscribe((eventData) => {
+IEvents.after("blockPlace", (eventData) => {
     const player = eventData.player;
-    const block = eventData.block
-    const iblock = new IBlock(block.location.x, block.location.y, block.location.z, block.dimension.id);
+    const iblock = eventData.block;
 
     // You can now use the iblock object to interact with the placed block.
-});
\ No newline at end of file
+});
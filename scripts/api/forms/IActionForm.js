@@ -0,0 +1,123 @@
+import * as ui from "@minecraft/server-ui";
+import { IForm } from "./IForm";
+
+/**
+ * @class IActionForm
+ * @description A list of buttons. Each button can carry a value and an onSelect handler, so menus don't need to map
+ * selection indexes back to actions by hand.
+ * @constructor {string} [title] - The form title.
+ * @example
+ * const result = await new IActionForm("Admin")
+ *     .body("Pick a tool.")
+ *     .button("Heal all", { icon: "textures/items/apple", onSelect: () => healAll() })
+ *     .button("Zones", { value: "zones" })
+ *     .show(player);
+ *
+ * if (result.value === "zones") openZoneMenu(player);
+ */
+export class IActionForm extends IForm {
+    constructor(title = "") {
+        super(title);
+        this.form_body = "";
+        /** @type {Array<{type: string, text?: string, icon?: string, value?: *, onSelect?: function}>} */
+        this.elements = [];
+    }
+
+    /**
+     * @name body
+     * @param {string} text - The text above the buttons.
+     * @returns {this}
+     */
+    body(text) {
+        this.form_body = text;
+        return this;
+    }
+
+    /**
+     * @name button
+     * @param {string} text - The button text.
+     * @param {{icon?: string, value?: *, onSelect?: function(mc.Player, *): (*|Promise<*>)}} [options]
+     * value is what the result holds when the button is picked (defaults to the button's index);
+     * onSelect runs when it is picked, and what it returns ends up in result.returned.
+     * @returns {this}
+     */
+    button(text, options = {}) {
+        this.elements.push({ type: "button", text, icon: options.icon, value: options.value, onSelect: options.onSelect });
+        return this;
+    }
+
+    /**
+     * @name label
+     * @param {string} text - Text between buttons.
+     * @returns {this}
+     */
+    label(text) {
+        this.elements.push({ type: "label", text });
+        return this;
+    }
+
+    /**
+     * @name header
+     * @param {string} text - A heading between buttons.
+     * @returns {this}
+     */
+    header(text) {
+        this.elements.push({ type: "header", text });
+        return this;
+    }
+
+    /**
+     * @name divider
+     * @returns {this}
+     */
+    divider() {
+        this.elements.push({ type: "divider" });
+        return this;
+    }
+
+    /**
+     * @name buttons
+     * @returns {Array<{text: string, icon?: string, value?: *, onSelect?: function}>} - The buttons, in order.
+     */
+    buttons() {
+        return this.elements.filter((element) => element.type === "button");
+    }
+
+    /**
+     * @name build
+     * @returns {ui.ActionFormData}
+     */
+    build() {
+        const data = new ui.ActionFormData().title(this.form_title);
+        if (this.form_body) data.body(this.form_body);
+        for (const element of this.elements) {
+            if (element.type === "button") {
+                data.button(element.text, element.icon);
+            } else if (element.type === "divider") {
+                data.divider();
+            } else {
+                data[element.type](element.text);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * @name show
+     * @description Shows the form and runs the picked button's onSelect.
+     * @param {mc.Player} player - The player.
+     * @param {IFormShowOptions} [options] - Busy retry settings.
+     * @returns {Promise<{canceled: boolean, reason: string|undefined, selection: number|undefined, value: *, returned: *}>}
+     * selection is the index of the picked button; value is its value, or the index if it has none.
+     */
+    async show(player, options = {}) {
+        const response = await IForm.present(player, this.build(), options);
+        if (response.canceled || response.selection === undefined) {
+            return { canceled: true, reason: response.cancelationReason, selection: undefined, value: undefined, returned: undefined };
+        }
+        const button = this.buttons()[response.selection];
+        const value = button.value === undefined ? response.selection : button.value;
+        const returned = button.onSelect ? await button.onSelect(player, value) : undefined;
+        return { canceled: false, reason: undefined, selection: response.selection, value, returned };
+    }
+}
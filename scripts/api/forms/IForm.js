@@ -0,0 +1,91 @@
+import * as mc from "@minecraft/server";
+import * as ui from "@minecraft/server-ui";
+
+/**
+ * @typedef {Object} IFormShowOptions
+ * @property {number} [busyRetries=10] - How many times to try again while the player can't see forms (chat or another menu open).
+ * @property {number} [retryDelay=20] - Ticks between tries.
+ */
+
+/**
+ * @typedef {Object} IFormResult
+ * @property {boolean} canceled - Whether the player closed the form, or it could not be shown.
+ * @property {ui.FormCancelationReason|undefined} reason - Why it was canceled: "UserClosed" or "UserBusy".
+ * @property {*} value - What the player picked or entered. Each form documents what it holds.
+ */
+
+/**
+ * @class IForm
+ * @description The base of every form builder. Builders are reusable: each show() builds a fresh form from the
+ * builder's current state, so the same builder can be shown to many players or shown again after a change.
+ * Showing waits and tries again while the player is busy, e.g. with chat open after running a command.
+ * @constructor {string} [title] - The form title.
+ * @example
+ * const result = await new IActionForm("Menu").button("Spawn").show(player);
+ * if (result.canceled) return;
+ */
+export class IForm {
+    constructor(title = "") {
+        this.form_title = title;
+    }
+
+    /**
+     * @name title
+     * @param {string} text - The form title.
+     * @returns {this}
+     */
+    title(text) {
+        this.form_title = text;
+        return this;
+    }
+
+    /**
+     * @name build
+     * @description Creates the server-ui form data. Implemented by each form.
+     * @returns {ui.ActionFormData|ui.ModalFormData|ui.MessageFormData}
+     */
+    build() {
+        throw new Error(`${this.constructor.name} does not implement build().`);
+    }
+
+    /**
+     * @name show
+     * @description Shows the form and resolves with the result. Implemented by each form.
+     * @param {mc.Player} player - The player to show the form to.
+     * @param {IFormShowOptions} [options] - Busy retry settings.
+     * @returns {Promise<IFormResult>}
+     */
+    show(player, options = {}) {
+        return IForm.present(player, this.build(), options);
+    }
+
+    /**
+     * @name present
+     * @description Shows server-ui form data, trying again while the player is busy.
+     * Players can't see forms while chat is open, which is always the case right after they run a chat command.
+     * @param {mc.Player} player - The player.
+     * @param {ui.ActionFormData|ui.ModalFormData|ui.MessageFormData} data - The form data.
+     * @param {IFormShowOptions} [options] - Busy retry settings.
+     * @returns {Promise<ui.ActionFormResponse|ui.ModalFormResponse|ui.MessageFormResponse>} - The last response.
+     */
+    static async present(player, data, options = {}) {
+        const retries = options.busyRetries === undefined ? 10 : options.busyRetries;
+        const delay = options.retryDelay === undefined ? 20 : options.retryDelay;
+        let response = await data.show(player);
+        for (let attempt = 0; attempt < retries && response.canceled && response.cancelationReason === ui.FormCancelationReason.UserBusy; attempt++) {
+            await wait(delay);
+            if (!player.isValid) break;
+            response = await data.show(player);
+        }
+        return response;
+    }
+}
+
+/**
+ * @name wait
+ * @param {number} ticks - How long to wait.
+ * @returns {Promise<void>} - Resolves after the ticks have passed.
+ */
+function wait(ticks) {
+    return new Promise((resolve) => mc.system.runTimeout(resolve, ticks));
+}
@@ -0,0 +1,134 @@
+import { IForm } from "./IForm";
+import { IActionForm } from "./IActionForm";
+
+/**
+ * @class IListForm
+ * @description Picks one item from a list of any length, split into pages of buttons with previous and next buttons.
+ * @constructor {string} [title] - The form title. The page number is added to it when there is more than one page.
+ * @constructor {Array<*>} [items] - The items to pick from.
+ * @constructor {function(*, number): (string|{text: string, icon?: string})} [render] - Turns an item into its button.
+ * Defaults to String(item).
+ * @example
+ * const result = await new IListForm("Shop", shopItems, (item) => ({ text: `${item.name}\n§2$${item.price}`, icon: item.icon }))
+ *     .body("Pick something to buy.")
+ *     .pageSize(8)
+ *     .show(player);
+ *
+ * if (!result.canceled) buy(player, result.item);
+ */
+export class IListForm extends IForm {
+    constructor(title = "", items = [], render = (item) => String(item)) {
+        super(title);
+        this.list_items = items;
+        this.render = render;
+        this.form_body = "";
+        this.page_size = 10;
+        this.empty_text = "There is nothing here.";
+    }
+
+    /**
+     * @name items
+     * @param {Array<*>} items - The items to pick from.
+     * @param {function(*, number): (string|{text: string, icon?: string})} [render] - Turns an item into its button.
+     * @returns {this}
+     */
+    items(items, render = this.render) {
+        this.list_items = items;
+        this.render = render;
+        return this;
+    }
+
+    /**
+     * @name body
+     * @param {string} text - The text above the buttons, on every page.
+     * @returns {this}
+     */
+    body(text) {
+        this.form_body = text;
+        return this;
+    }
+
+    /**
+     * @name pageSize
+     * @param {number} size - Items per page (default 10).
+     * @returns {this}
+     * @throws {Error} - Throws an error if the size is not a positive whole number.
+     */
+    pageSize(size) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error("Page size must be a whole number, at least 1.");
+        }
+        this.page_size = size;
+        return this;
+    }
+
+    /**
+     * @name empty
+     * @param {string} text - What the body says when there are no items.
+     * @returns {this}
+     */
+    empty(text) {
+        this.empty_text = text;
+        return this;
+    }
+
+    /**
+     * @name pageCount
+     * @returns {number} - How many pages the items fill, at least 1.
+     */
+    pageCount() {
+        return Math.max(1, Math.ceil(this.list_items.length / this.page_size));
+    }
+
+    /**
+     * @name page
+     * @description Builds the action form for one page.
+     * @param {number} page - The page index, from 0.
+     * @returns {IActionForm}
+     */
+    page(page) {
+        const pages = this.pageCount();
+        const form = new IActionForm(pages > 1 ? `${this.form_title} (${page + 1}/${pages})` : this.form_title)
+            .body(this.list_items.length === 0 ? this.empty_text : this.form_body);
+        const start = page * this.page_size;
+        this.list_items.slice(start, start + this.page_size).forEach((item, offset) => {
+            const button = this.render(item, start + offset);
+            const text = typeof button === "string" ? button : button.text;
+            form.button(text, { icon: typeof button === "string" ? undefined : button.icon, value: { index: start + offset } });
+        });
+        if (page > 0) form.button("§l« Previous", { value: { page: page - 1 } });
+        if (page < pages - 1) form.button("§lNext »", { value: { page: page + 1 } });
+        return form;
+    }
+
+    /**
+     * @name build
+     * @returns {ui.ActionFormData} - The first page.
+     */
+    build() {
+        return this.page(0).build();
+    }
+
+    /**
+     * @name show
+     * @description Shows the pages until the player picks an item or closes the form.
+     * @param {mc.Player} player - The player.
+     * @param {IFormShowOptions & {page?: number}} [options] - Busy retry settings, and the page to start on.
+     * @returns {Promise<{canceled: boolean, reason: string|undefined, item: *, index: number|undefined, value: *}>}
+     */
+    async show(player, options = {}) {
+        let page = Math.min(Math.max(0, options.page || 0), this.pageCount() - 1);
+        for (;;) {
+            const result = await this.page(page).show(player, options);
+            if (result.canceled) {
+                return { canceled: true, reason: result.reason, item: undefined, index: undefined, value: undefined };
+            }
+            if (result.value.page !== undefined) {
+                page = result.value.page;
+                continue;
+            }
+            const item = this.list_items[result.value.index];
+            return { canceled: false, reason: undefined, item, index: result.value.index, value: item };
+        }
+    }
+}
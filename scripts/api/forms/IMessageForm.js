@@ -0,0 +1,79 @@
+import * as ui from "@minecraft/server-ui";
+import { IForm } from "./IForm";
+
+/**
+ * @class IMessageForm
+ * @description A yes/no question with two buttons.
+ * @constructor {string} [title] - The form title.
+ * @example
+ * const result = await new IMessageForm("Delete zone")
+ *     .body(`Delete '${zone.name}'? This can't be undone.`)
+ *     .confirm("Delete")
+ *     .cancel("Keep")
+ *     .show(player);
+ *
+ * if (result.confirmed) Protection.remove(zone.name);
+ */
+export class IMessageForm extends IForm {
+    constructor(title = "") {
+        super(title);
+        this.form_body = "";
+        this.confirm_text = "Yes";
+        this.cancel_text = "No";
+    }
+
+    /**
+     * @name body
+     * @param {string} text - The question.
+     * @returns {this}
+     */
+    body(text) {
+        this.form_body = text;
+        return this;
+    }
+
+    /**
+     * @name confirm
+     * @param {string} text - The text of the confirm button (default "Yes").
+     * @returns {this}
+     */
+    confirm(text) {
+        this.confirm_text = text;
+        return this;
+    }
+
+    /**
+     * @name cancel
+     * @param {string} text - The text of the cancel button (default "No").
+     * @returns {this}
+     */
+    cancel(text) {
+        this.cancel_text = text;
+        return this;
+    }
+
+    /**
+     * @name build
+     * @returns {ui.MessageFormData}
+     */
+    build() {
+        return new ui.MessageFormData()
+            .title(this.form_title)
+            .body(this.form_body)
+            .button1(this.confirm_text)
+            .button2(this.cancel_text);
+    }
+
+    /**
+     * @name show
+     * @param {mc.Player} player - The player.
+     * @param {IFormShowOptions} [options] - Busy retry settings.
+     * @returns {Promise<{canceled: boolean, reason: string|undefined, confirmed: boolean, value: boolean}>}
+     * confirmed (and value) is only true if the confirm button was pressed; closing the form counts as no.
+     */
+    async show(player, options = {}) {
+        const response = await IForm.present(player, this.build(), options);
+        const confirmed = !response.canceled && response.selection === 0;
+        return { canceled: response.canceled, reason: response.cancelationReason, confirmed, value: confirmed };
+    }
+}
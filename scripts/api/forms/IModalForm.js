@@ -0,0 +1,338 @@
+import * as ui from "@minecraft/server-ui";
+import { IForm } from "./IForm";
+
+/**
+ * @typedef {Object} IModalField
+ * @property {"text"|"number"|"toggle"|"slider"|"dropdown"} type - The field type.
+ * @property {string} name - The key the value is stored under in result.values.
+ * @property {string} label - The label shown above the field.
+ * @property {*} [default] - The starting value. For dropdowns, the value (not the index) of an option.
+ * @property {string} [placeholder] - Text and number fields: the hint shown while empty.
+ * @property {string} [tooltip] - Extra help shown next to the label.
+ * @property {boolean} [required] - Text and number fields: reject empty input.
+ * @property {number} [min] - Number and slider fields: the smallest value.
+ * @property {number} [max] - Number and slider fields: the largest value.
+ * @property {boolean} [integer] - Number fields: only accept whole numbers.
+ * @property {number} [step] - Slider fields: the step between values (default 1).
+ * @property {Array<string|{label: string, value: *}>} [options] - Dropdown fields: the choices.
+ * @property {function(*, Object): (boolean|string|void)} [validate] - Return false or an error message to reject the value.
+ */
+
+/**
+ * @class IModalForm
+ * @description A form with input fields. Values come back by field name, already converted (numbers as numbers,
+ * dropdowns as the picked option's value). Invalid input shows the form again with the errors on top and the
+ * player's input kept, until it is valid or the player closes the form.
+ * @constructor {string} [title] - The form title.
+ * @example
+ * const result = await new IModalForm("Pay")
+ *     .text("target", "Player", { required: true })
+ *     .number("amount", "Amount", { min: 1, integer: true, required: true })
+ *     .dropdown("currency", "Currency", ["coins", "gems"])
+ *     .validate((values) => values.target !== player.name || "You can't pay yourself.")
+ *     .submit("Send")
+ *     .show(player);
+ *
+ * if (!result.canceled) Economy.pay(player, result.values.target, result.values.amount);
+ */
+export class IModalForm extends IForm {
+    constructor(title = "") {
+        super(title);
+        /** @type {Array<IModalField|{type: "label"|"header"|"divider", text?: string}>} */
+        this.fields = [];
+        /** @type {Array<function(Object): (boolean|string|void)>} */
+        this.validators = [];
+        this.submit_text = undefined;
+    }
+
+    /**
+     * @name text
+     * @param {string} name - The result key.
+     * @param {string} label - The label.
+     * @param {{default?: string, placeholder?: string, tooltip?: string, required?: boolean, validate?: function(string, Object): (boolean|string|void)}} [options]
+     * @returns {this}
+     */
+    text(name, label, options = {}) {
+        return this.addField({ ...options, type: "text", name, label });
+    }
+
+    /**
+     * @name number
+     * @description A text field that only accepts numbers.
+     * @param {string} name - The result key.
+     * @param {string} label - The label.
+     * @param {{default?: number, placeholder?: string, tooltip?: string, required?: boolean, min?: number, max?: number, integer?: boolean, validate?: function(number, Object): (boolean|string|void)}} [options]
+     * @returns {this}
+     */
+    number(name, label, options = {}) {
+        return this.addField({ ...options, type: "number", name, label });
+    }
+
+    /**
+     * @name toggle
+     * @param {string} name - The result key.
+     * @param {string} label - The label.
+     * @param {{default?: boolean, tooltip?: string, validate?: function(boolean, Object): (boolean|string|void)}} [options]
+     * @returns {this}
+     */
+    toggle(name, label, options = {}) {
+        return this.addField({ ...options, type: "toggle", name, label });
+    }
+
+    /**
+     * @name slider
+     * @param {string} name - The result key.
+     * @param {string} label - The label.
+     * @param {number} min - The smallest value.
+     * @param {number} max - The largest value.
+     * @param {{default?: number, step?: number, tooltip?: string, validate?: function(number, Object): (boolean|string|void)}} [options]
+     * @returns {this}
+     */
+    slider(name, label, min, max, options = {}) {
+        return this.addField({ ...options, type: "slider", name, label, min, max });
+    }
+
+    /**
+     * @name dropdown
+     * @param {string} name - The result key.
+     * @param {string} label - The label.
+     * @param {Array<string|{label: string, value: *}>} options - The choices. Strings are their own value.
+     * @param {{default?: *, tooltip?: string, validate?: function(*, Object): (boolean|string|void)}} [settings]
+     * @returns {this}
+     * @throws {Error} - Throws an error if there are no choices.
+     */
+    dropdown(name, label, options, settings = {}) {
+        if (!Array.isArray(options) || options.length === 0) {
+            throw new Error(`Dropdown '${name}' needs at least one option.`);
+        }
+        return this.addField({ ...settings, type: "dropdown", name, label, options });
+    }
+
+    /**
+     * @name label
+     * @param {string} text - Text between fields.
+     * @returns {this}
+     */
+    label(text) {
+        this.fields.push({ type: "label", text });
+        return this;
+    }
+
+    /**
+     * @name header
+     * @param {string} text - A heading between fields.
+     * @returns {this}
+     */
+    header(text) {
+        this.fields.push({ type: "header", text });
+        return this;
+    }
+
+    /**
+     * @name divider
+     * @returns {this}
+     */
+    divider() {
+        this.fields.push({ type: "divider" });
+        return this;
+    }
+
+    /**
+     * @name submit
+     * @param {string} text - The text of the submit button.
+     * @returns {this}
+     */
+    submit(text) {
+        this.submit_text = text;
+        return this;
+    }
+
+    /**
+     * @name validate
+     * @description Adds a check over all values, run after every field passed its own checks.
+     * @param {function(Object): (boolean|string|void)} validator - Return false or an error message to reject the input.
+     * @returns {this}
+     */
+    validate(validator) {
+        this.validators.push(validator);
+        return this;
+    }
+
+    /**
+     * @name addField
+     * @returns {this}
+     * @throws {Error} - Throws an error if the name is taken.
+     */
+    addField(field) {
+        if (this.fields.some((other) => other.name === field.name)) {
+            throw new Error(`Form field '${field.name}' already exists.`);
+        }
+        this.fields.push(field);
+        return this;
+    }
+
+    /**
+     * @name build
+     * @param {Object<string, *>} [input] - Raw values to fill the fields with instead of their defaults.
+     * @param {string[]} [errors] - Errors to show above the fields.
+     * @returns {ui.ModalFormData}
+     */
+    build(input = {}, errors = []) {
+        const data = new ui.ModalFormData().title(this.form_title);
+        if (errors.length > 0) data.label(`§c${errors.join("\n")}`);
+        for (const field of this.fields) {
+            const raw = field.name in input ? input[field.name] : undefined;
+            switch (field.type) {
+                case "text":
+                case "number":
+                    data.textField(field.label, field.placeholder || "", {
+                        defaultValue: raw !== undefined ? raw : field.default === undefined ? "" : String(field.default),
+                        tooltip: field.tooltip
+                    });
+                    break;
+                case "toggle":
+                    data.toggle(field.label, { defaultValue: raw !== undefined ? raw : field.default === true, tooltip: field.tooltip });
+                    break;
+                case "slider":
+                    data.slider(field.label, field.min, field.max, {
+                        valueStep: field.step || 1,
+                        defaultValue: raw !== undefined ? raw : field.default === undefined ? field.min : field.default,
+                        tooltip: field.tooltip
+                    });
+                    break;
+                case "dropdown": {
+                    const index = raw !== undefined ? raw : Math.max(0, field.options.findIndex((option) => optionValue(option) === field.default));
+                    data.dropdown(field.label, field.options.map(optionLabel), { defaultValueIndex: index, tooltip: field.tooltip });
+                    break;
+                }
+                case "divider":
+                    data.divider();
+                    break;
+                default:
+                    data[field.type](field.text);
+            }
+        }
+        if (this.submit_text) data.submitButton(this.submit_text);
+        return data;
+    }
+
+    /**
+     * @name show
+     * @description Shows the form until the input is valid or the player closes it.
+     * @param {mc.Player} player - The player.
+     * @param {IFormShowOptions} [options] - Busy retry settings.
+     * @returns {Promise<{canceled: boolean, reason: string|undefined, values: Object<string, *>|undefined, value: Object<string, *>|undefined}>}
+     */
+    async show(player, options = {}) {
+        let input = {};
+        let errors = [];
+        for (;;) {
+            const response = await IForm.present(player, this.build(input, errors), options);
+            if (response.canceled || !response.formValues) {
+                return { canceled: true, reason: response.cancelationReason, values: undefined, value: undefined };
+            }
+            // formValues line up with every control, including the error label and text-only rows
+            const offset = errors.length > 0 ? 1 : 0;
+            input = {};
+            this.fields.forEach((field, index) => {
+                if (field.name !== undefined) input[field.name] = response.formValues[index + offset];
+            });
+            const checked = this.check(input);
+            errors = checked.errors;
+            if (errors.length === 0) {
+                return { canceled: false, reason: undefined, values: checked.values, value: checked.values };
+            }
+        }
+    }
+
+    /**
+     * @name check
+     * @description Converts raw form values and runs every validation.
+     * @param {Object<string, *>} input - Raw values by field name.
+     * @returns {{values: Object<string, *>, errors: string[]}}
+     */
+    check(input) {
+        const values = {};
+        const errors = [];
+        for (const field of this.fields) {
+            if (field.name === undefined) continue;
+            const raw = input[field.name];
+            const error = convert(field, raw, values);
+            if (error) errors.push(`${field.label}: ${error}`);
+        }
+        if (errors.length > 0) return { values, errors };
+        for (const field of this.fields) {
+            if (typeof field.validate !== "function" || values[field.name] === undefined) continue;
+            const error = message(field.validate(values[field.name], values));
+            if (error) errors.push(`${field.label}: ${error}`);
+        }
+        if (errors.length > 0) return { values, errors };
+        for (const validator of this.validators) {
+            const error = message(validator(values));
+            if (error) errors.push(error);
+        }
+        return { values, errors };
+    }
+}
+
+/**
+ * @name convert
+ * @description Converts the raw value of one field into values[field.name].
+ * @returns {string|null} - An error message, or null if the value is valid.
+ */
+function convert(field, raw, values) {
+    switch (field.type) {
+        case "text": {
+            const text = typeof raw === "string" ? raw : "";
+            if (field.required && text.trim() === "") return "This field is required.";
+            values[field.name] = text;
+            return null;
+        }
+        case "number": {
+            const text = typeof raw === "string" ? raw.trim() : "";
+            if (text === "") {
+                if (field.required) return "This field is required.";
+                values[field.name] = field.default;
+                return null;
+            }
+            const number = Number(text);
+            if (!Number.isFinite(number)) return `'${text}' is not a number.`;
+            if (field.integer && !Number.isInteger(number)) return "Must be a whole number.";
+            if (field.min !== undefined && number < field.min) return `Must be at least ${field.min}.`;
+            if (field.max !== undefined && number > field.max) return `Must be at most ${field.max}.`;
+            values[field.name] = number;
+            return null;
+        }
+        case "toggle":
+            values[field.name] = raw === true;
+            return null;
+        case "slider":
+            values[field.name] = typeof raw === "number" ? raw : field.min;
+            return null;
+        case "dropdown": {
+            const option = field.options[typeof raw === "number" ? raw : 0];
+            if (option === undefined) return "Pick one of the options.";
+            values[field.name] = optionValue(option);
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * @name message
+ * @returns {string|null} - The error message of a validator result, or null if it passed.
+ */
+function message(result) {
+    if (result === false) return "Invalid value.";
+    return typeof result === "string" ? result : null;
+}
+
+function optionLabel(option) {
+    return typeof option === "string" ? option : option.label;
+}
+
+function optionValue(option) {
+    return typeof option === "string" ? option : option.value;
+}
@@ -0,0 +1,77 @@
+import * as ui from "@minecraft/server-ui";
+
+/**
+ * @class IWizard
+ * @description Shows forms one after another, each step built from the answers so far. Closing a step goes back
+ * to the step before it (or cancels the wizard on the first step), so players can fix an earlier answer.
+ * @example
+ * const result = await new IWizard()
+ *     .step("kind", () => new IActionForm("New zone").button("Plot", { value: "plot" }).button("Town", { value: "town" }))
+ *     .step("details", (answers) => new IModalForm(`New ${answers.kind}`).text("name", "Name", { required: true }))
+ *     .step("confirm", (answers) => new IMessageForm("Create?").body(`Create ${answers.kind} '${answers.details.name}'?`))
+ *     .show(player);
+ *
+ * if (!result.canceled && result.values.confirm) createZone(result.values);
+ */
+export class IWizard {
+    constructor() {
+        /** @type {Array<{name: string, build: function(Object, mc.Player): (IForm|null)}>} */
+        this.steps = [];
+    }
+
+    /**
+     * @name step
+     * @param {string} name - The key the step's answer is stored under.
+     * @param {function(Object, mc.Player): (IForm|null)} build - Builds the step's form from the answers so far.
+     * Return null to skip the step.
+     * @returns {this}
+     * @throws {Error} - Throws an error if the name is taken.
+     */
+    step(name, build) {
+        if (this.steps.some((step) => step.name === name)) {
+            throw new Error(`Wizard step '${name}' already exists.`);
+        }
+        this.steps.push({ name, build });
+        return this;
+    }
+
+    /**
+     * @name show
+     * @description Runs the steps. Each answer is the value of the step form's result: a button value, modal values,
+     * a confirmation or a list item.
+     * @param {mc.Player} player - The player.
+     * @param {IFormShowOptions & {backOnClose?: boolean}} [options] - Busy retry settings. Set backOnClose to false
+     * to cancel the whole wizard when any step is closed.
+     * @returns {Promise<{canceled: boolean, reason: string|undefined, step: string|undefined, values: Object<string, *>}>}
+     * When canceled, step is the step that was closed and values holds the answers before it.
+     */
+    async show(player, options = {}) {
+        const backOnClose = options.backOnClose !== false;
+        const values = {};
+        const shown = [];
+        let index = 0;
+        while (index < this.steps.length) {
+            const step = this.steps[index];
+            const form = step.build({ ...values }, player);
+            if (!form) {
+                delete values[step.name];
+                index++;
+                continue;
+            }
+            const result = await form.show(player, options);
+            if (!result.canceled) {
+                values[step.name] = result.value;
+                shown.push(index);
+                index++;
+                continue;
+            }
+            // Busy players never saw the form, so there is nothing to go back from
+            if (!backOnClose || shown.length === 0 || result.reason !== ui.FormCancelationReason.UserClosed) {
+                return { canceled: true, reason: result.reason, step: step.name, values };
+            }
+            index = shown.pop();
+            for (const later of this.steps.slice(index)) delete values[later.name];
+        }
+        return { canceled: false, reason: undefined, step: undefined, values };
+    }
+}
@@ -0,0 +1,735 @@
+import * as mc from "@minecraft/server";
+import { IEvents } from "../events/IEvents";
+import { IScheduler } from "../classes/IScheduler";
+import { IStats } from "../classes/IStats";
+import { IStorage } from "../classes/IStorage";
+import { MathUtils } from "../utils/MathUtils";
+import { ICommands, CommandError } from "../commands/ICommands";
+
+/**
+ * @typedef {Object} IAntiCheatAction
+ * @property {number} at - The violation level the action starts at.
+ * @property {string} action - A key of AntiCheat.actions: "flag", "notify", "setback" or "kick" built in.
+ * Setback runs on every violation at or above its level; the others run once each time the level is crossed.
+ */
+
+/**
+ * @typedef {Object} IAntiCheatEntry
+ * @description One thing a player did, in the form checks see it. Live events and recorded traces both become entries.
+ * @property {"move"|"break"|"place"|"hit"|"swing"|"hurt"|"push"} type - The entry type.
+ * @property {number} tick - The tick it happened on.
+ * move: location, onGround, inWater, climbing, flying, gliding, riding, levitating, speedLevel, exempt,
+ * surface (the block id under the player's feet while on the ground)
+ * break: location (the block)
+ * place: location (the block), playerLocation, pitch
+ * hit: eyeLocation, targetLocation, exempt
+ * push: cause ("piston", "wind_charge", "riptide", ...) - something other than walking moved the player
+ */
+
+/**
+ * @typedef {Object} IAntiCheatCheck
+ * @property {string} name - A unique name.
+ * @property {string} description - What the check looks for.
+ * @property {boolean} [enabled=true] - Whether the check runs.
+ * @property {number} [decay=1] - Violation level removed per second.
+ * @property {IAntiCheatAction[]} [actions] - What happens as the violation level rises.
+ * @property {Object} [options] - Check-specific thresholds, changed with AntiCheat.configure.
+ * @property {Object<string, function(IAntiCheatContext, IAntiCheatEntry): void>} on - Handlers per entry type.
+ */
+
+/**
+ * @typedef {Object} IAntiCheatContext
+ * @property {mc.Player|{id: string, name: string}} player - The player, or a stand-in during replays.
+ * @property {Object} data - Per-player state owned by the check.
+ * @property {Object} options - The check's options.
+ * @property {number} tick - The tick of the entry.
+ * @property {IAntiCheatEntry|null} previous - The player's previous move entry.
+ * @property {number} ticksSinceHurt - Ticks since the player last took damage (Infinity if never).
+ * @property {number} ticksSincePush - Ticks since the player was last moved by something other than walking (Infinity if never):
+ * damage, a push entry, being in water, or standing on ice or slime.
+ * @property {function(number=, string=): void} flag - Adds violations, with an optional detail for logs.
+ */
+
+const SETBACK_ACTION = "setback";
+const ENTRY_TYPES = ["move", "break", "place", "hit", "swing", "hurt", "push"];
+// Surfaces that keep players moving (ice) or launch them (slime) faster than walking could
+const MOMENTUM_BLOCKS = ["minecraft:ice", "minecraft:packed_ice", "minecraft:blue_ice", "minecraft:frosted_ice", "minecraft:slime"];
+const WIND_CHARGES = ["minecraft:wind_charge_projectile", "minecraft:breeze_wind_charge_projectile"];
+// How far from a piston or wind charge burst players count as pushed
+const PISTON_PUSH_RADIUS = 2.5;
+const WIND_CHARGE_PUSH_RADIUS = 3.5;
+
+/** @type {Map<string, IAntiCheatCheck>} */
+const checks = new Map();
+/** @type {Map<string, Object>} */
+const players = new Map();
+/** @type {Array<function(Object): void>} */
+const listeners = [];
+const storage = new IStorage("anticheat", { schema: { config: { type: "object", default: {} } } });
+let started = false;
+let loaded = false;
+
+/**
+ * @class AntiCheat
+ * @description A pluggable anti-cheat. Each check looks at what players do (moving, breaking, placing, hitting)
+ * and adds violations when something is impossible for a legit player. Violation levels decay over time, and actions
+ * (flag, notify staff, setback, kick) run as they rise. Checks can be switched on and off and tuned while the world runs;
+ * changes are saved.
+ *
+ * Built in: speed, fly, reach, nuker, scaffold and autoclicker. Recorded traces can be replayed through any of them
+ * with AntiCheat.replay, which is how thresholds should be tuned before they go live.
+ * @property {string} notifyTag - Players with this tag (or the moderator tier) get staff notifications.
+ * @property {Object<string, function(mc.Player, Object): void>} actions - The action handlers by name.
+ * @example
+ * AntiCheat.start();
+ * AntiCheat.registerCommands(); // !ac ...
+ * AntiCheat.configure("reach", { options: { maxReach: 3.8 } });
+ * AntiCheat.onViolation((violation) => console.warn(`${violation.player.name} failed ${violation.check} (${violation.detail})`));
+ */
+export class AntiCheat {
+    constructor() {}
+
+    static notifyTag = "anticheat_notify";
+
+    static actions = {
+        flag: (player, violation) => console.warn(`[AntiCheat] ${player.name} failed ${violation.check}: ${violation.detail} (VL ${violation.level.toFixed(1)})`),
+        notify: (player, violation) => {
+            for (const staff of mc.world.getPlayers()) {
+                if (staff.hasTag(AntiCheat.notifyTag) || ICommands.hasPermission(staff, "moderator")) {
+                    staff.sendMessage(`§c[AC] §f${player.name} §7failed §f${violation.check} §7(${violation.detail}, VL ${violation.level.toFixed(1)})`);
+                }
+            }
+        },
+        setback: (player) => {
+            const state = players.get(player.id);
+            if (state && state.lastSafe) player.teleport(state.lastSafe, { keepVelocity: false });
+        },
+        kick: (player, violation) => player.runCommand(`kick "${player.name}" Unfair advantage (${violation.check})`)
+    };
+
+    /**
+     * @name register
+     * @description Adds a check. Saved settings for a check with the same name are applied to it.
+     * @param {IAntiCheatCheck} check - The check.
+     * @example
+     * AntiCheat.register({
+     *     name: "nofall",
+     *     description: "Lands after a long fall without taking damage",
+     *     actions: [{ at: 3, action: "notify" }],
+     *     on: { move: (ctx, entry) => {} }
+     * });
+     * @returns {void}
+     * @throws {Error} - Throws an error if the name is taken or a handler is for an unknown entry type.
+     */
+    static register(check) {
+        if (typeof check.name !== "string" || checks.has(check.name)) {
+            throw new Error(`Check name must be a unique string, '${check.name}' is taken or invalid.`);
+        }
+        for (const type of Object.keys(check.on || {})) {
+            if (!ENTRY_TYPES.includes(type)) {
+                throw new Error(`Check '${check.name}' handles unknown entry type '${type}'.`);
+            }
+        }
+        checks.set(check.name, { enabled: true, decay: 1, actions: [], ...check, options: { ...check.options } });
+        if (loaded) applyConfig(check.name, storage.get("config")[check.name]);
+    }
+
+    /**
+     * @name get
+     * @param {string} name - The check name.
+     * @returns {IAntiCheatCheck|undefined} - The check.
+     */
+    static get(name) {
+        loadConfig();
+        return checks.get(name);
+    }
+
+    /**
+     * @name list
+     * @returns {IAntiCheatCheck[]} - Every registered check.
+     */
+    static list() {
+        loadConfig();
+        return [...checks.values()];
+    }
+
+    /**
+     * @name setEnabled
+     * @param {string} name - The check name.
+     * @param {boolean} enabled - Whether the check runs.
+     * @returns {void}
+     */
+    static setEnabled(name, enabled) {
+        AntiCheat.configure(name, { enabled });
+    }
+
+    /**
+     * @name configure
+     * @description Changes a check's settings and saves them. Options are merged into the current ones.
+     * @param {string} name - The check name.
+     * @param {{enabled?: boolean, decay?: number, actions?: IAntiCheatAction[], options?: Object}} settings
+     * @example
+     * AntiCheat.configure("speed", { decay: 2, actions: [{ at: 3, action: "setback" }, { at: 20, action: "notify" }] });
+     * @returns {void}
+     * @throws {Error} - Throws an error if the check does not exist or an action is unknown.
+     */
+    static configure(name, settings) {
+        loadConfig();
+        requireCheck(name);
+        for (const entry of settings.actions || []) {
+            if (!AntiCheat.actions[entry.action]) {
+                throw new Error(`Unknown action '${entry.action}'. Must be one of: ${Object.keys(AntiCheat.actions).join(", ")}.`);
+            }
+        }
+        applyConfig(name, settings);
+        storage.update("config", (config) => {
+            const saved = config[name] || {};
+            config[name] = { ...saved, ...settings, options: { ...saved.options, ...settings.options } };
+            return config;
+        });
+    }
+
+    /**
+     * @name onViolation
+     * @description Adds a listener that gets every violation, live and replayed.
+     * @param {function({player: mc.Player|{id: string, name: string}, check: string, amount: number, level: number, detail: string, tick: number}): void} listener
+     * @returns {void}
+     */
+    static onViolation(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * @name getViolations
+     * @param {mc.Player|{id: string}} player - The player.
+     * @param {string} [check] - The check name. Leave out for all checks.
+     * @returns {number|Object<string, number>} - The violation level of one check, or of every check that has one.
+     */
+    static getViolations(player, check) {
+        const state = players.get(player.id);
+        const levels = state ? Object.fromEntries(state.violations) : {};
+        return check === undefined ? levels : levels[check] || 0;
+    }
+
+    /**
+     * @name resetViolations
+     * @param {mc.Player|{id: string}} player - The player.
+     * @returns {void}
+     */
+    static resetViolations(player) {
+        const state = players.get(player.id);
+        if (state) state.violations.clear();
+    }
+
+    /**
+     * @name start
+     * @description Starts feeding live player movement and events to the checks. Safe to call more than once.
+     * @returns {void}
+     */
+    static start() {
+        if (started) return;
+        started = true;
+        loadConfig();
+        IScheduler.repeat(1, () => {
+            const tick = mc.system.currentTick;
+            for (const player of mc.world.getPlayers()) {
+                AntiCheat.process(player, moveEntry(player, tick));
+                if (tick % 20 === 0) decay(stateOf(players, player), 1);
+            }
+        }, { name: "anticheat", module: "anticheat" });
+        IEvents.after("blockBreak", (e) => AntiCheat.process(e.player, { type: "break", tick: mc.system.currentTick, location: e.location }));
+        IEvents.after("blockPlace", (e) => AntiCheat.process(e.player, {
+            type: "place",
+            tick: mc.system.currentTick,
+            location: e.location,
+            playerLocation: e.player.location,
+            pitch: e.player.getRotation().x
+        }));
+        IEvents.after("entityHitEntity", (e) => {
+            if (e.entity.typeId !== "minecraft:player") return;
+            const tick = mc.system.currentTick;
+            AntiCheat.process(e.entity, { type: "swing", tick });
+            AntiCheat.process(e.entity, {
+                type: "hit",
+                tick,
+                eyeLocation: e.entity.getHeadLocation(),
+                targetLocation: e.target.location,
+                exempt: isExempt(e.entity)
+            });
+        });
+        IEvents.after("entityHitBlock", (e) => {
+            if (e.entity.typeId === "minecraft:player") AntiCheat.process(e.entity, { type: "swing", tick: mc.system.currentTick });
+        });
+        IEvents.after("entityHurt", (e) => {
+            if (e.entity.typeId === "minecraft:player") AntiCheat.process(e.entity, { type: "hurt", tick: mc.system.currentTick });
+        });
+        IEvents.after("pistonActivate", (e) => pushPlayersNear(e.dimension, [e.location, ...e.attached], PISTON_PUSH_RADIUS, "piston"));
+        for (const event of ["projectileHitBlock", "projectileHitEntity"]) {
+            IEvents.after(event, (e) => {
+                if (WIND_CHARGES.includes(e.projectile.typeId)) pushPlayersNear(e.dimension, [e.location], WIND_CHARGE_PUSH_RADIUS, "wind_charge");
+            });
+        }
+        IEvents.after("itemReleaseUse", (e) => {
+            const item = e.itemStack;
+            const enchantable = item && item.typeId === "minecraft:trident" ? item.getComponent("minecraft:enchantable") : undefined;
+            if (enchantable && enchantable.hasEnchantment("riptide")) AntiCheat.process(e.player, { type: "push", tick: mc.system.currentTick, cause: "riptide" });
+        });
+        IEvents.after("playerLeave", (e) => players.delete(e.playerId));
+    }
+
+    /**
+     * @name process
+     * @description Runs an entry through every enabled check for a live player, running actions for any violations.
+     * @param {mc.Player} player - The player.
+     * @param {IAntiCheatEntry} entry - What the player did.
+     * @returns {void}
+     */
+    static process(player, entry) {
+        run(players, player, entry, true);
+    }
+
+    /**
+     * @name replay
+     * @description Runs a recorded trace through the checks without a live player and without running actions.
+     * Violations decay with the trace's ticks, like they would live.
+     * @param {IAntiCheatEntry[]} trace - The entries, in tick order.
+     * @param {{checks?: string[], name?: string}} [options] - Only run these checks (enabled or not); name labels the replayed player.
+     * @example
+     * const result = AntiCheat.replay([
+     *     { type: "move", tick: 1, location: { x: 0, y: 64, z: 0 }, onGround: true },
+     *     { type: "move", tick: 2, location: { x: 2, y: 64, z: 0 }, onGround: true }
+     * ], { checks: ["speed"] });
+     * result.violations.speed; // > 0
+     * @returns {{violations: Object<string, number>, flags: Array<{check: string, amount: number, level: number, detail: string, tick: number}>}}
+     */
+    static replay(trace, options = {}) {
+        loadConfig();
+        const names = options.checks || [...checks.keys()];
+        names.forEach(requireCheck);
+        const replayPlayers = new Map();
+        const player = { id: "replay", name: options.name || "replay" };
+        const flags = [];
+        const record = (violation) => flags.push(violation);
+        listeners.push(record);
+        try {
+            let lastDecay = trace.length > 0 ? trace[0].tick : 0;
+            for (const entry of trace) {
+                const state = stateOf(replayPlayers, player);
+                if (entry.tick - lastDecay >= 20) {
+                    decay(state, Math.floor((entry.tick - lastDecay) / 20));
+                    lastDecay += Math.floor((entry.tick - lastDecay) / 20) * 20;
+                }
+                run(replayPlayers, player, entry, false, names);
+            }
+        } finally {
+            listeners.splice(listeners.indexOf(record), 1);
+        }
+        const state = replayPlayers.get(player.id);
+        return {
+            violations: state ? Object.fromEntries(state.violations) : {},
+            flags: flags.map(({ player: _player, ...flag }) => flag)
+        };
+    }
+
+    /**
+     * @name registerCommands
+     * @description Registers the !ac command for moderators: list, toggle, violations and reset.
+     * @returns {void}
+     */
+    static registerCommands() {
+        ICommands.register({
+            name: "ac",
+            description: "Anti-cheat controls.",
+            permission: "moderator",
+            subcommands: [
+                {
+                    name: "list",
+                    execute: (ctx) => ctx.reply(AntiCheat.list().map((check) => `${check.enabled ? "§a" : "§c"}${check.name} §7- ${check.description}`).join("\n"))
+                },
+                {
+                    name: "toggle",
+                    permission: "admin",
+                    args: [{ name: "check", type: "string" }, { name: "enabled", type: "boolean" }],
+                    execute: (ctx) => {
+                        if (!checks.has(ctx.args.check)) throw new CommandError(`Unknown check '${ctx.args.check}'.`);
+                        AntiCheat.setEnabled(ctx.args.check, ctx.args.enabled);
+                        ctx.reply(`§a${ctx.args.check} is now ${ctx.args.enabled ? "enabled" : "disabled"}.`);
+                    }
+                },
+                {
+                    name: "vl",
+                    args: [{ name: "target", type: "player" }],
+                    execute: (ctx) => {
+                        const levels = Object.entries(AntiCheat.getViolations(ctx.args.target));
+                        ctx.reply(levels.length === 0 ? `§7${ctx.args.target.name} has no violations.`
+                            : `§e${ctx.args.target.name}: §7${levels.map(([check, level]) => `${check} ${level.toFixed(1)}`).join(", ")}`);
+                    }
+                },
+                {
+                    name: "reset",
+                    args: [{ name: "target", type: "player" }],
+                    execute: (ctx) => {
+                        AntiCheat.resetViolations(ctx.args.target);
+                        ctx.reply(`§aReset the violations of ${ctx.args.target.name}.`);
+                    }
+                }
+            ]
+        });
+    }
+}
+
+/**
+ * @name run
+ * @description Sends an entry to the checks that handle its type, with the player's state from `states`.
+ * @returns {void}
+ */
+function run(states, player, entry, live, only) {
+    loadConfig();
+    const state = stateOf(states, player);
+    if (entry.type === "hurt") state.lastHurt = entry.tick;
+    if (entry.type === "hurt" || entry.type === "push" || (entry.type === "move" && (entry.inWater || MOMENTUM_BLOCKS.includes(entry.surface)))) {
+        state.lastPush = entry.tick;
+    }
+    const previous = state.lastMove;
+    for (const check of checks.values()) {
+        if (only ? !only.includes(check.name) : !check.enabled) continue;
+        const handler = check.on && check.on[entry.type];
+        if (!handler) continue;
+        if (!state.data.has(check.name)) state.data.set(check.name, {});
+        const ctx = {
+            player,
+            data: state.data.get(check.name),
+            options: check.options,
+            tick: entry.tick,
+            previous,
+            ticksSinceHurt: state.lastHurt === null ? Infinity : entry.tick - state.lastHurt,
+            ticksSincePush: state.lastPush === null ? Infinity : entry.tick - state.lastPush,
+            flag: (amount = 1, detail = "") => violate(state, player, check, amount, detail, entry.tick, live)
+        };
+        try {
+            handler(ctx, entry);
+        } catch (error) {
+            console.error(`[AntiCheat] Check '${check.name}' failed: ${error}`);
+        }
+    }
+    if (entry.type === "move") {
+        state.lastMove = entry;
+        if (entry.onGround && !state.flaggedThisTick) state.lastSafe = { ...entry.location };
+        state.flaggedThisTick = false;
+    }
+}
+
+/**
+ * @name violate
+ * @description Raises a check's violation level, tells the listeners and runs the actions the new level reaches.
+ * @returns {void}
+ */
+function violate(state, player, check, amount, detail, tick, live) {
+    const before = state.violations.get(check.name) || 0;
+    const level = before + amount;
+    state.violations.set(check.name, level);
+    state.flaggedThisTick = true;
+    const violation = { player, check: check.name, amount, level, detail, tick };
+    for (const listener of [...listeners]) {
+        try {
+            listener(violation);
+        } catch (error) {
+            console.error(`[AntiCheat] Violation listener failed: ${error}`);
+        }
+    }
+    if (!live) return;
+    for (const entry of check.actions) {
+        const crossed = before < entry.at && level >= entry.at;
+        if (!crossed && !(entry.action === SETBACK_ACTION && level >= entry.at)) continue;
+        try {
+            AntiCheat.actions[entry.action](player, violation);
+        } catch (error) {
+            console.error(`[AntiCheat] Action '${entry.action}' failed: ${error}`);
+        }
+    }
+}
+
+/**
+ * @name decay
+ * @description Lowers every violation level of a player by each check's decay per second.
+ * @returns {void}
+ */
+function decay(state, seconds) {
+    for (const [name, level] of state.violations) {
+        const check = checks.get(name);
+        const next = level - (check ? check.decay : 1) * seconds;
+        if (next <= 0) {
+            state.violations.delete(name);
+        } else {
+            state.violations.set(name, next);
+        }
+    }
+}
+
+/**
+ * @name stateOf
+ * @returns {Object} - The anti-cheat state of a player in a state map, created the first time.
+ */
+function stateOf(states, player) {
+    if (!states.has(player.id)) {
+        states.set(player.id, { violations: new Map(), data: new Map(), lastMove: null, lastSafe: null, lastHurt: null, lastPush: null, flaggedThisTick: false });
+    }
+    return states.get(player.id);
+}
+
+/**
+ * @name moveEntry
+ * @returns {IAntiCheatEntry} - A move entry for a live player.
+ */
+function moveEntry(player, tick) {
+    const speed = player.getEffect("speed");
+    const onGround = player.isOnGround;
+    return {
+        type: "move",
+        tick,
+        location: { ...player.location },
+        onGround,
+        inWater: player.isInWater,
+        climbing: player.isClimbing,
+        flying: player.isFlying,
+        gliding: player.isGliding,
+        riding: player.hasComponent("minecraft:riding"),
+        levitating: player.getEffect("levitation") !== undefined,
+        speedLevel: speed ? speed.amplifier + 1 : 0,
+        exempt: isExempt(player),
+        surface: onGround ? surfaceBelow(player) : undefined
+    };
+}
+
+/**
+ * @name surfaceBelow
+ * @returns {string|undefined} - The id of the block under the player's feet, or undefined if it can't be read.
+ */
+function surfaceBelow(player) {
+    const { x, y, z } = player.location;
+    try {
+        const block = player.dimension.getBlock({ x: Math.floor(x), y: Math.floor(y - 0.01), z: Math.floor(z) });
+        return block ? block.typeId : undefined;
+    } catch (error) {
+        // Below the bottom of the world
+        return undefined;
+    }
+}
+
+/**
+ * @name pushPlayersNear
+ * @description Tells the checks that every player near one of the locations was pushed, once per player.
+ * @returns {void}
+ */
+function pushPlayersNear(dimension, locations, radius, cause) {
+    const pushed = new Set();
+    for (const location of locations) {
+        for (const player of mc.world.getDimension(dimension.id).getPlayers({ location, maxDistance: radius })) {
+            if (pushed.has(player.id)) continue;
+            pushed.add(player.id);
+            AntiCheat.process(player, { type: "push", tick: mc.system.currentTick, cause });
+        }
+    }
+}
+
+/**
+ * @name isExempt
+ * @returns {boolean} - Whether the player is in a game mode the checks don't apply to.
+ */
+function isExempt(player) {
+    const mode = player.getGameMode();
+    return mode === mc.GameMode.Creative || mode === mc.GameMode.Spectator;
+}
+
+/**
+ * @name loadConfig
+ * @description Applies the saved settings the first time checks are used. Dynamic properties can't be read
+ * while the scripts are first loading.
+ * @returns {void}
+ */
+function loadConfig() {
+    if (loaded) return;
+    loaded = true;
+    for (const [name, settings] of Object.entries(storage.get("config"))) {
+        if (checks.has(name)) applyConfig(name, settings);
+    }
+}
+
+/**
+ * @name applyConfig
+ * @returns {void}
+ */
+function applyConfig(name, settings) {
+    if (!settings) return;
+    const check = checks.get(name);
+    if (settings.enabled !== undefined) check.enabled = settings.enabled === true;
+    if (settings.decay !== undefined) check.decay = settings.decay;
+    if (settings.actions !== undefined) check.actions = settings.actions;
+    if (settings.options !== undefined) check.options = { ...check.options, ...settings.options };
+}
+
+/**
+ * @name requireCheck
+ * @throws {Error} - Throws an error if the check does not exist.
+ */
+function requireCheck(name) {
+    if (!checks.has(name)) {
+        throw new Error(`Unknown check '${name}'. Must be one of: ${[...checks.keys()].join(", ")}.`);
+    }
+}
+
+/**
+ * @name recent
+ * @description Adds a tick to a list of ticks and drops the ones older than the window.
+ * @returns {number[]} - The ticks inside the window, including the new one.
+ */
+function recent(ticks, tick, windowTicks) {
+    ticks.push(tick);
+    while (ticks.length > 0 && ticks[0] <= tick - windowTicks) ticks.shift();
+    return ticks;
+}
+
+/**
+ * Built-in checks
+ */
+
+AntiCheat.register({
+    name: "speed",
+    description: "Moves faster than sprint-jumping allows",
+    decay: 1,
+    actions: [{ at: 4, action: SETBACK_ACTION }, { at: 10, action: "notify" }, { at: 40, action: "kick" }],
+    // Blocks per tick, averaged over `window` ticks; one tick may burst up to maxBurst. Teleports are longer than maxDistance.
+    // Knockback, pistons, wind charges, riptide, water and ice or slime carry players faster than walking,
+    // so moves within knockbackTicks of any of them are not checked.
+    options: { maxAverage: 0.45, maxBurst: 1.2, window: 10, speedBonus: 0.2, knockbackTicks: 20, maxDistance: 8 },
+    on: {
+        move(ctx, entry) {
+            const previous = ctx.previous;
+            if (!previous || entry.exempt || entry.flying || entry.gliding || entry.riding || ctx.ticksSincePush < ctx.options.knockbackTicks) {
+                // Speeds from before the push would still count towards the average
+                if (ctx.data.speeds) ctx.data.speeds.clear();
+                return;
+            }
+            const elapsed = Math.max(1, entry.tick - previous.tick);
+            const distance = Math.hypot(entry.location.x - previous.location.x, entry.location.z - previous.location.z) / elapsed;
+            if (distance * elapsed > ctx.options.maxDistance) return;
+            const multiplier = 1 + ctx.options.speedBonus * (entry.speedLevel || 0);
+            if (!ctx.data.speeds || ctx.data.speeds.maxSize !== ctx.options.window) ctx.data.speeds = new IStats(ctx.options.window);
+            ctx.data.speeds.push(distance, "speed");
+            if (distance > ctx.options.maxBurst * multiplier) {
+                ctx.flag(2, `burst ${distance.toFixed(2)} b/t`);
+            } else if (ctx.data.speeds.getCount("speed") === ctx.options.window && ctx.data.speeds.mean("speed") > ctx.options.maxAverage * multiplier) {
+                ctx.flag(1, `average ${ctx.data.speeds.mean("speed").toFixed(2)} b/t over ${ctx.options.window} ticks`);
+            }
+        }
+    }
+});
+
+AntiCheat.register({
+    name: "fly",
+    description: "Rises or hovers in the air for longer than a jump",
+    decay: 1,
+    actions: [{ at: 3, action: SETBACK_ACTION }, { at: 8, action: "notify" }, { at: 30, action: "kick" }],
+    // A jump peaks after about 6 ticks, so rising or hovering after maxAirTicks is not a jump.
+    // Hovering means moving less than hoverEpsilon vertically. Launches (slime, wind charges, riptide, knockback) are
+    // not checked for knockbackTicks.
+    options: { maxAirTicks: 12, hoverEpsilon: 0.01, knockbackTicks: 20 },
+    on: {
+        move(ctx, entry) {
+            if (entry.onGround || entry.inWater || entry.climbing || entry.flying || entry.gliding || entry.riding || entry.levitating || entry.exempt) {
+                ctx.data.airTicks = 0;
+                return;
+            }
+            ctx.data.airTicks = (ctx.data.airTicks || 0) + 1;
+            if (!ctx.previous || ctx.data.airTicks <= ctx.options.maxAirTicks || ctx.ticksSincePush < ctx.options.knockbackTicks) return;
+            const rise = entry.location.y - ctx.previous.location.y;
+            if (rise > 0) {
+                ctx.flag(1, `rising ${rise.toFixed(2)} after ${ctx.data.airTicks} ticks in the air`);
+            } else if (rise > -ctx.options.hoverEpsilon) {
+                ctx.flag(1, `hovering after ${ctx.data.airTicks} ticks in the air`);
+            }
+        }
+    }
+});
+
+AntiCheat.register({
+    name: "reach",
+    description: "Hits entities from further away than survival reach",
+    decay: 0.5,
+    actions: [{ at: 3, action: "notify" }, { at: 15, action: "kick" }],
+    // Measured from the eyes to the target's feet raised by half its height, minus the hitbox radius.
+    options: { maxReach: 3.6, targetHalfHeight: 0.9, hitboxRadius: 0.4 },
+    on: {
+        hit(ctx, entry) {
+            if (entry.exempt) return;
+            const target = { x: entry.targetLocation.x, y: entry.targetLocation.y + ctx.options.targetHalfHeight, z: entry.targetLocation.z };
+            const reach = MathUtils.distance3d(entry.eyeLocation, target) - ctx.options.hitboxRadius;
+            if (reach > ctx.options.maxReach) ctx.flag(1, `reach ${reach.toFixed(2)}`);
+        }
+    }
+});
+
+AntiCheat.register({
+    name: "nuker",
+    description: "Breaks blocks faster than possible, or several at once",
+    decay: 2,
+    actions: [{ at: 5, action: "notify" }, { at: 30, action: "kick" }],
+    options: { maxPerSecond: 14, maxPerTick: 2 },
+    on: {
+        break(ctx, entry) {
+            const ticks = recent(ctx.data.ticks || (ctx.data.ticks = []), entry.tick, 20);
+            const thisTick = ticks.filter((tick) => tick === entry.tick).length;
+            if (thisTick > ctx.options.maxPerTick) {
+                ctx.flag(1, `${thisTick} blocks in one tick`);
+            } else if (ticks.length > ctx.options.maxPerSecond) {
+                ctx.flag(1, `${ticks.length} blocks per second`);
+            }
+        }
+    }
+});
+
+AntiCheat.register({
+    name: "scaffold",
+    description: "Places blocks under itself without looking down, or bridges too fast",
+    decay: 1,
+    actions: [{ at: 5, action: "notify" }, { at: 25, action: "kick" }],
+    // Pitch is degrees below the horizon; bridging legitimately means looking well down at the edge.
+    options: { minPitch: 35, maxPerSecond: 8 },
+    on: {
+        place(ctx, entry) {
+            const feet = entry.playerLocation;
+            const underFeet = Math.floor(entry.location.y) < Math.floor(feet.y)
+                && Math.abs(entry.location.x + 0.5 - feet.x) < 1.5 && Math.abs(entry.location.z + 0.5 - feet.z) < 1.5;
+            if (!underFeet) return;
+            const ticks = recent(ctx.data.ticks || (ctx.data.ticks = []), entry.tick, 20);
+            if (entry.pitch < ctx.options.minPitch) {
+                ctx.flag(1, `placed below while looking ${entry.pitch.toFixed(0)}° down`);
+            } else if (ticks.length > ctx.options.maxPerSecond) {
+                ctx.flag(1, `${ticks.length} blocks below per second`);
+            }
+        }
+    }
+});
+
+AntiCheat.register({
+    name: "autoclicker",
+    description: "Clicks faster or more evenly than a person can",
+    decay: 1,
+    actions: [{ at: 5, action: "notify" }, { at: 20, action: "kick" }],
+    // A person's click gaps vary; below minDeviation ticks of spread over `window` clicks is a machine.
+    options: { maxCps: 16, window: 20, minDeviation: 0.2, minCpsForConsistency: 8 },
+    on: {
+        swing(ctx, entry) {
+            const ticks = recent(ctx.data.ticks || (ctx.data.ticks = []), entry.tick, 20);
+            if (!ctx.data.gaps || ctx.data.gaps.maxSize !== ctx.options.window) ctx.data.gaps = new IStats(ctx.options.window);
+            if (ctx.data.last !== undefined) ctx.data.gaps.push(entry.tick - ctx.data.last, "gaps");
+            ctx.data.last = entry.tick;
+            if (ticks.length > ctx.options.maxCps) {
+                ctx.flag(1, `${ticks.length} CPS`);
+            } else if (ticks.length >= ctx.options.minCpsForConsistency && ctx.data.gaps.getCount("gaps") === ctx.options.window
+                && ctx.data.gaps.stdDev("gaps") < ctx.options.minDeviation) {
+                ctx.flag(0.5, `${ticks.length} CPS with a click gap deviation of ${ctx.data.gaps.stdDev("gaps").toFixed(2)} ticks`);
+            }
+        }
+    }
+});
@@ -0,0 +1,510 @@
+import * as mc from "@minecraft/server";
+import { IEvents } from "../events/IEvents";
+import { IVec3 } from "../classes/IVec3";
+import { IRegion } from "../classes/IRegion";
+import { IStorage } from "../classes/IStorage";
+import { IBlockJob } from "../classes/IBlockJob";
+import { IScheduler } from "../classes/IScheduler";
+import { IDimension } from "../classes/IDimension";
+import { ICommands, CommandError } from "../commands/ICommands";
+
+/**
+ * What a log entry can record. "change" is a player using a block in a way that changes it (doors, levers, repeaters);
+ * "explode" is a block destroyed by an explosion.
+ */
+export const BLOCK_LOG_ACTIONS = ["place", "break", "change", "explode"];
+
+/**
+ * @typedef {Object} IBlockLogEntry
+ * @property {number} time - When it happened, in milliseconds since the epoch.
+ * @property {"place"|"break"|"change"|"explode"} action - What happened.
+ * @property {string} player - The player name, or "#" and the entity type for explosions, e.g. "#creeper".
+ * @property {string} dimension - The dimension key, e.g. "overworld".
+ * @property {IVec3} location - The block position.
+ * @property {string} before - The block before, with its states, as IDimension.formatBlock writes it.
+ * @property {string} after - The block after.
+ */
+
+/**
+ * @typedef {Object} IBlockLogFilter
+ * @property {string|mc.Player} [player] - Only changes by this player (case-insensitive) or source, e.g. "#tnt".
+ * @property {IDimension|string} [dimension] - Only changes in this dimension.
+ * @property {IRegion} [region] - Only changes inside this region. Needs dimension to mean anything.
+ * @property {number|Date} [since] - Only changes at or after this time.
+ * @property {number|Date} [until] - Only changes at or before this time.
+ * @property {string[]} [actions] - Only these actions.
+ * @property {number} [limit=100] - The most entries to return. Infinity for all of them.
+ */
+
+/*
+ * The log is stored in segments of up to BlockLog.segmentSize records under "blocklog:segment_<n>", with
+ * "blocklog:meta" holding the first and last segment numbers. The last segment is the open one; when it fills up
+ * a new one is started and the oldest are deleted until at most BlockLog.maxSegments remain.
+ * Each segment stores every string once: records are arrays of numbers,
+ * [milliseconds after segment start, action, player, dimension, x, y, z, before, after],
+ * where the action indexes BLOCK_LOG_ACTIONS and player, dimension, before and after index the segment's strings.
+ */
+const storage = new IStorage("blocklog");
+/** @type {{first: number, last: number}|null} */
+let meta = null;
+/** @type {Map<number, {start: number, strings: string[], records: number[][]}>} */
+const segments = new Map();
+/** @type {Map<string, number>} */
+let openStrings = new Map();
+let dirty = false;
+let started = false;
+// The block before each placement or interaction, from its before event until the after event of the same tick.
+// Events that get cancelled never reach the after event, so flush() drops what is left from earlier ticks.
+/** @type {Map<string, {block: string, tick: number}>} */
+const pending = new Map();
+
+/**
+ * @class BlockLog
+ * @description A persistent audit log of block changes for grief investigation: who placed, broke, changed or blew up
+ * which block, where, in which dimension and when. Changes can be looked up by player, area and time, and a player's
+ * changes in an area can be rolled back.
+ * New records are kept in memory and saved every BlockLog.flushInterval ticks, so a crash loses at most that much.
+ * Old records are rotated out once the log holds BlockLog.maxSegments * BlockLog.segmentSize of them.
+ * @property {number} segmentSize - Records per stored segment (default 1000).
+ * @property {number} maxSegments - Segments kept before the oldest is deleted (default 50).
+ * @property {number} flushInterval - Ticks between saves (default 200).
+ * @example
+ * BlockLog.start();
+ * BlockLog.registerCommands(); // !blocklog ...
+ *
+ * // What did Steve do around spawn in the last hour?
+ * const entries = BlockLog.query({
+ *     player: "Steve",
+ *     dimension: "overworld",
+ *     region: IRegion.fromCenter(new IVec3(0, 64, 0), 30),
+ *     since: Date.now() - 60 * 60 * 1000
+ * });
+ *
+ * // Put it all back
+ * const job = BlockLog.rollback({ player: "Steve", dimension: "overworld", region: IRegion.fromCenter(new IVec3(0, 64, 0), 30), since: Date.now() - 60 * 60 * 1000 });
+ * await job.promise;
+ */
+export class BlockLog {
+    constructor() {}
+
+    static segmentSize = 1000;
+    static maxSegments = 50;
+    static flushInterval = 200;
+
+    /**
+     * @name start
+     * @description Starts recording player placements, breaks and block changes and explosions. Safe to call more than once.
+     * @returns {void}
+     */
+    static start() {
+        if (started) return;
+        started = true;
+        // Runs last, so it only sees placements nothing else cancelled; the after event has no record of the old block
+        IEvents.before("blockPlace", (e) => remember(e), { priority: -1000, ignoreCancelled: true });
+        IEvents.after("blockPlace", (e) => {
+            const key = pendingKey(e);
+            const before = pending.has(key) ? pending.get(key).block : "minecraft:air";
+            pending.delete(key);
+            BlockLog.record("place", e.player, e.dimension, e.location, before, e.permutation);
+        });
+        IEvents.after("blockBreak", (e) => BlockLog.record("break", e.player, e.dimension, e.location, e.permutation, e.block.permutation));
+        IEvents.before("blockInteract", (e) => remember(e), { priority: -1000, ignoreCancelled: true });
+        IEvents.after("blockInteract", (e) => {
+            const key = pendingKey(e);
+            const before = pending.has(key) ? pending.get(key).block : undefined;
+            pending.delete(key);
+            const after = IDimension.formatBlock(e.block.permutation);
+            if (before !== undefined && before !== after) BlockLog.record("change", e.player, e.dimension, e.location, before, after);
+        });
+        IEvents.after("blockExplode", (e) => {
+            const source = !e.source ? "#explosion" : e.source.typeId === "minecraft:player" ? e.source : `#${e.source.typeId.replace("minecraft:", "")}`;
+            BlockLog.record("explode", source, e.dimension, e.location, e.permutation, e.block.permutation);
+        });
+        IScheduler.repeat(BlockLog.flushInterval, () => BlockLog.flush(), { name: "blocklog", module: "blocklog" });
+    }
+
+    /**
+     * @name record
+     * @description Adds an entry to the log. Use it to log changes made by scripts, which no event reports.
+     * @param {"place"|"break"|"change"|"explode"} action - What happened.
+     * @param {mc.Player|string} player - The player, or a name for whatever made the change.
+     * @param {IDimension|mc.Dimension|string} dimension - The dimension.
+     * @param {IVec3|{x: number, y: number, z: number}} location - The block position.
+     * @param {string|mc.BlockPermutation} before - The block before.
+     * @param {string|mc.BlockPermutation} after - The block after.
+     * @example
+     * BlockLog.record("place", "#worldedit", "overworld", pos, "minecraft:air", "minecraft:stone");
+     * @returns {void}
+     * @throws {Error} - Throws an error if the action is unknown.
+     */
+    static record(action, player, dimension, location, before, after) {
+        const actionIndex = BLOCK_LOG_ACTIONS.indexOf(action);
+        if (actionIndex === -1) {
+            throw new Error(`Unknown block log action '${action}'. Must be one of: ${BLOCK_LOG_ACTIONS.join(", ")}.`);
+        }
+        loadLog();
+        let open = segments.get(meta.last);
+        if (open.records.length >= BlockLog.segmentSize) open = rotate();
+        const time = Date.now();
+        if (open.records.length === 0) open.start = time;
+        open.records.push([
+            time - open.start,
+            actionIndex,
+            stringIndex(open, typeof player === "string" ? player : player.name),
+            stringIndex(open, dimensionKey(dimension)),
+            Math.floor(location.x),
+            Math.floor(location.y),
+            Math.floor(location.z),
+            stringIndex(open, blockString(before)),
+            stringIndex(open, blockString(after))
+        ]);
+        dirty = true;
+    }
+
+    /**
+     * @name query
+     * @description Finds log entries, newest first.
+     * @param {IBlockLogFilter} [filter] - What to look for. Every part is optional.
+     * @example
+     * // The last 10 things that happened to one block
+     * BlockLog.query({ dimension: "overworld", region: new IRegion(pos, pos), limit: 10 });
+     * @returns {IBlockLogEntry[]}
+     */
+    static query(filter = {}) {
+        loadLog();
+        const limit = filter.limit === undefined ? 100 : filter.limit;
+        const since = filter.since === undefined ? -Infinity : Number(filter.since);
+        const until = filter.until === undefined ? Infinity : Number(filter.until);
+        const player = filter.player === undefined ? undefined : (typeof filter.player === "string" ? filter.player : filter.player.name).toLowerCase();
+        const dimension = filter.dimension === undefined ? undefined : dimensionKey(filter.dimension);
+        const actions = filter.actions && filter.actions.map((action) => BLOCK_LOG_ACTIONS.indexOf(action));
+        const entries = [];
+
+        for (let id = meta.last; id >= meta.first && entries.length < limit; id--) {
+            const segment = loadSegment(id);
+            if (!segment || segment.records.length === 0) continue;
+            if (segment.start + segment.records[segment.records.length - 1][0] < since) break;
+            const players = player === undefined ? null : matchingStrings(segment, (value) => value.toLowerCase() === player);
+            const dimensionIndex = dimension === undefined ? -1 : segment.strings.indexOf(dimension);
+            if ((players && players.size === 0) || (dimension !== undefined && dimensionIndex === -1)) continue;
+
+            for (let i = segment.records.length - 1; i >= 0 && entries.length < limit; i--) {
+                const record = segment.records[i];
+                const time = segment.start + record[0];
+                if (time > until) continue;
+                if (time < since) break;
+                if (actions && !actions.includes(record[1])) continue;
+                if (players && !players.has(record[2])) continue;
+                if (dimension !== undefined && record[3] !== dimensionIndex) continue;
+                if (filter.region && !filter.region.contains({ x: record[4], y: record[5], z: record[6] })) continue;
+                entries.push(toEntry(segment, record));
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * @name history
+     * @description The changes made to one block, newest first.
+     * @param {IDimension|string} dimension - The dimension.
+     * @param {IVec3|{x: number, y: number, z: number}} location - The block position.
+     * @param {number} [limit=10] - The most entries to return.
+     * @returns {IBlockLogEntry[]}
+     */
+    static history(dimension, location, limit = 10) {
+        return BlockLog.query({ dimension, region: new IRegion(location, location), limit });
+    }
+
+    /**
+     * @name rollback
+     * @description Puts back every block a player changed in a region and time window, as it was before their first change.
+     * Blocks changed again after the player's last change to them (by someone else, or by the player after `until`) are left
+     * alone and counted in job.skipped, so a rollback never undoes a repair. Run it inside an IEditSession transaction to be able to undo it.
+     * @param {{player: string|mc.Player, dimension: IDimension|string, region: IRegion, since: number|Date, until?: number|Date}} filter
+     * The player, where and when. until defaults to now.
+     * @example
+     * const job = BlockLog.rollback({ player: "Griefer", dimension: "overworld", region, since: Date.now() - 30 * 60 * 1000 });
+     * const result = await job.promise;
+     * console.warn(`Restored ${result.processed} blocks, skipped ${job.skipped}`);
+     * @returns {IBlockJob & {skipped: number, failed: IVec3[]}} - The running restore. failed lists positions that could not be set, e.g. in unloaded chunks.
+     * @throws {Error} - Throws an error if the player, dimension, region or since is missing.
+     */
+    static rollback(filter) {
+        if (!filter || filter.player === undefined || filter.dimension === undefined || !(filter.region instanceof IRegion) || filter.since === undefined) {
+            throw new Error("Rollback needs a player, a dimension, a region and a since time.");
+        }
+        const player = (typeof filter.player === "string" ? filter.player : filter.player.name).toLowerCase();
+        const dimension = new IDimension(dimensionKey(filter.dimension));
+        // Everything in the area from the window's start on, newest first
+        const entries = BlockLog.query({ dimension: dimension.id, region: filter.region, since: filter.since, limit: Infinity });
+        const until = filter.until === undefined ? Infinity : Number(filter.until);
+
+        /** @type {Map<string, {location: IVec3, block: string}>} */
+        const restores = new Map();
+        const skipped = new Set();
+        const touchedByOthers = new Set();
+        for (const entry of entries) {
+            const key = `${entry.location.x},${entry.location.y},${entry.location.z}`;
+            if (entry.player.toLowerCase() !== player || entry.time > until) {
+                if (!restores.has(key)) touchedByOthers.add(key);
+                continue;
+            }
+            if (touchedByOthers.has(key)) {
+                skipped.add(key);
+                continue;
+            }
+            // Oldest change wins, since entries are newest first
+            restores.set(key, { location: entry.location, block: entry.before });
+        }
+
+        const changes = [...restores.values()];
+        const failed = [];
+        const job = new IBlockJob(changes, ({ location, block }) => {
+            try {
+                dimension.setBlock(block, location);
+            } catch (error) {
+                failed.push(location);
+            }
+        }, changes.length);
+        job.skipped = skipped.size;
+        job.failed = failed;
+        return job;
+    }
+
+    /**
+     * @name flush
+     * @description Saves the records added since the last save. Called every flushInterval ticks once started.
+     * @returns {void}
+     */
+    static flush() {
+        const tick = mc.system.currentTick;
+        for (const [key, entry] of pending) {
+            if (entry.tick < tick) pending.delete(key);
+        }
+        if (!dirty) return;
+        storage.set(`segment_${meta.last}`, segments.get(meta.last));
+        storage.set("meta", meta);
+        dirty = false;
+    }
+
+    /**
+     * @name clear
+     * @description Deletes the whole log.
+     * @returns {void}
+     */
+    static clear() {
+        storage.clear();
+        segments.clear();
+        meta = null;
+        dirty = false;
+    }
+
+    /**
+     * @name registerCommands
+     * @description Registers the !blocklog command (alias !bl) for moderators: near, player, block and rollback.
+     * Times are in minutes back from now.
+     * @returns {void}
+     */
+    static registerCommands() {
+        const minutesArg = { name: "minutes", type: "int", min: 1, optional: true, default: 60 };
+        const reply = (ctx, entries, empty) => ctx.reply(entries.length === 0 ? `§7${empty}` : entries.map(formatEntry).join("\n"));
+        ICommands.register({
+            name: "blocklog",
+            aliases: ["bl"],
+            description: "Look up and roll back block changes.",
+            permission: "moderator",
+            subcommands: [
+                {
+                    name: "near",
+                    args: [{ name: "radius", type: "int", min: 1, max: 100, optional: true, default: 8 }, minutesArg],
+                    execute: (ctx) => reply(ctx, BlockLog.query({
+                        dimension: ctx.player.dimension.id,
+                        region: IRegion.fromCenter(ctx.player.location, ctx.args.radius),
+                        since: Date.now() - ctx.args.minutes * 60000,
+                        limit: 10
+                    }), "No changes nearby.")
+                },
+                {
+                    name: "player",
+                    args: [{ name: "name", type: "string" }, minutesArg],
+                    execute: (ctx) => reply(ctx, BlockLog.query({ player: ctx.args.name, since: Date.now() - ctx.args.minutes * 60000, limit: 10 }), `No changes by ${ctx.args.name}.`)
+                },
+                {
+                    name: "block",
+                    args: [{ name: "pos", type: "position" }],
+                    execute: (ctx) => reply(ctx, BlockLog.history(ctx.player.dimension.id, ctx.args.pos), "No changes to that block.")
+                },
+                {
+                    name: "rollback",
+                    args: [{ name: "name", type: "string" }, { name: "radius", type: "int", min: 1, max: 100 }, { name: "minutes", type: "int", min: 1 }],
+                    execute: (ctx) => {
+                        const job = BlockLog.rollback({
+                            player: ctx.args.name,
+                            dimension: ctx.player.dimension.id,
+                            region: IRegion.fromCenter(ctx.player.location, ctx.args.radius),
+                            since: Date.now() - ctx.args.minutes * 60000
+                        });
+                        if (job.total === 0) throw new CommandError(`No changes by ${ctx.args.name} to roll back.`);
+                        const player = ctx.player;
+                        // The moderator may have left by the time the job ends
+                        const tell = (text) => {
+                            if (player.isValid) player.sendMessage(text);
+                        };
+                        ctx.reply(`§7Rolling back ${job.total} blocks...`);
+                        job.promise.then(() => {
+                            const notes = [job.skipped > 0 ? `${job.skipped} changed since` : "", job.failed.length > 0 ? `${job.failed.length} unloaded` : ""].filter(Boolean);
+                            tell(`§aRolled back ${job.total - job.failed.length} blocks by ${ctx.args.name}${notes.length > 0 ? ` §7(skipped ${notes.join(", ")})` : ""}.`);
+                        }).catch((error) => {
+                            tell(`§cThe rollback stopped after ${job.processed} of ${job.total} blocks: ${error.message}`);
+                        });
+                    }
+                }
+            ]
+        });
+    }
+}
+
+/**
+ * @name loadLog
+ * @description Loads the segment numbers and the open segment the first time the log is used. Dynamic properties can't
+ * be read while the scripts are first loading, so this can't happen at import time.
+ * @returns {void}
+ */
+function loadLog() {
+    if (meta) return;
+    meta = storage.get("meta") || { first: 0, last: 0 };
+    const open = loadSegment(meta.last) || { start: 0, strings: [], records: [] };
+    segments.set(meta.last, open);
+    openStrings = new Map(open.strings.map((value, index) => [value, index]));
+}
+
+/**
+ * @name loadSegment
+ * @returns {{start: number, strings: string[], records: number[][]}|undefined} - A segment, read from storage once and then kept.
+ */
+function loadSegment(id) {
+    if (!segments.has(id)) {
+        const segment = storage.get(`segment_${id}`);
+        if (!segment) return undefined;
+        segments.set(id, segment);
+    }
+    return segments.get(id);
+}
+
+/**
+ * @name rotate
+ * @description Saves the full open segment, starts a new one and deletes the oldest segments over maxSegments.
+ * @returns {{start: number, strings: string[], records: number[][]}} - The new open segment.
+ */
+function rotate() {
+    dirty = true;
+    BlockLog.flush();
+    meta.last++;
+    const open = { start: 0, strings: [], records: [] };
+    segments.set(meta.last, open);
+    openStrings = new Map();
+    while (meta.last - meta.first + 1 > BlockLog.maxSegments) {
+        storage.delete(`segment_${meta.first}`);
+        segments.delete(meta.first);
+        meta.first++;
+    }
+    storage.set("meta", meta);
+    return open;
+}
+
+/**
+ * @name stringIndex
+ * @returns {number} - The index of a string in the open segment, added if it is new.
+ */
+function stringIndex(open, value) {
+    if (!openStrings.has(value)) {
+        openStrings.set(value, open.strings.length);
+        open.strings.push(value);
+    }
+    return openStrings.get(value);
+}
+
+/**
+ * @name matchingStrings
+ * @returns {Set<number>} - The indexes of the segment strings that pass a test.
+ */
+function matchingStrings(segment, test) {
+    const indexes = new Set();
+    segment.strings.forEach((value, index) => {
+        if (test(value)) indexes.add(index);
+    });
+    return indexes;
+}
+
+/**
+ * @name toEntry
+ * @returns {IBlockLogEntry}
+ */
+function toEntry(segment, record) {
+    const [offset, action, player, dimension, x, y, z, before, after] = record;
+    return {
+        time: segment.start + offset,
+        action: BLOCK_LOG_ACTIONS[action],
+        player: segment.strings[player],
+        dimension: segment.strings[dimension],
+        location: new IVec3(x, y, z),
+        before: segment.strings[before],
+        after: segment.strings[after]
+    };
+}
+
+/**
+ * @name formatEntry
+ * @returns {string} - One chat line, e.g. "§73m ago §fSteve §cbroke §fminecraft:stone §7at 10 64 -3".
+ */
+function formatEntry(entry) {
+    const verbs = { place: "§aplaced", break: "§cbroke", change: "§echanged", explode: "§cblew up" };
+    const block = entry.action === "place" ? entry.after : entry.before;
+    return `§7${formatAge(Date.now() - entry.time)} ago §f${entry.player} ${verbs[entry.action]} §f${block} §7at ${entry.location.x} ${entry.location.y} ${entry.location.z}`;
+}
+
+/**
+ * @name formatAge
+ * @returns {string} - A duration in its largest whole unit, e.g. "45s", "12m", "3h" or "2d".
+ */
+function formatAge(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+/**
+ * @name remember
+ * @description Keeps the block of a before event until its after event.
+ * @returns {void}
+ */
+function remember(event) {
+    pending.set(pendingKey(event), { block: IDimension.formatBlock(event.block.permutation), tick: mc.system.currentTick });
+}
+
+/**
+ * @name pendingKey
+ * @returns {string} - The key a before event stashes the old block under for its after event.
+ */
+function pendingKey(event) {
+    return `${event.dimension.id}:${event.location.x},${event.location.y},${event.location.z}`;
+}
+
+/**
+ * @name blockString
+ * @returns {string} - A block id or permutation as a block string with states.
+ */
+function blockString(block) {
+    return typeof block === "string" ? IDimension.normalizeBlockId(block) : IDimension.formatBlock(block);
+}
+
+/**
+ * @name dimensionKey
+ * @returns {string} - The dimension key without namespace, e.g. "overworld".
+ */
+function dimensionKey(dimension) {
+    const id = typeof dimension === "string" ? dimension : dimension.id;
+    return id.replace("minecraft:", "");
+}
@@ -0,0 +1,651 @@
+import * as mc from "@minecraft/server";
+import { IPlayer } from "../classes/IPlayer";
+import { IStorage } from "../classes/IStorage";
+import { IScheduler } from "../classes/IScheduler";
+import { IContainer } from "../classes/IContainer";
+import { IListForm } from "../forms/IListForm";
+import { IModalForm } from "../forms/IModalForm";
+import { ICommands, CommandError } from "../commands/ICommands";
+
+export const TRANSACTION_TYPES = ["deposit", "withdraw", "transfer", "set"];
+
+/**
+ * @typedef {Object} ITransaction
+ * @property {number} id - Counts up from 1.
+ * @property {number} time - When it happened, in milliseconds since the epoch.
+ * @property {"deposit"|"withdraw"|"transfer"|"set"} type - What happened.
+ * @property {string|null} from - The account money left: the payer of a transfer, or the account of a withdraw.
+ * @property {string|null} to - The account money went to: the payee of a transfer, or the account of a deposit or set.
+ * @property {number} amount - The amount moved, or the new balance for set.
+ * @property {string} reason - Why, e.g. "pay" or "shop: 16x minecraft:bread".
+ * @property {string} [fromName] - The last known name of the from account. Added by history().
+ * @property {string} [toName] - The last known name of the to account. Added by history().
+ */
+
+/**
+ * @typedef {Object} IShopListing
+ * @property {string} item - The item id.
+ * @property {string} [name] - What the shop calls it. Defaults to the item id.
+ * @property {string} [icon] - A texture path for the button.
+ * @property {number} [buy] - What players pay per item. Leave out if players can't buy it.
+ * @property {number} [sell] - What players get per item. Leave out if players can't sell it.
+ */
+
+/**
+ * @class InsufficientFundsError
+ * @description Thrown when an account doesn't have enough money for a withdraw, transfer or purchase.
+ * Nothing is changed when it is thrown.
+ * @property {string} account - The account id.
+ * @property {number} balance - The balance the account has.
+ * @property {number} amount - The amount that was needed.
+ */
+export class InsufficientFundsError extends Error {
+    constructor(account, balance, amount) {
+        super(`Insufficient funds: ${Economy.format(amount)} needed, ${Economy.format(balance)} available.`);
+        this.name = "InsufficientFundsError";
+        this.account = account;
+        this.balance = balance;
+        this.amount = amount;
+    }
+}
+
+const storage = new IStorage("economy", {
+    schema: {
+        accounts: { type: "object", default: {} },
+        history: { type: "array", default: [] },
+        nextId: { type: "number", default: 1 }
+    }
+});
+/** @type {Object<string, {name: string, balance: number}>|null} */
+let accounts = null;
+/** @type {Array<function(ITransaction): void>} */
+const listeners = [];
+/** @type {Map<string, IShopListing[]>} */
+const shops = new Map();
+let started = false;
+
+/**
+ * @class Economy
+ * @description Player balances in whole amounts of one currency, kept in world dynamic properties so they are there for
+ * offline players and survive restarts. Every change is saved at once and written to a capped transaction history;
+ * a transfer updates both accounts in the same write, so money is never lost or made halfway through one.
+ * Balances can be mirrored to a scoreboard objective (see Economy.objective) for sidebars and command blocks,
+ * but the scoreboard is only a copy: writing to it does not change anyone's balance.
+ * Accounts are keyed by player id and remember the player's last name, so commands can find offline players by name.
+ * @property {string} symbol - Put before amounts by format() (default "$").
+ * @property {number} startingBalance - What a new account starts with (default 0).
+ * @property {number} maxBalance - The most an account can hold (default 2147483647, the largest score).
+ * @property {number} historySize - Transactions kept before the oldest are dropped (default 500).
+ * @property {string|null} objective - The scoreboard objective balances are mirrored to, or null (default) for none.
+ * @example
+ * Economy.start();
+ * Economy.registerCommands(); // !balance, !pay, !baltop, !shop, !eco ...
+ *
+ * Economy.deposit(player, 100, "daily reward");
+ * try {
+ *     Economy.transfer(player, "Alex", 250, "house");
+ * } catch (error) {
+ *     if (error instanceof InsufficientFundsError) player.sendMessage(`§cYou only have ${Economy.format(error.balance)}.`);
+ * }
+ *
+ * Economy.registerShop("food", [
+ *     { item: "bread", buy: 5, sell: 2 },
+ *     { item: "cooked_beef", name: "Steak", buy: 12 }
+ * ]);
+ * Economy.openShop(player, "food");
+ */
+export class Economy {
+    constructor() {}
+
+    static symbol = "$";
+    static startingBalance = 0;
+    static maxBalance = 2147483647;
+    static historySize = 500;
+    static objective = null;
+
+    /**
+     * @name start
+     * @description Keeps the scoreboard mirror up to date for players who join, if Economy.objective is set.
+     * Safe to call more than once.
+     * @returns {void}
+     */
+    static start() {
+        if (started) return;
+        started = true;
+        IScheduler.repeat(100, () => {
+            if (Economy.objective === null) return;
+            for (const player of mc.world.getPlayers()) syncScore(player);
+        }, { name: "economy_scores", module: "economy" });
+    }
+
+    /**
+     * @name balance
+     * @param {mc.Player|IPlayer|string} player - The player, or the name of a player who has an account.
+     * @returns {number}
+     * @throws {Error} - Throws an error if a name is given and no account has it.
+     */
+    static balance(player) {
+        return account(player).balance;
+    }
+
+    /**
+     * @name has
+     * @param {mc.Player|IPlayer|string} player - The player or player name.
+     * @param {number} amount - The amount.
+     * @returns {boolean} - Whether the player has at least the amount.
+     */
+    static has(player, amount) {
+        return account(player).balance >= amount;
+    }
+
+    /**
+     * @name deposit
+     * @description Adds money to an account.
+     * @param {mc.Player|IPlayer|string} player - The player or player name.
+     * @param {number} amount - A whole amount above 0.
+     * @param {string} [reason=""] - Saved in the history.
+     * @example
+     * Economy.deposit(killer, 25, "bounty");
+     * @returns {number} - The new balance.
+     * @throws {Error} - Throws an error if the amount is invalid or the balance would go over maxBalance.
+     */
+    static deposit(player, amount, reason = "") {
+        checkAmount(amount);
+        const target = account(player);
+        checkLimit(target, amount);
+        return commit([[target, target.balance + amount]], { type: "deposit", from: null, to: target.id, amount, reason });
+    }
+
+    /**
+     * @name withdraw
+     * @description Takes money from an account.
+     * @param {mc.Player|IPlayer|string} player - The player or player name.
+     * @param {number} amount - A whole amount above 0.
+     * @param {string} [reason=""] - Saved in the history.
+     * @returns {number} - The new balance.
+     * @throws {InsufficientFundsError} - Throws an error if the account has less than the amount.
+     * @throws {Error} - Throws an error if the amount is invalid.
+     */
+    static withdraw(player, amount, reason = "") {
+        checkAmount(amount);
+        const source = account(player);
+        if (source.balance < amount) throw new InsufficientFundsError(source.id, source.balance, amount);
+        return commit([[source, source.balance - amount]], { type: "withdraw", from: source.id, to: null, amount, reason });
+    }
+
+    /**
+     * @name transfer
+     * @description Moves money between two accounts. Both balances change together or not at all.
+     * @param {mc.Player|IPlayer|string} from - The payer.
+     * @param {mc.Player|IPlayer|string} to - The payee.
+     * @param {number} amount - A whole amount above 0.
+     * @param {string} [reason=""] - Saved in the history.
+     * @returns {{from: number, to: number}} - The new balances.
+     * @throws {InsufficientFundsError} - Throws an error if the payer has less than the amount.
+     * @throws {Error} - Throws an error if the amount is invalid, both accounts are the same, or the payee would go over maxBalance.
+     */
+    static transfer(from, to, amount, reason = "") {
+        checkAmount(amount);
+        const source = account(from);
+        const target = account(to);
+        if (source.id === target.id) {
+            throw new Error("Cannot transfer money to the same account.");
+        }
+        if (source.balance < amount) throw new InsufficientFundsError(source.id, source.balance, amount);
+        checkLimit(target, amount);
+        commit([[source, source.balance - amount], [target, target.balance + amount]], { type: "transfer", from: source.id, to: target.id, amount, reason });
+        return { from: source.balance, to: target.balance };
+    }
+
+    /**
+     * @name pay
+     * @description A transfer from one player to another, as the !pay command does it.
+     * @param {mc.Player|IPlayer} player - The payer.
+     * @param {mc.Player|IPlayer|string} target - The payee.
+     * @param {number} amount - A whole amount above 0.
+     * @returns {{from: number, to: number}} - The new balances.
+     * @throws {InsufficientFundsError} - Throws an error if the payer has less than the amount.
+     */
+    static pay(player, target, amount) {
+        return Economy.transfer(player, target, amount, "pay");
+    }
+
+    /**
+     * @name set
+     * @description Sets a balance, e.g. for admin corrections.
+     * @param {mc.Player|IPlayer|string} player - The player or player name.
+     * @param {number} balance - A whole amount from 0 to maxBalance.
+     * @param {string} [reason=""] - Saved in the history.
+     * @returns {number} - The new balance.
+     * @throws {Error} - Throws an error if the balance is invalid.
+     */
+    static set(player, balance, reason = "") {
+        if (!Number.isSafeInteger(balance) || balance < 0 || balance > Economy.maxBalance) {
+            throw new Error(`Balance must be a whole number from 0 to ${Economy.maxBalance}, got ${balance}.`);
+        }
+        const target = account(player);
+        return commit([[target, balance]], { type: "set", from: null, to: target.id, amount: balance, reason });
+    }
+
+    /**
+     * @name history
+     * @description The saved transactions, newest first.
+     * @param {{player?: mc.Player|IPlayer|string, type?: string, limit?: number}} [filter] - Only transactions of this player
+     * (either side) or type. limit defaults to 10.
+     * @example
+     * for (const entry of Economy.history({ player, limit: 5 })) player.sendMessage(`${entry.type} ${Economy.format(entry.amount)}`);
+     * @returns {ITransaction[]}
+     */
+    static history(filter = {}) {
+        const id = filter.player === undefined ? undefined : account(filter.player).id;
+        const limit = filter.limit === undefined ? 10 : filter.limit;
+        const all = loadAccounts();
+        const entries = [];
+        const saved = storage.get("history");
+        for (let i = saved.length - 1; i >= 0 && entries.length < limit; i--) {
+            const entry = saved[i];
+            if (id !== undefined && entry.from !== id && entry.to !== id) continue;
+            if (filter.type !== undefined && entry.type !== filter.type) continue;
+            entries.push({ ...entry, fromName: entry.from && all[entry.from] ? all[entry.from].name : undefined, toName: entry.to && all[entry.to] ? all[entry.to].name : undefined });
+        }
+        return entries;
+    }
+
+    /**
+     * @name leaderboard
+     * @param {number} [limit=10] - How many places.
+     * @returns {Array<{rank: number, id: string, name: string, balance: number}>} - The richest accounts, richest first.
+     * Equal balances are ordered by name.
+     */
+    static leaderboard(limit = 10) {
+        return Object.entries(loadAccounts())
+            .map(([id, { name, balance }]) => ({ id, name, balance }))
+            .sort((a, b) => b.balance - a.balance || a.name.localeCompare(b.name))
+            .slice(0, limit)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    /**
+     * @name onTransaction
+     * @description Adds a listener that gets every transaction after it is saved.
+     * @param {function(ITransaction): void} listener
+     * @returns {void}
+     */
+    static onTransaction(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * @name format
+     * @param {number} amount - The amount.
+     * @returns {string} - The amount with the currency symbol and thousands separators, e.g. "$1,250".
+     */
+    static format(amount) {
+        const sign = amount < 0 ? "-" : "";
+        return `${sign}${Economy.symbol}${String(Math.abs(amount)).replace(/\B(?=(\d{3})+(?!\d))/g, ",")}`;
+    }
+
+    /**
+     * Shop functions
+     */
+
+    /**
+     * @name buy
+     * @description Sells items to a player: takes the money, then gives the items. What doesn't fit is dropped at their feet.
+     * @param {mc.Player|IPlayer} player - The player.
+     * @param {string} item - The item id.
+     * @param {number} amount - How many items.
+     * @param {number} price - The price per item.
+     * @returns {number} - The total paid.
+     * @throws {InsufficientFundsError} - Throws an error if the player can't afford it. Nothing is given or taken.
+     * @throws {Error} - Throws an error if the item does not exist, or giving it fails. The money is refunded in that case.
+     */
+    static buy(player, item, amount, price) {
+        const id = itemId(item);
+        const total = checkTrade(amount, price);
+        Economy.withdraw(player, total, `shop: bought ${amount}x ${id}`);
+        try {
+            IPlayer.get(player instanceof IPlayer ? player.player : player).give(id, amount);
+        } catch (error) {
+            Economy.deposit(player, total, `shop: refund for ${amount}x ${id}`);
+            throw error;
+        }
+        return total;
+    }
+
+    /**
+     * @name sell
+     * @description Buys items from a player: takes the items, then pays for them.
+     * @param {mc.Player|IPlayer} player - The player.
+     * @param {string} item - The item id.
+     * @param {number} amount - How many items.
+     * @param {number} price - The price per item.
+     * @returns {number} - The total paid out.
+     * @throws {Error} - Throws an error if the player doesn't have that many, or the payment would go over maxBalance.
+     * Nothing is given or taken.
+     */
+    static sell(player, item, amount, price) {
+        const id = itemId(item);
+        const total = checkTrade(amount, price);
+        const seller = IPlayer.get(player instanceof IPlayer ? player.player : player);
+        checkLimit(account(seller), total);
+        if (!seller.take(id, amount)) {
+            throw new Error(`You don't have ${amount}x ${id}.`);
+        }
+        Economy.deposit(seller, total, `shop: sold ${amount}x ${id}`);
+        return total;
+    }
+
+    /**
+     * @name registerShop
+     * @description Adds or replaces a named shop, for openShop and the !shop command.
+     * @param {string} name - The shop name.
+     * @param {IShopListing[]} listings - What the shop trades.
+     * @returns {void}
+     * @throws {Error} - Throws an error if a listing's item does not exist, it has neither a buy nor a sell price,
+     * or a price is not a whole number above 0.
+     */
+    static registerShop(name, listings) {
+        for (const listing of listings) {
+            itemId(listing.item);
+            if (listing.buy === undefined && listing.sell === undefined) {
+                throw new Error(`Shop '${name}' lists ${listing.item} without a buy or sell price.`);
+            }
+            for (const price of [listing.buy, listing.sell]) {
+                if (price !== undefined) checkAmount(price);
+            }
+        }
+        shops.set(name.toLowerCase(), listings.map((listing) => ({ ...listing, item: IContainer.normalizeItemId(listing.item) })));
+    }
+
+    /**
+     * @name openShop
+     * @description Shows a shop to a player: a list of the listings, then how many to buy or sell.
+     * Errors such as insufficient funds are sent to the player as messages.
+     * @param {mc.Player} player - The player.
+     * @param {string} name - The shop name.
+     * @returns {Promise<{canceled: boolean, action?: "buy"|"sell", item?: string, amount?: number, total?: number}>}
+     * @throws {Error} - Throws an error if the shop does not exist.
+     */
+    static async openShop(player, name) {
+        const listings = shops.get(name.toLowerCase());
+        if (!listings) {
+            throw new Error(`Shop '${name}' does not exist.`);
+        }
+        const picked = await new IListForm(name, listings, (listing) => ({
+            text: `${listing.name || listing.item}\n§2${[
+                listing.buy !== undefined ? `Buy ${Economy.format(listing.buy)}` : "",
+                listing.sell !== undefined ? `Sell ${Economy.format(listing.sell)}` : ""
+            ].filter(Boolean).join(" §8| §2")}`,
+            icon: listing.icon
+        }))
+            .body(`Balance: ${Economy.format(Economy.balance(player))}`)
+            .show(player);
+        if (picked.canceled) return { canceled: true };
+
+        const listing = picked.item;
+        const actions = [];
+        if (listing.buy !== undefined) actions.push({ label: `Buy (${Economy.format(listing.buy)} each)`, value: "buy" });
+        if (listing.sell !== undefined) actions.push({ label: `Sell (${Economy.format(listing.sell)} each)`, value: "sell" });
+        const form = await new IModalForm(listing.name || listing.item)
+            .dropdown("action", "Action", actions)
+            .slider("amount", "Amount", 1, 64, { default: 1 })
+            .submit("Confirm")
+            .show(player);
+        if (form.canceled) return { canceled: true };
+
+        const { action, amount } = form.values;
+        try {
+            const total = action === "buy" ? Economy.buy(player, listing.item, amount, listing.buy) : Economy.sell(player, listing.item, amount, listing.sell);
+            player.sendMessage(`§a${action === "buy" ? "Bought" : "Sold"} ${amount}x ${listing.name || listing.item} for ${Economy.format(total)}.`);
+            return { canceled: false, action, item: listing.item, amount, total };
+        } catch (error) {
+            player.sendMessage(`§c${error.message}`);
+            return { canceled: true };
+        }
+    }
+
+    /**
+     * @name registerCommands
+     * @description Registers !balance (!bal), !pay, !baltop and !shop for everyone, and !eco for admins:
+     * give, take, set and history.
+     * @returns {void}
+     */
+    static registerCommands() {
+        const amountArg = { name: "amount", type: "int", min: 1 };
+        const run = (callback) => {
+            try {
+                return callback();
+            } catch (error) {
+                throw new CommandError(error.message);
+            }
+        };
+        ICommands.register({
+            name: "balance",
+            aliases: ["bal"],
+            description: "Show your balance, or someone else's.",
+            args: [{ name: "player", type: "string", optional: true }],
+            execute: (ctx) => {
+                const name = ctx.args.player;
+                const balance = run(() => Economy.balance(name === undefined ? ctx.player : name));
+                ctx.reply(`§e${name === undefined ? "Balance" : `${name}'s balance`}: §f${Economy.format(balance)}`);
+            }
+        });
+        ICommands.register({
+            name: "pay",
+            description: "Send money to a player.",
+            args: [{ name: "player", type: "string" }, amountArg],
+            execute: (ctx) => {
+                run(() => Economy.pay(ctx.player, ctx.args.player, ctx.args.amount));
+                ctx.reply(`§aSent ${Economy.format(ctx.args.amount)} to ${ctx.args.player}.`);
+                const target = IPlayer.find(ctx.args.player);
+                if (target) target.sendMessage(`§a${ctx.player.name} sent you ${Economy.format(ctx.args.amount)}.`);
+            }
+        });
+        ICommands.register({
+            name: "baltop",
+            description: "The richest players.",
+            execute: (ctx) => {
+                const top = Economy.leaderboard(10);
+                ctx.reply(top.length === 0 ? "§7Nobody has any money yet."
+                    : top.map((entry) => `§e#${entry.rank} §f${entry.name} §7- ${Economy.format(entry.balance)}`).join("\n"));
+            }
+        });
+        ICommands.register({
+            name: "shop",
+            description: "Open a shop.",
+            args: [{ name: "shop", type: "string" }],
+            execute: (ctx) => {
+                if (!shops.has(ctx.args.shop.toLowerCase())) {
+                    throw new CommandError(`Shop '${ctx.args.shop}' does not exist. Shops: ${[...shops.keys()].join(", ") || "none"}.`);
+                }
+                const player = ctx.player;
+                // The form outlives the command, e.g. the player can leave while it is open
+                Economy.openShop(player, ctx.args.shop).catch((error) => {
+                    console.error(`[Economy] !shop ${ctx.args.shop}: ${error}`);
+                    if (player.isValid) player.sendMessage(`§cAn error occurred while running ${ICommands.prefix}shop.`);
+                });
+            }
+        });
+        ICommands.register({
+            name: "eco",
+            description: "Manage balances.",
+            permission: "admin",
+            subcommands: [
+                {
+                    name: "give",
+                    args: [{ name: "player", type: "string" }, amountArg],
+                    execute: (ctx) => {
+                        const balance = run(() => Economy.deposit(ctx.args.player, ctx.args.amount, `admin: ${ctx.player.name}`));
+                        ctx.reply(`§aGave ${Economy.format(ctx.args.amount)} to ${ctx.args.player} (now ${Economy.format(balance)}).`);
+                    }
+                },
+                {
+                    name: "take",
+                    args: [{ name: "player", type: "string" }, amountArg],
+                    execute: (ctx) => {
+                        const balance = run(() => Economy.withdraw(ctx.args.player, ctx.args.amount, `admin: ${ctx.player.name}`));
+                        ctx.reply(`§aTook ${Economy.format(ctx.args.amount)} from ${ctx.args.player} (now ${Economy.format(balance)}).`);
+                    }
+                },
+                {
+                    name: "set",
+                    args: [{ name: "player", type: "string" }, { name: "balance", type: "int", min: 0 }],
+                    execute: (ctx) => {
+                        run(() => Economy.set(ctx.args.player, ctx.args.balance, `admin: ${ctx.player.name}`));
+                        ctx.reply(`§aSet the balance of ${ctx.args.player} to ${Economy.format(ctx.args.balance)}.`);
+                    }
+                },
+                {
+                    name: "history",
+                    args: [{ name: "player", type: "string" }],
+                    execute: (ctx) => {
+                        const entries = run(() => Economy.history({ player: ctx.args.player, limit: 10 }));
+                        ctx.reply(entries.length === 0 ? `§7${ctx.args.player} has no transactions.` : entries.map(formatTransaction).join("\n"));
+                    }
+                }
+            ]
+        });
+    }
+}
+
+/**
+ * @name loadAccounts
+ * @description Loads the accounts from storage the first time they are needed. Dynamic properties can't be read while the
+ * scripts are first loading, so this can't happen at import time.
+ * @returns {Object<string, {name: string, balance: number}>} - The accounts by player id.
+ */
+function loadAccounts() {
+    if (!accounts) accounts = storage.get("accounts");
+    return accounts;
+}
+
+/**
+ * @name account
+ * @description Finds the account of a player, opening it with the starting balance the first time an online player is seen.
+ * Names are matched case-insensitively, online players first.
+ * @returns {{id: string, name: string, balance: number}}
+ * @throws {Error} - Throws an error if a name is given and no account has it.
+ */
+function account(player) {
+    const all = loadAccounts();
+    if (typeof player === "string") {
+        const online = IPlayer.find(player);
+        if (online) return account(online);
+        const lower = player.toLowerCase();
+        const id = Object.keys(all).find((key) => all[key].name.toLowerCase() === lower);
+        if (id === undefined) throw new Error(`'${player}' has no account.`);
+        return { id, ...all[id] };
+    }
+    const raw = player instanceof IPlayer ? player.player : player;
+    const saved = all[raw.id];
+    if (!saved || saved.name !== raw.name) {
+        all[raw.id] = { name: raw.name, balance: saved ? saved.balance : Economy.startingBalance };
+        storage.set("accounts", all);
+    }
+    return { id: raw.id, ...all[raw.id] };
+}
+
+/**
+ * @name commit
+ * @description Writes new balances and the transaction that explains them. All balances are saved in one write.
+ * @param {Array<[{id: string}, number]>} changes - Each account and its new balance.
+ * @param {Object} transaction - The transaction, without id and time.
+ * @returns {number} - The new balance of the last account changed.
+ */
+function commit(changes, transaction) {
+    const all = loadAccounts();
+    for (const [target, balance] of changes) {
+        all[target.id] = { ...all[target.id], balance };
+        target.balance = balance;
+    }
+    storage.set("accounts", all);
+
+    const id = storage.get("nextId");
+    const entry = { id, time: Date.now(), ...transaction };
+    const history = storage.get("history");
+    history.push(entry);
+    storage.set("history", history.slice(-Economy.historySize));
+    storage.set("nextId", id + 1);
+
+    for (const [target] of changes) {
+        const online = mc.world.getPlayers().find((other) => other.id === target.id);
+        if (online) syncScore(online);
+    }
+    for (const listener of listeners) {
+        try {
+            listener(entry);
+        } catch (error) {
+            console.error(`[Economy] transaction listener failed: ${error}`);
+        }
+    }
+    return changes[changes.length - 1][1];
+}
+
+/**
+ * @name syncScore
+ * @description Copies a player's balance to the mirror objective, creating it if needed. Does nothing without one.
+ * @returns {void}
+ */
+function syncScore(player) {
+    if (Economy.objective === null) return;
+    const board = mc.world.scoreboard.getObjective(Economy.objective) || mc.world.scoreboard.addObjective(Economy.objective, Economy.objective);
+    const saved = loadAccounts()[player.id];
+    if (saved) board.setScore(player, saved.balance);
+}
+
+/**
+ * @name itemId
+ * @description Checks that an item exists by creating a stack of it.
+ * @returns {string} - The item id with its namespace.
+ * @throws {Error} - Throws an error if the item does not exist.
+ */
+function itemId(item) {
+    const id = IContainer.normalizeItemId(item);
+    try {
+        IContainer.createItem(id);
+    } catch (error) {
+        throw new Error(`Unknown item '${id}'.`);
+    }
+    return id;
+}
+
+/**
+ * @name checkAmount
+ * @throws {Error} - Throws an error if the amount is not a whole number above 0.
+ */
+function checkAmount(amount) {
+    if (!Number.isSafeInteger(amount) || amount < 1) {
+        throw new Error(`Amount must be a whole number above 0, got ${amount}.`);
+    }
+}
+
+/**
+ * @name checkLimit
+ * @throws {Error} - Throws an error if adding the amount would take the account over maxBalance.
+ */
+function checkLimit(target, amount) {
+    if (target.balance + amount > Economy.maxBalance) {
+        throw new Error(`That would take the balance over the limit of ${Economy.format(Economy.maxBalance)}.`);
+    }
+}
+
+/**
+ * @name checkTrade
+ * @returns {number} - The total price of a trade.
+ * @throws {Error} - Throws an error if the amount or price is not a whole number above 0.
+ */
+function checkTrade(amount, price) {
+    checkAmount(amount);
+    checkAmount(price);
+    return amount * price;
+}
+
+/**
+ * @name formatTransaction
+ * @returns {string} - One chat line, e.g. "§7#12 transfer §fSteve → Alex §e$250 §7(pay)".
+ */
+function formatTransaction(entry) {
+    const parties = [entry.fromName, entry.toName].filter(Boolean).join(" → ");
+    return `§7#${entry.id} ${entry.type} §f${parties} §e${Economy.format(entry.amount)}${entry.reason ? ` §7(${entry.reason})` : ""}`;
+}
@@ -0,0 +1,509 @@
+import * as mc from "@minecraft/server";
+import { IEvents } from "../events/IEvents";
+import { IRegion } from "../classes/IRegion";
+import { IStorage } from "../classes/IStorage";
+import { IDimension } from "../classes/IDimension";
+import { ICommands, CommandError } from "../commands/ICommands";
+
+/**
+ * The flags a zone can set. A flag set to true allows the action for everyone.
+ * When false, build, break and interact are still allowed for the zone's owners and trusted members;
+ * pvp, mobSpawn and explosions are denied outright.
+ * pvp is best-effort: the API can't cancel damage, so a hit between two players inside the zone still lands (with its knockback)
+ * and the damage is healed back right after. A hit that kills can't be undone. Nothing is changed on the players themselves,
+ * so leaving the zone ends the protection at once.
+ */
+export const PROTECTION_FLAGS = ["build", "break", "interact", "pvp", "mobSpawn", "explosions"];
+const MEMBER_FLAGS = ["build", "break", "interact"];
+// Natural spawns, spawn eggs and breeding; dropped items and projectiles are never removed
+const MOB_SPAWN_CAUSES = ["Spawned", "Born", "Event"];
+const IGNORED_ENTITIES = ["minecraft:player", "minecraft:item", "minecraft:xp_orb"];
+// Ticks to wait before trying again when the zones can't be read
+const LOAD_RETRY_TICKS = 20;
+
+/**
+ * @typedef {Object} IZone
+ * @property {string} name - The unique zone name.
+ * @property {string} dimension - The dimension key, e.g. "overworld".
+ * @property {IRegion} region - The protected area.
+ * @property {string[]} owners - Lowercase names of the owners.
+ * @property {string[]} members - Lowercase names of trusted members.
+ * @property {Object<string, boolean>} flags - Every flag in PROTECTION_FLAGS.
+ * @property {number} priority - Decides which zone applies where zones overlap.
+ */
+
+const storage = new IStorage("protection", { schema: { zones: { type: "array", default: [] } } });
+/** @type {Map<string, IZone>|null} */
+let zones = null;
+let loadScheduled = false;
+let started = false;
+
+/**
+ * @class Protection
+ * @description Named, persistent protection zones per dimension, enforced by cancelling before events.
+ * Where zones overlap, the zone with the highest priority decides; on equal priority the smallest zone decides,
+ * so a plot inside a town follows the plot's rules. Outside every zone everything is allowed.
+ * Players with the bypass tag ignore build, break and interact protection.
+ * The zones are read on the first tick after start(), never inside a before event. Until then building, breaking and interacting are denied everywhere.
+ * @property {string} bypassTag - The tag that lets staff build anywhere (default "protection_bypass").
+ * @example
+ * Protection.start();
+ * Protection.registerCommands(); // !zone ...
+ *
+ * Protection.define("spawn", "overworld", new IVec3(-50, -64, -50), new IVec3(50, 320, 50), {
+ *     owners: ["Steve"],
+ *     flags: { interact: true } // Anyone can use doors and buttons, nobody else can build or break
+ * });
+ * Protection.define("spawn_arena", "overworld", new IVec3(10, 60, 10), new IVec3(30, 80, 30), { priority: 1, flags: { pvp: true } });
+ */
+export class Protection {
+    constructor() {}
+
+    static bypassTag = "protection_bypass";
+
+    /**
+     * @name start
+     * @description Subscribes to the events the zones are enforced through and loads the zones on the next tick. Safe to call more than once.
+     * @returns {void}
+     */
+    static start() {
+        if (started) return;
+        started = true;
+        scheduleLoad();
+        for (const [event, flag] of [["blockPlace", "build"], ["blockBreak", "break"], ["blockInteract", "interact"]]) {
+            IEvents.before(event, (e) => {
+                if (!zones) {
+                    e.cancel = true;
+                    return;
+                }
+                if (Protection.isAllowed(flag, e.dimension, e.location, e.player)) return;
+                e.cancel = true;
+                const player = e.player;
+                const zone = Protection.zoneAt(e.dimension, e.location);
+                mc.system.run(() => player.sendMessage(`§cThis area is protected by zone '${zone.name}'.`));
+            }, { priority: 500 });
+        }
+        IEvents.before("explosion", (e) => {
+            if (!zones) {
+                e.raw.setImpactedBlocks([]);
+                return;
+            }
+            const blocks = e.raw.getImpactedBlocks();
+            const allowed = blocks.filter((block) => Protection.isAllowed("explosions", e.dimension, block.location));
+            if (allowed.length !== blocks.length) e.raw.setImpactedBlocks(allowed);
+        }, { priority: 500 });
+        // The API has no before event for damage, so pvp damage is healed back once it has landed
+        IEvents.after("entityHurt", (e) => {
+            const attacker = e.attacker;
+            if (e.entity.typeId !== "minecraft:player" || !attacker || attacker.typeId !== "minecraft:player") return;
+            if (Protection.isAllowed("pvp", e.dimension, e.location)) return;
+            const health = e.entity.getComponent("minecraft:health");
+            if (health && health.currentValue > 0) health.setCurrentValue(Math.min(health.effectiveMax, health.currentValue + e.damage));
+        });
+        IEvents.after("entitySpawn", (e) => {
+            if (IGNORED_ENTITIES.includes(e.entity.typeId) || !MOB_SPAWN_CAUSES.includes(e.cause)) return;
+            if (!Protection.isAllowed("mobSpawn", e.dimension, e.location)) e.entity.remove();
+        });
+    }
+
+    /**
+     * @name define
+     * @description Creates a zone and saves it. Flags that are not given default to false (protected).
+     * @param {string} name - A unique name made of letters, digits, '_' or '-'.
+     * @param {IDimension|string} dimension - The dimension of the zone.
+     * @param {IRegion|IVec3|{x: number, y: number, z: number}} startVec3 - One corner of the zone, or the whole zone as an IRegion.
+     * @param {IVec3|{x: number, y: number, z: number}} [endVec3] - The opposite corner. Leave out when passing an IRegion.
+     * @param {{owners?: Array<string|mc.Player>, members?: Array<string|mc.Player>, flags?: Object<string, boolean>, priority?: number}} [options]
+     * @returns {IZone} - The new zone.
+     * @throws {Error} - Throws an error if the name is invalid or taken, or a flag is unknown.
+     */
+    static define(name, dimension, startVec3, endVec3, options = {}) {
+        if (startVec3 instanceof IRegion) {
+            options = endVec3 || {};
+        }
+        if (typeof name !== "string" || !/^[\w-]+$/.test(name)) {
+            throw new Error("Zone name must be made of letters, digits, '_' or '-'.");
+        }
+        const all = loadZones();
+        if (all.has(name.toLowerCase())) {
+            throw new Error(`Zone '${name}' already exists.`);
+        }
+        const flags = Object.fromEntries(PROTECTION_FLAGS.map((flag) => [flag, false]));
+        for (const [flag, value] of Object.entries(options.flags || {})) {
+            checkFlag(flag);
+            flags[flag] = value === true;
+        }
+        const zone = {
+            name,
+            dimension: dimensionKey(dimension),
+            region: startVec3 instanceof IRegion ? startVec3 : new IRegion(startVec3, endVec3),
+            owners: (options.owners || []).map(playerKey),
+            members: (options.members || []).map(playerKey),
+            flags,
+            priority: options.priority || 0
+        };
+        all.set(name.toLowerCase(), zone);
+        saveZones();
+        return zone;
+    }
+
+    /**
+     * @name remove
+     * @param {string} name - The zone name.
+     * @returns {boolean} - Whether the zone existed.
+     */
+    static remove(name) {
+        const removed = loadZones().delete(name.toLowerCase());
+        if (removed) saveZones();
+        return removed;
+    }
+
+    /**
+     * @name get
+     * @param {string} name - The zone name.
+     * @returns {IZone|undefined} - The zone.
+     */
+    static get(name) {
+        return loadZones().get(name.toLowerCase());
+    }
+
+    /**
+     * @name list
+     * @param {IDimension|string} [dimension] - Only list the zones in this dimension.
+     * @returns {IZone[]} - The zones.
+     */
+    static list(dimension) {
+        const zoneList = [...loadZones().values()];
+        return dimension === undefined ? zoneList : zoneList.filter((zone) => zone.dimension === dimensionKey(dimension));
+    }
+
+    /**
+     * @name setFlag
+     * @param {string} name - The zone name.
+     * @param {string} flag - A flag from PROTECTION_FLAGS.
+     * @param {boolean} value - Whether the action is allowed for everyone.
+     * @returns {void}
+     */
+    static setFlag(name, flag, value) {
+        checkFlag(flag);
+        requireZone(name).flags[flag] = value === true;
+        saveZones();
+    }
+
+    /**
+     * @name setPriority
+     * @param {string} name - The zone name.
+     * @param {number} priority - The new priority. Higher wins where zones overlap.
+     * @returns {void}
+     */
+    static setPriority(name, priority) {
+        requireZone(name).priority = priority;
+        saveZones();
+    }
+
+    /**
+     * @name addOwner
+     * @param {string} name - The zone name.
+     * @param {string|mc.Player} player - The player or player name.
+     * @returns {void}
+     */
+    static addOwner(name, player) {
+        addUnique(requireZone(name).owners, playerKey(player));
+        saveZones();
+    }
+
+    /**
+     * @name removeOwner
+     * @param {string} name - The zone name.
+     * @param {string|mc.Player} player - The player or player name.
+     * @returns {boolean} - Whether the player was an owner.
+     */
+    static removeOwner(name, player) {
+        const removed = removeValue(requireZone(name).owners, playerKey(player));
+        saveZones();
+        return removed;
+    }
+
+    /**
+     * @name trust
+     * @description Lets a player build, break and interact in a zone.
+     * @param {string} name - The zone name.
+     * @param {string|mc.Player} player - The player or player name.
+     * @returns {void}
+     */
+    static trust(name, player) {
+        addUnique(requireZone(name).members, playerKey(player));
+        saveZones();
+    }
+
+    /**
+     * @name untrust
+     * @param {string} name - The zone name.
+     * @param {string|mc.Player} player - The player or player name.
+     * @returns {boolean} - Whether the player was trusted.
+     */
+    static untrust(name, player) {
+        const removed = removeValue(requireZone(name).members, playerKey(player));
+        saveZones();
+        return removed;
+    }
+
+    /**
+     * @name zonesAt
+     * @param {IDimension|string} dimension - The dimension.
+     * @param {IVec3|{x: number, y: number, z: number}} pos - The position.
+     * @returns {IZone[]} - Every zone containing the position, the deciding zone first.
+     */
+    static zonesAt(dimension, pos) {
+        const key = dimensionKey(dimension);
+        return [...loadZones().values()]
+            .filter((zone) => zone.dimension === key && zone.region.contains(pos))
+            .sort((a, b) => b.priority - a.priority || a.region.volume() - b.region.volume());
+    }
+
+    /**
+     * @name zoneAt
+     * @param {IDimension|string} dimension - The dimension.
+     * @param {IVec3|{x: number, y: number, z: number}} pos - The position.
+     * @returns {IZone|null} - The zone whose rules apply at the position, or null.
+     */
+    static zoneAt(dimension, pos) {
+        return Protection.zonesAt(dimension, pos)[0] || null;
+    }
+
+    /**
+     * @name isAllowed
+     * @description Checks if an action is allowed at a position.
+     * @param {string} flag - A flag from PROTECTION_FLAGS.
+     * @param {IDimension|string} dimension - The dimension.
+     * @param {IVec3|{x: number, y: number, z: number}} pos - The position.
+     * @param {mc.Player} [player] - The player doing it, for owner, member and bypass checks.
+     * @example
+     * if (!Protection.isAllowed("build", dimension_overworld, target, player)) return;
+     * @returns {boolean}
+     */
+    static isAllowed(flag, dimension, pos, player) {
+        const zone = Protection.zoneAt(dimension, pos);
+        if (!zone || zone.flags[flag]) return true;
+        if (!player || !MEMBER_FLAGS.includes(flag)) return false;
+        return player.hasTag(Protection.bypassTag) || Protection.isMember(zone, player);
+    }
+
+    /**
+     * @name isMember
+     * @param {IZone} zone - The zone.
+     * @param {string|mc.Player} player - The player or player name.
+     * @returns {boolean} - Whether the player owns or is trusted in the zone.
+     */
+    static isMember(zone, player) {
+        const key = playerKey(player);
+        return zone.owners.includes(key) || zone.members.includes(key);
+    }
+
+    /**
+     * @name registerCommands
+     * @description Registers the !zone command. Defining, removing and changing flags needs the admin tier;
+     * owners can trust and untrust players in their own zones.
+     * @returns {void}
+     */
+    static registerCommands() {
+        const zoneArg = { name: "zone", type: "string" };
+        const requireManager = (player, zone) => {
+            if (!ICommands.hasPermission(player, "admin") && !zone.owners.includes(playerKey(player))) {
+                throw new CommandError(`You don't own zone '${zone.name}'.`);
+            }
+        };
+        ICommands.register({
+            name: "zone",
+            description: "Manage protected zones.",
+            subcommands: [
+                {
+                    name: "define",
+                    permission: "admin",
+                    args: [zoneArg, { name: "from", type: "position" }, { name: "to", type: "position" }, { name: "priority", type: "int", optional: true, default: 0 }],
+                    execute: (ctx) => {
+                        try {
+                            Protection.define(ctx.args.zone, ctx.player.dimension.id, ctx.args.from, ctx.args.to, { owners: [ctx.player], priority: ctx.args.priority });
+                        } catch (error) {
+                            throw new CommandError(error.message);
+                        }
+                        ctx.reply(`§aZone '${ctx.args.zone}' defined.`);
+                    }
+                },
+                {
+                    name: "remove",
+                    permission: "admin",
+                    args: [zoneArg],
+                    execute: (ctx) => {
+                        if (!Protection.remove(ctx.args.zone)) throw new CommandError(`Zone '${ctx.args.zone}' does not exist.`);
+                        ctx.reply(`§aZone '${ctx.args.zone}' removed.`);
+                    }
+                },
+                {
+                    name: "flag",
+                    permission: "admin",
+                    args: [zoneArg, { name: "flag", type: "enum", values: PROTECTION_FLAGS }, { name: "value", type: "boolean" }],
+                    execute: (ctx) => {
+                        Protection.setFlag(commandZone(ctx.args.zone).name, ctx.args.flag, ctx.args.value);
+                        ctx.reply(`§aSet ${ctx.args.flag} to ${ctx.args.value} in '${ctx.args.zone}'.`);
+                    }
+                },
+                {
+                    name: "priority",
+                    permission: "admin",
+                    args: [zoneArg, { name: "priority", type: "int" }],
+                    execute: (ctx) => {
+                        Protection.setPriority(commandZone(ctx.args.zone).name, ctx.args.priority);
+                        ctx.reply(`§aSet the priority of '${ctx.args.zone}' to ${ctx.args.priority}.`);
+                    }
+                },
+                {
+                    name: "trust",
+                    args: [zoneArg, { name: "player", type: "string" }],
+                    execute: (ctx) => {
+                        const zone = commandZone(ctx.args.zone);
+                        requireManager(ctx.player, zone);
+                        Protection.trust(zone.name, ctx.args.player);
+                        ctx.reply(`§a${ctx.args.player} is now trusted in '${zone.name}'.`);
+                    }
+                },
+                {
+                    name: "untrust",
+                    args: [zoneArg, { name: "player", type: "string" }],
+                    execute: (ctx) => {
+                        const zone = commandZone(ctx.args.zone);
+                        requireManager(ctx.player, zone);
+                        if (!Protection.untrust(zone.name, ctx.args.player)) throw new CommandError(`${ctx.args.player} is not trusted in '${zone.name}'.`);
+                        ctx.reply(`§a${ctx.args.player} is no longer trusted in '${zone.name}'.`);
+                    }
+                },
+                {
+                    name: "info",
+                    args: [{ name: "zone", type: "string", optional: true }],
+                    execute: (ctx) => {
+                        const zone = ctx.args.zone ? commandZone(ctx.args.zone) : Protection.zoneAt(ctx.player.dimension.id, ctx.player.location);
+                        if (!zone) throw new CommandError("You are not in a zone.");
+                        const flags = PROTECTION_FLAGS.map((flag) => `${flag}: ${zone.flags[flag] ? "§aallowed" : "§cprotected"}§7`).join(", ");
+                        ctx.reply([
+                            `§e${zone.name} §7(${zone.dimension}, ${zone.region}, priority ${zone.priority})`,
+                            `§7Owners: ${zone.owners.join(", ") || "none"}`,
+                            `§7Trusted: ${zone.members.join(", ") || "none"}`,
+                            `§7${flags}`
+                        ].join("\n"));
+                    }
+                },
+                {
+                    name: "list",
+                    execute: (ctx) => {
+                        const zoneList = Protection.list();
+                        ctx.reply(zoneList.length === 0 ? "§7There are no zones." : `§eZones: §7${zoneList.map((zone) => zone.name).join(", ")}`);
+                    }
+                }
+            ]
+        });
+    }
+}
+
+/**
+ * @name loadZones
+ * @description Loads the zones from storage the first time they are needed. Dynamic properties can't be read while the
+ * scripts are first loading, so this can't happen at import time. The zones are only kept once the read succeeded,
+ * so a failed read throws again next time instead of leaving an empty list that the next save would store.
+ * @returns {Map<string, IZone>} - The zones by lowercase name.
+ */
+function loadZones() {
+    if (zones) return zones;
+    const loaded = new Map();
+    for (const saved of storage.get("zones")) {
+        loaded.set(saved.name.toLowerCase(), { ...saved, region: new IRegion(saved.min, saved.max) });
+    }
+    zones = loaded;
+    return zones;
+}
+
+/**
+ * @name scheduleLoad
+ * @description Loads the zones on the next tick, outside any before event, and keeps retrying while the read fails.
+ * @returns {void}
+ */
+function scheduleLoad(delay = 1) {
+    if (zones || loadScheduled) return;
+    loadScheduled = true;
+    mc.system.runTimeout(() => {
+        loadScheduled = false;
+        try {
+            loadZones();
+        } catch (error) {
+            console.warn(`[Protection] Failed to load zones, retrying: ${error}`);
+            scheduleLoad(LOAD_RETRY_TICKS);
+        }
+    }, delay);
+}
+
+/**
+ * @name saveZones
+ * @returns {void}
+ */
+function saveZones() {
+    storage.set("zones", [...loadZones().values()].map(({ region, ...zone }) => ({ ...zone, min: region.min.toObject(), max: region.max.toObject() })));
+}
+
+/**
+ * @name requireZone
+ * @returns {IZone} - The zone with the given name.
+ * @throws {Error} - Throws an error if the zone does not exist.
+ */
+function requireZone(name) {
+    const zone = Protection.get(name);
+    if (!zone) throw new Error(`Zone '${name}' does not exist.`);
+    return zone;
+}
+
+/**
+ * @name commandZone
+ * @returns {IZone} - The zone with the given name.
+ * @throws {CommandError} - Throws a CommandError if the zone does not exist.
+ */
+function commandZone(name) {
+    const zone = Protection.get(name);
+    if (!zone) throw new CommandError(`Zone '${name}' does not exist.`);
+    return zone;
+}
+
+/**
+ * @name checkFlag
+ * @throws {Error} - Throws an error if the flag is not in PROTECTION_FLAGS.
+ */
+function checkFlag(flag) {
+    if (!PROTECTION_FLAGS.includes(flag)) {
+        throw new Error(`Unknown flag '${flag}'. Must be one of: ${PROTECTION_FLAGS.join(", ")}.`);
+    }
+}
+
+/**
+ * @name dimensionKey
+ * @returns {string} - The dimension key without namespace, e.g. "overworld".
+ */
+function dimensionKey(dimension) {
+    const id = dimension instanceof IDimension ? dimension.id : typeof dimension === "string" ? dimension : dimension.id;
+    return id.replace("minecraft:", "");
+}
+
+/**
+ * @name playerKey
+ * @returns {string} - The lowercase name of a player or player name.
+ */
+function playerKey(player) {
+    return (typeof player === "string" ? player : player.name).toLowerCase();
+}
+
+function addUnique(list, value) {
+    if (!list.includes(value)) list.push(value);
+}
+
+function removeValue(list, value) {
+    const index = list.indexOf(value);
+    if (index === -1) return false;
+    list.splice(index, 1);
+    return true;
+}
@@ -82,18 +82,6 @@ export class MathUtils {
             Math.pow(z2 - z1, 2)
         );
     }
-}
-
-/**
- * @class FastMath
- * @description A utility class for fast mathematical operations.
- * This class provides various static methods for fast mathematical calculations.
- * @example
- * const fastMath = new FastMath();
- * fastMath.distance3d(5, 1, 2, 2, -2, 3); // Returns approximately 4.3589
- **/
-class FastMath {
-    constructor() {}
 
     /**
      * @name distance2d
@@ -104,42 +92,169 @@ class FastMath {
      * @param {number} y2 - The y-coordinate of the second position.
      * @returns {number} - Returns the distance between the two points.
      * @example
-     * const distance = FastMath.distance2d(1, 2, 4, 5); // Returns 2.236
-     * const distance2 = FastMath.distance2d(5, 1, 2, -2); // Returns 3.162
+     * const distance = MathUtils.distance2d(1, 2, 4, 5); // Returns approximately 4.243
      * @throws {Error} - Throws an error if any of the coordinates are NaN/null.
      */
     static distance2d(x1, y1, x2, y2) {
         if (isNaN(x1) || isNaN(y1) || isNaN(x2) || isNaN(y2)) {
             throw new Error("Coordinates cannot be NaN.");
         }
-        return Math.sqrt(
-            (x2 - x1) ** 2 +
-            (y2 - y1) ** 2
-        );
+        return Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
     }
+
     /**
-     * @name distance3d
-     * @description Calculates the Euclidean distance between two points in 3D space.
-     * @param {number} x1 - The x-coordinate of the first position.
-     * @param {number} y1 - The y-coordinate of the first position.
-     * @param {number} z1 - The z-coordinate of the first position.
-     * @param {number} x2 - The x-coordinate of the second position.
-     * @param {number} y2 - The y-coordinate of the second position.
-     * @param {number} z2 - The z-coordinate of the second position.
-     * @returns {number} - Returns the distance between the two points.
+     * @name voxelRay
+     * @description Walks a ray through the block grid (the DDA algorithm of Amanatides and Woo), yielding every block it passes
+     * through in order, starting with the block the origin is in. Unlike stepping along the ray in small increments,
+     * no block is skipped, however thin the corner the ray clips.
+     * @param {{x: number, y: number, z: number}} origin - Where the ray starts.
+     * @param {{x: number, y: number, z: number}} direction - The direction of the ray. Does not need to be normalized.
+     * @param {number} maxDistance - How far the ray goes, in blocks.
+     * @returns {Generator<{x: number, y: number, z: number, face: string|undefined, distance: number}, void, void>}
+     * The block position, the face the ray entered it through (an mc.Direction value, undefined for the first block),
+     * and the distance along the ray to that face.
      * @example
-     * const distance = FastMath.distance3d(1, 2, 3, 4, 5, 6); // Returns approximately 5.196
-     * const distance2 = FastMath.distance3d(5, 1, 2, 2, -2, 3); // Returns approximately 4.3589
-     * @throws {Error} - Throws an error if any of the coordinates are NaN/null.
+     * for (const step of MathUtils.voxelRay(player.getHeadLocation(), player.getViewDirection(), 10)) {
+     *     if (!dimension.getBlock(step).isAir) break; // step.face is the side the player is looking at
+     * }
+     * @throws {Error} - Throws an error if the direction has no length or a coordinate is NaN.
      */
-    static distance3d(x1, y1, z1, x2, y2, z2) {
-        if (isNaN(x1) || isNaN(y1) || isNaN(z1) || isNaN(x2) || isNaN(y2) || isNaN(z2)) {
+    static *voxelRay(origin, direction, maxDistance) {
+        const dir = normalize(direction);
+        if (isNaN(origin.x) || isNaN(origin.y) || isNaN(origin.z) || isNaN(maxDistance)) {
             throw new Error("Coordinates cannot be NaN.");
         }
-        return Math.sqrt(
-            (x2 - x1) ** 2 +
-            (y2 - y1) ** 2 +
-            (z2 - z1) ** 2
-        ); 
-    }  
-}
\ No newline at end of file
+        const block = { x: Math.floor(origin.x), y: Math.floor(origin.y), z: Math.floor(origin.z) };
+        const axes = ["x", "y", "z"].map((axis) => {
+            const step = Math.sign(dir[axis]);
+            const boundary = step > 0 ? block[axis] + 1 : block[axis];
+            return {
+                axis,
+                step,
+                tMax: step === 0 ? Infinity : (boundary - origin[axis]) / dir[axis],
+                tDelta: step === 0 ? Infinity : Math.abs(1 / dir[axis]),
+                face: RAY_FACES[axis][step > 0 ? 0 : 1]
+            };
+        });
+        yield { ...block, face: undefined, distance: 0 };
+        for (;;) {
+            const next = axes.reduce((best, axis) => (axis.tMax < best.tMax ? axis : best));
+            if (next.tMax > maxDistance) return;
+            block[next.axis] += next.step;
+            yield { ...block, face: next.face, distance: next.tMax };
+            next.tMax += next.tDelta;
+        }
+    }
+
+    /**
+     * @name blockLine
+     * @description Yields the blocks on a straight line between two block positions (Bresenham's line algorithm in 3D),
+     * both ends included. Each block touches the one before it by a face, edge or corner, so the line has no gaps.
+     * @param {{x: number, y: number, z: number}} start - The first block. Coordinates are floored.
+     * @param {{x: number, y: number, z: number}} end - The last block. Coordinates are floored.
+     * @returns {Generator<{x: number, y: number, z: number}, void, void>}
+     * @example
+     * [...MathUtils.blockLine({ x: 0, y: 0, z: 0 }, { x: 3, y: 1, z: 0 })];
+     * // [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 2, y: 1, z: 0 }, { x: 3, y: 1, z: 0 }]
+     */
+    static *blockLine(start, end) {
+        const from = [Math.floor(start.x), Math.floor(start.y), Math.floor(start.z)];
+        const to = [Math.floor(end.x), Math.floor(end.y), Math.floor(end.z)];
+        const delta = to.map((value, i) => Math.abs(value - from[i]));
+        const step = to.map((value, i) => Math.sign(value - from[i]));
+        // The axis that changes the most moves every step; the others move when their error builds up past it
+        const main = delta.indexOf(Math.max(...delta));
+        const errors = delta.map((value) => 2 * value - delta[main]);
+        const point = [...from];
+        for (let i = 0; i <= delta[main]; i++) {
+            yield { x: point[0], y: point[1], z: point[2] };
+            for (let axis = 0; axis < 3; axis++) {
+                if (axis === main) continue;
+                if (errors[axis] > 0) {
+                    point[axis] += step[axis];
+                    errors[axis] -= 2 * delta[main];
+                }
+                errors[axis] += 2 * delta[axis];
+            }
+            point[main] += step[main];
+        }
+    }
+
+    /**
+     * @name inCone
+     * @description Checks if a point is inside a cone, e.g. the field of view of a turret.
+     * @param {{x: number, y: number, z: number}} apex - The tip of the cone.
+     * @param {{x: number, y: number, z: number}} direction - The direction the cone opens towards. Does not need to be normalized.
+     * @param {{x: number, y: number, z: number}} point - The point to check.
+     * @param {number} angle - The angle between the axis and the side of the cone, in degrees (half the opening angle).
+     * @param {number} [maxDistance=Infinity] - The length of the cone.
+     * @returns {boolean} - Whether the point is inside. The apex itself counts as inside.
+     * @example
+     * MathUtils.inCone(turret, IVec3.fromYawPitch(turretYaw, 0), target.location, 30, 16);
+     * @throws {Error} - Throws an error if the direction has no length.
+     */
+    static inCone(apex, direction, point, angle, maxDistance = Infinity) {
+        const axis = normalize(direction);
+        const offset = { x: point.x - apex.x, y: point.y - apex.y, z: point.z - apex.z };
+        const distance = Math.hypot(offset.x, offset.y, offset.z);
+        if (distance === 0) return true;
+        if (distance > maxDistance) return false;
+        const cos = (offset.x * axis.x + offset.y * axis.y + offset.z * axis.z) / distance;
+        return cos >= Math.cos(angle * Math.PI / 180);
+    }
+
+    /**
+     * @name inFrustum
+     * @description Checks if a point is inside a viewing frustum: a pyramid with separate horizontal and vertical opening
+     * angles, cut off at a near and a far distance. The frustum is kept upright, like a player's view.
+     * @param {{x: number, y: number, z: number}} eye - Where the view starts.
+     * @param {{x: number, y: number, z: number}} direction - The view direction. Does not need to be normalized.
+     * @param {{x: number, y: number, z: number}} point - The point to check.
+     * @param {{horizontalFov?: number, verticalFov?: number, near?: number, far?: number}} [options] - The full opening angles
+     * in degrees (default 70 and 50), and the distances along the view direction the frustum starts and ends at (default 0 and Infinity).
+     * @returns {boolean} - Whether the point is inside.
+     * @example
+     * const seen = MathUtils.inFrustum(player.getHeadLocation(), player.getViewDirection(), target.location, { far: 32 });
+     * @throws {Error} - Throws an error if the direction has no length.
+     */
+    static inFrustum(eye, direction, point, options = {}) {
+        const horizontalFov = options.horizontalFov === undefined ? 70 : options.horizontalFov;
+        const verticalFov = options.verticalFov === undefined ? 50 : options.verticalFov;
+        const near = options.near || 0;
+        const far = options.far === undefined ? Infinity : options.far;
+        const forward = normalize(direction);
+        // Looking straight up or down leaves no horizon to measure from, so fall back to south as "up" on screen
+        const worldUp = Math.abs(forward.y) > 0.9999 ? { x: 0, y: 0, z: 1 } : { x: 0, y: 1, z: 0 };
+        const right = normalize(cross(forward, worldUp));
+        const up = cross(right, forward);
+        const offset = { x: point.x - eye.x, y: point.y - eye.y, z: point.z - eye.z };
+        const depth = dot(offset, forward);
+        if (depth <= 0 || depth < near || depth > far) return false;
+        return Math.abs(Math.atan2(dot(offset, right), depth)) <= horizontalFov * Math.PI / 360
+            && Math.abs(Math.atan2(dot(offset, up), depth)) <= verticalFov * Math.PI / 360;
+    }
+}
+
+/** The face a ray enters a block through when moving along each axis, as [positive step, negative step]. */
+const RAY_FACES = { x: ["West", "East"], y: ["Down", "Up"], z: ["North", "South"] };
+
+/**
+ * @name normalize
+ * @returns {{x: number, y: number, z: number}} - The vector scaled to length 1.
+ * @throws {Error} - Throws an error if the vector has no length.
+ */
+function normalize(vector) {
+    const length = Math.hypot(vector.x, vector.y, vector.z);
+    if (!(length > 0)) {
+        throw new Error("Direction must have a length greater than 0.");
+    }
+    return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
@@ -1,16 +1,18 @@
 import * as mc from "@minecraft/server";
+import { IPlayer } from "./api/classes/IPlayer";
+import { IScheduler } from "./api/classes/IScheduler";
 
 const world = mc.world;
 const system = mc.system;
 
 // This runs every tick
-system.runInterval(() => {
+IScheduler.repeat(1, () => {
     // Get all players in the world
-    /** @type {mc.Player[]} **/ const players = mc.world.getPlayers();
+    /** @type {IPlayer[]} **/ const players = IPlayer.all();
 
     // Loop through all players
     for (const player of players) {
         // Now do what you want with the player
         
     }
-});
\ No newline at end of file
+}, { name: "main", module: "main" });
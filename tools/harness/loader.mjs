@@ -0,0 +1,36 @@
+/**
+ * loader.mjs
+ * Node module hooks that let the pack's scripts load outside of the game:
+ *  - "@minecraft/*" imports resolve to the in-memory fakes in this directory.
+ *  - Extensionless relative imports ("./IVec3") resolve to their ".js" file, like the game does.
+ *  - Files under scripts/ are loaded as ES modules (the pack has no package.json to say so).
+ */
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const FAKES = {
+    "@minecraft/server": new URL("./minecraft-server.mjs", import.meta.url).href,
+    "@minecraft/server-ui": new URL("./minecraft-server-ui.mjs", import.meta.url).href
+};
+
+const SCRIPTS_URL = new URL("../../scripts/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier in FAKES) {
+        return { url: FAKES[specifier], shortCircuit: true };
+    }
+    if (context.parentURL && /^\.{1,2}\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+        const url = new URL(`${specifier}.js`, context.parentURL);
+        if (existsSync(fileURLToPath(url))) {
+            return { url: url.href, shortCircuit: true };
+        }
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SCRIPTS_URL) && url.endsWith(".js")) {
+        return nextLoad(url, { ...context, format: "module" });
+    }
+    return nextLoad(url, context);
+}
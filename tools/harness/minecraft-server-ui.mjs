@@ -0,0 +1,146 @@
+/**
+ * minecraft-server-ui.mjs
+ * An in-memory stand-in for "@minecraft/server-ui". Forms are never drawn; show() hands the form to a responder
+ * that tests set with setFormResponder, and resolves with whatever it returns.
+ */
+
+export const FormCancelationReason = Object.freeze({ UserBusy: "UserBusy", UserClosed: "UserClosed" });
+
+export class FormResponse {
+    constructor(data = {}) {
+        this.canceled = data.canceled === true;
+        this.cancelationReason = data.cancelationReason;
+    }
+}
+
+export class ActionFormResponse extends FormResponse {
+    constructor(data = {}) {
+        super(data);
+        this.selection = data.selection;
+    }
+}
+
+export class ModalFormResponse extends FormResponse {
+    constructor(data = {}) {
+        super(data);
+        this.formValues = data.formValues;
+    }
+}
+
+export class MessageFormResponse extends FormResponse {
+    constructor(data = {}) {
+        super(data);
+        this.selection = data.selection;
+    }
+}
+
+const CLOSED = { canceled: true, cancelationReason: FormCancelationReason.UserClosed };
+let responder = () => CLOSED;
+
+/**
+ * @name setFormResponder
+ * @description Harness only: sets the function that answers every shown form.
+ * It gets the player and a plain description of the form ({type, title, body, buttons, controls, ...})
+ * and returns the response fields, e.g. { selection: 0 } or { formValues: ["Steve", true] }.
+ * Pass null to go back to closing every form.
+ * @param {function(Object, Object): Object|null} fn - The responder.
+ * @returns {void}
+ */
+export function setFormResponder(fn) {
+    responder = fn || (() => CLOSED);
+}
+
+/**
+ * @name respondWith
+ * @description Harness only: answers the next forms with the given responses in order, then closes any further ones.
+ * Every form shown is also pushed to the returned array.
+ * @param {...Object} responses - The response fields, one per form.
+ * @returns {Object[]} - The forms shown, in order.
+ */
+export function respondWith(...responses) {
+    const shown = [];
+    setFormResponder((player, form) => {
+        shown.push(form);
+        return responses.length > 0 ? responses.shift() : CLOSED;
+    });
+    return shown;
+}
+
+function respond(player, form, ResponseType) {
+    return Promise.resolve().then(() => new ResponseType(responder(player, form)));
+}
+
+export class ActionFormData {
+    constructor() {
+        this.form = { type: "action", title: "", body: "", buttons: [], elements: [] };
+    }
+
+    title(text) { this.form.title = text; return this; }
+    body(text) { this.form.body = text; return this; }
+
+    button(text, iconPath) {
+        this.form.buttons.push({ text, iconPath });
+        this.form.elements.push({ type: "button", text, iconPath });
+        return this;
+    }
+
+    label(text) { this.form.elements.push({ type: "label", text }); return this; }
+    header(text) { this.form.elements.push({ type: "header", text }); return this; }
+    divider() { this.form.elements.push({ type: "divider" }); return this; }
+
+    show(player) {
+        return respond(player, this.form, ActionFormResponse);
+    }
+}
+
+export class ModalFormData {
+    constructor() {
+        this.form = { type: "modal", title: "", controls: [], submitButton: undefined };
+    }
+
+    title(text) { this.form.title = text; return this; }
+
+    textField(label, placeholderText, options = {}) {
+        this.form.controls.push({ type: "textField", label, placeholderText, ...options });
+        return this;
+    }
+
+    toggle(label, options = {}) {
+        this.form.controls.push({ type: "toggle", label, ...options });
+        return this;
+    }
+
+    slider(label, minimumValue, maximumValue, options = {}) {
+        this.form.controls.push({ type: "slider", label, minimumValue, maximumValue, ...options });
+        return this;
+    }
+
+    dropdown(label, items, options = {}) {
+        this.form.controls.push({ type: "dropdown", label, items, ...options });
+        return this;
+    }
+
+    label(text) { this.form.controls.push({ type: "label", text }); return this; }
+    header(text) { this.form.controls.push({ type: "header", text }); return this; }
+    divider() { this.form.controls.push({ type: "divider" }); return this; }
+    submitButton(text) { this.form.submitButton = text; return this; }
+
+    show(player) {
+        return respond(player, this.form, ModalFormResponse);
+    }
+}
+
+export class MessageFormData {
+    constructor() {
+        this.form = { type: "message", title: "", body: "", button1: "", button2: "" };
+    }
+
+    title(text) { this.form.title = text; return this; }
+    body(text) { this.form.body = text; return this; }
+    button1(text) { this.form.button1 = text; return this; }
+    button2(text) { this.form.button2 = text; return this; }
+
+    show(player) {
+        return respond(player, this.form, MessageFormResponse);
+    }
+}
@@ -0,0 +1,1161 @@
+/**
+ * minecraft-server.mjs
+ * An in-memory stand-in for the parts of "@minecraft/server" that the pack's wrapper classes use.
+ * It is only ever loaded under Node through the harness loader, never by the game.
+ *
+ * Everything exported under the real API names behaves like the game does for the calls we make.
+ * The extra exports at the bottom of this file (advanceTicks, resetWorld, spawnPlayer, ...) are harness controls.
+ */
+
+const DIMENSION_RANGES = {
+    "minecraft:overworld": { min: -64, max: 320 },
+    "minecraft:nether": { min: 0, max: 128 },
+    "minecraft:the_end": { min: 0, max: 256 }
+};
+
+/**
+ * @name normalizeTypeId
+ * @description Prefixes a bare block/entity id with the "minecraft:" namespace.
+ * @param {string} id - The id to normalise.
+ * @returns {string} - The namespaced id.
+ */
+function normalizeTypeId(id) {
+    return id.includes(":") ? id : `minecraft:${id}`;
+}
+
+/**
+ * @name locationKey
+ * @param {{x: number, y: number, z: number}} location - The location to key.
+ * @returns {string} - A "x,y,z" key of the floored location.
+ */
+function locationKey(location) {
+    return `${Math.floor(location.x)},${Math.floor(location.y)},${Math.floor(location.z)}`;
+}
+
+/**
+ * @name chunkKey
+ * @param {{x: number, z: number}} location - A location in the chunk.
+ * @returns {string} - A "chunkX,chunkZ" key of the 16x16 chunk column.
+ */
+function chunkKey(location) {
+    return `${Math.floor(location.x / 16)},${Math.floor(location.z / 16)}`;
+}
+
+// How long after a player arrives in an unloaded chunk it loads
+const CHUNK_LOAD_TICKS = 3;
+
+// Above zero while a before event is being delivered; the game runs those handlers in read-only mode
+let readOnlyDepth = 0;
+
+/**
+ * @name assertWritable
+ * @description Throws like the game does when a function that changes the world is called from a before-event handler.
+ * @param {string} name - The native function name, e.g. "Dimension::setBlockPermutation".
+ * @returns {void}
+ * @throws {Error} - Throws an error while a before event is being delivered.
+ */
+function assertWritable(name) {
+    if (readOnlyDepth > 0) {
+        throw new Error(`Native function [${name}] does not have required privileges.`);
+    }
+}
+
+const MAX_DYNAMIC_STRING_LENGTH = 32767;
+
+/**
+ * @name createDynamicProperties
+ * @description Adds the dynamic property methods shared by world and entities to an object, backed by a Map.
+ * Strings longer than the game's limit are rejected, like the game does.
+ * @param {Object} target - The object to add the methods to.
+ * @returns {void}
+ */
+function createDynamicProperties(target) {
+    target.dynamicProperties = new Map();
+    target.getDynamicProperty = function (id) {
+        return this.dynamicProperties.get(id);
+    };
+    target.setDynamicProperty = function (id, value) {
+        assertWritable(this === world ? "World::setDynamicProperty" : "Entity::setDynamicProperty");
+        if (value === undefined) {
+            this.dynamicProperties.delete(id);
+            return;
+        }
+        if (typeof value === "string" && value.length > MAX_DYNAMIC_STRING_LENGTH) {
+            throw new Error(`Dynamic property '${id}' is longer than ${MAX_DYNAMIC_STRING_LENGTH} characters.`);
+        }
+        this.dynamicProperties.set(id, value);
+    };
+    target.getDynamicPropertyIds = function () {
+        return [...this.dynamicProperties.keys()];
+    };
+    target.clearDynamicProperties = function () {
+        this.dynamicProperties.clear();
+    };
+}
+
+export class LocationOutOfWorldBoundariesError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "LocationOutOfWorldBoundariesError";
+    }
+}
+
+export class LocationInUnloadedChunkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "LocationInUnloadedChunkError";
+    }
+}
+
+export class BlockType {
+    constructor(id) {
+        this.id = normalizeTypeId(id);
+    }
+}
+
+export const BlockTypes = {
+    /**
+     * Every well-formed id is treated as an existing block type; the fake has no block registry.
+     * @param {string} typeId - The block type id.
+     * @returns {BlockType|undefined}
+     */
+    get(typeId) {
+        return /^[a-z0-9_.-]+:[a-z0-9_.-]+$/.test(typeId) ? new BlockType(typeId) : undefined;
+    }
+};
+
+export class BlockPermutation {
+    constructor(typeId, states = {}) {
+        this.type = new BlockType(typeId);
+        this.states = Object.freeze({ ...states });
+    }
+
+    /**
+     * @name resolve
+     * @param {string} typeId - The block type id.
+     * @param {Record<string, string|number|boolean>} [states] - The block states.
+     * @returns {BlockPermutation}
+     */
+    static resolve(typeId, states = {}) {
+        return new BlockPermutation(typeId, states);
+    }
+
+    getAllStates() {
+        return { ...this.states };
+    }
+
+    getState(name) {
+        return this.states[name];
+    }
+
+    withState(name, value) {
+        return new BlockPermutation(this.type.id, { ...this.states, [name]: value });
+    }
+
+    matches(typeId, states = {}) {
+        if (normalizeTypeId(typeId) !== this.type.id) return false;
+        return Object.entries(states).every(([name, value]) => this.states[name] === value);
+    }
+}
+
+const AIR = BlockPermutation.resolve("minecraft:air");
+
+export class Block {
+    constructor(dimension, location) {
+        this.dimension = dimension;
+        this.x = Math.floor(location.x);
+        this.y = Math.floor(location.y);
+        this.z = Math.floor(location.z);
+    }
+
+    get location() {
+        return { x: this.x, y: this.y, z: this.z };
+    }
+
+    get permutation() {
+        return this.dimension.__getPermutation(this.location);
+    }
+
+    get typeId() {
+        return this.permutation.type.id;
+    }
+
+    get type() {
+        return this.permutation.type;
+    }
+
+    get isAir() {
+        return this.typeId === "minecraft:air";
+    }
+
+    getComponent(componentId) {
+        const id = componentId.includes(":") ? componentId : `minecraft:${componentId}`;
+        if (id !== "minecraft:inventory") return undefined;
+        const container = this.dimension.__getContainer(this.location);
+        return container && new BlockInventoryComponent(container);
+    }
+
+    get isLiquid() {
+        return ["minecraft:water", "minecraft:flowing_water", "minecraft:lava", "minecraft:flowing_lava"].includes(this.typeId);
+    }
+
+    get isValid() {
+        return true;
+    }
+
+    setType(blockType) {
+        this.dimension.setBlockType(this.location, blockType);
+    }
+
+    setPermutation(permutation) {
+        this.dimension.setBlockPermutation(this.location, permutation);
+    }
+
+    offset(offset) {
+        return this.dimension.getBlock({ x: this.x + offset.x, y: this.y + offset.y, z: this.z + offset.z });
+    }
+
+    above(steps = 1) { return this.offset({ x: 0, y: steps, z: 0 }); }
+    below(steps = 1) { return this.offset({ x: 0, y: -steps, z: 0 }); }
+    north(steps = 1) { return this.offset({ x: 0, y: 0, z: -steps }); }
+    south(steps = 1) { return this.offset({ x: 0, y: 0, z: steps }); }
+    east(steps = 1) { return this.offset({ x: steps, y: 0, z: 0 }); }
+    west(steps = 1) { return this.offset({ x: -steps, y: 0, z: 0 }); }
+}
+
+// Durability by item id suffix or id; items matching none of these have no durability or enchantable component
+const ITEM_DURABILITY = [
+    [/^minecraft:wooden_/, 59], [/^minecraft:stone_/, 131], [/^minecraft:iron_/, 250], [/^minecraft:golden_/, 32],
+    [/^minecraft:diamond_/, 1561], [/^minecraft:netherite_/, 2031], [/^minecraft:(bow|trident|shears|fishing_rod|elytra)$/, 250]
+];
+const TOOL_ITEM = /_(sword|pickaxe|axe|shovel|hoe|helmet|chestplate|leggings|boots)$|^minecraft:(bow|trident|shears|fishing_rod|elytra)$/;
+
+export class EnchantmentType {
+    constructor(enchantmentType) {
+        this.id = normalizeTypeId(enchantmentType).replace("minecraft:", "");
+        this.maxLevel = 5;
+    }
+}
+
+export class ItemEnchantableComponent {
+    constructor() {
+        this.typeId = "minecraft:enchantable";
+        this.enchantments = new Map();
+    }
+
+    addEnchantment(enchantment) {
+        const type = typeof enchantment.type === "string" ? new EnchantmentType(enchantment.type) : enchantment.type;
+        if (enchantment.level < 1 || enchantment.level > type.maxLevel) {
+            throw new Error(`Enchantment level ${enchantment.level} is outside of 1-${type.maxLevel}.`);
+        }
+        this.enchantments.set(type.id, { type, level: enchantment.level });
+    }
+
+    addEnchantments(enchantments) {
+        enchantments.forEach((enchantment) => this.addEnchantment(enchantment));
+    }
+
+    getEnchantment(enchantmentType) {
+        return this.enchantments.get(enchantmentId(enchantmentType));
+    }
+
+    getEnchantments() {
+        return [...this.enchantments.values()].map(({ type, level }) => ({ type, level }));
+    }
+
+    hasEnchantment(enchantmentType) {
+        return this.enchantments.has(enchantmentId(enchantmentType));
+    }
+
+    removeEnchantment(enchantmentType) {
+        this.enchantments.delete(enchantmentId(enchantmentType));
+    }
+
+    removeAllEnchantments() {
+        this.enchantments.clear();
+    }
+}
+
+/**
+ * @name enchantmentId
+ * @param {string|EnchantmentType} enchantmentType - The enchantment type or its id.
+ * @returns {string} - The id without the "minecraft:" namespace, the key enchantments are stored under.
+ */
+function enchantmentId(enchantmentType) {
+    return (typeof enchantmentType === "string" ? enchantmentType : enchantmentType.id).replace("minecraft:", "");
+}
+
+export class ItemDurabilityComponent {
+    constructor(maxDurability) {
+        this.typeId = "minecraft:durability";
+        this.maxDurability = maxDurability;
+        this._damage = 0;
+    }
+
+    get damage() {
+        return this._damage;
+    }
+
+    set damage(value) {
+        if (value < 0 || value > this.maxDurability) {
+            throw new Error(`Damage ${value} is outside of 0-${this.maxDurability}.`);
+        }
+        this._damage = value;
+    }
+}
+
+export class ItemStack {
+    constructor(itemType, amount = 1) {
+        this.typeId = normalizeTypeId(typeof itemType === "string" ? itemType : itemType.id);
+        // Like BlockTypes, every well-formed id is treated as an existing item
+        if (!/^[a-z0-9_.-]+:[a-z0-9_.-]+$/.test(this.typeId)) {
+            throw new Error(`Invalid item identifier '${this.typeId}'.`);
+        }
+        // The fake has no item registry, so every item stacks to 64
+        this.maxAmount = 64;
+        this.isStackable = true;
+        if (amount < 1 || amount > this.maxAmount) {
+            throw new Error(`Item amount ${amount} is outside of 1-${this.maxAmount}.`);
+        }
+        this.amount = amount;
+        this.nameTag = undefined;
+        this.lore = [];
+        this.keepOnDeath = false;
+        this.lockMode = "none";
+        this.canPlaceOn = [];
+        this.canDestroy = [];
+        this.components = new Map();
+        if (TOOL_ITEM.test(this.typeId)) {
+            const durability = ITEM_DURABILITY.find(([pattern]) => pattern.test(this.typeId));
+            this.components.set("minecraft:durability", new ItemDurabilityComponent(durability ? durability[1] : 250));
+            this.components.set("minecraft:enchantable", new ItemEnchantableComponent());
+        }
+        createDynamicProperties(this);
+    }
+
+    getComponent(componentId) {
+        return this.components.get(normalizeTypeId(componentId));
+    }
+
+    hasComponent(componentId) {
+        return this.components.has(normalizeTypeId(componentId));
+    }
+
+    getLore() {
+        return [...this.lore];
+    }
+
+    setLore(lore) {
+        this.lore = lore ? [...lore] : [];
+    }
+
+    getCanPlaceOn() {
+        return [...this.canPlaceOn];
+    }
+
+    setCanPlaceOn(blockIdentifiers) {
+        this.canPlaceOn = blockIdentifiers ? [...blockIdentifiers] : [];
+    }
+
+    getCanDestroy() {
+        return [...this.canDestroy];
+    }
+
+    setCanDestroy(blockIdentifiers) {
+        this.canDestroy = blockIdentifiers ? [...blockIdentifiers] : [];
+    }
+
+    isStackableWith(itemStack) {
+        return itemStack.typeId === this.typeId && itemStack.nameTag === this.nameTag;
+    }
+
+    clone() {
+        const copy = new ItemStack(this.typeId, this.amount);
+        copy.nameTag = this.nameTag;
+        copy.lore = [...this.lore];
+        copy.keepOnDeath = this.keepOnDeath;
+        copy.lockMode = this.lockMode;
+        copy.canPlaceOn = [...this.canPlaceOn];
+        copy.canDestroy = [...this.canDestroy];
+        const enchantable = this.getComponent("enchantable");
+        if (enchantable) copy.getComponent("enchantable").addEnchantments(enchantable.getEnchantments());
+        const durability = this.getComponent("durability");
+        if (durability) copy.getComponent("durability").damage = durability.damage;
+        for (const [id, value] of this.dynamicProperties) copy.dynamicProperties.set(id, value);
+        return copy;
+    }
+}
+
+export class Container {
+    constructor(size) {
+        this.size = size;
+        /** @type {Array<ItemStack|undefined>} */
+        this.slots = new Array(size).fill(undefined);
+    }
+
+    get emptySlotsCount() {
+        return this.slots.filter((item) => item === undefined).length;
+    }
+
+    get isValid() {
+        return true;
+    }
+
+    getItem(slot) {
+        this.__assertSlot(slot);
+        return this.slots[slot] && this.slots[slot].clone();
+    }
+
+    setItem(slot, itemStack) {
+        assertWritable("Container::setItem");
+        this.__assertSlot(slot);
+        this.slots[slot] = itemStack && itemStack.clone();
+    }
+
+    /**
+     * Tops up matching stacks first, then fills empty slots, like the game.
+     * @returns {ItemStack|undefined} - What did not fit.
+     */
+    addItem(itemStack) {
+        assertWritable("Container::addItem");
+        let remaining = itemStack.amount;
+        for (const item of this.slots) {
+            if (remaining === 0) break;
+            if (!item || !item.isStackableWith(itemStack) || item.amount >= item.maxAmount) continue;
+            const moved = Math.min(remaining, item.maxAmount - item.amount);
+            item.amount += moved;
+            remaining -= moved;
+        }
+        for (let slot = 0; slot < this.size && remaining > 0; slot++) {
+            if (this.slots[slot]) continue;
+            const moved = Math.min(remaining, itemStack.maxAmount);
+            this.slots[slot] = itemStack.clone();
+            this.slots[slot].amount = moved;
+            remaining -= moved;
+        }
+        if (remaining === 0) return undefined;
+        const leftover = itemStack.clone();
+        leftover.amount = remaining;
+        return leftover;
+    }
+
+    clearAll() {
+        assertWritable("Container::clearAll");
+        this.slots.fill(undefined);
+    }
+
+    __assertSlot(slot) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= this.size) {
+            throw new RangeError(`Slot ${slot} is outside of the container.`);
+        }
+    }
+}
+
+export class EntityInventoryComponent {
+    constructor(size) {
+        this.typeId = "minecraft:inventory";
+        this.inventorySize = size;
+        this.container = new Container(size);
+    }
+}
+
+export class BlockInventoryComponent {
+    constructor(container) {
+        this.typeId = "minecraft:inventory";
+        this.container = container;
+    }
+}
+
+/** Slot counts of the blocks that hold items; any other block has no inventory component. */
+const CONTAINER_SIZES = {
+    "minecraft:chest": 27,
+    "minecraft:trapped_chest": 27,
+    "minecraft:barrel": 27,
+    "minecraft:shulker_box": 27,
+    "minecraft:undyed_shulker_box": 27,
+    "minecraft:hopper": 5,
+    "minecraft:dispenser": 9,
+    "minecraft:dropper": 9,
+    "minecraft:furnace": 3,
+    "minecraft:lit_furnace": 3,
+    "minecraft:blast_furnace": 3,
+    "minecraft:smoker": 3,
+    "minecraft:brewing_stand": 5
+};
+
+export class ScoreboardObjective {
+    constructor(id, displayName) {
+        this.id = id;
+        this.displayName = displayName;
+        /** @type {Map<string, number>} */
+        this.scores = new Map();
+    }
+
+    getScore(participant) {
+        return this.scores.get(participant.id);
+    }
+
+    setScore(participant, score) {
+        this.scores.set(participant.id, score);
+    }
+
+    addScore(participant, score) {
+        const value = (this.scores.get(participant.id) || 0) + score;
+        this.scores.set(participant.id, value);
+        return value;
+    }
+
+    hasParticipant(participant) {
+        return this.scores.has(participant.id);
+    }
+
+    removeParticipant(participant) {
+        return this.scores.delete(participant.id);
+    }
+}
+
+export class Scoreboard {
+    constructor() {
+        /** @type {Map<string, ScoreboardObjective>} */
+        this.objectives = new Map();
+    }
+
+    addObjective(id, displayName = id) {
+        if (this.objectives.has(id)) {
+            throw new Error(`Objective '${id}' already exists.`);
+        }
+        const objective = new ScoreboardObjective(id, displayName);
+        this.objectives.set(id, objective);
+        return objective;
+    }
+
+    getObjective(id) {
+        return this.objectives.get(id);
+    }
+
+    getObjectives() {
+        return [...this.objectives.values()];
+    }
+
+    removeObjective(objective) {
+        return this.objectives.delete(typeof objective === "string" ? objective : objective.id);
+    }
+}
+
+export class Dimension {
+    constructor(id) {
+        this.id = id;
+        this.heightRange = { ...DIMENSION_RANGES[id] };
+        /** @type {Map<string, BlockPermutation>} */
+        this.blocks = new Map();
+        /** @type {Map<string, Container>} */
+        this.containers = new Map();
+        /** @type {Set<string>} - Chunks made unloaded with unloadChunk(); every other chunk is loaded. */
+        this.unloadedChunks = new Set();
+    }
+
+    __isLoaded(location) {
+        return !this.unloadedChunks.has(chunkKey(location));
+    }
+
+    /** Containers are created on first access and dropped when the block changes type, like breaking a chest. */
+    __getContainer(location) {
+        const size = CONTAINER_SIZES[this.__getPermutation(location).type.id];
+        if (size === undefined) return undefined;
+        const key = locationKey(location);
+        if (!this.containers.has(key)) this.containers.set(key, new Container(size));
+        return this.containers.get(key);
+    }
+
+    __assertInBounds(location) {
+        const y = Math.floor(location.y);
+        if (y < this.heightRange.min || y >= this.heightRange.max) {
+            throw new LocationOutOfWorldBoundariesError(`Location (${location.x}, ${location.y}, ${location.z}) is outside of ${this.id}.`);
+        }
+    }
+
+    __getPermutation(location) {
+        return this.blocks.get(locationKey(location)) || AIR;
+    }
+
+    getBlock(location) {
+        this.__assertInBounds(location);
+        if (!this.__isLoaded(location)) return undefined;
+        return new Block(this, location);
+    }
+
+    setBlockType(location, blockType) {
+        const typeId = typeof blockType === "string" ? blockType : blockType.id;
+        this.setBlockPermutation(location, BlockPermutation.resolve(typeId));
+    }
+
+    setBlockPermutation(location, permutation) {
+        assertWritable("Dimension::setBlockPermutation");
+        this.__assertInBounds(location);
+        if (!this.__isLoaded(location)) {
+            throw new LocationInUnloadedChunkError(`Location (${location.x}, ${location.y}, ${location.z}) is in an unloaded chunk of ${this.id}.`);
+        }
+        if (this.__getPermutation(location).type.id !== permutation.type.id) this.containers.delete(locationKey(location));
+        if (permutation.type.id === "minecraft:air") {
+            this.blocks.delete(locationKey(location));
+        } else {
+            this.blocks.set(locationKey(location), permutation);
+        }
+    }
+
+    getPlayers(options = {}) {
+        return world.getPlayers().filter((player) => player.dimension === this && withinDistance(player, options));
+    }
+
+    spawnEntity(identifier, location) {
+        const entity = new Entity(identifier, this, location);
+        entities.push(entity);
+        return entity;
+    }
+
+    spawnItem(itemStack, location) {
+        const entity = this.spawnEntity("minecraft:item", location);
+        entity.components.set("minecraft:item", { typeId: "minecraft:item", itemStack: itemStack.clone() });
+        return entity;
+    }
+
+    /**
+     * Steps along the ray in small increments; precise enough for whole blocks.
+     * @returns {{block: Block, face: string, faceLocation: {x: number, y: number, z: number}}|undefined}
+     */
+    getBlockFromRay(location, direction, options = {}) {
+        const maxDistance = options.maxDistance === undefined ? 64 : options.maxDistance;
+        const length = Math.hypot(direction.x, direction.y, direction.z);
+        let previous = locationKey(location);
+        for (let distance = 0; distance <= maxDistance; distance += 0.05) {
+            const point = {
+                x: location.x + direction.x / length * distance,
+                y: location.y + direction.y / length * distance,
+                z: location.z + direction.z / length * distance
+            };
+            const key = locationKey(point);
+            if (key === previous && distance > 0) continue;
+            previous = key;
+            if (Math.floor(point.y) < this.heightRange.min || Math.floor(point.y) >= this.heightRange.max) continue;
+            if (this.__getPermutation(point) !== AIR) {
+                return { block: new Block(this, point), face: "Up", faceLocation: { x: point.x % 1, y: point.y % 1, z: point.z % 1 } };
+            }
+        }
+        return undefined;
+    }
+
+    getEntities(options = {}) {
+        return entities.filter((entity) => entity.dimension === this && matchesEntityQuery(entity, options));
+    }
+}
+
+/**
+ * @name matchesEntityQuery
+ * @description Checks an entity against the EntityQueryOptions the pack uses: type, tag, family, name and distance filters.
+ * @param {Entity} entity - The entity.
+ * @param {Object} options - The query options.
+ * @returns {boolean}
+ */
+function matchesEntityQuery(entity, options) {
+    if (options.type && entity.typeId !== normalizeTypeId(options.type)) return false;
+    if (options.excludeTypes && options.excludeTypes.some((type) => entity.typeId === normalizeTypeId(type))) return false;
+    if (options.tags && !options.tags.every((tag) => entity.hasTag(tag))) return false;
+    if (options.excludeTags && options.excludeTags.some((tag) => entity.hasTag(tag))) return false;
+    const families = entity.components.has("minecraft:type_family") ? entity.getComponent("minecraft:type_family").getTypeFamilies() : [];
+    if (options.families && !options.families.every((family) => families.includes(family))) return false;
+    if (options.excludeFamilies && options.excludeFamilies.some((family) => families.includes(family))) return false;
+    if (options.name !== undefined && entity.nameTag !== options.name) return false;
+    return withinDistance(entity, options);
+}
+
+// The families of the entity types tests use; any other living entity is its own family and "mob"
+const ENTITY_FAMILIES = {
+    "minecraft:player": ["player", "mob"],
+    "minecraft:zombie": ["zombie", "undead", "monster", "mob"],
+    "minecraft:skeleton": ["skeleton", "undead", "monster", "mob"],
+    "minecraft:creeper": ["creeper", "monster", "mob"],
+    "minecraft:cow": ["cow", "mob"]
+};
+const NON_LIVING_ENTITIES = ["minecraft:item", "minecraft:xp_orb", "minecraft:arrow"];
+
+export class EntityTypeFamilyComponent {
+    constructor(families) {
+        this.typeId = "minecraft:type_family";
+        this.families = families;
+    }
+
+    getTypeFamilies() {
+        return [...this.families];
+    }
+
+    hasTypeFamily(family) {
+        return this.families.includes(family);
+    }
+}
+
+/**
+ * @name withinDistance
+ * @description Checks the location, maxDistance and minDistance query options against an entity.
+ * @returns {boolean}
+ */
+function withinDistance(entity, options) {
+    if (!options.location) return true;
+    const distance = Math.hypot(entity.location.x - options.location.x, entity.location.y - options.location.y, entity.location.z - options.location.z);
+    return (options.maxDistance === undefined || distance <= options.maxDistance) && (options.minDistance === undefined || distance >= options.minDistance);
+}
+
+export class EntityHealthComponent {
+    constructor(max) {
+        this.typeId = "minecraft:health";
+        this.defaultValue = max;
+        this.effectiveMin = 0;
+        this.effectiveMax = max;
+        this.currentValue = max;
+    }
+
+    setCurrentValue(value) {
+        if (value < this.effectiveMin || value > this.effectiveMax) return false;
+        this.currentValue = value;
+        return true;
+    }
+
+    resetToMaxValue() {
+        this.currentValue = this.effectiveMax;
+    }
+}
+
+export class Entity {
+    constructor(typeId, dimension, location) {
+        this.id = String(nextEntityId++);
+        this.typeId = normalizeTypeId(typeId);
+        this.dimension = dimension;
+        this.location = { ...location };
+        this.nameTag = "";
+        this.rotation = { x: 0, y: 0 };
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.tags = new Set();
+        this.valid = true;
+        // Movement state, set directly by tests
+        this.isOnGround = true;
+        this.isInWater = false;
+        this.isClimbing = false;
+        this.isFalling = false;
+        this.isSneaking = false;
+        /** @type {Map<string, {typeId: string, duration: number, amplifier: number}>} */
+        this.effects = new Map();
+        /** Harness only: every command run by this entity. */
+        this.commands = [];
+        createDynamicProperties(this);
+        /** @type {Map<string, Object>} */
+        this.components = new Map();
+        if (!NON_LIVING_ENTITIES.includes(this.typeId)) {
+            this.components.set("minecraft:health", new EntityHealthComponent(20));
+            this.components.set("minecraft:type_family", new EntityTypeFamilyComponent(ENTITY_FAMILIES[this.typeId] || [this.typeId.replace(/^.*:/, ""), "mob"]));
+        }
+    }
+
+    getComponent(componentId) {
+        return this.components.get(componentId.includes(":") ? componentId : `minecraft:${componentId}`);
+    }
+
+    hasComponent(componentId) {
+        return this.getComponent(componentId) !== undefined;
+    }
+
+    get isValid() {
+        return this.valid;
+    }
+
+    getRotation() {
+        return { ...this.rotation };
+    }
+
+    setRotation(rotation) {
+        assertWritable("Entity::setRotation");
+        this.rotation = { x: rotation.x, y: rotation.y };
+    }
+
+    getViewDirection() {
+        const pitch = this.rotation.x * Math.PI / 180;
+        const yaw = this.rotation.y * Math.PI / 180;
+        return { x: -Math.sin(yaw) * Math.cos(pitch), y: -Math.sin(pitch), z: Math.cos(yaw) * Math.cos(pitch) };
+    }
+
+    getBlockFromViewDirection(options = {}) {
+        return this.dimension.getBlockFromRay(this.getHeadLocation(), this.getViewDirection(), options);
+    }
+
+    getHeadLocation() {
+        return { x: this.location.x, y: this.location.y + 1.62, z: this.location.z };
+    }
+
+    getVelocity() {
+        return { ...this.velocity };
+    }
+
+    applyImpulse(vector) {
+        if (this.typeId === "minecraft:player") throw new Error("applyImpulse does not work on players.");
+        this.velocity = { x: this.velocity.x + vector.x, y: this.velocity.y + vector.y, z: this.velocity.z + vector.z };
+    }
+
+    applyKnockback(horizontalForce, verticalStrength) {
+        this.velocity = { x: horizontalForce.x, y: verticalStrength, z: horizontalForce.z };
+    }
+
+    clearVelocity() {
+        this.velocity = { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Harness only: damage is taken as is, with no armour. Reaching 0 health kills the entity.
+     * lastDamage records the amount and options of the last call.
+     * @returns {boolean}
+     */
+    applyDamage(amount, options = {}) {
+        const health = this.getComponent("minecraft:health");
+        if (!health || health.currentValue <= 0) return false;
+        this.lastDamage = { amount, ...options };
+        health.currentValue = Math.max(0, health.currentValue - amount);
+        if (health.currentValue === 0) this.remove();
+        return true;
+    }
+
+    kill() {
+        const health = this.getComponent("minecraft:health");
+        if (!health || !this.valid) return false;
+        health.currentValue = 0;
+        this.remove();
+        return true;
+    }
+
+    teleport(location, options = {}) {
+        assertWritable("Entity::teleport");
+        this.location = { ...location };
+        if (options.dimension) this.dimension = options.dimension;
+        if (options.rotation) this.setRotation(options.rotation);
+        // Players load the chunk they arrive in a few ticks later; other entities don't load chunks
+        const dimension = this.dimension;
+        const key = chunkKey(location);
+        if (this instanceof Player && dimension.unloadedChunks.has(key)) {
+            system.runTimeout(() => dimension.unloadedChunks.delete(key), CHUNK_LOAD_TICKS);
+        }
+    }
+
+    /**
+     * With checkForBlocks, fails when a solid block is at the feet or head position at the destination.
+     * @returns {boolean}
+     */
+    tryTeleport(location, options = {}) {
+        const dimension = options.dimension || this.dimension;
+        if (options.checkForBlocks) {
+            for (const offset of [0, 1]) {
+                const block = dimension.getBlock({ x: location.x, y: location.y + offset, z: location.z });
+                if (!block.isAir && !block.isLiquid) return false;
+            }
+        }
+        this.teleport(location, options);
+        return true;
+    }
+
+    addEffect(effectType, duration, options = {}) {
+        const typeId = normalizeTypeId(typeof effectType === "string" ? effectType : effectType.id).replace("minecraft:", "");
+        const effect = { typeId, duration, amplifier: options.amplifier || 0 };
+        this.effects.set(typeId, effect);
+        return effect;
+    }
+
+    getEffect(effectType) {
+        return this.effects.get((typeof effectType === "string" ? effectType : effectType.id).replace("minecraft:", ""));
+    }
+
+    getEffects() {
+        return [...this.effects.values()];
+    }
+
+    removeEffect(effectType) {
+        return this.effects.delete((typeof effectType === "string" ? effectType : effectType.id).replace("minecraft:", ""));
+    }
+
+    runCommand(command) {
+        this.commands.push(command);
+        return { successCount: 1 };
+    }
+
+    getTags() { return [...this.tags]; }
+    hasTag(tag) { return this.tags.has(tag); }
+    addTag(tag) {
+        assertWritable("Entity::addTag");
+        if (this.tags.has(tag)) return false;
+        this.tags.add(tag);
+        return true;
+    }
+    removeTag(tag) {
+        assertWritable("Entity::removeTag");
+        return this.tags.delete(tag);
+    }
+
+    remove() {
+        assertWritable("Entity::remove");
+        this.valid = false;
+        const index = entities.indexOf(this);
+        if (index !== -1) entities.splice(index, 1);
+    }
+}
+
+export class Player extends Entity {
+    constructor(name, dimension, location) {
+        super("minecraft:player", dimension, location);
+        this.name = name;
+        this.nameTag = name;
+        this.playerPermissionLevel = PlayerPermissionLevel.Member;
+        this.commandPermissionLevel = CommandPermissionLevel.Any;
+        /** Harness only: every message sent to this player. */
+        this.messages = [];
+        this.components.set("minecraft:inventory", new EntityInventoryComponent(36));
+        this.isFlying = false;
+        this.isGliding = false;
+        this.gameMode = GameMode.Survival;
+    }
+
+    getGameMode() {
+        return this.gameMode;
+    }
+
+    setGameMode(gameMode) {
+        this.gameMode = gameMode;
+    }
+
+    get scoreboardIdentity() {
+        return { id: this.id, displayName: this.name };
+    }
+
+    sendMessage(message) {
+        this.messages.push(typeof message === "string" ? message : JSON.stringify(message));
+    }
+}
+
+export const Direction = Object.freeze({ Down: "Down", East: "East", North: "North", South: "South", Up: "Up", West: "West" });
+export const GameMode = Object.freeze({ Adventure: "Adventure", Creative: "Creative", Spectator: "Spectator", Survival: "Survival" });
+export const PlayerPermissionLevel = Object.freeze({ Visitor: 0, Member: 1, Operator: 2, Custom: 3 });
+export const CommandPermissionLevel = Object.freeze({ Any: 0, GameDirectors: 1, Admin: 2, Host: 3, Owner: 4 });
+
+export class EventSignal {
+    /**
+     * @param {boolean} [readOnly] - Whether handlers run in read-only mode, as before-event handlers do.
+     */
+    constructor(readOnly = false) {
+        this.listeners = [];
+        this.readOnly = readOnly;
+    }
+
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return callback;
+    }
+
+    unsubscribe(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index !== -1) this.listeners.splice(index, 1);
+    }
+
+    /**
+     * Harness only: delivers an event to every subscriber and returns it so before-event
+     * cancellation can be inspected. World changes throw while a read-only signal is being delivered.
+     */
+    trigger(eventData = {}) {
+        if (this.readOnly) readOnlyDepth++;
+        try {
+            for (const listener of [...this.listeners]) listener(eventData);
+        } finally {
+            if (this.readOnly) readOnlyDepth--;
+        }
+        return eventData;
+    }
+}
+
+const BEFORE_EVENTS = [
+    "chatSend", "explosion", "itemUse", "playerBreakBlock", "playerInteractWithBlock",
+    "playerInteractWithEntity", "playerLeave", "playerPlaceBlock"
+];
+const AFTER_EVENTS = [
+    "blockExplode", "chatSend", "entityDie", "entityHitBlock", "entityHitEntity", "entityHurt",
+    "entityRemove", "entitySpawn", "explosion", "itemReleaseUse", "itemUse", "pistonActivate", "playerBreakBlock",
+    "playerInteractWithBlock", "playerInteractWithEntity", "playerJoin", "playerLeave",
+    "playerPlaceBlock", "playerSpawn", "projectileHitBlock", "projectileHitEntity", "worldLoad"
+];
+
+function createSignals(names, readOnly) {
+    return Object.fromEntries(names.map((name) => [name, new EventSignal(readOnly)]));
+}
+
+const dimensions = new Map(Object.keys(DIMENSION_RANGES).map((id) => [id, new Dimension(id)]));
+let entities;
+let nextEntityId;
+let runs;
+let nextRunId;
+let jobs;
+let jobBudget;
+
+export const world = {
+    beforeEvents: createSignals(BEFORE_EVENTS, true),
+    afterEvents: createSignals(AFTER_EVENTS, false),
+
+    getDimension(id) {
+        const dimension = dimensions.get(normalizeTypeId(id));
+        if (!dimension) {
+            throw new Error(`Invalid dimension identifier '${id}'.`);
+        }
+        return dimension;
+    },
+
+    getPlayers(options = {}) {
+        return entities.filter((entity) => entity instanceof Player && (!options.name || entity.name === options.name));
+    },
+
+    scoreboard: new Scoreboard(),
+
+    getAllPlayers() {
+        return this.getPlayers();
+    }
+};
+createDynamicProperties(world);
+
+export const system = {
+    currentTick: 0,
+
+    run(callback) {
+        return this.runTimeout(callback, 0);
+    },
+
+    runTimeout(callback, tickDelay = 1) {
+        const id = nextRunId++;
+        runs.set(id, { callback, dueTick: this.currentTick + Math.max(1, tickDelay), interval: 0 });
+        return id;
+    },
+
+    runInterval(callback, tickInterval = 1) {
+        const id = nextRunId++;
+        const interval = Math.max(1, tickInterval);
+        runs.set(id, { callback, dueTick: this.currentTick + interval, interval });
+        return id;
+    },
+
+    clearRun(runId) {
+        runs.delete(runId);
+    },
+
+    runJob(generator) {
+        const id = nextRunId++;
+        jobs.set(id, generator);
+        return id;
+    },
+
+    clearJob(jobId) {
+        jobs.delete(jobId);
+    }
+};
+
+/**
+ * @name setJobBudget
+ * @description Harness only: sets how many times each job generator is stepped per tick (default 100).
+ * The game budgets jobs by time instead; a step count keeps tests deterministic.
+ * @param {number} steps - The number of steps per tick.
+ * @returns {void}
+ */
+export function setJobBudget(steps) {
+    jobBudget = steps;
+}
+
+/**
+ * @name advanceTicks
+ * @description Harness only: moves the tick clock forward, running every callback that falls due and stepping every job.
+ * Errors thrown by callbacks do not stop the tick; the first one is rethrown once the ticks are done.
+ * @param {number} [count=1] - The number of ticks to advance.
+ * @returns {void}
+ */
+export function advanceTicks(count = 1) {
+    let firstError = null;
+    for (let i = 0; i < count; i++) {
+        system.currentTick++;
+        for (const [id, run] of [...runs]) {
+            if (!runs.has(id) || run.dueTick > system.currentTick) continue;
+            if (run.interval > 0) {
+                run.dueTick += run.interval;
+            } else {
+                runs.delete(id);
+            }
+            try {
+                run.callback();
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
+        for (const [id, generator] of [...jobs]) {
+            try {
+                for (let step = 0; step < jobBudget && jobs.has(id); step++) {
+                    if (generator.next().done) jobs.delete(id);
+                }
+            } catch (error) {
+                jobs.delete(id);
+                firstError = firstError || error;
+            }
+        }
+    }
+    if (firstError) throw firstError;
+}
+
+/**
+ * @name unloadChunk
+ * @description Harness only: unloads the chunk containing a location. getBlock returns undefined there and block
+ * changes throw, until a player teleports into the chunk (it loads CHUNK_LOAD_TICKS ticks later) or the world is reset.
+ * @param {string} dimensionId - The dimension, e.g. "overworld".
+ * @param {{x: number, z: number}} location - Any location in the chunk.
+ * @returns {void}
+ */
+export function unloadChunk(dimensionId, location) {
+    world.getDimension(dimensionId).unloadedChunks.add(chunkKey(location));
+}
+
+/**
+ * @name spawnPlayer
+ * @description Harness only: adds a player to the world.
+ * @param {string} name - The player name.
+ * @param {{location?: {x: number, y: number, z: number}, dimension?: string}} [options]
+ * @returns {Player}
+ */
+export function spawnPlayer(name, options = {}) {
+    const dimension = world.getDimension(options.dimension || "overworld");
+    const player = new Player(name, dimension, options.location || { x: 0, y: 64, z: 0 });
+    entities.push(player);
+    return player;
+}
+
+/**
+ * @name resetWorld
+ * @description Harness only: clears every block, entity, listener and scheduled run and rewinds the tick clock.
+ * Dimension objects are kept, so wrappers created at import time (e.g. Globals.js) stay valid.
+ * State held by the pack's own modules (event channels, caches, registered commands) is not reset, and their
+ * subscriptions are dropped with the listeners, so tests isolate modules by running each file in its own process.
+ * @returns {void}
+ */
+export function resetWorld() {
+    for (const dimension of dimensions.values()) {
+        dimension.blocks.clear();
+        dimension.containers.clear();
+        dimension.unloadedChunks.clear();
+    }
+    entities = [];
+    nextEntityId = 1;
+    world.clearDynamicProperties();
+    world.scoreboard = new Scoreboard();
+    runs = new Map();
+    nextRunId = 1;
+    jobs = new Map();
+    jobBudget = 100;
+    system.currentTick = 0;
+    for (const signal of [...Object.values(world.beforeEvents), ...Object.values(world.afterEvents)]) {
+        signal.listeners = [];
+    }
+}
+
+resetWorld();
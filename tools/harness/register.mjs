@@ -0,0 +1,9 @@
+/**
+ * register.mjs
+ * Preload this with `node --import` to run pack code against the fakes:
+ *   node --import ./tools/harness/register.mjs --test tools/
+ * `--test` runs every test file in a separate process, which is what keeps the pack's module state apart between files.
+ */
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
@@ -0,0 +1,84 @@
+/**
+ * AntiCheat.test.mjs
+ * Replays the movement traces in ./traces through the checks. The legit traces are modelled on Bedrock movement
+ * (sprint-jumping at about 0.39 blocks per tick, 0.9 on blue ice, 12 ticks per jump) and must never flag;
+ * the cheat traces must.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as mc from "@minecraft/server";
+import { AntiCheat } from "../../scripts/api/modules/AntiCheat.js";
+
+const LEGIT = ["sprint_jump", "blue_ice_sprint_jump", "riptide", "wind_charge", "piston_launch", "water_current", "slime_bounce"];
+
+function trace(name) {
+    return JSON.parse(readFileSync(new URL(`./traces/${name}.json`, import.meta.url), "utf8"));
+}
+
+// The trace without what the exemptions key on: push entries, water and surfaces
+function unexempted(entries) {
+    return entries.filter((entry) => entry.type !== "push").map(({ inWater, surface, ...entry }) => entry);
+}
+
+for (const name of LEGIT) {
+    test(`legit ${name} does not flag speed or fly`, () => {
+        const result = AntiCheat.replay(trace(`legit_${name}`), { checks: ["speed", "fly"] });
+        assert.deepEqual(result.flags, []);
+    });
+}
+
+test("legit traces flag without their exemptions", () => {
+    for (const name of LEGIT.filter((name) => name !== "sprint_jump")) {
+        const result = AntiCheat.replay(unexempted(trace(`legit_${name}`)), { checks: ["speed", "fly"] });
+        assert.ok(result.flags.length > 0, `${name} should flag when nothing exempts it`);
+    }
+});
+
+test("speed hack flags speed and reaches the setback level", () => {
+    const result = AntiCheat.replay(trace("cheat_speed"), { checks: ["speed"] });
+    assert.ok(result.violations.speed >= 4);
+    assert.match(result.flags[0].detail, /^average/);
+});
+
+test("hovering flags fly", () => {
+    const result = AntiCheat.replay(trace("cheat_hover"), { checks: ["fly"] });
+    assert.ok(result.violations.fly > 0);
+    assert.match(result.flags[0].detail, /^hovering/);
+});
+
+test("a push only exempts for knockbackTicks", () => {
+    const late = trace("legit_piston_launch").map((entry) => entry.type === "push" ? { ...entry, tick: entry.tick - 30 } : entry);
+    assert.ok(AntiCheat.replay(late, { checks: ["speed"] }).violations.speed > 0);
+});
+
+test("live: pistons, wind charges and riptide tridents push nearby players", () => {
+    mc.resetWorld();
+    AntiCheat.start();
+    const steve = mc.spawnPlayer("Steve", { location: { x: 0.5, y: 64, z: 0.5 } });
+    const far = mc.spawnPlayer("Alex", { location: { x: 20.5, y: 64, z: 0.5 } });
+    const pushes = [];
+    const original = AntiCheat.process;
+    AntiCheat.process = (player, entry) => {
+        if (entry.type === "push") pushes.push(`${player.name}:${entry.cause}`);
+        original(player, entry);
+    };
+    try {
+        const piston = mc.world.getDimension("overworld").getBlock({ x: 2, y: 64, z: 0 });
+        mc.world.afterEvents.pistonActivate.trigger({
+            block: piston,
+            dimension: piston.dimension,
+            isExpanding: true,
+            piston: { getAttachedBlocksLocations: () => [{ x: 1, y: 64, z: 0 }] }
+        });
+        const charge = new mc.Entity("minecraft:wind_charge_projectile", mc.world.getDimension("overworld"), { x: 0, y: 64, z: 1 });
+        mc.world.afterEvents.projectileHitBlock.trigger({ projectile: charge, source: far, location: { x: 0, y: 64, z: 1 }, dimension: charge.dimension });
+        const trident = new mc.ItemStack("trident");
+        trident.getComponent("enchantable").addEnchantment({ type: new mc.EnchantmentType("riptide"), level: 3 });
+        mc.world.afterEvents.itemReleaseUse.trigger({ source: far, itemStack: trident, useDuration: 20 });
+        mc.world.afterEvents.itemReleaseUse.trigger({ source: steve, itemStack: new mc.ItemStack("trident"), useDuration: 20 });
+    } finally {
+        AntiCheat.process = original;
+    }
+    assert.deepEqual(pushes, ["Steve:piston", "Steve:wind_charge", "Alex:riptide"]);
+});
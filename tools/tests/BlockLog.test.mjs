@@ -0,0 +1,112 @@
+/**
+ * BlockLog.test.mjs
+ * Records block changes from the fake world's events, queries them and rolls them back over ticks.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IDimension } from "../../scripts/api/classes/IDimension.js";
+import { IRegion } from "../../scripts/api/classes/IRegion.js";
+import { BlockLog } from "../../scripts/api/modules/BlockLog.js";
+import { ICommands } from "../../scripts/api/commands/ICommands.js";
+
+BlockLog.start();
+BlockLog.registerCommands();
+const overworld = new IDimension("overworld");
+const raw = overworld.dimension;
+const steve = mc.spawnPlayer("Steve");
+const alex = mc.spawnPlayer("Alex");
+const permutation = (id) => mc.BlockPermutation.resolve(id);
+
+async function tick() {
+    await new Promise((resolve) => setImmediate(resolve));
+    mc.advanceTicks(1);
+}
+
+function place(player, location, block) {
+    mc.world.beforeEvents.playerPlaceBlock.trigger({ player, block: raw.getBlock(location), permutationToPlace: permutation(block) });
+    raw.setBlockPermutation(location, permutation(block));
+    mc.world.afterEvents.playerPlaceBlock.trigger({ player, block: raw.getBlock(location) });
+}
+
+function breakBlock(player, location, block) {
+    raw.setBlockPermutation(location, permutation("minecraft:air"));
+    mc.world.afterEvents.playerBreakBlock.trigger({ player, block: raw.getBlock(location), brokenBlockPermutation: permutation(block) });
+}
+
+test("events are recorded and can be queried", () => {
+    raw.setBlockPermutation({ x: 0, y: 64, z: 0 }, permutation("minecraft:grass_block"));
+    place(steve, { x: 0, y: 64, z: 0 }, "minecraft:stone");
+    breakBlock(steve, { x: 1, y: 64, z: 0 }, "minecraft:oak_planks");
+    breakBlock(steve, { x: 2, y: 64, z: 0 }, "minecraft:cobblestone");
+    place(alex, { x: 2, y: 64, z: 0 }, "minecraft:dirt");
+    mc.world.afterEvents.blockExplode.trigger({
+        block: raw.getBlock({ x: 5, y: 64, z: 5 }),
+        dimension: raw,
+        explodedBlockPermutation: permutation("minecraft:glass"),
+        source: { typeId: "minecraft:creeper" }
+    });
+
+    const all = BlockLog.query();
+    assert.equal(all.length, 5);
+    assert.equal(all[0].player, "#creeper");
+    assert.equal(all[0].action, "explode");
+    const steves = BlockLog.query({ player: "steve" });
+    assert.equal(steves.length, 3);
+    assert.deepEqual([steves[2].action, steves[2].before, steves[2].after], ["place", "minecraft:grass_block", "minecraft:stone"]);
+    assert.equal(BlockLog.query({ actions: ["break"] }).length, 2);
+    assert.equal(BlockLog.query({ dimension: "nether" }).length, 0);
+    assert.equal(BlockLog.history("overworld", { x: 2, y: 64, z: 0 }).length, 2);
+    assert.equal(BlockLog.query({ region: new IRegion({ x: 0, y: 0, z: 0 }, { x: 1, y: 100, z: 0 }), dimension: "overworld" }).length, 2);
+});
+
+test("rollback restores a player's changes unless someone built over them", async () => {
+    BlockLog.flush();
+    const job = BlockLog.rollback({ player: "Steve", dimension: overworld, region: IRegion.fromCenter({ x: 0, y: 64, z: 0 }, 5), since: 0 });
+    assert.equal(job.total, 2);
+    assert.equal(job.skipped, 1);
+    for (let i = 0; i < 50 && !job.done; i++) await tick();
+    assert.equal(overworld.getBlockType(0, 64, 0), "minecraft:grass_block");
+    assert.equal(overworld.getBlockType(1, 64, 0), "minecraft:oak_planks");
+    assert.equal(overworld.getBlockType(2, 64, 0), "minecraft:dirt");
+    assert.throws(() => BlockLog.rollback({ player: "Steve" }), /Rollback needs/);
+});
+
+test("blocks a rollback cannot restore are reported to the player who ran it", async () => {
+    const moderator = mc.spawnPlayer("Mod");
+    moderator.addTag("moderator");
+    BlockLog.record("place", "Griefer", "overworld", { x: 0, y: 70, z: 0 }, "minecraft:air", "minecraft:stone");
+    const setBlockPermutation = mc.Dimension.prototype.setBlockPermutation;
+    mc.Dimension.prototype.setBlockPermutation = () => { throw new Error("dimension gone"); };
+    try {
+        ICommands.run(moderator, "!blocklog rollback Griefer 10 5");
+        for (let i = 0; i < 5; i++) await tick();
+    } finally {
+        mc.Dimension.prototype.setBlockPermutation = setBlockPermutation;
+    }
+    await tick();
+    assert.match(moderator.messages.at(-1), /Rolled back 0 blocks by Griefer .*skipped 1/);
+});
+
+test("a moderator who leaves during a rollback is not messaged when it ends", async () => {
+    const moderator = mc.spawnPlayer("Leaver");
+    moderator.addTag("moderator");
+    BlockLog.record("place", "Vandal", "overworld", { x: 1, y: 70, z: 0 }, "minecraft:air", "minecraft:stone");
+    ICommands.run(moderator, "!blocklog rollback Vandal 10 5");
+    const sent = moderator.messages.length;
+    moderator.remove();
+    for (let i = 0; i < 5; i++) await tick();
+    assert.equal(moderator.isValid, false);
+    assert.equal(moderator.messages.length, sent);
+});
+
+test("old segments are dropped once the log is full", () => {
+    BlockLog.clear();
+    BlockLog.segmentSize = 3;
+    BlockLog.maxSegments = 2;
+    for (let i = 0; i < 10; i++) BlockLog.record("place", "Bob", "overworld", { x: i, y: 0, z: 0 }, "air", "stone");
+    BlockLog.flush();
+    assert.deepEqual(BlockLog.query({ limit: Infinity }).map((entry) => entry.location.x), [9, 8, 7, 6]);
+    const ids = mc.world.getDynamicPropertyIds().filter((id) => id.startsWith("blocklog:segment_"));
+    assert.deepEqual(ids.sort(), ["blocklog:segment_2", "blocklog:segment_3"]);
+});
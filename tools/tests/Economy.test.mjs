@@ -0,0 +1,139 @@
+/**
+ * Economy.test.mjs
+ * Moves money between fake players and buys from shops through the faked forms.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import * as ui from "@minecraft/server-ui";
+import { Economy, InsufficientFundsError } from "../../scripts/api/modules/Economy.js";
+import { IPlayer } from "../../scripts/api/classes/IPlayer.js";
+import { ICommands } from "../../scripts/api/commands/ICommands.js";
+
+Economy.objective = "money";
+Economy.start();
+Economy.registerCommands();
+const steve = mc.spawnPlayer("Steve");
+const alex = mc.spawnPlayer("Alex");
+steve.addTag("admin");
+
+async function settle() {
+    for (let i = 0; i < 5; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+        mc.advanceTicks(1);
+    }
+}
+
+test("transfers move money only when the sender can pay", () => {
+    assert.equal(Economy.deposit(steve, 100, "start"), 100);
+    assert.throws(() => Economy.withdraw(steve, 101), InsufficientFundsError);
+    assert.throws(() => Economy.deposit(steve, 1.5));
+    assert.throws(() => Economy.deposit(steve, 0));
+    assert.deepEqual(Economy.transfer(steve, "alex", 40), { from: 60, to: 40 });
+    assert.throws(() => Economy.transfer(steve, alex, 61), (error) => error instanceof InsufficientFundsError && error.balance === 60);
+    assert.equal(Economy.balance(steve), 60);
+    assert.equal(Economy.balance(alex), 40);
+    assert.throws(() => Economy.pay(steve, steve, 1));
+    assert.throws(() => Economy.balance("Nobody"));
+});
+
+test("history, listeners, leaderboard and the scoreboard mirror", () => {
+    const seen = [];
+    Economy.onTransaction((transaction) => seen.push(transaction.type));
+    Economy.set(alex, 500);
+    assert.deepEqual(seen, ["set"]);
+    const history = Economy.history({ player: steve });
+    assert.equal(history[0].type, "transfer");
+    assert.equal(history[0].toName, "Alex");
+    assert.deepEqual(Economy.leaderboard().map((entry) => [entry.rank, entry.name, entry.balance]), [[1, "Alex", 500], [2, "Steve", 60]]);
+    assert.equal(mc.world.scoreboard.getObjective("money").getScore(alex), 500);
+    assert.equal(Economy.format(1234567), "$1,234,567");
+});
+
+test("buying and selling", () => {
+    Economy.set(steve, 60);
+    Economy.buy(steve, "bread", 10, 5);
+    assert.equal(Economy.balance(steve), 10);
+    assert.equal(IPlayer.get(steve).count("bread"), 10);
+    assert.throws(() => Economy.buy(steve, "bread", 10, 5), InsufficientFundsError);
+    assert.equal(IPlayer.get(steve).count("bread"), 10);
+    Economy.sell(steve, "bread", 4, 2);
+    assert.equal(Economy.balance(steve), 18);
+    assert.throws(() => Economy.sell(steve, "bread", 7, 2));
+    assert.equal(Economy.balance(steve), 18);
+});
+
+test("a purchase that cannot be delivered is refunded", () => {
+    Economy.set(steve, 100);
+    assert.throws(() => Economy.buy(steve, "Not An Item", 1, 5), /Unknown item/);
+    assert.throws(() => Economy.registerShop("bad", [{ item: "Bad Item", buy: 1 }]), /Unknown item/);
+    const give = IPlayer.prototype.give;
+    IPlayer.prototype.give = () => { throw new Error("inventory gone"); };
+    try {
+        assert.throws(() => Economy.buy(steve, "bread", 2, 5), /inventory gone/);
+    } finally {
+        IPlayer.prototype.give = give;
+    }
+    assert.equal(Economy.balance(steve), 100);
+});
+
+test("shops are bought from through forms", async () => {
+    Economy.set(steve, 18);
+    Economy.registerShop("food", [{ item: "bread", buy: 5, sell: 2 }]);
+    ui.respondWith({ selection: 0 }, { formValues: [0, 2] });
+    const result = Economy.openShop(steve, "food");
+    await settle();
+    assert.deepEqual(await result, { canceled: false, action: "buy", item: "minecraft:bread", amount: 2, total: 10 });
+    assert.equal(Economy.balance(steve), 8);
+});
+
+test("!shop reports a form that fails", async () => {
+    ui.setFormResponder(() => { throw new Error("player left"); });
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (message) => errors.push(message);
+    try {
+        ICommands.run(steve, "!shop food");
+        await settle();
+    } finally {
+        console.error = consoleError;
+        ui.setFormResponder(null);
+    }
+    assert.match(steve.messages.at(-1), /An error occurred while running !shop/);
+    assert.equal(errors.length, 1);
+});
+
+test("!shop only logs a failing form once the player has left", async () => {
+    const leaver = mc.spawnPlayer("Leaver");
+    ui.setFormResponder(() => {
+        leaver.remove();
+        throw new Error("player left");
+    });
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (message) => errors.push(message);
+    try {
+        ICommands.run(leaver, "!shop food");
+        await settle();
+    } finally {
+        console.error = consoleError;
+        ui.setFormResponder(null);
+    }
+    assert.equal(leaver.messages.some((message) => /An error occurred/.test(message)), false);
+    assert.equal(errors.length, 1);
+});
+
+test("money commands", () => {
+    Economy.set(steve, 8);
+    ICommands.run(alex, "!pay steve 100");
+    assert.equal(Economy.balance(steve), 108);
+    ICommands.run(alex, "!pay steve 100000");
+    assert.match(alex.messages.at(-1), /Insufficient/);
+    ICommands.run(steve, "!eco take alex 50");
+    assert.equal(Economy.balance(alex), 350);
+    ICommands.run(steve, "!eco history alex");
+    assert.match(steve.messages.at(-1), /withdraw/);
+    ICommands.run(alex, "!bal steve");
+    assert.match(alex.messages.at(-1), /\$108/);
+    assert.ok(mc.world.getDynamicProperty("economy:accounts").includes("Alex"));
+});
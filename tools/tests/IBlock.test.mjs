@@ -0,0 +1,101 @@
+/**
+ * IBlock.test.mjs
+ * Reads and refreshes blocks of the fake world through IBlock, and searches the blocks around them.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IBlock } from "../../scripts/api/classes/IBlock.js";
+import { IDimension } from "../../scripts/api/classes/IDimension.js";
+
+const raw = mc.world.getDimension("overworld");
+
+test("a new IBlock reads the block where it is", () => {
+    raw.setBlockType({ x: 42, y: 102, z: -83 }, "minecraft:stone");
+    const block = new IBlock("overworld", 42, 102, -83);
+    assert.deepEqual([block.x, block.y, block.z], [42, 102, -83]);
+    assert.equal(block.dimension, "overworld");
+    assert.equal(block.type, "minecraft:stone");
+    assert.equal(block.isAir, false);
+    assert.equal(block.getBlock().typeId, "minecraft:stone");
+    assert.equal(new IBlock(new IDimension("nether"), { x: 0, y: 10, z: 0 }).dimension, "nether");
+});
+
+test("updateBlock picks up changes made in the world since", () => {
+    const block = new IBlock("overworld", { x: 1, y: 64, z: 1 });
+    assert.equal(block.isAir, true);
+    raw.setBlockType({ x: 1, y: 64, z: 1 }, "minecraft:dirt");
+    assert.equal(block.type, "minecraft:air");
+    block.updateBlock();
+    assert.equal(block.type, "minecraft:dirt");
+    assert.equal(block.isAir, false);
+    assert.equal(block.getBlock().typeId, "minecraft:dirt");
+});
+
+test("neighbors leave out positions outside the height range", () => {
+    assert.equal(new IBlock("overworld", 0, 10, 0).neighbors().length, 6);
+    assert.equal(new IBlock("overworld", 0, 10, 0).neighbors(18).length, 18);
+    assert.equal(new IBlock("overworld", 0, 10, 0).neighbors(26).length, 26);
+    const bottom = new IBlock("overworld", 0, -64, 0).neighbors(6, "vector");
+    assert.equal(bottom.length, 5);
+    assert.ok(bottom.every((pos) => pos.y >= -64));
+    assert.equal(new IBlock("overworld", 0, 10, 0).neighbor("north", "vector").z, -1);
+});
+
+// A 3x3 stone plate at y=70, one stone touching its edge and one touching only its corner
+function buildPlate() {
+    for (let x = 100; x <= 102; x++) {
+        for (let z = 100; z <= 102; z++) raw.setBlockType({ x, y: 70, z }, "minecraft:stone");
+    }
+    raw.setBlockType({ x: 103, y: 71, z: 101 }, "minecraft:stone");
+    raw.setBlockType({ x: 103, y: 71, z: 103 }, "minecraft:stone");
+    return new IBlock("overworld", 100, 70, 100);
+}
+
+test("connected follows the connectivity and returns the closest blocks first", () => {
+    const start = buildPlate();
+    assert.equal(start.connected().length, 9);
+    assert.equal(start.connected(undefined, { connectivity: 18 }).length, 10);
+    assert.equal(start.connected("minecraft:stone", { connectivity: 26 }).length, 11);
+    const near = start.connected(undefined, { maxVisited: 3 });
+    assert.deepEqual(near.map((block) => [block.x, block.z]), [[100, 100], [100, 101], [101, 100]]);
+    assert.deepEqual(start.connected("minecraft:dirt"), []);
+    for (const maxVisited of [0, 1.5, "10"]) {
+        assert.throws(() => start.connected(undefined, { maxVisited }), /maxVisited must be a whole number/);
+        assert.throws(() => start.floodFill(undefined, { maxVisited }), /maxVisited must be a whole number/);
+    }
+});
+
+test("floodFill collects across ticks and only knows its total once done", async () => {
+    const start = buildPlate();
+    mc.setJobBudget(1);
+    try {
+        const job = start.floodFill(undefined, { batchSize: 2 });
+        mc.advanceTicks(1);
+        assert.equal(job.total, null);
+        assert.equal(job.progress, null);
+        assert.equal(job.blocks.length, 2);
+        mc.advanceTicks(10);
+        const result = await job.promise;
+        assert.deepEqual(result, { processed: 9, total: 9, cancelled: false });
+        assert.equal(job.progress, 100);
+        assert.equal(job.truncated, false);
+    } finally {
+        mc.setJobBudget(100);
+    }
+});
+
+test("floodFill stops at maxVisited and reports what it left behind", async () => {
+    const start = buildPlate();
+    const job = start.floodFill(undefined, { maxVisited: 4 });
+    mc.advanceTicks(1);
+    assert.deepEqual(await job.promise, { processed: 4, total: 4, cancelled: false });
+    assert.equal(job.blocks.length, 4);
+    assert.equal(job.truncated, true);
+
+    const exact = start.floodFill(undefined, { maxVisited: 9 });
+    mc.advanceTicks(1);
+    await exact.promise;
+    assert.equal(exact.blocks.length, 9);
+    assert.equal(exact.truncated, false);
+});
@@ -0,0 +1,131 @@
+/**
+ * IBlockCache.test.mjs
+ * Reads the fake world through a dimension's block cache and checks hits, misses, ttl expiry, eviction and invalidation.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IBlockCache } from "../../scripts/api/classes/IBlockCache.js";
+import { IDimension } from "../../scripts/api/classes/IDimension.js";
+
+const overworld = new IDimension("overworld");
+const raw = mc.world.getDimension("overworld");
+
+// Each test starts from an empty cache with its stats at 0
+function freshCache(options) {
+    IBlockCache.disable("overworld");
+    return overworld.enableCache(options);
+}
+
+const counts = (cache) => {
+    const { hits, misses, expired, evictions, invalidations, size } = cache.stats();
+    return { hits, misses, expired, evictions, invalidations, size };
+};
+
+test("limits are checked and enabling again only changes them", () => {
+    assert.throws(() => overworld.enableCache({ ttl: 0 }), /Cache ttl must be a number of ticks above 0/);
+    assert.throws(() => overworld.enableCache({ maxSize: 1.5 }), /Cache maxSize must be a whole number/);
+    assert.equal(IBlockCache.of("overworld"), undefined);
+
+    const cache = freshCache({ ttl: 5 });
+    assert.equal(new IDimension("minecraft:overworld").cache, cache);
+    assert.equal(overworld.enableCache({ maxSize: 10 }), cache);
+    assert.deepEqual([cache.ttl, cache.maxSize], [5, 10]);
+    assert.equal(overworld.disableCache(), true);
+    assert.equal(overworld.disableCache(), false);
+    assert.equal(overworld.cache, undefined);
+});
+
+test("repeated reads are hits and only the first goes to the world", () => {
+    const cache = freshCache({ ttl: 20 });
+    raw.setBlockType({ x: 0, y: 100, z: 0 }, "minecraft:stone");
+    assert.equal(overworld.getBlockType({ x: 0, y: 100, z: 0 }), "minecraft:stone");
+    assert.equal(overworld.getBlockType({ x: 0.7, y: 100.2, z: 0.1 }), "minecraft:stone");
+    assert.equal(overworld.isBlockAir({ x: 0, y: 100, z: 0 }), false);
+    assert.equal(overworld.getBlock({ x: 0, y: 100, z: 0 }).typeId, "minecraft:stone");
+    assert.equal(overworld.isBlockAir({ x: 1, y: 100, z: 0 }), true);
+    assert.deepEqual(counts(cache), { hits: 3, misses: 2, expired: 0, evictions: 0, invalidations: 0, size: 2 });
+    assert.equal(cache.stats().hitRate, 0.6);
+});
+
+test("changes nothing reports show up once the ttl runs out", () => {
+    const cache = freshCache({ ttl: 10 });
+    const pos = { x: 2, y: 100, z: 0 };
+    assert.equal(overworld.getBlockType(pos), "minecraft:air");
+    raw.setBlockType(pos, "minecraft:water");
+    mc.advanceTicks(9);
+    assert.equal(overworld.getBlockType(pos), "minecraft:air");
+    mc.advanceTicks(1);
+    assert.equal(overworld.getBlockType(pos), "minecraft:water");
+    assert.deepEqual(counts(cache), { hits: 1, misses: 2, expired: 1, evictions: 0, invalidations: 0, size: 1 });
+});
+
+test("blocks in unloaded chunks are not cached", () => {
+    const cache = freshCache();
+    mc.unloadChunk("overworld", { x: 5000, z: 5000 });
+    assert.equal(overworld.getBlock({ x: 5000, y: 64, z: 5000 }), undefined);
+    assert.throws(() => overworld.getBlockType({ x: 5000, y: 64, z: 5000 }), /is not loaded/);
+    assert.deepEqual(counts(cache), { hits: 0, misses: 2, expired: 0, evictions: 0, invalidations: 0, size: 0 });
+});
+
+test("the least recently read position is evicted first", () => {
+    const cache = freshCache({ maxSize: 2 });
+    const a = { x: 0, y: 110, z: 0 }, b = { x: 1, y: 110, z: 0 }, c = { x: 2, y: 110, z: 0 };
+    overworld.getBlockType(a);
+    overworld.getBlockType(b);
+    // Reading a again makes b the oldest
+    overworld.getBlockType(a);
+    overworld.getBlockType(c);
+    assert.deepEqual([...cache.entries.keys()], ["0,110,0", "2,110,0"]);
+    assert.equal(cache.stats().evictions, 1);
+
+    overworld.enableCache({ maxSize: 1 });
+    assert.deepEqual([...cache.entries.keys()], ["2,110,0"]);
+    assert.deepEqual(counts(cache), { hits: 1, misses: 3, expired: 0, evictions: 2, invalidations: 0, size: 1 });
+});
+
+test("setting a block through IDimension drops its entry", () => {
+    const cache = freshCache({ ttl: Infinity });
+    const pos = { x: 4, y: 100, z: 0 };
+    assert.equal(overworld.isBlockAir(pos), true);
+    overworld.setBlock("minecraft:stone", pos);
+    assert.equal(overworld.isBlockAir(pos), false);
+    assert.equal(cache.stats().invalidations, 1);
+});
+
+test("block events drop the blocks they change", () => {
+    const cache = freshCache({ ttl: Infinity });
+    const player = mc.spawnPlayer("Builder");
+    const read = (x) => overworld.getBlockType({ x, y: 120, z: 0 });
+    const change = (x, typeId) => {
+        raw.setBlockType({ x, y: 120, z: 0 }, typeId);
+        return raw.getBlock({ x, y: 120, z: 0 });
+    };
+    for (let x = 0; x < 5; x++) read(x);
+
+    mc.world.afterEvents.playerPlaceBlock.trigger({ player, block: change(0, "minecraft:stone") });
+    mc.world.afterEvents.playerBreakBlock.trigger({ player, block: change(1, "minecraft:air"), brokenBlockPermutation: mc.BlockPermutation.resolve("minecraft:air") });
+    mc.world.afterEvents.playerInteractWithBlock.trigger({ player, block: change(2, "minecraft:lever"), blockFace: "Up" });
+    const exploded = change(3, "minecraft:air");
+    mc.world.afterEvents.blockExplode.trigger({ block: exploded, dimension: raw, explodedBlockPermutation: mc.BlockPermutation.resolve("minecraft:tnt") });
+    assert.deepEqual([0, 1, 2, 3, 4].map(read), ["minecraft:stone", "minecraft:air", "minecraft:lever", "minecraft:air", "minecraft:air"]);
+    assert.equal(cache.stats().invalidations, 4);
+
+    // A piston drops the blocks around itself and around the blocks it moves
+    const piston = change(10, "minecraft:piston");
+    read(8);
+    read(12);
+    read(13);
+    mc.world.afterEvents.pistonActivate.trigger({
+        block: piston,
+        dimension: raw,
+        isExpanding: true,
+        piston: { getAttachedBlocksLocations: () => [{ x: 12, y: 120, z: 0 }] }
+    });
+    assert.deepEqual([...cache.entries.keys()].filter((key) => key.endsWith(",120,0")).map((key) => Number(key.split(",")[0])), [0, 1, 2, 3, 4, 8]);
+
+    // Nothing is dropped once the cache is off
+    IBlockCache.disable("overworld");
+    mc.world.afterEvents.playerPlaceBlock.trigger({ player, block: change(0, "minecraft:dirt") });
+    assert.equal(cache.stats().invalidations, 6);
+});
@@ -0,0 +1,66 @@
+/**
+ * ICommands.test.mjs
+ * Parses chat commands the way players type them.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { ICommands } from "../../scripts/api/commands/ICommands.js";
+
+const steve = mc.spawnPlayer("Steve", { location: { x: 10, y: 64, z: 10 } });
+const alex = mc.spawnPlayer("Alex Two", { location: { x: 0, y: 64, z: 0 } });
+let args;
+
+ICommands.register({
+    name: "sb",
+    aliases: ["setb"],
+    permission: "admin",
+    args: [
+        { name: "pos", type: "position" },
+        { name: "block", type: "block" },
+        { name: "n", type: "int", optional: true, default: 1, min: 1 }
+    ],
+    execute: (ctx) => { args = ctx.args; }
+});
+ICommands.register({
+    name: "home",
+    description: "Homes",
+    subcommands: [
+        { name: "set", args: [{ name: "note", type: "text", optional: true }], execute: (ctx) => { args = ctx.args; } },
+        { name: "tp", args: [{ name: "who", type: "player" }, { name: "mode", type: "enum", values: ["fast", "slow"] }], execute: (ctx) => { args = ctx.args; } }
+    ]
+});
+
+test("permissions are checked before anything runs", () => {
+    assert.equal(ICommands.run(steve, "!sb ~ ~-1 ~2 stone"), false);
+    assert.match(steve.messages.at(-1), /permission/);
+});
+
+test("arguments are parsed and validated", () => {
+    steve.addTag("admin");
+    assert.equal(ICommands.run(steve, "!setb ~ ~-1 ~2 stone"), true);
+    assert.deepEqual([args.pos.x, args.pos.y, args.pos.z], [10, 63, 12]);
+    assert.equal(args.block, "minecraft:stone");
+    assert.equal(args.n, 1);
+
+    assert.equal(ICommands.run(steve, "!sb 1 2 3 stone 0"), false);
+    assert.match(steve.messages.at(-1), /at least 1/);
+    assert.equal(ICommands.run(steve, "!sb 1 2"), false);
+});
+
+test("subcommands, quoted players, selectors and trailing text", () => {
+    ICommands.run(steve, "!home set  my  \"nice\" home");
+    assert.equal(args.note, "my  \"nice\" home");
+    ICommands.run(steve, "!home tp \"alex two\" FAST");
+    assert.equal(args.who, alex);
+    assert.equal(args.mode, "fast");
+    ICommands.run(steve, "!home tp @p slow");
+    assert.equal(args.who, alex);
+});
+
+test("commands typed in chat run on the next tick", () => {
+    const event = mc.world.beforeEvents.chatSend.trigger({ sender: steve, message: "!home set hi" });
+    assert.equal(event.cancel, true);
+    mc.advanceTicks(1);
+    assert.equal(args.note, "hi");
+});
@@ -0,0 +1,47 @@
+/**
+ * IContainer.test.mjs
+ * Snapshots must survive JSON and bring back every item detail the script API can set.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IContainer } from "../../scripts/api/classes/IContainer.js";
+
+test("snapshot and restore keep enchantments, durability and item data", () => {
+    const container = new IContainer(new mc.Container(27));
+    const sword = new mc.ItemStack("minecraft:diamond_sword");
+    sword.getComponent("minecraft:enchantable").addEnchantment({ type: new mc.EnchantmentType("sharpness"), level: 3 });
+    sword.getComponent("minecraft:durability").damage = 100;
+    sword.keepOnDeath = true;
+    sword.nameTag = "Blade";
+    sword.setDynamicProperty("owner", "Steve");
+    container.container.setItem(0, sword);
+    container.container.setItem(2, new mc.ItemStack("minecraft:dirt", 5));
+
+    const snapshot = JSON.parse(JSON.stringify(container.snapshot()));
+    assert.deepEqual(snapshot[0], {
+        typeId: "minecraft:diamond_sword",
+        amount: 1,
+        nameTag: "Blade",
+        enchantments: [{ type: "sharpness", level: 3 }],
+        damage: 100,
+        keepOnDeath: true,
+        dynamicProperties: { owner: "Steve" }
+    });
+
+    container.container.clearAll();
+    container.restore(snapshot);
+    const restored = container.container.getItem(0);
+    assert.equal(restored.getComponent("minecraft:enchantable").getEnchantment("sharpness").level, 3);
+    assert.equal(restored.getComponent("minecraft:durability").damage, 100);
+    assert.equal(restored.keepOnDeath, true);
+    assert.equal(restored.getDynamicProperty("owner"), "Steve");
+    assert.equal(container.container.getItem(2).amount, 5);
+});
+
+test("a snapshot that cannot be restored leaves the container alone", () => {
+    const container = new IContainer(new mc.Container(27));
+    container.container.setItem(2, new mc.ItemStack("minecraft:dirt", 5));
+    assert.throws(() => container.restore([{ typeId: "minecraft:dirt", amount: 1, enchantments: [{ type: "sharpness", level: 1 }] }]));
+    assert.equal(container.container.getItem(2).amount, 5);
+});
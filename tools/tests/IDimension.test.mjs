@@ -0,0 +1,136 @@
+/**
+ * IDimension.test.mjs
+ * Reads blocks of the fake world through IDimension, runs fills as IBlockJob jobs a few blocks per tick, and lands safe teleports once their chunk loads.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IDimension } from "../../scripts/api/classes/IDimension.js";
+import { IShape } from "../../scripts/api/classes/IShape.js";
+import { IVec3 } from "../../scripts/api/classes/IVec3.js";
+
+const overworld = new IDimension("overworld");
+const raw = mc.world.getDimension("overworld");
+
+// Ticks until the job is done, letting its promise settle between ticks
+async function finish(job) {
+    for (let i = 0; i < 500 && !job.done; i++) {
+        mc.advanceTicks(1);
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+    return job.promise;
+}
+
+test("getBlock takes a vector or three coordinates", () => {
+    raw.setBlockType({ x: 0, y: 64, z: 0 }, "minecraft:stone");
+    assert.equal(overworld.getBlock(new IVec3(0, 64, 0)).typeId, "minecraft:stone");
+    assert.equal(overworld.getBlock({ x: 0, y: 64, z: 0 }).typeId, "minecraft:stone");
+    assert.equal(overworld.getBlock(0, 64, 0).typeId, "minecraft:stone");
+    assert.deepEqual(overworld.getBlock(0, 64, 0).location, { x: 0, y: 64, z: 0 });
+    assert.equal(overworld.getBlockType(0, 64, 0), "minecraft:stone");
+    assert.equal(overworld.isBlockAir(0, 65, 0), true);
+});
+
+test("getBlock only finds blocks in its own dimension", () => {
+    mc.world.getDimension("nether").setBlockType({ x: 5, y: 64, z: 5 }, "minecraft:netherrack");
+    assert.equal(new IDimension("nether").getBlock(5, 64, 5).typeId, "minecraft:netherrack");
+    assert.equal(overworld.getBlock(5, 64, 5).typeId, "minecraft:air");
+});
+
+test("fill runs a few blocks per tick and reports its progress", async () => {
+    mc.setJobBudget(1);
+    const job = overworld.fill("stone", new IVec3(0, 0, 0), new IVec3(4, 4, 4));
+    assert.equal(job.total, 125);
+    assert.equal(job.progress, 0);
+    mc.advanceTicks(1);
+    assert.ok(job.progress > 0 && job.progress < 100);
+    assert.deepEqual(await finish(job), { processed: 125, total: 125, cancelled: false });
+    assert.equal(job.progress, 100);
+    assert.equal(raw.getBlock({ x: 4, y: 4, z: 4 }).typeId, "minecraft:stone");
+    mc.setJobBudget(100);
+});
+
+test("fill modes", async () => {
+    const from = new IVec3(0, 10, 0), to = new IVec3(4, 14, 4);
+    await finish(overworld.fill("glass", from, to, { mode: "hollow" }));
+    assert.equal(raw.getBlock({ x: 2, y: 12, z: 2 }).typeId, "minecraft:air");
+    assert.equal(raw.getBlock({ x: 0, y: 12, z: 2 }).typeId, "minecraft:glass");
+
+    const outline = overworld.fill("dirt", from, to, { mode: "outline" });
+    assert.equal(outline.total, 98);
+    assert.equal((await finish(outline)).processed, 98);
+
+    await finish(overworld.fill("sand", from, to, { mode: "keep" }));
+    assert.equal(raw.getBlock({ x: 2, y: 12, z: 2 }).typeId, "minecraft:sand");
+    assert.equal(raw.getBlock({ x: 0, y: 10, z: 0 }).typeId, "minecraft:dirt");
+
+    await finish(overworld.fill("stone", from, to, { match: "sand" }));
+    assert.equal(raw.getBlock({ x: 2, y: 12, z: 2 }).typeId, "minecraft:stone");
+    assert.equal(raw.getBlock({ x: 0, y: 10, z: 0 }).typeId, "minecraft:dirt");
+
+    assert.throws(() => overworld.fill("stone", from, to, { mode: "sideways" }), /Invalid fill mode/);
+});
+
+test("a cancelled fill stops between ticks", async () => {
+    const job = overworld.fill("stone", new IVec3(0, 20, 0), new IVec3(99, 119, 99));
+    mc.advanceTicks(2);
+    job.cancel();
+    const result = await finish(job);
+    assert.equal(result.cancelled, true);
+    assert.ok(result.processed < result.total);
+    assert.notEqual(job.progress, 100);
+});
+
+test("a shape fill starts without a total and counts it as it goes", async () => {
+    const big = overworld.fill("stone", IShape.sphere(new IVec3(0, 200, 0), 60, { hollow: true }));
+    assert.equal(big.total, null);
+    assert.equal(big.progress, null);
+    big.cancel();
+    await finish(big);
+
+    const sphere = IShape.sphere(new IVec3(0, 200, 0), 3);
+    const job = overworld.fill("stone", sphere);
+    await finish(job);
+    assert.equal(job.progress, 100);
+    assert.equal(job.total, sphere.volume());
+    assert.equal(job.processed, job.total);
+});
+
+test("a fill outside the build height throws before it starts", () => {
+    assert.throws(() => overworld.fill("stone", new IVec3(0, 318, 0), new IVec3(0, 322, 0)), /outside the build height/);
+    assert.equal(raw.getBlock({ x: 0, y: 318, z: 0 }).typeId, "minecraft:air");
+});
+
+test("findSafeSpot skips unloaded chunks and builds nothing there", () => {
+    raw.setBlockType({ x: 1001, y: 69, z: 1001 }, "minecraft:stone");
+    assert.deepEqual(overworld.findSafeSpot({ x: 1001, y: 75, z: 1001 }).toObject(), { x: 1001, y: 70, z: 1001 });
+    mc.unloadChunk("overworld", { x: 1001, z: 1001 });
+    assert.equal(overworld.isLoaded({ x: 1001, y: 70, z: 1001 }), false);
+    assert.equal(overworld.findSafeSpot({ x: 1001, y: 75, z: 1001 }, { create: true, radius: 0 }), undefined);
+});
+
+test("teleportSafely into an unloaded chunk goes first and lands once the chunk has loaded", async () => {
+    const player = mc.spawnPlayer("Traveller");
+    const landed = overworld.teleportSafely(player, { x: 1001, y: 75, z: 1001 });
+    // Sent to the target straight away, which starts loading the chunk
+    assert.deepEqual(player.location, { x: 1001.5, y: 75, z: 1001.5 });
+    mc.advanceTicks(5);
+    assert.deepEqual((await landed).toObject(), { x: 1001, y: 70, z: 1001 });
+    assert.deepEqual(player.location, { x: 1001.5, y: 70, z: 1001.5 });
+
+    mc.unloadChunk("overworld", { x: 3000, z: 3000 });
+    const built = overworld.teleportSafely(player, { x: 3000, y: 64, z: 3000 }, { create: true, radius: 1, height: 1 });
+    mc.advanceTicks(5);
+    assert.deepEqual((await built).toObject(), { x: 3000, y: 64, z: 3000 });
+    assert.equal(raw.getBlock({ x: 2999, y: 63, z: 3001 }).typeId, "minecraft:obsidian");
+});
+
+test("teleportSafely gives up when the chunk does not load in time", async () => {
+    const zombie = raw.spawnEntity("minecraft:zombie", { x: 0, y: 64, z: 0 });
+    mc.unloadChunk("overworld", { x: 2000, z: 2000 });
+    const landed = overworld.teleportSafely(zombie, { x: 2000, y: 64, z: 2000 }, { create: true, timeout: 20 });
+    mc.advanceTicks(20);
+    assert.equal(await landed, undefined);
+    assert.deepEqual(zombie.location, { x: 2000.5, y: 64, z: 2000.5 });
+    assert.equal(overworld.isLoaded({ x: 2000, y: 64, z: 2000 }), false);
+});
@@ -0,0 +1,91 @@
+/**
+ * IEditSession.test.mjs
+ * Records block changes into transactions and plays them back with undo and redo.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IDimension } from "../../scripts/api/classes/IDimension.js";
+import { IBlock } from "../../scripts/api/classes/IBlock.js";
+import { IEditSession } from "../../scripts/api/classes/IEditSession.js";
+import { IVec3 } from "../../scripts/api/classes/IVec3.js";
+
+const overworld = new IDimension("overworld");
+const raw = mc.world.getDimension("overworld");
+
+test("undo and redo walk back through the transactions", async () => {
+    const player = mc.spawnPlayer("Steve");
+    raw.setBlockType({ x: 1, y: 1, z: 1 }, "minecraft:dirt");
+    const session = IEditSession.forPlayer(player, 2);
+    assert.equal(IEditSession.forPlayer(player), session);
+
+    session.begin("fill");
+    const job = overworld.fill("stone", new IVec3(0, 0, 0), new IVec3(2, 2, 2));
+    session.commit();
+    overworld.setBlock("glass", { x: 5, y: 5, z: 5 });
+    mc.advanceTicks(2);
+    await job.promise;
+    assert.equal(session.undoStack[0].changes.size, 27);
+
+    session.transact("block", () => new IBlock("overworld", 1, 1, 1).setBlock("minecraft:gold_block"));
+    assert.equal(raw.getBlock({ x: 1, y: 1, z: 1 }).typeId, "minecraft:gold_block");
+
+    session.undo();
+    mc.advanceTicks(1);
+    assert.equal(raw.getBlock({ x: 1, y: 1, z: 1 }).typeId, "minecraft:stone");
+    session.undo();
+    mc.advanceTicks(1);
+    assert.equal(raw.getBlock({ x: 1, y: 1, z: 1 }).typeId, "minecraft:dirt");
+    assert.equal(raw.getBlock({ x: 0, y: 0, z: 0 }).typeId, "minecraft:air");
+    assert.equal(session.undo(), null);
+
+    session.redo();
+    mc.advanceTicks(1);
+    assert.equal(raw.getBlock({ x: 1, y: 1, z: 1 }).typeId, "minecraft:stone");
+    session.redo();
+    mc.advanceTicks(1);
+    assert.equal(raw.getBlock({ x: 1, y: 1, z: 1 }).typeId, "minecraft:gold_block");
+    // Changes made outside a transaction are never undone
+    assert.equal(raw.getBlock({ x: 5, y: 5, z: 5 }).typeId, "minecraft:glass");
+});
+
+test("nested transactions each keep their own changes", () => {
+    const outer = new IEditSession(), inner = new IEditSession();
+    outer.begin("outer");
+    inner.begin("inner");
+    overworld.setBlock("stone", { x: 0, y: 64, z: 0 });
+    inner.commit();
+    overworld.setBlock("stone", { x: 1, y: 64, z: 0 });
+    const transaction = outer.commit();
+    assert.equal(transaction.changes.size, 1);
+    assert.equal(inner.undoStack[0].changes.size, 1);
+    assert.equal(IEditSession.active, null);
+});
+
+test("redo waits for a running undo instead of replaying half of it", async () => {
+    mc.setJobBudget(1);
+    const session = new IEditSession();
+    session.begin("wall");
+    for (let x = 0; x < 100; x++) overworld.setBlock("stone", { x, y: 80, z: 0 });
+    session.commit();
+
+    const undo = session.undo();
+    assert.equal(session.isReplaying(), true);
+    assert.equal(session.canRedo(), false);
+    assert.throws(() => session.redo(), /still running/);
+    assert.throws(() => session.undo(), /still running/);
+    mc.advanceTicks(1);
+    assert.throws(() => session.redo(), /still running/);
+
+    for (let i = 0; i < 20 && !undo.done; i++) mc.advanceTicks(1);
+    await undo.promise;
+    assert.equal(raw.getBlock({ x: 99, y: 80, z: 0 }).typeId, "minecraft:air");
+    assert.equal(session.redoStack[0].changes.size, 100);
+
+    const redo = session.redo();
+    for (let i = 0; i < 20 && !redo.done; i++) mc.advanceTicks(1);
+    await redo.promise;
+    mc.setJobBudget(100);
+    for (let x = 0; x < 100; x++) assert.equal(raw.getBlock({ x, y: 80, z: 0 }).typeId, "minecraft:stone");
+    assert.equal(session.undoStack[0].changes.size, 100);
+});
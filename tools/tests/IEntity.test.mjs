@@ -0,0 +1,52 @@
+/**
+ * IEntity.test.mjs
+ * Wraps entities of the fake world and finds them through IDimension selectors.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IDimension } from "../../scripts/api/classes/IDimension.js";
+import { IEntity } from "../../scripts/api/classes/IEntity.js";
+
+const overworld = new IDimension("overworld");
+const raw = overworld.dimension;
+
+test("get reuses one wrapper per entity and only wraps entities", () => {
+    const zombie = raw.spawnEntity("minecraft:zombie", { x: 0, y: 64, z: 0 });
+    const wrapper = IEntity.get(zombie);
+    assert.equal(IEntity.get(zombie), wrapper);
+    assert.equal(IEntity.get(wrapper), wrapper);
+    assert.equal(wrapper.typeId, "minecraft:zombie");
+    assert.deepEqual(wrapper.location.toObject(), { x: 0, y: 64, z: 0 });
+    assert.equal(wrapper.distanceTo({ x: 3, y: 68, z: 0 }), 5);
+    assert.throws(() => new IEntity({ typeId: "minecraft:zombie" }), /IEntity must wrap an mc.Entity/);
+    zombie.remove();
+});
+
+test("isValid follows the wrapped entity", () => {
+    const entity = IEntity.get(raw.spawnEntity("minecraft:pig", { x: 0, y: 64, z: 0 }));
+    assert.equal(entity.isValid(), true);
+    entity.remove();
+    assert.equal(entity.isValid(), false);
+});
+
+test("selectors match by type, tag and distance, nearest first", () => {
+    const spawn = (type, x, tag) => {
+        const entity = raw.spawnEntity(type, { x, y: 64, z: 100 });
+        if (tag) entity.addTag(tag);
+        return entity;
+    };
+    const near = spawn("minecraft:zombie", 102, "arena");
+    const far = spawn("minecraft:zombie", 108, "arena");
+    spawn("minecraft:zombie", 104);
+    spawn("minecraft:cow", 101, "arena");
+    spawn("minecraft:zombie", 140, "arena");
+
+    const center = { x: 100, y: 64, z: 100 };
+    const found = overworld.getEntities({ type: "zombie", tags: ["arena"], location: center, radius: 10, sort: "nearest" });
+    assert.deepEqual(found.map((entity) => entity.entity), [near, far]);
+    assert.equal(found[0], IEntity.get(near));
+    assert.equal(overworld.nearest("minecraft:zombie", center, 10).entity, near);
+    assert.equal(overworld.nearest("zombie", center, 10, { minRadius: 5 }).entity, far);
+    assert.throws(() => overworld.getEntities({ radius: 5 }), /needs a location/);
+});
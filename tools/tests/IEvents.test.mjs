@@ -0,0 +1,81 @@
+/**
+ * IEvents.test.mjs
+ * Fires the fake world's signals and checks how IEvents orders, cancels and removes its handlers.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IEvents } from "../../scripts/api/events/IEvents.js";
+
+const raw = mc.world.getDimension("overworld");
+const player = mc.spawnPlayer("Steve");
+
+function place() {
+    return mc.world.beforeEvents.playerPlaceBlock.trigger({
+        player,
+        block: raw.getBlock({ x: 1, y: 5, z: 1 }),
+        permutationToPlace: mc.BlockPermutation.resolve("minecraft:stone")
+    });
+}
+
+test("handlers run by priority and can cancel", () => {
+    const calls = [];
+    const handles = [
+        IEvents.before("blockPlace", (event) => calls.push(`low:${event.cancel}`), { priority: -1 }),
+        IEvents.before("blockPlace", () => calls.push("skipped"), { priority: -2, ignoreCancelled: true }),
+        IEvents.before("blockPlace", (event) => {
+            calls.push("high");
+            assert.equal(event.dimension.id, "overworld");
+            assert.equal(event.location.y, 5);
+            event.cancel = true;
+        }, { priority: 5, once: true })
+    ];
+    assert.equal(place().cancel, true);
+    assert.deepEqual(calls, ["high", "low:true"]);
+
+    // The once handler is gone, so nothing cancels the second placement
+    assert.notEqual(place().cancel, true);
+    assert.deepEqual(calls.slice(2), ["low:false", "skipped"]);
+    for (const handle of handles) IEvents.off(handle);
+});
+
+test("off unsubscribes from the signal once the last handler is gone", () => {
+    const messages = [];
+    const handle = IEvents.after("chat", (event) => messages.push(event.message));
+    assert.equal(mc.world.afterEvents.chatSend.listeners.length, 1);
+    mc.world.afterEvents.chatSend.trigger({ sender: player, message: "hey" });
+    assert.deepEqual(messages, ["hey"]);
+    assert.equal(IEvents.off(handle), true);
+    assert.equal(IEvents.off(handle), false);
+    assert.equal(mc.world.afterEvents.chatSend.listeners.length, 0);
+});
+
+test("after-only events reject before handlers", () => {
+    assert.throws(() => IEvents.before("entityDie", () => {}), /no before phase/);
+    const locations = [];
+    const handle = IEvents.after("entityDie", (event) => locations.push(event.location.x));
+    mc.world.afterEvents.entityDie.trigger({ deadEntity: player });
+    assert.deepEqual(locations, [0]);
+    IEvents.off(handle);
+});
+
+test("a payload that cannot be converted is logged and the handlers still run", () => {
+    const unloaded = { dimension: raw, get location() { throw new Error("Block is in an unloaded chunk."); } };
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (message) => errors.push(message);
+    const handle = IEvents.before("blockPlace", (event) => {
+        assert.equal(event.block, undefined);
+        event.cancel = true;
+    });
+    let event;
+    try {
+        event = mc.world.beforeEvents.playerPlaceBlock.trigger({ player, block: unloaded });
+    } finally {
+        console.error = consoleError;
+        IEvents.off(handle);
+    }
+    assert.equal(event.cancel, true);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /before:blockPlace payload failed: Error: Block is in an unloaded chunk/);
+});
@@ -0,0 +1,114 @@
+/**
+ * IRegion.test.mjs
+ * Normalises corners, combines regions and walks their blocks without building arrays.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { IRegion } from "../../scripts/api/classes/IRegion.js";
+import { IVec3 } from "../../scripts/api/classes/IVec3.js";
+
+const xyz = (vec) => [vec.x, vec.y, vec.z];
+const keys = (positions) => [...positions].map((pos) => `${pos.x},${pos.y},${pos.z}`).sort();
+
+test("corners are normalised into min and max and floored", () => {
+    const region = new IRegion({ x: 3.7, y: 70, z: -1.2 }, new IVec3(-2, 64.9, 4));
+    assert.deepEqual(xyz(region.min), [-2, 64, -2]);
+    assert.deepEqual(xyz(region.max), [3, 70, 4]);
+    assert.deepEqual(xyz(region.size()), [6, 7, 7]);
+    assert.equal(region.volume(), 6 * 7 * 7);
+    assert.throws(() => new IRegion({ x: 0, y: 0 }, { x: 1, y: 1, z: 1 }), /startVec3 must be an IVec3/);
+});
+
+test("regions and their corners cannot be changed", () => {
+    const region = new IRegion({ x: 0, y: 0, z: 0 }, { x: 2, y: 2, z: 2 });
+    assert.throws(() => { region.min.x = 5; }, TypeError);
+    assert.throws(() => region.max.add(1, 1, 1), TypeError);
+    assert.throws(() => { region.min = new IVec3(1, 1, 1); }, TypeError);
+    assert.deepEqual(xyz(region.min), [0, 0, 0]);
+    assert.deepEqual(xyz(region.max), [2, 2, 2]);
+
+    const corner = region.min.clone();
+    corner.x = 5;
+    assert.equal(corner.x, 5);
+});
+
+test("contains counts fractional points as the block they are in", () => {
+    const region = new IRegion({ x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1 });
+    assert.equal(region.contains({ x: 1.99, y: 0, z: 1.5 }), true);
+    assert.equal(region.contains({ x: 2, y: 0, z: 0 }), false);
+    assert.equal(region.contains({ x: -0.1, y: 0, z: 0 }), false);
+    assert.deepEqual(xyz(region.center()), [1, 1, 1]);
+});
+
+test("intersection, union and containment", () => {
+    const a = new IRegion({ x: 0, y: 0, z: 0 }, { x: 4, y: 4, z: 4 });
+    const b = new IRegion({ x: 3, y: 2, z: -1 }, { x: 6, y: 3, z: 1 });
+    const overlap = a.intersection(b);
+    assert.deepEqual([xyz(overlap.min), xyz(overlap.max)], [[3, 2, 0], [4, 3, 1]]);
+    const both = a.union(b);
+    assert.deepEqual([xyz(both.min), xyz(both.max)], [[0, 0, -1], [6, 4, 4]]);
+    assert.equal(both.containsRegion(a), true);
+    assert.equal(a.containsRegion(b), false);
+    assert.equal(a.intersection(a.translate({ x: 5, y: 0, z: 0 })), null);
+    assert.equal(a.equals(new IRegion({ x: 4, y: 4, z: 4 }, { x: 0, y: 0, z: 0 })), true);
+});
+
+test("expand, contract and translate return new regions", () => {
+    const region = new IRegion({ x: 0, y: 0, z: 0 }, { x: 2, y: 2, z: 2 });
+    const bigger = region.expand({ x: 0, y: 1, z: 0 });
+    assert.deepEqual([xyz(bigger.min), xyz(bigger.max)], [[0, -1, 0], [2, 3, 2]]);
+    const inside = region.contract(1);
+    assert.deepEqual([xyz(inside.min), xyz(inside.max)], [[1, 1, 1], [1, 1, 1]]);
+    assert.equal(region.contract(2), null);
+    const moved = region.translate({ x: 10, y: 0, z: -10 });
+    assert.deepEqual([xyz(moved.min), xyz(moved.max)], [[10, 0, -10], [12, 2, -8]]);
+    assert.deepEqual(xyz(region.min), [0, 0, 0]);
+    assert.equal(IRegion.fromCenter({ x: 0, y: 64, z: 0 }, 2).volume(), 125);
+});
+
+test("positions and the region iterator visit every block once", () => {
+    const region = new IRegion({ x: 0, y: 0, z: 0 }, { x: 1, y: 2, z: 1 });
+    const all = keys(region.positions());
+    assert.equal(all.length, region.volume());
+    assert.equal(new Set(all).size, all.length);
+    assert.deepEqual(keys(region), all);
+});
+
+test("shell yields the outside only, and matches shellVolume", () => {
+    const region = new IRegion({ x: 0, y: 0, z: 0 }, { x: 3, y: 3, z: 3 });
+    const shell = keys(region.shell());
+    assert.equal(shell.length, region.shellVolume());
+    assert.equal(shell.length, 64 - 8);
+    assert.equal(shell.includes("1,1,1"), false);
+    assert.deepEqual(keys(region.faces()), shell);
+
+    const flat = new IRegion({ x: 0, y: 0, z: 0 }, { x: 2, y: 2, z: 0 });
+    assert.equal(keys(flat.shell()).length, 9);
+});
+
+test("face, faces and edges", () => {
+    const region = new IRegion({ x: 0, y: 0, z: 0 }, { x: 2, y: 2, z: 2 });
+    const roof = region.face("up");
+    assert.deepEqual([xyz(roof.min), xyz(roof.max)], [[0, 2, 0], [2, 2, 2]]);
+    assert.throws(() => region.face("sideways"), /Invalid face 'sideways'/);
+
+    const walls = keys(region.faces(["north", "south", "east", "west"]));
+    assert.equal(walls.length, 27 - 3);
+    assert.equal(walls.includes("1,0,1"), false);
+
+    const edges = keys(region.edges());
+    assert.equal(edges.length, 8 + 12);
+    assert.equal(edges.includes("1,0,1"), false);
+    assert.equal(edges.includes("1,0,0"), true);
+});
+
+test("chunks split the region along chunk borders", () => {
+    const region = new IRegion({ x: -2, y: 0, z: 14 }, { x: 17, y: 5, z: 15 });
+    const pieces = [...region.chunks()];
+    assert.deepEqual(pieces.map((piece) => piece.toString()), [
+        "(-2, 0, 14) -> (-1, 5, 15)",
+        "(0, 0, 14) -> (15, 5, 15)",
+        "(16, 0, 14) -> (17, 5, 15)"
+    ]);
+    assert.equal(pieces.reduce((sum, piece) => sum + piece.volume(), 0), region.volume());
+});
@@ -0,0 +1,150 @@
+/**
+ * IScheduler.test.mjs
+ * Runs delayed and repeating tasks on the fake tick loop and checks cooldown and throttle windows.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IScheduler } from "../../scripts/api/classes/IScheduler.js";
+
+test("delay and repeat only take whole tick counts", () => {
+    for (const ticks of [0, -1, 1.5, "20"]) {
+        assert.throws(() => IScheduler.delay(ticks, () => {}), /Task delay must be a whole number of ticks/);
+        assert.throws(() => IScheduler.repeat(ticks, () => {}), /Task interval must be a whole number of ticks/);
+    }
+    assert.throws(() => IScheduler.delay(1, "not a function"), TypeError);
+});
+
+test("a delayed task runs once, after its delay", () => {
+    let runs = 0;
+    const task = IScheduler.delay(3, () => runs++);
+    mc.advanceTicks(2);
+    assert.equal(runs, 0);
+    mc.advanceTicks(1);
+    assert.equal(runs, 1);
+    mc.advanceTicks(5);
+    assert.equal(runs, 1);
+    assert.equal(task.cancelled, true);
+});
+
+test("a repeating task stops after times runs", () => {
+    const ticks = [];
+    const start = mc.system.currentTick;
+    const task = IScheduler.repeat(2, () => ticks.push(mc.system.currentTick - start), { times: 3, delay: 1 });
+    mc.advanceTicks(10);
+    assert.deepEqual(ticks, [1, 3, 5]);
+    assert.equal(task.runs, 3);
+    assert.equal(task.cancelled, true);
+    assert.equal(IScheduler.tasks().includes(task), false);
+});
+
+test("a task can cancel itself from inside its callback", () => {
+    let runs = 0;
+    const task = IScheduler.repeat(1, (self) => {
+        if (++runs === 2) self.cancel();
+    });
+    mc.advanceTicks(5);
+    assert.equal(runs, 2);
+    assert.equal(task.cancelled, true);
+});
+
+test("a task that throws is counted and does not stop the others", () => {
+    let runs = 0;
+    const error = console.error;
+    console.error = () => {};
+    try {
+        const failing = IScheduler.delay(1, () => { throw new Error("boom"); }, { module: "broken" });
+        IScheduler.delay(1, () => runs++);
+        mc.advanceTicks(1);
+        assert.equal(failing.errors, 1);
+    } finally {
+        console.error = error;
+    }
+    assert.equal(runs, 1);
+    assert.equal(IScheduler.timings().find((timing) => timing.module === "broken").errors, 1);
+});
+
+test("scheduling a name that is taken replaces the older task", () => {
+    const ran = [];
+    const first = IScheduler.delay(2, () => ran.push("first"), { name: "announce" });
+    const second = IScheduler.delay(2, () => ran.push("second"), { name: "announce" });
+    assert.equal(first.cancelled, true);
+    assert.equal(IScheduler.get("announce"), second);
+    mc.advanceTicks(2);
+    assert.deepEqual(ran, ["second"]);
+    assert.equal(IScheduler.get("announce"), undefined);
+    assert.equal(IScheduler.cancel("announce"), false);
+});
+
+test("cancelModule cancels only that module's tasks", () => {
+    const a = IScheduler.repeat(5, () => {}, { module: "a" });
+    const b = IScheduler.repeat(5, () => {}, { module: "b" });
+    assert.equal(IScheduler.cancelModule("a"), 1);
+    assert.equal(a.cancelled, true);
+    assert.equal(b.cancelled, false);
+    b.cancel();
+});
+
+test("a cooldown blocks until its ticks have passed", () => {
+    assert.equal(IScheduler.cooldown("heal", "steve", 10), true);
+    assert.equal(IScheduler.cooldown("heal", "steve", 10), false);
+    assert.equal(IScheduler.cooldown("heal", "alex", 10), true);
+    assert.equal(IScheduler.cooldown("feed", { id: "steve" }, 10), true);
+    mc.advanceTicks(9);
+    assert.equal(IScheduler.cooldownRemaining("heal", "steve"), 1);
+    assert.equal(IScheduler.cooldown("heal", "steve", 10), false);
+    mc.advanceTicks(1);
+    assert.equal(IScheduler.cooldownRemaining("heal", "steve"), 0);
+    assert.equal(IScheduler.cooldown("heal", "steve", 10), true);
+    assert.equal(IScheduler.resetCooldown("heal", "steve"), true);
+    assert.equal(IScheduler.cooldown("heal", "steve", 10), true);
+});
+
+test("a throttle allows bursts up to its limit in any window", () => {
+    assert.equal(IScheduler.throttle("chat", "steve", 2, 10), true);
+    mc.advanceTicks(5);
+    assert.equal(IScheduler.throttle("chat", "steve", 2, 10), true);
+    assert.equal(IScheduler.throttle("chat", "steve", 2, 10), false);
+    // The first use leaves the window, the second is still in it
+    mc.advanceTicks(5);
+    assert.equal(IScheduler.throttle("chat", "steve", 2, 10), true);
+    assert.equal(IScheduler.throttle("chat", "steve", 2, 10), false);
+    assert.equal(IScheduler.resetThrottle("chat", "steve"), true);
+    assert.equal(IScheduler.throttle("chat", "steve", 2, 10), true);
+});
+
+test("the tick loop stops itself when there is nothing left and restarts on demand", () => {
+    const clearRun = mc.system.clearRun;
+    const runInterval = mc.system.runInterval;
+    const cleared = [];
+    let started = 0;
+    mc.system.clearRun = function (id) {
+        cleared.push(id);
+        return clearRun.call(this, id);
+    };
+    mc.system.runInterval = function (callback, interval) {
+        started++;
+        return runInterval.call(this, callback, interval);
+    };
+    try {
+        IScheduler.resetCooldown("heal", "steve");
+        IScheduler.resetCooldown("heal", "alex");
+        IScheduler.resetCooldown("feed", { id: "steve" });
+        IScheduler.resetThrottle("chat", "steve");
+        for (const task of IScheduler.tasks()) task.cancel();
+        mc.advanceTicks(1);
+        assert.equal(cleared.length, 1);
+        mc.advanceTicks(5);
+        assert.equal(cleared.length, 1);
+
+        let runs = 0;
+        IScheduler.delay(1, () => runs++);
+        assert.equal(started, 1);
+        mc.advanceTicks(2);
+        assert.equal(runs, 1);
+        assert.equal(cleared.length, 2);
+    } finally {
+        mc.system.clearRun = clearRun;
+        mc.system.runInterval = runInterval;
+    }
+});
@@ -0,0 +1,39 @@
+/**
+ * IStats.test.mjs
+ * Checks the statistics against values worked out by hand.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IStats } from "../../scripts/api/classes/IStats.js";
+
+test("summary statistics", () => {
+    const stats = new IStats(10);
+    for (const value of [1, 2, 3, 4]) stats.push(value, "k");
+    assert.equal(stats.sum("k"), 10);
+    assert.equal(stats.mean("k"), 2.5);
+    assert.equal(stats.median("k"), 2.5);
+    assert.equal(stats.min("k"), 1);
+    assert.equal(stats.max("k"), 4);
+    assert.ok(Math.abs(stats.stdDev("k") - Math.sqrt(1.25)) < 1e-9);
+    assert.equal(stats.percentile(100, "k"), 4);
+    assert.ok(Number.isNaN(stats.mean("none")));
+});
+
+test("rate counts the samples pushed in the last second of ticks", () => {
+    const stats = new IStats(10);
+    for (const value of [1, 2, 3, 4]) stats.push(value, "k");
+    assert.equal(stats.rate("k"), 4);
+    mc.advanceTicks(25);
+    assert.equal(stats.rate("k"), 0);
+    assert.ok(stats.ema("k") > 2 && stats.ema("k") < 4);
+});
+
+test("outliers need enough samples", () => {
+    const stats = new IStats(10);
+    for (const value of [1, 2, 3, 4]) stats.push(value, "k");
+    assert.equal(stats.isOutlier(100, "k"), false);
+    for (let i = 0; i < 10; i++) stats.push(i % 2, "k");
+    assert.equal(stats.isOutlier(100, "k"), true);
+    assert.equal(stats.isOutlier(0.5, "k"), false);
+});
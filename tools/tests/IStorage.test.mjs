@@ -0,0 +1,85 @@
+/**
+ * IStorage.test.mjs
+ * Stores values in the fake world's dynamic properties, including ones too long for a single property.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IStorage } from "../../scripts/api/classes/IStorage.js";
+
+const shards = (id) => mc.world.getDynamicPropertyIds().filter((key) => key.startsWith(`${id}#`));
+
+test("migrations run once and the schema is enforced", () => {
+    mc.world.setDynamicProperty("eco:balance", JSON.stringify("12"));
+    const storage = new IStorage("eco", {
+        schema: {
+            balance: { type: "number", default: 0, validate: (value) => value >= 0 || "Balance cannot be negative." },
+            big: { type: "string" }
+        },
+        version: 2,
+        migrations: { 2: (store) => store.set("balance", Number(store.getRaw("balance"))) }
+    });
+    assert.equal(storage.get("balance"), 12);
+    assert.equal(mc.world.getDynamicProperty("eco:__version"), 2);
+    assert.throws(() => storage.set("balance", -1), /cannot be negative/);
+    assert.throws(() => storage.set("balance", "x"), TypeError);
+    assert.throws(() => storage.get("nope"), /schema/);
+});
+
+test("long values are sharded and the spare shards removed when they shrink", () => {
+    const storage = new IStorage("big");
+    const value = "x".repeat(100000);
+    storage.set("text", value);
+    assert.equal(storage.get("text"), value);
+    // 100002 characters of JSON take four 32767-character shards, listed by the base property
+    assert.deepEqual(shards("big:text").sort(), ["big:text#0", "big:text#1", "big:text#2", "big:text#3"]);
+    assert.ok(shards("big:text").every((id) => mc.world.getDynamicProperty(id).length <= 32767));
+
+    storage.set("text", "small");
+    assert.deepEqual(shards("big:text"), []);
+    assert.equal(storage.get("text"), "small");
+    assert.deepEqual(storage.keys(), ["text"]);
+
+    storage.delete("text");
+    assert.equal(storage.has("text"), false);
+});
+
+test("entity storage goes on the entity", () => {
+    const player = mc.spawnPlayer("A");
+    new IStorage("stats", { target: player }).set("k", { a: 1 });
+    assert.equal(player.getDynamicProperty("stats:k"), "{\"a\":1}");
+});
+
+test("reading current data writes nothing, so it works in before events", () => {
+    const storage = new IStorage("zones", { schema: { list: { type: "array", default: [] } }, version: 3 });
+    let read;
+    const handler = mc.world.beforeEvents.playerPlaceBlock.subscribe(() => { read = storage.get("list"); });
+    mc.world.beforeEvents.playerPlaceBlock.trigger({});
+    mc.world.beforeEvents.playerPlaceBlock.unsubscribe(handler);
+    assert.deepEqual(read, []);
+    assert.equal(mc.world.getDynamicProperty("zones:__version"), undefined);
+
+    storage.set("list", ["spawn"]);
+    assert.equal(mc.world.getDynamicProperty("zones:__version"), 3);
+    const again = new IStorage("zones", { version: 3, migrations: { 2: () => assert.fail("already current") } });
+    assert.deepEqual(again.get("list"), ["spawn"]);
+});
+
+test("a failed migration is retried on the next use", () => {
+    mc.world.setDynamicProperty("old:name", JSON.stringify("steve"));
+    let attempts = 0;
+    const storage = new IStorage("old", {
+        version: 2,
+        migrations: {
+            2: (store) => {
+                if (++attempts === 1) throw new Error("Not yet.");
+                store.set("name", store.getRaw("name").toUpperCase());
+            }
+        }
+    });
+    assert.throws(() => storage.get("name"), /Not yet/);
+    assert.equal(mc.world.getDynamicProperty("old:__version"), undefined);
+    assert.equal(storage.get("name"), "STEVE");
+    assert.equal(mc.world.getDynamicProperty("old:__version"), 2);
+    assert.equal(attempts, 2);
+});
@@ -0,0 +1,97 @@
+/**
+ * IStructure.test.mjs
+ * Captures, turns and pastes structures in the fake world.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { IDimension } from "../../scripts/api/classes/IDimension.js";
+import { IStructure } from "../../scripts/api/classes/IStructure.js";
+import { IVec3 } from "../../scripts/api/classes/IVec3.js";
+
+const overworld = new IDimension("overworld");
+const raw = mc.world.getDimension("overworld");
+const block = (type, states = {}) => ({ type, states });
+
+// A 2x1x3 structure: stairs facing north at x=0, z=0 and a log along x at x=1, z=2, air elsewhere
+function sample() {
+    const palette = [
+        block("minecraft:air"),
+        block("minecraft:oak_stairs", { weirdo_direction: 3 }),
+        block("minecraft:oak_log", { pillar_axis: "x" })
+    ];
+    return new IStructure({ x: 2, y: 1, z: 3 }, palette, [1, 0, 0, 0, 0, 2]);
+}
+
+test("rotate moves blocks clockwise and turns their states", () => {
+    const turned = sample().rotate(90);
+    assert.deepEqual([turned.size.x, turned.size.y, turned.size.z], [3, 1, 2]);
+    // The north-west corner becomes the north-east corner
+    assert.deepEqual(turned.getBlockAt({ x: 2, y: 0, z: 0 }), block("minecraft:oak_stairs", { weirdo_direction: 0 }));
+    assert.deepEqual(turned.getBlockAt({ x: 0, y: 0, z: 1 }), block("minecraft:oak_log", { pillar_axis: "z" }));
+
+    const back = sample().rotate(360);
+    assert.deepEqual(back.blocks, sample().blocks);
+    assert.deepEqual(sample().rotate(90).rotate(270).palette, sample().palette);
+    assert.throws(() => sample().rotate(45), /multiple of 90/);
+});
+
+test("every direction state turns a quarter clockwise", () => {
+    const cases = [
+        ["minecraft:furnace", "minecraft:cardinal_direction", "north", "east"],
+        ["minecraft:observer", "minecraft:facing_direction", "south", "west"],
+        ["minecraft:observer", "minecraft:facing_direction", "up", "up"],
+        ["minecraft:lever", "minecraft:block_face", "west", "north"],
+        ["minecraft:torch", "torch_facing_direction", "east", "south"],
+        ["minecraft:dispenser", "facing_direction", 2, 5],
+        ["minecraft:oak_fence_gate", "direction", 0, 1],
+        ["minecraft:oak_trapdoor", "direction", 3, 0],
+        ["minecraft:oak_door", "direction", 0, 1],
+        ["minecraft:rail", "rail_direction", 0, 1],
+        ["minecraft:rail", "rail_direction", 4, 2],
+        ["minecraft:rail", "rail_direction", 6, 7],
+        ["minecraft:stone", "stone_type", "granite", "granite"]
+    ];
+    for (const [type, state, before, after] of cases) {
+        const structure = new IStructure({ x: 1, y: 1, z: 1 }, [block(type, { [state]: before })], [0]);
+        assert.equal(structure.rotate(90).palette[0].states[state], after, `${type} ${state}=${before}`);
+    }
+});
+
+test("mirror flips blocks and the directions along its axis", () => {
+    const gate = (direction) => new IStructure({ x: 1, y: 1, z: 1 }, [block("minecraft:oak_fence_gate", { direction })], [0]);
+    // 0 south, 1 west, 2 north, 3 east
+    assert.equal(gate(1).mirror("x").palette[0].states.direction, 3);
+    assert.equal(gate(0).mirror("x").palette[0].states.direction, 0);
+    assert.equal(gate(0).mirror("z").palette[0].states.direction, 2);
+
+    const mirrored = sample().mirror("z");
+    assert.deepEqual(mirrored.getBlockAt({ x: 0, y: 0, z: 2 }), block("minecraft:oak_stairs", { weirdo_direction: 2 }));
+    assert.deepEqual(mirrored.getBlockAt({ x: 1, y: 0, z: 0 }), block("minecraft:oak_log", { pillar_axis: "x" }));
+    assert.throws(() => sample().mirror("y"), /'x' or 'z'/);
+});
+
+test("serialize and deserialize round-trip", () => {
+    const structure = sample();
+    const data = structure.serialize();
+    assert.equal(JSON.parse(data).blocks, "1,4*0,2");
+    const copy = IStructure.deserialize(data);
+    assert.deepEqual([copy.size.x, copy.size.y, copy.size.z], [2, 1, 3]);
+    assert.deepEqual(copy.palette, structure.palette);
+    assert.deepEqual(copy.blocks, structure.blocks);
+    assert.throws(() => IStructure.deserialize("{}"), /unsupported format/);
+    assert.throws(() => IStructure.deserialize("not json"), /Invalid structure data/);
+});
+
+test("capture and paste copy blocks with their states", async () => {
+    raw.setBlockPermutation({ x: 0, y: 64, z: 0 }, mc.BlockPermutation.resolve("minecraft:oak_log", { pillar_axis: "x" }));
+    raw.setBlockType({ x: 1, y: 64, z: 0 }, "minecraft:stone");
+    const structure = IStructure.capture(overworld, new IVec3(1, 64, 0), new IVec3(0, 64, 0));
+    assert.deepEqual([structure.size.x, structure.size.y, structure.size.z], [2, 1, 1]);
+
+    const job = structure.rotate(90).paste(overworld, new IVec3(10, 64, 10));
+    mc.advanceTicks(1);
+    await job.promise;
+    assert.equal(raw.getBlock({ x: 10, y: 64, z: 10 }).permutation.getState("pillar_axis"), "z");
+    assert.equal(raw.getBlock({ x: 10, y: 64, z: 11 }).typeId, "minecraft:stone");
+});
@@ -0,0 +1,116 @@
+/**
+ * MathUtils.test.mjs
+ * Walks rays and lines through the block grid and checks points against cones and view frustums.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MathUtils } from "../../scripts/api/utils/MathUtils.js";
+
+const xyz = (pos) => [pos.x, pos.y, pos.z];
+
+test("voxelRay yields every block along an axis with the face it entered through", () => {
+    const steps = [...MathUtils.voxelRay({ x: 0.5, y: 64.5, z: 0.5 }, { x: 2, y: 0, z: 0 }, 3)];
+    assert.deepEqual(steps.map(xyz), [[0, 64, 0], [1, 64, 0], [2, 64, 0], [3, 64, 0]]);
+    assert.deepEqual(steps.map((step) => step.face), [undefined, "West", "West", "West"]);
+    assert.deepEqual(steps.map((step) => step.distance), [0, 0.5, 1.5, 2.5]);
+
+    const faces = [
+        [{ x: -1, y: 0, z: 0 }, [-1, 0, 0], "East"],
+        [{ x: 0, y: 1, z: 0 }, [0, 1, 0], "Down"],
+        [{ x: 0, y: -1, z: 0 }, [0, -1, 0], "Up"],
+        [{ x: 0, y: 0, z: 1 }, [0, 0, 1], "North"],
+        [{ x: 0, y: 0, z: -1 }, [0, 0, -1], "South"]
+    ];
+    for (const [direction, block, face] of faces) {
+        const [, second] = MathUtils.voxelRay({ x: 0.5, y: 0.5, z: 0.5 }, direction, 1);
+        assert.deepEqual([xyz(second), second.face, second.distance], [block, face, 0.5]);
+    }
+});
+
+test("voxelRay steps through a slanted ray face by face, with the distance to each face", () => {
+    const origin = { x: 0.2, y: 0.5, z: 0.5 };
+    const direction = { x: 1, y: 0.5, z: 0 };
+    const steps = [...MathUtils.voxelRay(origin, direction, 3)];
+    assert.deepEqual(steps.map(xyz), [[0, 0, 0], [1, 0, 0], [1, 1, 0], [2, 1, 0]]);
+    assert.deepEqual(steps.map((step) => step.face), [undefined, "West", "Down", "West"]);
+    // Each distance reaches the face the ray enters through
+    const length = Math.hypot(direction.x, direction.y);
+    const hit = (step) => ({ x: origin.x + direction.x / length * step.distance, y: origin.y + direction.y / length * step.distance });
+    assert.ok(Math.abs(hit(steps[1]).x - 1) < 1e-9);
+    assert.ok(Math.abs(hit(steps[2]).y - 1) < 1e-9);
+    assert.ok(Math.abs(hit(steps[3]).x - 2) < 1e-9);
+    assert.ok(steps.every((step) => step.distance <= 3));
+});
+
+test("voxelRay rejects rays with no direction or NaN coordinates", () => {
+    assert.throws(() => [...MathUtils.voxelRay({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, 5)], /length greater than 0/);
+    assert.throws(() => [...MathUtils.voxelRay({ x: NaN, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, 5)], /NaN/);
+});
+
+test("blockLine includes both ends along an axis and on diagonals", () => {
+    assert.deepEqual([...MathUtils.blockLine({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -3 })].map(xyz), [[0, 0, 0], [0, 0, -1], [0, 0, -2], [0, 0, -3]]);
+    assert.deepEqual([...MathUtils.blockLine({ x: 0, y: 0, z: 0 }, { x: 3, y: 3, z: 3 })].map(xyz), [[0, 0, 0], [1, 1, 1], [2, 2, 2], [3, 3, 3]]);
+    assert.deepEqual([...MathUtils.blockLine({ x: 2, y: 0, z: 0 }, { x: 0, y: -2, z: 0 })].map(xyz), [[2, 0, 0], [1, -1, 0], [0, -2, 0]]);
+    assert.deepEqual([...MathUtils.blockLine({ x: 0, y: 0, z: 0 }, { x: 3, y: 1, z: 0 })].map(xyz), [[0, 0, 0], [1, 0, 0], [2, 1, 0], [3, 1, 0]]);
+    assert.deepEqual([...MathUtils.blockLine({ x: 5.9, y: 1.2, z: -0.5 }, { x: 5, y: 1, z: -1 })].map(xyz), [[5, 1, -1]]);
+});
+
+test("blockLine has no gaps on uneven slopes", () => {
+    const line = [...MathUtils.blockLine({ x: 0, y: 0, z: 0 }, { x: 7, y: -3, z: 2 })];
+    assert.equal(line.length, 8);
+    assert.deepEqual(xyz(line[0]), [0, 0, 0]);
+    assert.deepEqual(xyz(line.at(-1)), [7, -3, 2]);
+    for (let i = 1; i < line.length; i++) {
+        assert.equal(line[i].x - line[i - 1].x, 1);
+        assert.ok(Math.abs(line[i].y - line[i - 1].y) <= 1 && Math.abs(line[i].z - line[i - 1].z) <= 1);
+    }
+});
+
+test("inCone checks the angle from the axis and the length", () => {
+    const apex = { x: 0, y: 0, z: 0 };
+    const forward = { x: 0, y: 0, z: 2 };
+    assert.equal(MathUtils.inCone(apex, forward, { x: 0, y: 0, z: 5 }, 30), true);
+    assert.equal(MathUtils.inCone(apex, forward, apex, 30), true);
+    // (1, 0, 1) is 45 degrees off the axis
+    assert.equal(MathUtils.inCone(apex, forward, { x: 1, y: 0, z: 1 }, 45.1), true);
+    assert.equal(MathUtils.inCone(apex, forward, { x: 1, y: 0, z: 1 }, 44.9), false);
+    assert.equal(MathUtils.inCone(apex, forward, { x: 0, y: 0, z: -1 }, 89), false);
+    assert.equal(MathUtils.inCone(apex, forward, { x: 0, y: 0, z: -1 }, 180), true);
+    assert.equal(MathUtils.inCone(apex, forward, { x: 0, y: 0, z: 4 }, 30, 4), true);
+    assert.equal(MathUtils.inCone(apex, forward, { x: 0, y: 0, z: 4.1 }, 30, 4), false);
+    assert.throws(() => MathUtils.inCone(apex, { x: 0, y: 0, z: 0 }, forward, 30), /length greater than 0/);
+});
+
+test("inFrustum checks the horizontal and vertical angles separately", () => {
+    const eye = { x: 0, y: 0, z: 0 };
+    const forward = { x: 0, y: 0, z: 1 };
+    const fov = { horizontalFov: 90, verticalFov: 60 };
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 0, y: 0, z: 5 }, fov), true);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 4.9, y: 0, z: 5 }, fov), true);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: -5.1, y: 0, z: 5 }, fov), false);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 0, y: 2.8, z: 5 }, fov), true);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 0, y: -3, z: 5 }, fov), false);
+    // Wide enough horizontally but not vertically
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 4, y: 4, z: 5 }, fov), false);
+});
+
+test("inFrustum cuts off behind the eye and at the near and far distances", () => {
+    const eye = { x: 10, y: 64, z: 10 };
+    const forward = { x: 0, y: 0, z: 1 };
+    assert.equal(MathUtils.inFrustum(eye, forward, eye), false);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 10, y: 64, z: 9 }), false);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 10, y: 64, z: 11 }, { near: 2 }), false);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 10, y: 64, z: 12 }, { near: 2 }), true);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 10, y: 64, z: 20 }, { far: 10 }), true);
+    assert.equal(MathUtils.inFrustum(eye, forward, { x: 10, y: 64, z: 20.5 }, { far: 10 }), false);
+});
+
+test("inFrustum still works looking straight up", () => {
+    const eye = { x: 0, y: 0, z: 0 };
+    const up = { x: 0, y: 1, z: 0 };
+    assert.equal(MathUtils.inFrustum(eye, up, { x: 0, y: 5, z: 0 }), true);
+    assert.equal(MathUtils.inFrustum(eye, up, { x: 0, y: 5, z: 1 }), true);
+    assert.equal(MathUtils.inFrustum(eye, up, { x: 0, y: 5, z: 3 }), false);
+    assert.equal(MathUtils.inFrustum(eye, up, { x: 3, y: 5, z: 0 }), true);
+    assert.equal(MathUtils.inFrustum(eye, up, { x: 4, y: 5, z: 0 }), false);
+});
@@ -0,0 +1,112 @@
+/**
+ * Protection.test.mjs
+ * Fires block and combat events inside zones and checks which ones are cancelled.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import { Protection } from "../../scripts/api/modules/Protection.js";
+import { ICommands } from "../../scripts/api/commands/ICommands.js";
+import { IStorage } from "../../scripts/api/classes/IStorage.js";
+
+const steve = mc.spawnPlayer("Steve");
+const alex = mc.spawnPlayer("Alex");
+const overworld = mc.world.getDimension("overworld");
+// A zone saved by an earlier session
+new IStorage("protection", { schema: { zones: { type: "array", default: [] } } }).set("zones", [{
+    name: "vault",
+    dimension: "overworld",
+    min: { x: 100, y: 0, z: 100 },
+    max: { x: 101, y: 1, z: 101 },
+    owners: [],
+    members: [],
+    flags: { build: false, break: false, interact: false, pvp: false, mobSpawn: false, explosions: false },
+    priority: 0
+}]);
+Protection.start();
+Protection.registerCommands();
+
+function place(player, location) {
+    return mc.world.beforeEvents.playerPlaceBlock.trigger({
+        player,
+        block: overworld.getBlock(location),
+        permutationToPlace: mc.BlockPermutation.resolve("minecraft:stone")
+    });
+}
+
+test("zones are loaded after startup, never inside a before event", () => {
+    const getDynamicProperty = mc.world.getDynamicProperty;
+    let reads = 0;
+    mc.world.getDynamicProperty = function () {
+        reads++;
+        throw new Error("Storage is not ready");
+    };
+    try {
+        // Until the zones are loaded every change is denied, without reading anything
+        assert.equal(place(alex, { x: 500, y: 1, z: 500 }).cancel, true);
+        assert.equal(reads, 0);
+        // The first read fails; nothing is kept, so nothing can be saved over the stored zones
+        mc.advanceTicks(1);
+        assert.ok(reads > 0);
+        assert.equal(place(alex, { x: 500, y: 1, z: 500 }).cancel, true);
+    } finally {
+        mc.world.getDynamicProperty = getDynamicProperty;
+    }
+    mc.advanceTicks(20);
+    assert.notEqual(place(alex, { x: 500, y: 1, z: 500 }).cancel, true);
+    assert.equal(place(alex, { x: 100, y: 1, z: 100 }).cancel, true);
+    assert.deepEqual(Protection.list().map((zone) => zone.name), ["vault"]);
+});
+
+test("the smallest zone wins where zones overlap", () => {
+    Protection.define("town", "overworld", { x: 0, y: 0, z: 0 }, { x: 20, y: 20, z: 20 }, { owners: [steve] });
+    Protection.define("plot", "minecraft:overworld", { x: 5, y: 0, z: 5 }, { x: 6, y: 5, z: 6 }, { flags: { build: true } });
+    assert.equal(Protection.zoneAt("overworld", { x: 5.5, y: 1, z: 5 }).name, "plot");
+    assert.equal(Protection.isAllowed("build", "overworld", { x: 5, y: 1, z: 5 }, alex), true);
+    assert.equal(Protection.isAllowed("build", "overworld", { x: 1, y: 1, z: 1 }, alex), false);
+    assert.equal(Protection.isAllowed("build", "overworld", { x: 1, y: 1, z: 1 }, steve), true);
+    assert.equal(Protection.isAllowed("build", "nether", { x: 1, y: 1, z: 1 }, alex), true);
+});
+
+test("placing is cancelled for outsiders until they are trusted", () => {
+    assert.equal(place(alex, { x: 1, y: 1, z: 1 }).cancel, true);
+    mc.advanceTicks(1);
+    assert.match(alex.messages.at(-1), /town/);
+    assert.notEqual(place(steve, { x: 1, y: 1, z: 1 }).cancel, true);
+
+    Protection.trust("town", "alex");
+    assert.notEqual(place(alex, { x: 1, y: 1, z: 1 }).cancel, true);
+    Protection.untrust("town", "alex");
+});
+
+test("explosions keep the blocks outside protected zones", () => {
+    let impacted = [overworld.getBlock({ x: 1, y: 1, z: 1 }), overworld.getBlock({ x: 50, y: 1, z: 1 })];
+    mc.world.beforeEvents.explosion.trigger({
+        dimension: overworld,
+        source: undefined,
+        getImpactedBlocks: () => impacted,
+        setImpactedBlocks: (blocks) => { impacted = blocks; }
+    });
+    assert.deepEqual(impacted.map((block) => block.location.x), [50]);
+});
+
+test("pvp damage is healed back inside the zone only", () => {
+    const health = alex.getComponent("minecraft:health");
+    alex.teleport({ x: 2, y: 1, z: 2 });
+    health.setCurrentValue(15);
+    mc.world.afterEvents.entityHurt.trigger({ hurtEntity: alex, damage: 5, damageSource: { damagingEntity: steve } });
+    assert.equal(health.currentValue, 20);
+
+    alex.teleport({ x: 50, y: 1, z: 50 });
+    health.setCurrentValue(15);
+    mc.world.afterEvents.entityHurt.trigger({ hurtEntity: alex, damage: 5, damageSource: { damagingEntity: steve } });
+    assert.equal(health.currentValue, 15);
+});
+
+test("zone flags can be changed by command and are saved", () => {
+    steve.addTag("admin");
+    ICommands.run(steve, "!zone flag town pvp true");
+    mc.advanceTicks(1);
+    assert.equal(Protection.get("town").flags.pvp, true);
+    assert.ok(mc.world.getDynamicProperty("protection:zones").includes("\"pvp\":true"));
+});
@@ -0,0 +1,123 @@
+/**
+ * forms.test.mjs
+ * Answers forms through the fake server-ui and checks validation, paging, wizards and busy retries.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+import * as ui from "@minecraft/server-ui";
+import { IModalForm } from "../../scripts/api/forms/IModalForm.js";
+import { IListForm } from "../../scripts/api/forms/IListForm.js";
+import { IActionForm } from "../../scripts/api/forms/IActionForm.js";
+import { IMessageForm } from "../../scripts/api/forms/IMessageForm.js";
+import { IWizard } from "../../scripts/api/forms/IWizard.js";
+
+const player = mc.spawnPlayer("Steve");
+const CLOSED = { canceled: true, cancelationReason: "UserClosed" };
+const BUSY = { canceled: true, cancelationReason: "UserBusy" };
+
+function payForm() {
+    return new IModalForm("Pay")
+        .text("target", "Player", { required: true })
+        .number("amount", "Amount", { min: 1, integer: true, required: true })
+        .dropdown("currency", "Currency", ["coins", { label: "Gems", value: "gems" }])
+        .validate((values) => values.target !== "Steve" || "You can't pay yourself.");
+}
+
+test("valid modal input comes back converted, by field name", async () => {
+    ui.respondWith({ formValues: ["Alex", " 25 ", 1] });
+    const result = await payForm().show(player);
+    assert.equal(result.canceled, false);
+    assert.deepEqual(result.values, { target: "Alex", amount: 25, currency: "gems" });
+});
+
+test("invalid modal input shows the form again with the errors and the input kept", async () => {
+    const shown = ui.respondWith(
+        { formValues: ["", "2.5", 0] },
+        // The error label is now the first control, so values are shifted by one
+        { formValues: ["", "Steve", "3", 0] },
+        { formValues: ["", "Alex", "3", 0] }
+    );
+    const result = await payForm().show(player);
+    assert.equal(shown.length, 3);
+    assert.match(shown[1].controls[0].text, /Player: This field is required\.\nAmount: Must be a whole number\./);
+    assert.equal(shown[1].controls[2].defaultValue, "2.5");
+    // Field validation passed, so the form-wide validator ran
+    assert.match(shown[2].controls[0].text, /You can't pay yourself\./);
+    assert.equal(shown[2].controls[1].defaultValue, "Steve");
+    assert.deepEqual(result.values, { target: "Alex", amount: 3, currency: "coins" });
+});
+
+test("closing an invalid modal form cancels it", async () => {
+    ui.respondWith({ formValues: ["Alex", "0", 0] }, CLOSED);
+    const result = await payForm().show(player);
+    assert.deepEqual([result.canceled, result.reason, result.values], [true, "UserClosed", undefined]);
+});
+
+test("busy players are asked again until they can see the form", async () => {
+    const shown = ui.respondWith(BUSY, BUSY, { selection: 0 });
+    const pending = new IMessageForm("Restart?").body("Restart the server?").show(player, { retryDelay: 5 });
+    // Let the pending show() settle before each retry delay passes
+    for (let i = 0; i < 10 && shown.length < 3; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+        mc.advanceTicks(5);
+    }
+    const result = await pending;
+    assert.equal(shown.length, 3);
+    assert.equal(result.confirmed, true);
+});
+
+test("list forms page through their items", async () => {
+    const items = ["a", "b", "c", "d", "e"];
+    const form = new IListForm("Shop", items, (item, index) => `${index}: ${item}`).pageSize(2);
+    assert.equal(form.pageCount(), 3);
+    // Next, next, previous, then the first item of the second page
+    const shown = ui.respondWith({ selection: 2 }, { selection: 3 }, { selection: 1 }, { selection: 0 });
+    const result = await form.show(player);
+    assert.deepEqual(shown.map((page) => page.title), ["Shop (1/3)", "Shop (2/3)", "Shop (3/3)", "Shop (2/3)"]);
+    assert.deepEqual(shown[0].buttons.map((button) => button.text), ["0: a", "1: b", "§lNext »"]);
+    assert.deepEqual(shown[1].buttons.map((button) => button.text), ["2: c", "3: d", "§l« Previous", "§lNext »"]);
+    assert.deepEqual(shown[2].buttons.map((button) => button.text), ["4: e", "§l« Previous"]);
+    assert.deepEqual([result.item, result.index], ["c", 2]);
+});
+
+test("an empty list form shows its empty text and can only be closed", async () => {
+    const shown = ui.respondWith(CLOSED);
+    const result = await new IListForm("Shop").empty("Sold out.").show(player);
+    assert.equal(shown[0].body, "Sold out.");
+    assert.deepEqual(shown[0].buttons, []);
+    assert.equal(result.canceled, true);
+});
+
+test("closing a wizard step goes back to the step before it", async () => {
+    const wizard = new IWizard()
+        .step("kind", () => new IActionForm("Kind").button("Plot", { value: "plot" }).button("Town", { value: "town" }))
+        .step("details", (answers) => new IModalForm(`New ${answers.kind}`).text("name", "Name", { required: true }))
+        .step("confirm", (answers) => new IMessageForm("Create?").body(`Create ${answers.kind} '${answers.details.name}'?`));
+    const shown = ui.respondWith(
+        { selection: 0 },
+        CLOSED,
+        { selection: 1 },
+        { formValues: ["Rome"] },
+        { selection: 0 }
+    );
+    const result = await wizard.show(player);
+    assert.deepEqual(shown.map((form) => form.title), ["Kind", "New plot", "Kind", "New town", "Create?"]);
+    assert.equal(shown[4].body, "Create town 'Rome'?");
+    assert.deepEqual(result, { canceled: false, reason: undefined, step: undefined, values: { kind: "town", details: { name: "Rome" }, confirm: true } });
+});
+
+test("closing the first wizard step, or any step without backOnClose, cancels the wizard", async () => {
+    const wizard = new IWizard()
+        .step("kind", () => new IActionForm("Kind").button("Plot", { value: "plot" }))
+        .step("skipped", () => null)
+        .step("details", () => new IModalForm("Details").text("name", "Name"));
+    ui.respondWith(CLOSED);
+    const first = await wizard.show(player);
+    assert.deepEqual([first.canceled, first.step, first.values], [true, "kind", {}]);
+
+    ui.respondWith({ selection: 0 }, CLOSED);
+    const later = await wizard.show(player, { backOnClose: false });
+    assert.deepEqual([later.canceled, later.step, later.values], [true, "details", { kind: "plot" }]);
+    assert.throws(() => wizard.step("kind", () => null), /already exists/);
+});
@@ -0,0 +1,75 @@
+/**
+ * harness.test.mjs
+ * Checks the parts of the fake that tests of the pack rely on to catch mistakes the game would catch.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as mc from "@minecraft/server";
+
+const raw = mc.world.getDimension("overworld");
+
+test("before-event handlers cannot change the world", () => {
+    const player = mc.spawnPlayer("Steve");
+    const errors = [];
+    const handler = mc.world.beforeEvents.playerPlaceBlock.subscribe(() => {
+        for (const write of [
+            () => raw.setBlockType({ x: 0, y: 64, z: 0 }, "minecraft:stone"),
+            () => player.teleport({ x: 1, y: 64, z: 1 }),
+            () => player.addTag("seen")
+        ]) {
+            try {
+                write();
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+    });
+    mc.world.beforeEvents.playerPlaceBlock.trigger({ player, block: raw.getBlock({ x: 0, y: 64, z: 0 }) });
+    mc.world.beforeEvents.playerPlaceBlock.unsubscribe(handler);
+
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /Native function \[Dimension::setBlockPermutation\] does not have required privileges/);
+    assert.equal(raw.getBlock({ x: 0, y: 64, z: 0 }).typeId, "minecraft:air");
+    assert.equal(player.hasTag("seen"), false);
+});
+
+test("after-event handlers and scheduled runs can change the world", () => {
+    const player = mc.spawnPlayer("Alex");
+    mc.world.beforeEvents.playerPlaceBlock.subscribe(() => {
+        mc.system.run(() => player.addTag("placed"));
+    });
+    mc.world.afterEvents.playerPlaceBlock.subscribe(() => raw.setBlockType({ x: 0, y: 65, z: 0 }, "minecraft:dirt"));
+    mc.world.beforeEvents.playerPlaceBlock.trigger({ player });
+    mc.world.afterEvents.playerPlaceBlock.trigger({ player });
+    mc.advanceTicks(1);
+    assert.equal(player.hasTag("placed"), true);
+    assert.equal(raw.getBlock({ x: 0, y: 65, z: 0 }).typeId, "minecraft:dirt");
+});
+
+test("entities stay removed and isValid is a property", () => {
+    const player = mc.spawnPlayer("Gone");
+    assert.equal(player.isValid, true);
+    player.remove();
+    assert.equal(player.isValid, false);
+    assert.doesNotThrow(() => player.remove());
+    assert.equal(mc.world.getPlayers().length, 2);
+});
+
+test("containers cannot be changed in before events", () => {
+    const player = mc.spawnPlayer("Trader");
+    const container = player.getComponent("minecraft:inventory").container;
+    assert.equal(container.isValid, true);
+    let error;
+    const handler = mc.world.beforeEvents.playerPlaceBlock.subscribe(() => {
+        try {
+            container.addItem(new mc.ItemStack("minecraft:dirt", 1));
+        } catch (caught) {
+            error = caught;
+        }
+    });
+    mc.world.beforeEvents.playerPlaceBlock.trigger({ player });
+    mc.world.beforeEvents.playerPlaceBlock.unsubscribe(handler);
+    assert.match(error.message, /Container::addItem/);
+    assert.equal(container.emptySlotsCount, 36);
+    player.remove();
+});